@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+// Runs against the Firestore emulator: `npm run test:rules` starts one. The
+// rest of the suite (`npm test`) doesn't need it.
+
+const STORE = 'artifacts/test-app/stores/shop';
+const ROLES = { owner: 'owner', manager: 'manager', clerk: 'clerk', reader: 'readOnly' };
+
+const TEE = {
+  name: 'Vintage T-Shirt',
+  priceCents: 2999,
+  stock: 25,
+  version: 1,
+  variants: [{ id: 's', name: 'S', sku: 'TSH-S', priceCents: 2999 }, { id: 'm', name: 'M', sku: 'TSH-M', priceCents: 3299 }],
+  variantStock: { s: 10, m: 15 },
+};
+
+const order = (status, fields = {}) => ({
+  lineItems: [{ productId: 'tee', productName: 'Vintage T-Shirt', variantId: 's', quantity: 1, unitPriceCents: 2999, lineTotalCents: 2999 }],
+  itemCount: 1,
+  totalCents: 2999,
+  status,
+  statusHistory: [{ status, at: '2026-01-01T10:00:00.000Z' }],
+  orderedAt: '2026-01-01T10:00:00.000Z',
+  createdBy: 'clerk',
+  ...fields,
+});
+
+let testEnv;
+
+// The store's Firestore as `uid` (a key of ROLES, or anyone else) sees it
+const storeAs = (uid) => {
+  const db = testEnv.authenticatedContext(uid, { email: `${uid}@example.com`, email_verified: true }).firestore();
+  return { db, ref: (path) => doc(db, `${STORE}/${path}`) };
+};
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-ecomm',
+    firestore: { rules: readFileSync(`${__dirname}/../firestore.rules`, 'utf8') },
+  });
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const seed = (path, data) => setDoc(doc(db, `${STORE}${path}`), data);
+    await seed('', { name: 'Shop', ownerId: 'owner' });
+    for (const [uid, role] of Object.entries(ROLES)) {
+      await seed(`/members/${uid}`, { role });
+    }
+    await seed('/products/tee', TEE);
+    await seed('/orders/pending', order('Pending'));
+    await seed('/orders/paid', order('Paid'));
+    await seed('/orders/packed', order('Packed'));
+    await seed('/orders/other-packed', order('Packed'));
+    await seed('/counters/invoices', { lastNumber: 4, lastOrderId: 'earlier' });
+  });
+});
+
+describe('roles', () => {
+  it('lets members read and keeps everyone else out', async () => {
+    await assertSucceeds(getDoc(storeAs('reader').ref('products/tee')));
+    await assertFails(getDoc(storeAs('stranger').ref('products/tee')));
+  });
+
+  it('leaves the catalog to managers', async () => {
+    const product = { name: 'Mug', priceCents: 900, stock: 6, version: 1 };
+    await assertSucceeds(setDoc(storeAs('manager').ref('products/mug'), product));
+    await assertFails(setDoc(storeAs('clerk').ref('products/mug'), product));
+    await assertFails(setDoc(storeAs('reader').ref('products/mug'), product));
+  });
+
+  it('stops read-only members from placing or moving orders', async () => {
+    const reader = storeAs('reader');
+    await assertFails(setDoc(reader.ref('orders/new'), order('Pending', { createdBy: 'reader' })));
+    await assertFails(updateDoc(reader.ref('orders/pending'), { status: 'Paid' }));
+  });
+});
+
+describe('products', () => {
+  it('lets staff move stock levels only', async () => {
+    const clerk = storeAs('clerk');
+    await assertSucceeds(updateDoc(clerk.ref('products/tee'), { stock: 24, variantStock: { s: 9, m: 15 }, version: 2 }));
+    await assertFails(updateDoc(clerk.ref('products/tee'), { priceCents: 100 }));
+    await assertFails(updateDoc(clerk.ref('products/tee'), { variants: [{ ...TEE.variants[0], priceCents: 1 }, TEE.variants[1]] }));
+  });
+
+  it('keeps staff from adding variants through the stock map', async () => {
+    await assertFails(updateDoc(storeAs('clerk').ref('products/tee'), { variantStock: { s: 10, m: 15, xl: 3 } }));
+  });
+});
+
+describe('placing orders', () => {
+  it('accepts a new Pending order placed by the caller', async () => {
+    await assertSucceeds(setDoc(storeAs('clerk').ref('orders/new'), order('Pending')));
+  });
+
+  it('refuses orders that skip ahead, carry an invoice or claim another author', async () => {
+    const clerk = storeAs('clerk');
+    await assertFails(setDoc(clerk.ref('orders/new'), order('Shipped')));
+    await assertFails(setDoc(clerk.ref('orders/new'), order('Pending', { invoiceNumber: 5 })));
+    await assertFails(setDoc(clerk.ref('orders/new'), order('Pending', { createdBy: 'manager' })));
+    await assertFails(setDoc(clerk.ref('orders/new'), order('Pending', { paidAt: '2026-01-01T10:00:00.000Z' })));
+  });
+});
+
+describe('order transitions', () => {
+  it('lets staff take one allowed step at a time', async () => {
+    const clerk = storeAs('clerk');
+    await assertSucceeds(updateDoc(clerk.ref('orders/pending'), { status: 'Paid' }));
+    await assertFails(updateDoc(clerk.ref('orders/paid'), { status: 'Delivered' }));
+  });
+
+  it('leaves cancelling and refunding to managers', async () => {
+    await assertFails(updateDoc(storeAs('clerk').ref('orders/paid'), { status: 'Cancelled' }));
+    await assertSucceeds(updateDoc(storeAs('manager').ref('orders/paid'), { status: 'Cancelled' }));
+  });
+
+  it('keeps staff away from an order\'s contents', async () => {
+    await assertFails(updateDoc(storeAs('clerk').ref('orders/pending'), { totalCents: 1 }));
+  });
+});
+
+describe('invoice counter', () => {
+  // Ships `orderId` with `invoiceNumber` while writing `counter`, as one batch
+  const ship = ({ db, ref }, orderId, invoiceNumber, counter) => {
+    const batch = writeBatch(db);
+    batch.update(ref(`orders/${orderId}`), { status: 'Shipped', invoiceNumber, invoicedAt: '2026-01-02T10:00:00.000Z', seller: {} });
+    batch.set(ref('counters/invoices'), counter);
+    return batch.commit();
+  };
+
+  it('moves up by one with the order that takes the number', async () => {
+    await assertSucceeds(ship(storeAs('clerk'), 'packed', 5, { lastNumber: 5, lastOrderId: 'packed' }));
+  });
+
+  it('refuses skipped numbers, and counters naming another order', async () => {
+    const clerk = storeAs('clerk');
+    await assertFails(ship(clerk, 'packed', 6, { lastNumber: 6, lastOrderId: 'packed' }));
+    await assertFails(ship(clerk, 'packed', 5, { lastNumber: 5, lastOrderId: 'other-packed' }));
+  });
+
+  it('refuses a counter moved on its own', async () => {
+    await assertFails(setDoc(storeAs('clerk').ref('counters/invoices'), { lastNumber: 5, lastOrderId: 'packed' }));
+  });
+});
@@ -1,541 +1,630 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, collection, onSnapshot, setDoc, updateDoc, deleteDoc, runTransaction, query, where } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import StorefrontView from './src/components/StorefrontView';
+import StockHistoryModal from './src/components/StockHistoryModal';
+import ProductConflictModal from './src/components/ProductConflictModal';
+import ImportProductsModal from './src/components/ImportProductsModal';
+import BulkProgressModal from './src/components/BulkProgressModal';
+import ExportModal from './src/components/ExportModal';
+import ProductListView from './src/components/ProductListView';
+import OrderList from './src/components/OrderList';
+import DashboardView from './src/components/DashboardView';
+import PurchasingView from './src/components/PurchasingView';
+import ProductFormModal from './src/components/ProductFormModal';
+import ToastContainer from './src/components/ToastContainer';
+import SignInView from './src/components/SignInView';
+import StorePicker from './src/components/StorePicker';
+import TeamView from './src/components/TeamView';
+import PricingView from './src/components/PricingView';
+import CustomersView from './src/components/CustomersView';
+import OrderDetailView from './src/components/OrderDetailView';
+import ProductDetailView from './src/components/ProductDetailView';
+import NotFoundView from './src/components/NotFoundView';
+import {
+  createRepositories, createFirestoreBackend, createLocalBackend, createStoreDirectory, createFirebaseAuth, createLocalAuth,
+} from './src/data';
+import { DEMO_DATA } from './src/data/demoData';
+import { getProductVersion } from './src/data/productRepository';
+import { VersionConflictError, getErrorMessage } from './src/lib/errors';
+import { RESTOCKING_STATUSES, TRANSITION_LABELS } from './src/lib/orderLifecycle';
+import { productToFormValues } from './src/lib/productValidation';
+import { withRetry, RETRY_BUDGETS } from './src/lib/retry';
+import { BULK_PRODUCT_ACTIONS, validateProductAction } from './src/lib/bulk';
+import { getActiveProducts } from './src/lib/filters';
+import { getOpenOrdersFor } from './src/lib/orders';
+import useToasts from './src/hooks/useToasts';
+import useOutbox from './src/hooks/useOutbox';
+import useOrderSimulator from './src/hooks/useOrderSimulator';
+import useAuth from './src/hooks/useAuth';
+import useProducts from './src/hooks/useProducts';
+import useOrders from './src/hooks/useOrders';
+import useSubscription from './src/hooks/useSubscription';
+import useProductMutations from './src/hooks/useProductMutations';
+import useOrderActions from './src/hooks/useOrderActions';
+import { MUTATION_TYPES, applyPendingMutations, describeMutation } from './src/lib/pendingMutations';
+import { ROLES, ROLE_LABELS, hasPermission } from './src/lib/permissions';
+import { normalizeCouponCode, withPricingDefaults } from './src/lib/pricing';
+import { createFormatters, withStoreDefaults } from './src/lib/format';
+import { FormatContext } from './src/hooks/useFormat';
+import { RouteContext, useHashRouter } from './src/hooks/useRoute';
+import { ROUTES, SECTION_OF, routeHref } from './src/lib/routes';
 
 // --- Firestore/Firebase Global Variable Setup ---
 // These variables are provided by the canvas environment.
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Set to run against `npm run emulators` (Auth on port 9099, Firestore on 8080)
+const useFirebaseEmulator = typeof __use_firebase_emulator !== 'undefined' && Boolean(__use_firebase_emulator);
+
+// Without a Firebase config the app runs against a local store persisted in this browser
+const LOCAL_USER_ID = 'local-user';
+const LOCAL_STORE = { id: 'local', name: 'Local Demo Store', ownerId: LOCAL_USER_ID, role: ROLES.OWNER };
+const LOCAL_AUTH = createLocalAuth({ uid: LOCAL_USER_ID, email: null });
+
+// Remembers the store last opened on this browser so it reopens after sign-in
+const lastStoreKey = (userId) => `store:${appId}:${userId}`;
+
+// Connects to Firebase once per page load: `{ db, auth, directory }`, or null
+// to run on the local backend
+const connectFirebase = () => {
+  if (!firebaseConfig || !Object.keys(firebaseConfig).length) {
+    console.warn("Firebase config is missing or empty. Using the local data backend.");
+    return null;
+  }
 
-// Helper function for exponential backoff (retry logic)
-const withRetry = async (fn, maxRetries = 5) => {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (attempt === maxRetries - 1) throw error;
-      const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+  const app = initializeApp(firebaseConfig);
+  const firestore = getFirestore(app);
+  const firebaseAuth = getAuth(app);
+  if (useFirebaseEmulator) {
+    connectAuthEmulator(firebaseAuth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    connectFirestoreEmulator(firestore, '127.0.0.1', 8080);
   }
+  return {
+    db: firestore,
+    auth: createFirebaseAuth(firebaseAuth, { initialAuthToken }),
+    directory: createStoreDirectory(firestore, appId),
+  };
 };
 
+const firebase = connectFirebase();
+const db = firebase?.db || null;
+const directory = firebase?.directory || null;
+
 /**
  * Main application component using React and Firebase.
  */
 const App = () => {
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
-
-  const [products, setProducts] = useState([]);
-  const [orders, setOrders] = useState([]);
+  const [repositories, setRepositories] = useState(null);
+
+  // The open store: undefined while it is being looked up, null while the user picks one
+  const [store, setStore] = useState(firebase ? undefined : LOCAL_STORE);
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  // Without Firebase there is no team; the local store can be previewed as any role
+  const [localRole, setLocalRole] = useState(ROLES.OWNER);
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [coupons, setCoupons] = useState([]);
+  const [pricingSettings, setPricingSettings] = useState(withPricingDefaults);
+  const [storeSettings, setStoreSettings] = useState(withStoreDefaults);
   const [loading, setLoading] = useState(true);
-  const [view, setView] = useState('dashboard'); // 'dashboard', 'products', 'orders'
-
-  // Form states for adding/editing a product
-  const [isModalOpen, setIsModalOpen] = useState(false);
-  const [isEditing, setIsEditing] = useState(false);
-  const [currentProduct, setCurrentProduct] = useState(null);
-  const [productName, setProductName] = useState('');
-  const [productStock, setProductStock] = useState(0);
-  const [productPrice, setProductPrice] = useState(0);
 
-  // --- 1. Firebase Initialization and Authentication ---
-  useEffect(() => {
-    if (!firebaseConfig || !Object.keys(firebaseConfig).length) {
-        console.error("Firebase config is missing or empty. Cannot initialize app.");
-        setLoading(false);
-        return;
-    }
+  // The page comes from the URL hash (see lib/routes)
+  const router = useHashRouter();
+  const { route, navigate } = router;
 
-    const app = initializeApp(firebaseConfig);
-    const firestore = getFirestore(app);
-    const firebaseAuth = getAuth(app);
-    setDb(firestore);
-    setAuth(firebaseAuth);
-
-    const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
-      if (user) {
-        setUserId(user.uid);
-      } else {
-        // Sign in anonymously if initialAuthToken is not available or failed
-        if (!initialAuthToken) {
-          try {
-            const anonymousUser = await signInAnonymously(firebaseAuth);
-            setUserId(anonymousUser.user.uid);
-          } catch (error) {
-            console.error("Anonymous sign in failed:", error);
-          }
-        }
-      }
-      setIsAuthReady(true);
-    });
+  // Product add/edit form: { product, values } while open. `product` is the
+  // version the edit is based on (null when adding), `values` the form values.
+  const [productForm, setProductForm] = useState(null);
 
-    // Use custom token if available (runs once on load)
-    const authenticate = async () => {
-        try {
-            if (initialAuthToken) {
-                await signInWithCustomToken(firebaseAuth, initialAuthToken);
-            } else {
-                // If no custom token, onAuthStateChanged handles anonymous sign-in
-            }
-        } catch (error) {
-            console.error("Custom token sign in failed:", error);
-            // Fallback to anonymous sign-in if token sign-in fails
-            if (!firebaseAuth.currentUser) {
-              await signInAnonymously(firebaseAuth);
-            }
-        }
-    };
+  // Set when a save hit a concurrent edit: { base, mine, theirs }
+  const [productConflict, setProductConflict] = useState(null);
 
-    authenticate();
+  // Product whose stock ledger is open, if any
+  const [historyProduct, setHistoryProduct] = useState(null);
 
-    return () => unsubscribe();
-  }, []);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [exportEntity, setExportEntity] = useState(null); // 'products' | 'orders' while the export dialog is open
 
-  // --- 2. Real-time Data Fetching (Products and Orders) ---
-  useEffect(() => {
-    if (!isAuthReady || !db || !userId) return;
-
-    const productsCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/products`);
-    const ordersCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/orders`);
-
-    // Listen for Product changes
-    const unsubscribeProducts = onSnapshot(productsCollectionRef, (snapshot) => {
-      const productList = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setProducts(productList);
-    }, (error) => console.error("Error fetching products:", error));
-
-    // Listen for Order changes
-    const unsubscribeOrders = onSnapshot(ordersCollectionRef, (snapshot) => {
-      const orderList = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setOrders(orderList);
-    }, (error) => console.error("Error fetching orders:", error));
+  // Bulk action waiting for confirmation or running (see BulkProgressModal):
+  // { title, message, confirmLabel, isDestructive, items, run }
+  const [bulkJob, setBulkJob] = useState(null);
 
-    setLoading(false);
+  // --- 1. Authentication and Store Selection ---
+  const {
+    user, loading: isAuthLoading, signIn, signUp, signOut, sendVerificationEmail, refreshUser,
+  } = useAuth(firebase ? firebase.auth : LOCAL_AUTH);
+  const isAuthReady = !isAuthLoading;
+  const userId = user?.uid || null;
+  const userEmail = user?.email || null;
 
-    return () => {
-      unsubscribeProducts();
-      unsubscribeOrders();
-    };
-  }, [db, userId, isAuthReady]);
+  const handleSignOut = useCallback(async () => {
+    setStore(undefined);
+    navigate(routeHref(ROUTES.DASHBOARD));
+    await signOut();
+  }, [signOut, navigate]);
 
-  // --- 3. Product CRUD Operations ---
+  // Reopen the store last used on this browser, if the user still belongs to it
+  useEffect(() => {
+    if (!directory || !user) return;
+    let cancelled = false;
+    const lastStoreId = window.localStorage.getItem(lastStoreKey(user.uid));
+    (lastStoreId ? directory.getStore(lastStoreId, user) : Promise.resolve(null))
+      .catch((error) => {
+        console.error("Error reopening store:", error);
+        return null;
+      })
+      .then((found) => {
+        if (!cancelled) setStore(found);
+      });
+    return () => { cancelled = true; };
+  }, [directory, user]);
 
-  const handleOpenModal = (product = null) => {
-    if (product) {
-      setIsEditing(true);
-      setCurrentProduct(product);
-      setProductName(product.name);
-      setProductStock(product.stock);
-      setProductPrice(product.price);
-    } else {
-      setIsEditing(false);
-      setCurrentProduct(null);
-      setProductName('');
-      setProductStock(0);
-      setProductPrice(0);
-    }
-    setIsModalOpen(true);
-  };
+  const selectStore = useCallback((selected) => {
+    window.localStorage.setItem(lastStoreKey(userId), selected.id);
+    setStore(selected);
+    navigate(routeHref(ROUTES.DASHBOARD));
+  }, [userId, navigate]);
 
-  const handleCloseModal = () => {
-    setIsModalOpen(false);
-  };
+  const switchStore = useCallback(() => {
+    window.localStorage.removeItem(lastStoreKey(userId));
+    setStore(null);
+  }, [userId]);
 
-  const saveProduct = useCallback(async (e) => {
-    e.preventDefault();
-    if (!db || !userId || !productName) return;
+  // Scope the backend to the open store, dropping anything shown from the previous one
+  useEffect(() => {
+    setSuppliers([]);
+    setPurchaseOrders([]);
+    setCoupons([]);
+    setPricingSettings(withPricingDefaults());
+    setStoreSettings(withStoreDefaults());
+    setMembers([]);
+    if (!store || !userId) {
+      setRepositories(null);
+      return;
+    }
+    const context = { userId, userEmail, storeName: store.name, ownerId: store.ownerId };
+    const backend = db
+      ? createFirestoreBackend(db, directory.storePath(store.id))
+      : createLocalBackend({ storageKey: `ecomm-local:${appId}`, initialData: DEMO_DATA });
+    setRepositories(createRepositories(backend, context));
+    return () => backend.dispose();
+  }, [store, userId, userEmail]);
+
+  // --- 2. Real-time Data Fetching (Products, Orders, Customers, Purchasing, Pricing and Team) ---
+
+  // As stored; see the outbox section for what the views show. Detail pages
+  // use `loading` to tell a record that doesn't exist from one that hasn't loaded yet.
+  const { products: storedProducts, loading: productsLoading, error: productsError } = useProducts(repositories);
+  const { orders: storedOrders, loading: ordersLoading, error: ordersError } = useOrders(repositories);
+  const { data: customers, loading: customersLoading } = useSubscription(repositories?.customers, { description: 'customers' });
 
-    const productData = {
-      name: productName,
-      stock: parseInt(productStock, 10) || 0,
-      price: parseFloat(productPrice) || 0.00,
-      updatedAt: new Date().toISOString(),
-    };
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
 
-    const productsCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/products`);
+    const unsubscribeSuppliers = repositories.suppliers.subscribe(
+      setSuppliers,
+      (error) => console.error("Error fetching suppliers:", error)
+    );
 
-    try {
-      await withRetry(async () => {
-        if (isEditing && currentProduct?.id) {
-          const productDocRef = doc(productsCollectionRef, currentProduct.id);
-          await updateDoc(productDocRef, productData);
-        } else {
-          await setDoc(doc(productsCollectionRef), { ...productData, createdAt: new Date().toISOString() });
-        }
-      });
-      handleCloseModal();
-    } catch (error) {
-      console.error("Error saving product:", error);
-    }
-  }, [db, userId, productName, productStock, productPrice, isEditing, currentProduct]);
+    const unsubscribePurchaseOrders = repositories.purchaseOrders.subscribe(
+      setPurchaseOrders,
+      (error) => console.error("Error fetching purchase orders:", error)
+    );
 
-  const deleteProduct = useCallback(async (productId) => {
-    if (!db || !userId || !window.confirm("Are you sure you want to delete this product?")) return;
+    const unsubscribeCoupons = repositories.coupons.subscribe(
+      setCoupons,
+      (error) => console.error("Error fetching coupons:", error)
+    );
 
-    const productsCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/products`);
-    const productDocRef = doc(productsCollectionRef, productId);
+    const unsubscribeSettings = repositories.settings.subscribe(
+      (settings) => {
+        setPricingSettings(settings.pricing);
+        setStoreSettings(settings.store);
+      },
+      (error) => console.error("Error fetching settings:", error)
+    );
 
-    try {
-      await withRetry(async () => {
-        await deleteDoc(productDocRef);
-      });
-    } catch (error) {
-      console.error("Error deleting product:", error);
-    }
-  }, [db, userId]);
+    // Losing access (removed from the team) ends the listener with permission-denied
+    const unsubscribeMembers = repositories.members.subscribe(
+      setMembers,
+      (error) => {
+        console.error("Error fetching members:", error);
+        if (error.code === 'permission-denied') setStore(null);
+      }
+    );
 
-  // --- 4. Order Simulation/Fulfillment ---
+    setLoading(false);
 
-  const simulateOrder = useCallback(async () => {
-    if (!db || !userId || products.length === 0) return;
+    return () => {
+      unsubscribeSuppliers();
+      unsubscribePurchaseOrders();
+      unsubscribeCoupons();
+      unsubscribeSettings();
+      unsubscribeMembers();
+    };
+  }, [repositories, isAuthReady]);
 
-    const selectedProduct = products[Math.floor(Math.random() * products.length)];
-    const quantity = Math.floor(Math.random() * 5) + 1; // 1 to 5 units
+  // The user's role comes from the live member list, so a change made by an
+  // owner applies straight away; the role the store was opened with covers
+  // the moment before the list arrives
+  const role = db ? (members.find(member => member.id === userId)?.role || store?.role || null) : localRole;
+  const can = useCallback((permission) => hasPermission(role, permission), [role]);
+  const canInvite = can('team.invite');
 
-    const productDocRef = doc(db, `artifacts/${appId}/users/${userId}/products`, selectedProduct.id);
-    const ordersCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/orders`);
+  // Money and dates are shown in the store's currency and locale (see hooks/useFormat)
+  const format = useMemo(() => createFormatters(storeSettings), [storeSettings]);
 
-    try {
-      await withRetry(async () => {
-        await runTransaction(db, async (transaction) => {
-          const productDoc = await transaction.get(productDocRef);
-          if (!productDoc.exists()) {
-            throw "Product does not exist!";
-          }
-
-          const newStock = productDoc.data().stock - quantity;
-
-          if (newStock < 0) {
-            // This is a safety check; normally UI prevents this
-            throw "Insufficient stock for this order!";
-          }
-
-          // 1. Decrease product stock
-          transaction.update(productDocRef, { stock: newStock });
-
-          // 2. Create the new order
-          const newOrder = {
-            productId: selectedProduct.id,
-            productName: selectedProduct.name,
-            quantity: quantity,
-            totalPrice: quantity * selectedProduct.price,
-            status: 'Pending',
-            orderedAt: new Date().toISOString(),
-          };
-          transaction.set(doc(ordersCollectionRef), newOrder);
-        });
-      });
-    } catch (error) {
-      console.error("Transaction failed (Simulate Order):", error);
-      // Display message box if stock was insufficient
-      if (typeof error === 'string' && error.includes("Insufficient stock")) {
-          // NOTE: Changed from alert() to console error for environment compliance.
-          console.error("Order simulation failed: Insufficient stock.");
-      }
+  // Only people who can invite may see open invitations
+  useEffect(() => {
+    if (!repositories || !canInvite) {
+      setInvitations([]);
+      return;
     }
-  }, [db, userId, products]);
+    return repositories.members.subscribeInvitations(
+      setInvitations,
+      (error) => console.error("Error fetching invitations:", error)
+    );
+  }, [repositories, canInvite]);
 
-  const fulfillOrder = useCallback(async (orderId) => {
-    if (!db || !userId) return;
+  // --- 3. Notifications ---
 
-    const orderDocRef = doc(db, `artifacts/${appId}/users/${userId}/orders`, orderId);
+  const { toasts, notify, dismiss } = useToasts();
 
+  // Runs a write with retries (`retry` is a budget from RETRY_BUDGETS), keeping
+  // one toast updated while it retries and reporting the outcome. Resolves to
+  // true on success; failures are reported and resolve to false.
+  const runAction = useCallback(async (fn, { success, failure, retry = RETRY_BUDGETS.interactive }) => {
+    let progressId;
     try {
-      await withRetry(async () => {
-        await updateDoc(orderDocRef, { status: 'Fulfilled', fulfilledAt: new Date().toISOString() });
+      await withRetry(fn, {
+        ...retry,
+        onRetry: ({ attempt, maxAttempts }) => {
+          progressId = notify({
+            id: progressId,
+            type: 'info',
+            message: `${failure}, retrying (attempt ${attempt} of ${maxAttempts})...`,
+            duration: null,
+          });
+        },
       });
+      if (success) notify({ id: progressId, type: 'success', message: success });
+      else if (progressId) dismiss(progressId);
+      return true;
     } catch (error) {
-      console.error("Error fulfilling order:", error);
+      if (progressId) dismiss(progressId);
+      console.error(`${failure}:`, error);
+      notify({ type: 'error', message: `${failure}. ${getErrorMessage(error)}` });
+      return false;
     }
-  }, [db, userId]);
-
-  // --- 5. Data Calculations for Dashboard ---
-  const totalRevenue = orders
-    .filter(o => o.status === 'Fulfilled')
-    .reduce((sum, order) => sum + (order.totalPrice || 0), 0);
-
-  const totalStockValue = products.reduce((sum, p) => sum + (p.stock * p.price), 0);
+  }, [notify, dismiss]);
+
+  // --- 4. Offline Outbox ---
+
+  // Reports queued writes once they sync or are refused. Refused writes have
+  // already dropped out of the optimistic view, so the row is back to its
+  // stored state; a product edit that hit a newer version reopens the merge dialog.
+  const handleMutationSettled = useCallback((entry, error) => {
+    const { success, failure } = describeMutation(entry);
+    if (!error) {
+      if (success) notify({ type: 'success', message: success });
+      return;
+    }
+    if (entry.type === MUTATION_TYPES.SAVE_PRODUCT && error instanceof VersionConflictError) {
+      const { base, data } = entry.payload;
+      setProductForm({ product: base, values: productToFormValues({ ...base, ...data }, format.currency) });
+      setProductConflict({ base, mine: data, theirs: error.current });
+      return;
+    }
+    console.error(`${failure}:`, error);
+    notify({ type: 'error', message: `${failure}. ${getErrorMessage(error)} The change was rolled back.` });
+  }, [notify, format.currency]);
 
-  const pendingOrders = orders.filter(o => o.status === 'Pending').length;
+  const outbox = useOutbox(repositories, store && userId && `outbox:${appId}:${store.id}:${userId}`, handleMutationSettled);
 
-  const lowStockProducts = products.filter(p => p.stock <= 5).length;
+  // What the tables show: stored data with queued writes applied on top
+  const { products, orders } = useMemo(
+    () => applyPendingMutations(storedProducts, storedOrders, outbox.entries),
+    [storedProducts, storedOrders, outbox.entries]
+  );
+  // Archived products stay in `products` for order history and the inventory's Archived filter
+  const activeProducts = useMemo(() => getActiveProducts(products), [products]);
+
+  // Queues a write; offline, tells the user it will go out later
+  const enqueueMutation = useCallback((type, payload, options = {}) => {
+    const queued = outbox.enqueue(type, payload, options);
+    if (!outbox.isOnline && !options.wait) {
+      notify({ type: 'info', message: "You're offline. This change will sync when you reconnect." });
+    }
+    return queued;
+  }, [outbox, notify]);
 
-  // --- 6. Helper Components ---
+  // The outbox as the data hooks see it, with the offline notice above
+  const queue = { ...outbox, enqueue: enqueueMutation };
 
-  const DashboardView = () => (
-    <div className="p-4 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6">
-      {/* Stat Card 1: Total Revenue */}
-      <div className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-green-500 hover:shadow-xl transition duration-300">
-        <div className="flex items-center">
-          <svg className="w-8 h-8 text-green-500 mr-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2M21 12a9 9 0 11-18 0 9 9 0 0118 0zM12 15V9" /></svg>
-          <div>
-            <p className="text-sm font-medium text-gray-500">Total Revenue</p>
-            <p className="text-3xl font-bold text-gray-900">${totalRevenue.toFixed(2)}</p>
-          </div>
-        </div>
-      </div>
+  // --- 5. Product CRUD Operations ---
 
-      {/* Stat Card 2: Pending Orders */}
-      <div className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-blue-500 hover:shadow-xl transition duration-300">
-        <div className="flex items-center">
-          <svg className="w-8 h-8 text-blue-500 mr-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" /></svg>
-          <div>
-            <p className="text-sm font-medium text-gray-500">Pending Orders</p>
-            <p className="text-3xl font-bold text-gray-900">{pendingOrders}</p>
-          </div>
-        </div>
-      </div>
+  const handleOpenModal = (product = null) => {
+    setProductForm({ product, values: productToFormValues(product, format.currency) });
+  };
 
-      {/* Stat Card 3: Products in Stock */}
-      <div className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-purple-500 hover:shadow-xl transition duration-300">
-        <div className="flex items-center">
-          <svg className="w-8 h-8 text-purple-500 mr-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 7v10l9 4 9-4V7M4 7l9 4 9-4M4 7V3a1 1 0 011-1h14a1 1 0 011 1v4M12 17v4m-4-2h8" /></svg>
-          <div>
-            <p className="text-sm font-medium text-gray-500">Total Stock Value</p>
-            <p className="text-3xl font-bold text-gray-900">${totalStockValue.toFixed(2)}</p>
-          </div>
-        </div>
-      </div>
+  const handleCloseModal = () => {
+    setProductForm(null);
+  };
 
-      {/* Stat Card 4: Low Stock Alert */}
-      <div className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-red-500 hover:shadow-xl transition duration-300">
-        <div className="flex items-center">
-          <svg className="w-8 h-8 text-red-500 mr-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.372 17c-.77 1.333.192 3 1.732 3z" /></svg>
-          <div>
-            <p className="text-sm font-medium text-gray-500">Low Stock Alert</p>
-            <p className="text-3xl font-bold text-red-600">{lowStockProducts} item(s) &lt;= 5</p>
-          </div>
-        </div>
-      </div>
+  const productMutations = useProductMutations(repositories, queue);
+
+  // Queues the product write and closes the form straight away. Edits are
+  // checked against the version the form was opened with (`baseProduct`); a
+  // conflict reopens the form (see handleMutationSettled).
+  const persistProduct = useCallback((productData, baseProduct) => {
+    productMutations.saveProduct(productData, baseProduct);
+    setProductConflict(null);
+    handleCloseModal();
+  }, [productMutations.saveProduct]);
+
+  const saveProduct = useCallback((productData) => {
+    persistProduct(productData, productForm?.product || null);
+  }, [productForm, persistProduct]);
+
+  // Saves the merged values against the latest stored version
+  const saveMergedProduct = useCallback((mergedData) => {
+    persistProduct(mergedData, productConflict.theirs);
+  }, [productConflict, persistProduct]);
+
+  // Drops the user's edit and reloads the form with the stored product
+  const discardProductEdit = useCallback(() => {
+    const latest = productConflict.theirs;
+    setProductConflict(null);
+    handleOpenModal(latest);
+  }, [productConflict]);
+
+  const productName = useCallback(
+    (productId) => products.find(p => p.id === productId)?.name || 'Product',
+    [products]
+  );
 
-      <div className="md:col-span-2 xl:col-span-4 mt-8">
-        <h3 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2">Recent Orders</h3>
-        <OrderList isDashboard={true} />
-      </div>
+  // Deleting archives the product, so rather than asking first it offers an undo
+  const deleteProduct = useCallback((productId) => {
+    const name = productName(productId);
+    if (!productMutations.archiveProduct(productId, name)) return;
+    notify({
+      type: 'success',
+      message: `${name} archived.`,
+      action: { label: 'Undo', onClick: () => productMutations.restoreProduct(productId, name) },
+    });
+  }, [productName, productMutations.archiveProduct, productMutations.restoreProduct, notify]);
+
+  const restoreProduct = useCallback((productId) => {
+    productMutations.restoreProduct(productId, productName(productId));
+  }, [productName, productMutations.restoreProduct]);
+
+  // Returns whether the deletion was queued. Open orders still need the
+  // product, so it's refused here already rather than after syncing.
+  const deleteProductPermanently = useCallback((productId) => {
+    const name = productName(productId);
+    const openOrders = getOpenOrdersFor(orders, productId);
+    if (openOrders.length > 0) {
+      notify({ type: 'error', message: `${name} is in ${openOrders.length} open order(s), so it can only be archived for now.` });
+      return false;
+    }
+    if (!repositories || !window.confirm(`Delete ${name} permanently? This can't be undone.`)) return false;
 
-      <div className="md:col-span-2 xl:col-span-4 mt-4">
-        <button
-          onClick={simulateOrder}
-          className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-6 rounded-xl transition duration-200 shadow-md transform hover:scale-[1.01]"
-          disabled={products.length === 0}
-        >
-          {products.length === 0 ? 'Add Products to Simulate Orders' : 'Simulate New Customer Order'}
-        </button>
-      </div>
-    </div>
-  );
+    productMutations.deleteProduct(productId, name);
+    return true;
+  }, [repositories, orders, productName, productMutations.deleteProduct, notify]);
 
-  const ProductListView = () => (
-    <div className="p-4">
-      <div className="flex justify-between items-center mb-6">
-        <h2 className="text-3xl font-bold text-gray-800">Product Inventory</h2>
-        <button
-          onClick={() => handleOpenModal()}
-          className="bg-green-500 hover:bg-green-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-200 flex items-center"
-        >
-          <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" /></svg>
-          Add Product
-        </button>
-      </div>
-      <div className="overflow-x-auto bg-white rounded-xl shadow-lg">
-        <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50">
-            <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stock</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Updated At</th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
-            </tr>
-          </thead>
-          <tbody className="bg-white divide-y divide-gray-200">
-            {products.length === 0 ? (
-              <tr>
-                <td colSpan="5" className="px-6 py-4 text-center text-gray-500">No products found. Add your first product!</td>
-              </tr>
-            ) : (
-              products.map((product) => (
-                <tr key={product.id} className={product.stock <= 5 ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-gray-50'}>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{product.name}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${(product.price || 0).toFixed(2)}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold" style={{ color: product.stock <= 5 ? 'red' : 'green' }}>
-                    {product.stock} units
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {new Date(product.updatedAt).toLocaleTimeString()}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button
-                      onClick={() => handleOpenModal(product)}
-                      className="text-indigo-600 hover:text-indigo-900 mr-4 p-1 rounded-full hover:bg-indigo-50"
-                      title="Edit Product"
-                    >
-                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" /></svg>
-                    </button>
-                    <button
-                      onClick={() => deleteProduct(product.id)}
-                      className="text-red-600 hover:text-red-900 p-1 rounded-full hover:bg-red-50"
-                      title="Delete Product"
-                    >
-                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>
-                    </button>
-                  </td>
-                </tr>
-              ))
-            )}
-          </tbody>
-        </table>
-      </div>
-    </div>
-  );
+  // Opens the bulk dialog for `action` on the selected products; an invalid
+  // price change or stock level is reported without opening it
+  const startProductBulkAction = useCallback((productIds, action) => {
+    try {
+      validateProductAction(action);
+    } catch (error) {
+      notify({ type: 'error', message: getErrorMessage(error) });
+      return;
+    }
+    const count = `${productIds.length} product(s)`;
+    const describe = {
+      [BULK_PRODUCT_ACTIONS.ARCHIVE]: { title: 'Archive Products', message: `Archive ${count}? They can be restored from the Archived filter.`, confirmLabel: 'Archive' },
+      [BULK_PRODUCT_ACTIONS.RESTORE]: { title: 'Restore Products', message: `Restore ${count}?`, confirmLabel: 'Restore' },
+      [BULK_PRODUCT_ACTIONS.DELETE]: {
+        title: 'Delete Products',
+        message: `Delete ${count} permanently? This can't be undone. Products in open orders are skipped.`,
+        confirmLabel: 'Delete Permanently',
+        isDestructive: true,
+      },
+      [BULK_PRODUCT_ACTIONS.ADJUST_PRICE]: { title: 'Adjust Prices', message: `Change the price of ${count} by ${action.percent}%?`, confirmLabel: 'Adjust Prices' },
+      [BULK_PRODUCT_ACTIONS.SET_STOCK]: { title: 'Set Stock', message: `Set the stock of ${count} to ${action.stock} units?`, confirmLabel: 'Set Stock' },
+    };
+    setBulkJob({
+      ...describe[action.type],
+      items: productIds.map(id => ({ id, label: productName(id) })),
+      run: (ids, onProgress, signal) => productMutations.bulkUpdateProducts(ids, action, onProgress, signal),
+    });
+  }, [productName, productMutations.bulkUpdateProducts, notify]);
+
+  // --- 6. Customers and Order Simulation/Fulfillment ---
+
+  const saveCustomer = useCallback((customerId, data) => runAction(
+    () => (customerId ? repositories.customers.update(customerId, data) : repositories.customers.create(data)),
+    { success: `Customer ${data.name} saved.`, failure: "Couldn't save customer" }
+  ), [repositories, runAction]);
+
+  const orderActions = useOrderActions(repositories, queue, { products: activeProducts, customers });
+
+  const simulateOrder = useCallback(() => {
+    if (!orderActions.simulateOrder()) notify({ type: 'info', message: 'Nothing is in stock to order.' });
+  }, [orderActions.simulateOrder, notify]);
+
+  // Runs of simulated orders for demos and load tests; see SimulatorPanel
+  const simulator = useOrderSimulator(repositories, { products: activeProducts, customers });
+
+  // Cancelling or refunding returns the items to stock, so it asks first
+  const transitionOrder = useCallback((orderId, nextStatus) => {
+    if (RESTOCKING_STATUSES.includes(nextStatus) &&
+        !window.confirm(`${TRANSITION_LABELS[nextStatus]} this order? Its items will be returned to stock.`)) return;
+
+    orderActions.transitionOrder(orderId, nextStatus);
+  }, [orderActions.transitionOrder]);
+
+  // Opens the bulk dialog for moving the selected orders to `nextStatus`
+  const startOrderBulkTransition = useCallback((orderIds, nextStatus) => {
+    const restocks = RESTOCKING_STATUSES.includes(nextStatus);
+    setBulkJob({
+      title: `${TRANSITION_LABELS[nextStatus]} Orders`,
+      message: `${TRANSITION_LABELS[nextStatus]} ${orderIds.length} order(s)?${restocks ? ' Their items will be returned to stock.' : ''} Orders that can't be moved to ${nextStatus} are skipped and listed.`,
+      confirmLabel: TRANSITION_LABELS[nextStatus],
+      isDestructive: restocks,
+      items: orderIds.map(id => ({ id, label: `Order ${id}` })),
+      run: (ids, onProgress, signal) => orderActions.transitionOrders(ids, nextStatus, onProgress, signal),
+    });
+  }, [orderActions.transitionOrders]);
+
+  const assignInvoiceNumber = useCallback((orderId) => runAction(
+    () => orderActions.assignInvoiceNumber(orderId),
+    { success: 'Invoice number assigned.', failure: "Couldn't assign an invoice number" }
+  ), [orderActions.assignInvoiceNumber, runAction]);
+
+  // --- 7. Purchasing (Suppliers, Purchase Orders, Receiving) ---
+
+  // Handlers resolve to true on success so dialogs know when to close
+  const purchasingActions = {
+    saveSupplier: (supplierId, data) => runAction(
+      () => (supplierId ? repositories.suppliers.update(supplierId, data) : repositories.suppliers.create(data)),
+      { success: `Supplier ${data.name} saved.`, failure: "Couldn't save supplier" }
+    ),
+    deleteSupplier: (supplierId) => {
+      if (!window.confirm("Delete this supplier? Existing purchase orders keep its name.")) return false;
+      return runAction(() => repositories.suppliers.remove(supplierId), {
+        success: 'Supplier deleted.',
+        failure: "Couldn't delete supplier",
+      });
+    },
+    createPurchaseOrders: (drafts) => runAction(
+      () => Promise.all(drafts.map(draft => repositories.purchaseOrders.createDraft(draft))),
+      { success: `${drafts.length} draft purchase order(s) created.`, failure: "Couldn't create purchase orders" }
+    ),
+    updatePurchaseOrder: (purchaseOrderId, data) => runAction(
+      () => repositories.purchaseOrders.updateDraft(purchaseOrderId, data),
+      { success: 'Purchase order updated.', failure: "Couldn't update purchase order" }
+    ),
+    markOrdered: (purchaseOrderId) => runAction(
+      () => repositories.purchaseOrders.markOrdered(purchaseOrderId),
+      { success: 'Purchase order marked as ordered.', failure: "Couldn't mark purchase order as ordered" }
+    ),
+    cancelPurchaseOrder: (purchaseOrderId) => {
+      if (!window.confirm("Cancel this purchase order?")) return false;
+      return runAction(() => repositories.purchaseOrders.cancel(purchaseOrderId), {
+        success: 'Purchase order cancelled.',
+        failure: "Couldn't cancel purchase order",
+      });
+    },
+    receivePurchaseOrder: (purchaseOrderId, receipts) => runAction(
+      () => repositories.purchaseOrders.receive(purchaseOrderId, receipts),
+      { success: 'Stock received.', failure: "Couldn't receive stock" }
+    ),
+    removeDraft: (purchaseOrderId) => runAction(
+      () => repositories.purchaseOrders.removeDraft(purchaseOrderId),
+      { success: 'Draft purchase order deleted.', failure: "Couldn't delete purchase order" }
+    ),
+  };
 
-  const OrderList = ({ isDashboard = false }) => {
-    const ordersToShow = isDashboard ? orders.slice(0, 5) : orders;
-    const title = isDashboard ? 'Recent Orders' : 'All Orders';
+  // --- 8. Pricing (Coupons, Tax and Shipping, Currency) ---
+
+  // Stable so the settings panel counts once rather than on every render
+  const countLegacyMoney = useCallback(() => repositories.migrations.countLegacyMoney(), [repositories]);
+
+  const pricingActions = {
+    saveCoupon: (code, data) => runAction(
+      () => (code ? repositories.coupons.update(code, data) : repositories.coupons.create(data)),
+      { success: `Coupon ${code || normalizeCouponCode(data.code)} saved.`, failure: "Couldn't save coupon" }
+    ),
+    deleteCoupon: (code) => {
+      if (!window.confirm(`Delete coupon ${code}? Orders that used it keep their discount.`)) return false;
+      return runAction(() => repositories.coupons.remove(code), {
+        success: 'Coupon deleted.',
+        failure: "Couldn't delete coupon",
+      });
+    },
+    saveSettings: (settings) => runAction(
+      () => repositories.settings.savePricing(settings),
+      { success: 'Tax and shipping saved.', failure: "Couldn't save tax and shipping" }
+    ),
+    saveStore: (settings) => runAction(
+      () => repositories.settings.saveStore(settings),
+      { success: 'Store details saved.', failure: "Couldn't save store details" }
+    ),
+    countLegacyMoney,
+    // Documents are converted one transaction at a time, so a retry resumes
+    // where the failed attempt stopped
+    migrateLegacyMoney: async () => {
+      let progressId;
+      let migrated = 0;
+      const ok = await runAction(async () => {
+        migrated += await repositories.migrations.migrateLegacyMoney((done, total) => {
+          progressId = notify({ id: progressId, type: 'info', message: `Converting amounts to cents (${done} of ${total})...`, duration: null });
+        });
+      }, { failure: "Couldn't convert stored amounts", retry: RETRY_BUDGETS.batch });
+      if (ok) notify({ id: progressId, type: 'success', message: `Converted ${migrated} record(s) to cents.` });
+      else if (progressId) dismiss(progressId);
+      return ok;
+    },
+  };
 
-    return (
-      <div className="p-4 pt-0">
-        <div className={`flex justify-between items-center mb-6 ${isDashboard ? 'hidden' : ''}`}>
-          <h2 className="text-3xl font-bold text-gray-800">{title}</h2>
-        </div>
-        <div className="overflow-x-auto bg-white rounded-xl shadow-lg">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order ID</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {orders.length === 0 ? (
-                <tr>
-                  <td colSpan="6" className="px-6 py-4 text-center text-gray-500">No orders placed yet. Simulate an order!</td>
-                </tr>
-              ) : (
-                ordersToShow.map((order) => (
-                  <tr key={order.id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900 truncate max-w-[100px]">{order.id}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{order.productName}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{order.quantity}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">${(order.totalPrice || 0).toFixed(2)}</td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`px-3 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                        order.status === 'Fulfilled' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
-                      }`}>
-                        {order.status}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      {order.status === 'Pending' && (
-                        <button
-                          onClick={() => fulfillOrder(order.id)}
-                          className="text-blue-600 hover:text-blue-900 p-1 rounded-full hover:bg-blue-50"
-                          title="Fulfill Order"
-                        >
-                           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" /></svg>
-                        </button>
-                      )}
-                    </td>
-                  </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
-      </div>
-    );
+  // --- 9. Team (Members and Invitations) ---
+
+  const teamActions = {
+    invite: (email, inviteRole) => runAction(() => repositories.members.invite(email, inviteRole), {
+      success: `Invitation created. ${email.trim()} will see it after signing in with that email.`,
+      failure: "Couldn't invite",
+    }),
+    revokeInvitation: (email) => runAction(() => repositories.members.revokeInvitation(email), {
+      success: 'Invitation revoked.',
+      failure: "Couldn't revoke the invitation",
+    }),
+    changeRole: (member, nextRole) => runAction(() => repositories.members.changeRole(member.id, nextRole), {
+      success: `${member.email || 'Member'} is now ${ROLE_LABELS[nextRole]}.`,
+      failure: "Couldn't change the role",
+    }),
+    removeMember: async (member) => {
+      const isSelf = member.id === userId;
+      const question = isSelf
+        ? `Leave ${store.name}? You'll need a new invitation to come back.`
+        : `Remove ${member.email || 'this member'} from ${store.name}?`;
+      if (!window.confirm(question)) return false;
+      const removed = await runAction(() => repositories.members.remove(member.id), {
+        success: isSelf ? `You left ${store.name}.` : 'Member removed.',
+        failure: isSelf ? "Couldn't leave the store" : "Couldn't remove the member",
+      });
+      if (removed && isSelf) switchStore();
+      return removed;
+    },
   };
 
-  const Modal = () => {
-    if (!isModalOpen) return null;
+  // --- 10. Main Render Function ---
 
-    return (
-      <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
-        <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6">
-          <h3 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-2">
-            {isEditing ? 'Edit Product' : 'Add New Product'}
-          </h3>
-          <form onSubmit={saveProduct}>
-            <div className="mb-4">
-              <label htmlFor="name" className="block text-sm font-medium text-gray-700">Product Name</label>
-              <input
-                id="name"
-                type="text"
-                value={productName}
-                onChange={(e) => setProductName(e.target.value)}
-                required
-                className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 focus:ring-indigo-500 focus:border-indigo-500"
-                placeholder="e.g., Wireless Headset"
-              />
-            </div>
-            <div className="grid grid-cols-2 gap-4 mb-6">
-              <div>
-                <label htmlFor="price" className="block text-sm font-medium text-gray-700">Price ($)</label>
-                <input
-                  id="price"
-                  type="number"
-                  step="0.01"
-                  min="0"
-                  value={productPrice}
-                  onChange={(e) => setProductPrice(e.target.value)}
-                  required
-                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 focus:ring-indigo-500 focus:border-indigo-500"
-                />
-              </div>
-              <div>
-                <label htmlFor="stock" className="block text-sm font-medium text-gray-700">Stock (Units)</label>
-                <input
-                  id="stock"
-                  type="number"
-                  min="0"
-                  value={productStock}
-                  onChange={(e) => setProductStock(e.target.value)}
-                  required
-                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 focus:ring-indigo-500 focus:border-indigo-500"
-                />
-              </div>
-            </div>
+  if (isAuthReady && !user) {
+    return <SignInView onSignIn={signIn} onSignUp={signUp} />;
+  }
 
-            <div className="flex justify-end space-x-3">
-              <button
-                type="button"
-                onClick={handleCloseModal}
-                className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
-              >
-                Cancel
-              </button>
-              <button
-                type="submit"
-                className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md"
-              >
-                {isEditing ? 'Update Product' : 'Add Product'}
-              </button>
-            </div>
-          </form>
-        </div>
-      </div>
+  if (isAuthReady && store === null) {
+    return (
+      <StorePicker
+        user={user}
+        directory={directory}
+        onSelect={selectStore}
+        onSignOut={handleSignOut}
+        onSendVerification={sendVerificationEmail}
+        onRefreshUser={refreshUser}
+      />
     );
-  };
-
-  // --- 7. Main Render Function ---
+  }
 
-  if (loading || !isAuthReady) {
+  if (loading || !isAuthReady || !store || !repositories) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
         <div className="flex items-center space-x-2 text-indigo-600">
@@ -546,66 +635,330 @@ const App = () => {
     );
   }
 
+  // Cancelling and refunding restock the order's items and need more than fulfilling
+  const canTransitionTo = (nextStatus) => can(RESTOCKING_STATUSES.includes(nextStatus) ? 'orders.restock' : 'orders.fulfil');
+
+  // A detail page for `record`, once its collection has loaded; a missing record gets the not-found page
+  const renderRecord = (record, isLoading, notFound, render) => {
+    if (record) return render(record);
+    if (isLoading) return <p className="p-4 text-gray-500">Loading...</p>;
+    return <NotFoundView {...notFound} />;
+  };
+
+  // Detail pages highlight the list they belong to
+  const section = SECTION_OF[route.name] || route.name;
+
   const renderView = () => {
-    switch (view) {
-      case 'products':
-        return <ProductListView />;
-      case 'orders':
-        return <OrderList isDashboard={false} />;
-      case 'dashboard':
+    switch (route.name) {
+      case ROUTES.PRODUCT:
+        return renderRecord(
+          products.find(product => product.id === route.params.id),
+          productsLoading,
+          { title: 'Product not found', message: "This product was deleted or isn't in this store.", backTo: ROUTES.PRODUCTS, backLabel: 'All products' },
+          (product) => (
+            <ProductDetailView
+              product={product}
+              orders={orders}
+              suppliers={suppliers}
+              taxRates={pricingSettings.taxRates}
+              onEdit={can('products.edit') ? handleOpenModal : null}
+              onDelete={can('products.edit') ? deleteProduct : null}
+              onRestore={can('products.edit') ? restoreProduct : null}
+              onDeletePermanently={can('products.edit') ? (productId) => { if (deleteProductPermanently(productId)) navigate(routeHref(ROUTES.PRODUCTS)); } : null}
+              onShowHistory={setHistoryProduct}
+              onTransition={can('orders.fulfil') ? transitionOrder : null}
+              canTransitionTo={canTransitionTo}
+            />
+          )
+        );
+      case ROUTES.ORDER:
+        return renderRecord(
+          orders.find(order => order.id === route.params.id),
+          ordersLoading,
+          { title: 'Order not found', message: "There's no order with this ID in this store.", backTo: ROUTES.ORDERS, backLabel: 'All orders' },
+          (order) => (
+            <OrderDetailView
+              order={order}
+              business={storeSettings.business}
+              storeName={store.name}
+              onTransition={can('orders.fulfil') ? transitionOrder : null}
+              canTransitionTo={canTransitionTo}
+              onAssignInvoiceNumber={can('orders.fulfil') ? assignInvoiceNumber : null}
+            />
+          )
+        );
+      case ROUTES.CUSTOMER:
+        return renderRecord(
+          customers.find(customer => customer.id === route.params.id),
+          customersLoading,
+          { title: 'Customer not found', message: "There's no customer with this ID in this store.", backTo: ROUTES.CUSTOMERS, backLabel: 'All customers' },
+          (customer) => (
+            <CustomersView
+              customers={customers}
+              orders={orders}
+              customerId={customer.id}
+              onSave={can('customers.edit') ? saveCustomer : null}
+              onTransition={can('orders.fulfil') ? transitionOrder : null}
+              canTransitionTo={canTransitionTo}
+            />
+          )
+        );
+      case ROUTES.PRODUCTS:
+        return (
+          <ProductListView
+            products={products}
+            onEdit={can('products.edit') ? handleOpenModal : null}
+            onDelete={can('products.edit') ? deleteProduct : null}
+            onRestore={can('products.edit') ? restoreProduct : null}
+            onDeletePermanently={can('products.edit') ? deleteProductPermanently : null}
+            onShowHistory={setHistoryProduct}
+            onImport={can('products.import') ? () => setIsImportOpen(true) : null}
+            onExport={can('data.export') ? () => setExportEntity('products') : null}
+            onBulkAction={can('products.edit') ? startProductBulkAction : null}
+          />
+        );
+      case ROUTES.ORDERS:
+        return (
+          <OrderList
+            orders={orders}
+            onTransition={can('orders.fulfil') ? transitionOrder : null}
+            onBulkTransition={can('orders.fulfil') ? startOrderBulkTransition : null}
+            canTransitionTo={canTransitionTo}
+            onExport={can('data.export') ? () => setExportEntity('orders') : null}
+          />
+        );
+      case ROUTES.CUSTOMERS:
+        return (
+          <CustomersView
+            customers={customers}
+            orders={orders}
+            onSave={can('customers.edit') ? saveCustomer : null}
+            onTransition={can('orders.fulfil') ? transitionOrder : null}
+            canTransitionTo={canTransitionTo}
+          />
+        );
+      case ROUTES.PURCHASING:
+        return (
+          <PurchasingView
+            products={activeProducts}
+            suppliers={suppliers}
+            purchaseOrders={purchaseOrders}
+            actions={purchasingActions}
+            canManage={can('purchasing.manage')}
+            canReceive={can('purchasing.receive')}
+          />
+        );
+      case ROUTES.STOREFRONT:
+        return (
+          <StorefrontView
+            products={activeProducts}
+            coupons={coupons}
+            pricingSettings={pricingSettings}
+            cartStorageKey={`cart:${appId}:${store.id}:${userId}`}
+            onCheckout={can('orders.place') ? orderActions.placeOrder : null}
+          />
+        );
+      case ROUTES.PRICING:
+        if (!can('pricing.manage')) return <NotFoundView title="No access" message="Your role can't manage pricing." />;
+        return (
+          <PricingView
+            coupons={coupons}
+            products={products}
+            settings={pricingSettings}
+            storeSettings={storeSettings}
+            actions={pricingActions}
+          />
+        );
+      case ROUTES.TEAM:
+        if (!db) return <NotFoundView title="No team here" message="Teams need Firebase. This local store has no other members." />;
+        return (
+          <TeamView
+            members={members}
+            invitations={invitations}
+            role={role}
+            userId={userId}
+            ownerId={store.ownerId}
+            actions={teamActions}
+          />
+        );
+      case ROUTES.NOT_FOUND:
+        return <NotFoundView />;
+      case ROUTES.DASHBOARD:
       default:
-        return <DashboardView />;
+        return (
+          <DashboardView
+            products={activeProducts}
+            orders={orders}
+            onSimulateOrder={can('orders.place') ? simulateOrder : null}
+            simulator={can('orders.place') ? simulator : null}
+            onTransition={can('orders.fulfil') ? transitionOrder : null}
+            canTransitionTo={canTransitionTo}
+            onViewReorders={can('purchasing.manage') ? () => navigate(routeHref(ROUTES.PURCHASING)) : null}
+          />
+        );
     }
   };
 
   return (
-    <div className="min-h-screen bg-gray-100 flex font-sans">
-      <Modal />
-      {/* Sidebar Navigation */}
-      <nav className="w-56 bg-white shadow-lg p-4 flex flex-col justify-between">
-        <div>
-          <h1 className="text-2xl font-extrabold text-indigo-600 mb-8 border-b pb-2">E-Comm V2</h1>
-          <ul className="space-y-2">
-            {[
-              { id: 'dashboard', name: 'Dashboard', icon: (
-                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" /></svg>
-              )},
-              { id: 'products', name: 'Products', icon: (
-                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" /></svg>
-              )},
-              { id: 'orders', name: 'Orders', icon: (
-                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" /></svg>
-              )},
-            ].map(item => (
-              <li key={item.id}>
-                <button
-                  onClick={() => setView(item.id)}
-                  className={`w-full flex items-center space-x-3 p-3 rounded-lg transition duration-150 ${
-                    view === item.id
-                      ? 'bg-indigo-100 text-indigo-700 font-bold shadow-sm'
-                      : 'text-gray-600 hover:bg-gray-50 hover:text-indigo-600'
-                  }`}
-                >
-                  {item.icon}
-                  <span>{item.name}</span>
-                </button>
-              </li>
-            ))}
-          </ul>
-        </div>
+    <RouteContext.Provider value={router}>
+      <FormatContext.Provider value={format}>
+        <div className="min-h-screen bg-gray-100 flex font-sans">
+          <ToastContainer toasts={toasts} onDismiss={dismiss} />
+          {productForm && (
+            <ProductFormModal
+              key={`${productForm.product?.id || 'new'}:${productForm.product ? getProductVersion(productForm.product) : 0}`}
+              product={productForm.product}
+              initialValues={productForm.values}
+              products={products}
+              suppliers={suppliers}
+              taxRates={pricingSettings.taxRates}
+              onSave={saveProduct}
+              onClose={handleCloseModal}
+            />
+          )}
+          {productConflict && (
+            <ProductConflictModal
+              key={getProductVersion(productConflict.theirs)}
+              base={productConflict.base}
+              mine={productConflict.mine}
+              theirs={productConflict.theirs}
+              onSave={saveMergedProduct}
+              onDiscard={discardProductEdit}
+              onCancel={() => setProductConflict(null)}
+            />
+          )}
+          {isImportOpen && (
+            <ImportProductsModal
+              products={products}
+              onImport={productMutations.importProducts}
+              onClose={() => setIsImportOpen(false)}
+            />
+          )}
+          {bulkJob && (
+            <BulkProgressModal
+              title={bulkJob.title}
+              message={bulkJob.message}
+              confirmLabel={bulkJob.confirmLabel}
+              isDestructive={bulkJob.isDestructive}
+              items={bulkJob.items}
+              onRun={bulkJob.run}
+              onClose={() => setBulkJob(null)}
+            />
+          )}
+          {exportEntity && (
+            <ExportModal
+              products={products}
+              orders={orders}
+              initialEntity={exportEntity}
+              onClose={() => setExportEntity(null)}
+            />
+          )}
+          {historyProduct && (
+            <StockHistoryModal
+              product={products.find(p => p.id === historyProduct.id) || historyProduct}
+              stockMovements={repositories.stockMovements}
+              onClose={() => setHistoryProduct(null)}
+            />
+          )}
+          {/* Sidebar Navigation */}
+          <nav className="w-56 bg-white shadow-lg p-4 flex flex-col justify-between">
+            <div>
+              <h1 className="text-2xl font-extrabold text-indigo-600 mb-8 border-b pb-2">E-Comm V2</h1>
+              <ul className="space-y-2">
+                {[
+                  { id: 'dashboard', name: 'Dashboard', icon: (
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" /></svg>
+                  )},
+                  { id: 'products', name: 'Products', icon: (
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" /></svg>
+                  )},
+                  { id: 'orders', name: 'Orders', icon: (
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" /></svg>
+                  )},
+                  { id: 'customers', name: 'Customers', icon: (
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg>
+                  )},
+                  { id: 'purchasing', name: 'Purchasing', icon: (
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" /></svg>
+                  )},
+                  { id: 'storefront', name: 'Storefront', icon: (
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" /></svg>
+                  )},
+                  can('pricing.manage') && { id: 'pricing', name: 'Pricing', icon: (
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" /></svg>
+                  )},
+                  // The team only exists on Firebase
+                  db && { id: 'team', name: 'Team', icon: (
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" /></svg>
+                  )},
+                ].filter(Boolean).map(item => (
+                  <li key={item.id}>
+                    <a
+                      href={routeHref(item.id)}
+                      className={`w-full flex items-center space-x-3 p-3 rounded-lg transition duration-150 ${
+                        section === item.id
+                          ? 'bg-indigo-100 text-indigo-700 font-bold shadow-sm'
+                          : 'text-gray-600 hover:bg-gray-50 hover:text-indigo-600'
+                      }`}
+                    >
+                      {item.icon}
+                      <span>{item.name}</span>
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </div>
 
-        {/* User Footer */}
-        <div className="border-t pt-4 text-xs text-gray-500">
-          <p className="font-semibold mb-1">User ID (Canvas Artifact Scope):</p>
-          <p className="break-all font-mono bg-gray-100 p-2 rounded-lg text-sm">{userId}</p>
+            {/* User Footer */}
+            <div className="border-t pt-4 text-xs text-gray-500">
+              {simulator.run && simulator.run.status !== 'done' && (
+                <a href={routeHref(ROUTES.DASHBOARD)} className="block p-2 rounded-lg mb-2 bg-indigo-50 text-indigo-800">
+                  Simulator running · {simulator.run.stats.placed} placed
+                </a>
+              )}
+              {(!outbox.isOnline || outbox.entries.length > 0) && (
+                <p className={`p-2 rounded-lg mb-2 ${outbox.isOnline ? 'bg-blue-50 text-blue-800' : 'bg-gray-800 text-white'}`}>
+                  {outbox.isOnline ? 'Syncing' : 'Offline'}
+                  {outbox.entries.length > 0 && ` · ${outbox.entries.length} change(s) waiting to sync`}
+                </p>
+              )}
+              <p className="font-semibold text-gray-700 text-sm">{store.name}</p>
+              {repositories.backend.kind === 'local' ? (
+                <>
+                  <label className="flex items-center justify-between my-2">
+                    <span>Preview as</span>
+                    <select value={localRole} onChange={(e) => setLocalRole(e.target.value)} className="border border-gray-300 rounded-lg p-1">
+                      {Object.values(ROLES).map(option => <option key={option} value={option}>{ROLE_LABELS[option]}</option>)}
+                    </select>
+                  </label>
+                  <p className="bg-yellow-50 text-yellow-800 p-2 rounded-lg">Firebase is not configured. Data is saved in this browser only.</p>
+                </>
+              ) : (
+                <>
+                  <p className="mb-2">{ROLE_LABELS[role] || 'No access'}</p>
+                  <p className="break-all mb-2">{userEmail || 'Signed in without an email'}</p>
+                  <div className="flex justify-between">
+                    <button onClick={switchStore} className="font-semibold text-indigo-600 hover:text-indigo-800">Switch store</button>
+                    <button onClick={handleSignOut} className="font-semibold text-gray-600 hover:text-gray-800">Sign out</button>
+                  </div>
+                </>
+              )}
+            </div>
+          </nav>
+
+          {/* Main Content Area */}
+          <main className="flex-1 overflow-y-auto">
+            {(productsError || ordersError) && (
+              <p className="m-4 mb-0 p-3 rounded-lg bg-red-50 text-red-800 text-sm">
+                Couldn't load {[productsError && 'products', ordersError && 'orders'].filter(Boolean).join(' or ')}.
+                {' '}{getErrorMessage(productsError || ordersError)}
+              </p>
+            )}
+            {renderView()}
+          </main>
         </div>
-      </nav>
-
-      {/* Main Content Area */}
-      <main className="flex-1 overflow-y-auto">
-        {renderView()}
-      </main>
-    </div>
+      </FormatContext.Provider>
+    </RouteContext.Provider>
   );
 };
 
@@ -0,0 +1,42 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const LABEL_SPACE = 24;
+
+/**
+ * Dependency-free SVG bar chart. `data` is `[{ label, value }]`; hovering a bar
+ * shows its formatted value.
+ */
+const BarChart = ({ data, formatValue = (value) => value, barClassName = 'fill-indigo-500' }) => {
+  const max = Math.max(...data.map(point => point.value), 0);
+  const slot = WIDTH / Math.max(data.length, 1);
+  const barWidth = slot * 0.7;
+  const chartHeight = HEIGHT - LABEL_SPACE;
+  // Thin out labels so they don't overlap on long series
+  const labelEvery = Math.ceil(data.length / 12);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-48" role="img">
+      <line x1="0" y1={chartHeight} x2={WIDTH} y2={chartHeight} className="stroke-gray-300" />
+      {data.map((point, index) => {
+        const height = max ? (point.value / max) * (chartHeight - 8) : 0;
+        const x = index * slot + (slot - barWidth) / 2;
+        return (
+          <g key={point.label + index}>
+            <rect x={x} y={chartHeight - height} width={barWidth} height={height} rx="3" className={`${barClassName} hover:opacity-75`}>
+              <title>{`${point.label}: ${formatValue(point.value)}`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text x={x + barWidth / 2} y={HEIGHT - 6} textAnchor="middle" className="fill-gray-500" style={{ fontSize: 11 }}>
+                {point.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default BarChart;
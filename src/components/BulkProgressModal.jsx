@@ -0,0 +1,125 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { getErrorMessage } from '../lib/errors';
+
+/**
+ * Confirms and runs a bulk action over `items` (`[{ id, label }]`), showing
+ * progress and then which items failed and why. The dialog is the one
+ * confirmation for the whole selection.
+ *
+ * `onRun(ids, onProgress, signal)` resolves to `{ succeeded, failed, notRun }`
+ * (see runInChunks). Stopping (or closing the dialog) aborts `signal`; failed
+ * items can be run again from the report.
+ */
+const BulkProgressModal = ({ title, message, confirmLabel, isDestructive = false, items, onRun, onClose }) => {
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [report, setReport] = useState(null);
+  const [runError, setRunError] = useState(null);
+  const abortController = useRef(null);
+
+  // Stop a running action if the dialog goes away
+  useEffect(() => () => abortController.current?.abort(), []);
+
+  const labels = new Map(items.map(item => [item.id, item.label]));
+
+  const run = async (ids) => {
+    setIsRunning(true);
+    setRunError(null);
+    setProgress({ done: 0, total: ids.length });
+    abortController.current = new AbortController();
+    try {
+      const result = await onRun(ids, (done) => setProgress({ done, total: ids.length }), abortController.current.signal);
+      // A retry adds to what earlier runs got done
+      setReport(previous => ({ ...result, succeeded: [...(previous?.succeeded || []), ...result.succeeded] }));
+    } catch (error) {
+      setRunError(getErrorMessage(error));
+    } finally {
+      abortController.current = null;
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 max-h-[90vh] flex flex-col">
+        <h3 className="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">{title}</h3>
+
+        {!report && !isRunning && <p className="text-sm text-gray-700 mb-4">{message}</p>}
+        {runError && <p className="text-sm text-red-600 mb-4">{runError}</p>}
+
+        {progress && isRunning && (
+          <div className="mb-4">
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className="bg-indigo-600 h-2 rounded-full" style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }} />
+            </div>
+            <p className="text-xs text-gray-500 mt-1">Done {progress.done} of {progress.total}...</p>
+          </div>
+        )}
+
+        {report && (
+          <div className="mb-4 text-sm overflow-y-auto">
+            <p className="text-green-700">{report.succeeded.length} of {items.length} done.</p>
+            {report.notRun.length > 0 && (
+              <p className="text-yellow-700">Stopped: {report.notRun.length} not started.</p>
+            )}
+            {report.failed.length > 0 && (
+              <>
+                <p className="text-red-600">{report.failed.length} failed:</p>
+                <ul className="mt-1 space-y-1">
+                  {report.failed.map(({ id, error }) => (
+                    <li key={id} className="text-xs">
+                      <span className="font-semibold text-gray-800">{labels.get(id) || id}</span>{' '}
+                      <span className="text-red-600">{getErrorMessage(error)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          {isRunning ? (
+            <button
+              type="button"
+              onClick={() => abortController.current?.abort()}
+              className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+            >
+              {report ? 'Done' : 'Cancel'}
+            </button>
+          )}
+          {!report && !isRunning && (
+            <button
+              type="button"
+              onClick={() => run(items.map(item => item.id))}
+              className={`px-4 py-2 text-white font-semibold rounded-lg transition duration-150 shadow-md ${
+                isDestructive ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'
+              }`}
+            >
+              {confirmLabel}
+            </button>
+          )}
+          {report && !isRunning && report.failed.length + report.notRun.length > 0 && (
+            <button
+              type="button"
+              onClick={() => run([...report.failed.map(({ id }) => id), ...report.notRun])}
+              className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md"
+            >
+              Retry {report.failed.length + report.notRun.length}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkProgressModal;
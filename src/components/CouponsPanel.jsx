@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import { COUPON_TYPES, COUPON_TYPE_LABELS, describeCoupon, getCouponProblem } from '../lib/pricing';
+import useFormat from '../hooks/useFormat';
+
+const EMPTY_FORM = {
+  code: '',
+  type: COUPON_TYPES.PERCENTAGE,
+  value: '',
+  buyQuantity: '2',
+  getQuantity: '1',
+  productIds: [],
+  minSubtotal: '',
+  expiresAt: '',
+  usageLimit: '',
+  active: true,
+};
+
+const inputClass = 'mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+// `value` holds the percentage or, for fixed coupons, the amount off
+const toFormValues = (coupon, format) => ({
+  code: coupon.code,
+  type: coupon.type,
+  value: coupon.type === COUPON_TYPES.FIXED
+    ? format.amount(coupon.amountCents || 0)
+    : (coupon.value === null || coupon.value === undefined ? '' : String(coupon.value)),
+  buyQuantity: String(coupon.buyQuantity ?? 2),
+  getQuantity: String(coupon.getQuantity ?? 1),
+  productIds: coupon.productIds || [],
+  minSubtotal: coupon.minSubtotalCents ? format.amount(coupon.minSubtotalCents) : '',
+  expiresAt: coupon.expiresAt ? coupon.expiresAt.substring(0, 10) : '',
+  usageLimit: coupon.usageLimit === null || coupon.usageLimit === undefined ? '' : String(coupon.usageLimit),
+  active: coupon.active !== false,
+});
+
+// Returns `{ error }` or `{ data }` for the coupon to save
+const parseForm = (form, format) => {
+  const isBuyXGetY = form.type === COUPON_TYPES.BUY_X_GET_Y;
+  const isFixed = form.type === COUPON_TYPES.FIXED;
+  const value = isFixed ? format.parse(form.value) : parseFloat(form.value);
+  const buyQuantity = parseInt(form.buyQuantity, 10);
+  const getQuantity = parseInt(form.getQuantity, 10);
+  const usageLimit = form.usageLimit === '' ? null : parseInt(form.usageLimit, 10);
+  const minSubtotalCents = form.minSubtotal === '' ? 0 : format.parse(form.minSubtotal);
+
+  if (!form.code.trim()) return { error: 'Enter a coupon code.' };
+  if (!isBuyXGetY && !(value > 0)) return { error: 'Enter a discount greater than 0.' };
+  if (form.type === COUPON_TYPES.PERCENTAGE && value > 100) return { error: 'A percentage discount can be at most 100.' };
+  if (isBuyXGetY && !(buyQuantity > 0 && getQuantity > 0)) return { error: 'Buy and get quantities must be at least 1.' };
+  if (usageLimit !== null && !(usageLimit > 0)) return { error: 'The usage limit must be at least 1, or blank for no limit.' };
+  if (minSubtotalCents === null) return { error: `The minimum order must be an amount of 0 or more in ${format.currency}.` };
+
+  return {
+    data: {
+      code: form.code,
+      type: form.type,
+      value: isBuyXGetY || isFixed ? null : value,
+      amountCents: isFixed ? value : null,
+      buyQuantity: isBuyXGetY ? buyQuantity : null,
+      getQuantity: isBuyXGetY ? getQuantity : null,
+      productIds: isBuyXGetY ? form.productIds : [],
+      minSubtotalCents,
+      // Valid through the end of the chosen day
+      expiresAt: form.expiresAt ? new Date(`${form.expiresAt}T23:59:59`).toISOString() : null,
+      usageLimit,
+      active: form.active,
+    },
+  };
+};
+
+/**
+ * Coupon list with an inline add/edit form. `onSave(code, data)` creates a
+ * coupon when `code` is null; both handlers resolve truthy on success.
+ */
+const CouponsPanel = ({ coupons, products, onSave, onDelete }) => {
+  const [editingCode, setEditingCode] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const format = useFormat();
+
+  const resetForm = () => {
+    setEditingCode(null);
+    setForm(EMPTY_FORM);
+    setError(null);
+  };
+
+  const startEdit = (coupon) => {
+    setEditingCode(coupon.id);
+    setForm(toFormValues(coupon, format));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const parsed = parseForm(form, format);
+    setError(parsed.error || null);
+    if (parsed.error) return;
+    if (await onSave(editingCode, parsed.data)) resetForm();
+  };
+
+  const updateField = (field) => (e) => setForm(current => ({
+    ...current,
+    [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
+  }));
+
+  const sorted = [...coupons].sort((a, b) => a.code.localeCompare(b.code));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="lg:col-span-2 overflow-x-auto bg-white rounded-xl shadow-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Discount</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Used</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {sorted.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-4 text-center text-gray-500">No coupons yet.</td>
+              </tr>
+            ) : (
+              sorted.map(coupon => {
+                const problem = getCouponProblem(coupon, { currency: format.currency });
+                return (
+                  <tr key={coupon.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono font-medium text-gray-900">{coupon.code}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {describeCoupon(coupon, format.currency)}
+                      {coupon.minSubtotalCents > 0 && <span className="block text-xs">on orders of {format.money(coupon.minSubtotalCents)}+</span>}
+                      {coupon.expiresAt && <span className="block text-xs">until {format.date(coupon.expiresAt)}</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {coupon.usageCount || 0}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {problem
+                        ? <span className="text-gray-500" title={problem}>Unavailable</span>
+                        : <span className="text-green-700 font-semibold">Active</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                      <button onClick={() => startEdit(coupon)} className="text-indigo-600 hover:text-indigo-900 px-2 py-1 rounded-lg hover:bg-indigo-50">Edit</button>
+                      <button onClick={() => onDelete(coupon.id)} className="text-red-600 hover:text-red-900 px-2 py-1 rounded-lg hover:bg-red-50">Delete</button>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white p-6 rounded-xl shadow-lg h-fit" noValidate>
+        <h3 className="text-xl font-semibold text-gray-800 mb-4 border-b pb-2">{editingCode ? `Edit ${editingCode}` : 'Add Coupon'}</h3>
+        <div className="mb-3">
+          <label htmlFor="coupon-code" className="block text-sm font-medium text-gray-700">Code</label>
+          <input
+            id="coupon-code"
+            type="text"
+            value={form.code}
+            onChange={updateField('code')}
+            disabled={Boolean(editingCode)}
+            className={`${inputClass} uppercase disabled:bg-gray-100`}
+          />
+        </div>
+        <div className="mb-3">
+          <label htmlFor="coupon-type" className="block text-sm font-medium text-gray-700">Type</label>
+          <select id="coupon-type" value={form.type} onChange={updateField('type')} className={inputClass}>
+            {Object.values(COUPON_TYPES).map(type => <option key={type} value={type}>{COUPON_TYPE_LABELS[type]}</option>)}
+          </select>
+        </div>
+        {form.type === COUPON_TYPES.BUY_X_GET_Y ? (
+          <>
+            <div className="grid grid-cols-2 gap-3 mb-3">
+              <div>
+                <label htmlFor="coupon-buy" className="block text-sm font-medium text-gray-700">Buy</label>
+                <input id="coupon-buy" type="number" min="1" value={form.buyQuantity} onChange={updateField('buyQuantity')} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="coupon-get" className="block text-sm font-medium text-gray-700">Get Free</label>
+                <input id="coupon-get" type="number" min="1" value={form.getQuantity} onChange={updateField('getQuantity')} className={inputClass} />
+              </div>
+            </div>
+            <div className="mb-3">
+              <label htmlFor="coupon-products" className="block text-sm font-medium text-gray-700">Products (none selected = any)</label>
+              <select
+                id="coupon-products"
+                multiple
+                value={form.productIds}
+                onChange={(e) => setForm(current => ({ ...current, productIds: Array.from(e.target.selectedOptions, option => option.value) }))}
+                className={`${inputClass} h-24`}
+              >
+                {products.map(product => <option key={product.id} value={product.id}>{product.name}</option>)}
+              </select>
+            </div>
+          </>
+        ) : (
+          <div className="mb-3">
+            <label htmlFor="coupon-value" className="block text-sm font-medium text-gray-700">
+              {form.type === COUPON_TYPES.PERCENTAGE ? 'Percent Off' : `Amount Off (${format.currency})`}
+            </label>
+            <input id="coupon-value" type="number" min="0" step={form.type === COUPON_TYPES.PERCENTAGE ? '0.01' : 10 ** -format.digits} value={form.value} onChange={updateField('value')} className={inputClass} />
+          </div>
+        )}
+        <div className="grid grid-cols-2 gap-3 mb-3">
+          <div>
+            <label htmlFor="coupon-min" className="block text-sm font-medium text-gray-700">Minimum Order ({format.currency})</label>
+            <input id="coupon-min" type="number" min="0" step={10 ** -format.digits} value={form.minSubtotal} onChange={updateField('minSubtotal')} className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="coupon-limit" className="block text-sm font-medium text-gray-700">Usage Limit</label>
+            <input id="coupon-limit" type="number" min="1" placeholder="Unlimited" value={form.usageLimit} onChange={updateField('usageLimit')} className={inputClass} />
+          </div>
+        </div>
+        <div className="mb-3">
+          <label htmlFor="coupon-expires" className="block text-sm font-medium text-gray-700">Expires</label>
+          <input id="coupon-expires" type="date" value={form.expiresAt} onChange={updateField('expiresAt')} className={inputClass} />
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 mb-3">
+          <input type="checkbox" checked={form.active} onChange={updateField('active')} className="rounded" />
+          <span>Active</span>
+        </label>
+        {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end space-x-3 mt-4">
+          {editingCode && (
+            <button type="button" onClick={resetForm} className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150">
+              Cancel
+            </button>
+          )}
+          <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md">
+            {editingCode ? 'Update Coupon' : 'Add Coupon'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CouponsPanel;
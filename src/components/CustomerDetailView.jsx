@@ -0,0 +1,83 @@
+import React, { useMemo } from 'react';
+import OrderList from './OrderList';
+import { EMPTY_CUSTOMER_STATS, formatAddress, getCustomerStats } from '../lib/customers';
+import { ROUTES, routeHref } from '../lib/routes';
+import useFormat from '../hooks/useFormat';
+
+/**
+ * One customer: contact details, shipping address, lifetime figures and
+ * their order history. Editing is offered when `onEdit` is set.
+ */
+const CustomerDetailView = ({ customer, orders, onEdit, onTransition, canTransitionTo }) => {
+  const format = useFormat();
+  const customerOrders = useMemo(() => orders.filter(order => order.customerId === customer.id), [orders, customer.id]);
+  const stats = getCustomerStats(customerOrders).get(customer.id) || EMPTY_CUSTOMER_STATS;
+  const addressLines = formatAddress(customer.address);
+
+  const figures = [
+    { label: 'Lifetime Value', value: format.money(stats.lifetimeValueCents), hint: 'What paid orders came to; pending, cancelled and refunded orders are left out' },
+    { label: 'Orders', value: stats.orderCount },
+    { label: 'Average Order', value: stats.paidOrderCount ? format.money(Math.round(stats.lifetimeValueCents / stats.paidOrderCount)) : '-' },
+    { label: 'Last Order', value: format.date(stats.lastOrderedAt) || '-' },
+  ];
+
+  return (
+    <div className="p-4">
+      <a href={routeHref(ROUTES.CUSTOMERS)} className="inline-block text-sm font-semibold text-indigo-600 hover:text-indigo-800 mb-4">&larr; All customers</a>
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-800">{customer.name}</h2>
+          <p className="text-sm text-gray-500">Customer since {format.date(customer.createdAt)}</p>
+        </div>
+        {onEdit && (
+          <button
+            onClick={() => onEdit(customer)}
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+          >
+            Edit
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6 mb-6">
+        {figures.map(({ label, value, hint }) => (
+          <div key={label} className="bg-white p-6 rounded-xl shadow-lg" title={hint}>
+            <p className="text-sm font-medium text-gray-500">{label}</p>
+            <p className="text-2xl font-bold text-gray-900">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Contact</h3>
+          <dl className="text-sm text-gray-700 space-y-1">
+            <div><dt className="inline text-gray-500">Email: </dt><dd className="inline">{customer.email || '-'}</dd></div>
+            <div><dt className="inline text-gray-500">Phone: </dt><dd className="inline">{customer.phone || '-'}</dd></div>
+          </dl>
+          {customer.notes && <p className="mt-3 text-sm text-gray-600 whitespace-pre-line">{customer.notes}</p>}
+        </div>
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Shipping Address</h3>
+          {addressLines.length > 0 ? (
+            <address className="text-sm text-gray-700 not-italic">
+              {addressLines.map(line => <div key={line}>{line}</div>)}
+            </address>
+          ) : (
+            <p className="text-sm text-gray-500">No address on file.</p>
+          )}
+        </div>
+      </div>
+
+      {customerOrders.length > 0 ? (
+        <div className="-mx-4">
+          <OrderList orders={customerOrders} title="Order History" onTransition={onTransition} canTransitionTo={canTransitionTo} />
+        </div>
+      ) : (
+        <p className="bg-white p-6 rounded-xl shadow-lg text-center text-gray-500">{customer.name} hasn't ordered yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default CustomerDetailView;
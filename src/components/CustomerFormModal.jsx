@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { ADDRESS_FIELDS, customerToFormValues, validateCustomerForm } from '../lib/customers';
+
+const inputClass = (hasError) => `mt-1 block w-full border rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500 ${
+  hasError ? 'border-red-500' : 'border-gray-300'
+}`;
+
+const FieldMessage = ({ error, warning }) => {
+  if (error) return <p className="mt-1 text-xs text-red-600">{error}</p>;
+  if (warning) return <p className="mt-1 text-xs text-yellow-700">{warning}</p>;
+  return null;
+};
+
+/**
+ * Add/edit form for a customer (null when adding). Errors show once a field
+ * has been left or the form submitted; `onSave(data)` only gets valid data
+ * and resolves truthy once saved.
+ */
+const CustomerFormModal = ({ customer, customers, onSave, onClose }) => {
+  const [values, setValues] = useState(() => customerToFormValues(customer));
+  const [touched, setTouched] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { errors, warnings, data } = validateCustomerForm(values, { customers, customerId: customer?.id });
+  const visibleError = (field) => ((submitted || touched[field]) ? errors[field] : null);
+
+  const fieldProps = (field) => ({
+    id: `customer-${field}`,
+    value: values[field],
+    onChange: (e) => setValues(current => ({ ...current, [field]: e.target.value })),
+    onBlur: () => setTouched(current => ({ ...current, [field]: true })),
+    'aria-invalid': Boolean(visibleError(field)),
+    className: inputClass(visibleError(field)),
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(errors).length > 0) return;
+    setIsSaving(true);
+    try {
+      if (await onSave(data)) onClose();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 max-h-full overflow-y-auto">
+        <h3 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-2">
+          {customer ? 'Edit Customer' : 'Add Customer'}
+        </h3>
+        <form onSubmit={handleSubmit} noValidate>
+          <div className="mb-4">
+            <label htmlFor="customer-name" className="block text-sm font-medium text-gray-700">Name</label>
+            <input {...fieldProps('name')} type="text" placeholder="e.g., Jane Smith" />
+            <FieldMessage error={visibleError('name')} />
+          </div>
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="customer-email" className="block text-sm font-medium text-gray-700">Email</label>
+              <input {...fieldProps('email')} type="email" />
+              <FieldMessage error={visibleError('email')} warning={warnings.email} />
+            </div>
+            <div>
+              <label htmlFor="customer-phone" className="block text-sm font-medium text-gray-700">Phone</label>
+              <input {...fieldProps('phone')} type="tel" />
+            </div>
+          </div>
+          <fieldset className="mb-4">
+            <legend className="text-sm font-semibold text-gray-800 mb-2">Shipping Address</legend>
+            <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+              {ADDRESS_FIELDS.map(({ field, label }) => (
+                <div key={field} className={field.startsWith('line') ? 'col-span-2' : ''}>
+                  <label htmlFor={`customer-${field}`} className="block text-xs font-medium text-gray-600">{label}</label>
+                  <input {...fieldProps(field)} type="text" />
+                </div>
+              ))}
+            </div>
+          </fieldset>
+          <div className="mb-4">
+            <label htmlFor="customer-notes" className="block text-sm font-medium text-gray-700">Notes</label>
+            <textarea {...fieldProps('notes')} rows="2" />
+          </div>
+          <div className="flex justify-end space-x-3 mt-6">
+            <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md disabled:bg-gray-400"
+            >
+              {isSaving ? 'Saving...' : (customer ? 'Save Changes' : 'Add Customer')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerFormModal;
@@ -0,0 +1,148 @@
+import React, { useState, useMemo } from 'react';
+import SortableHeader from './SortableHeader';
+import Pagination, { PAGE_SIZES } from './Pagination';
+import CustomerFormModal from './CustomerFormModal';
+import CustomerDetailView from './CustomerDetailView';
+import { EMPTY_CUSTOMER_STATS, getCustomerStats } from '../lib/customers';
+import { filterCustomers, sortRecords, paginate } from '../lib/filters';
+import { ROUTES, routeHref } from '../lib/routes';
+import useFormat from '../hooks/useFormat';
+import useQueryState from '../hooks/useQueryState';
+
+const LIST_DEFAULTS = { search: '', sort: { field: 'name', direction: 'asc' }, page: 1, pageSize: PAGE_SIZES[0] };
+
+/**
+ * Customer list with search, sortable columns (including order count and
+ * lifetime value) and pagination, kept in the query string; with a
+ * `customerId` (from the /customers/:id route) it shows that customer's page.
+ * `onSave(customerId, data)` adds (null id) or edits a customer and resolves
+ * truthy on success; when null the user's role can't change customers.
+ */
+const CustomersView = ({ customers, orders, customerId = null, onSave, onTransition, canTransitionTo }) => {
+  const format = useFormat();
+  const [{ search, sort, page, pageSize }, update] = useQueryState(LIST_DEFAULTS);
+  const setSort = (next) => update({ sort: next });
+  const [form, setForm] = useState(null); // { customer } while the add/edit form is open
+
+  // Order figures are merged into each row so they can be sorted on
+  const rows = useMemo(() => {
+    const stats = getCustomerStats(orders);
+    return customers.map(customer => ({ ...customer, ...(stats.get(customer.id) || EMPTY_CUSTOMER_STATS) }));
+  }, [customers, orders]);
+  const visibleRows = useMemo(() => sortRecords(filterCustomers(rows, { search }), sort), [rows, search, sort]);
+  const pageData = paginate(visibleRows, page, pageSize);
+
+  const selected = customerId && customers.find(customer => customer.id === customerId);
+  const openForm = onSave ? (customer = null) => setForm({ customer }) : null;
+
+  const formModal = form && (
+    <CustomerFormModal
+      key={form.customer?.id || 'new'}
+      customer={form.customer}
+      customers={customers}
+      onSave={(data) => onSave(form.customer?.id || null, data)}
+      onClose={() => setForm(null)}
+    />
+  );
+
+  if (selected) {
+    return (
+      <>
+        {formModal}
+        <CustomerDetailView
+          customer={selected}
+          orders={orders}
+          onEdit={openForm}
+          onTransition={onTransition}
+          canTransitionTo={canTransitionTo}
+        />
+      </>
+    );
+  }
+
+  return (
+    <div className="p-4">
+      {formModal}
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-3xl font-bold text-gray-800">Customers</h2>
+        {openForm && (
+          <button
+            onClick={() => openForm(null)}
+            className="bg-green-500 hover:bg-green-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-200 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" /></svg>
+            Add Customer
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => update({ search: e.target.value, page: 1 })}
+          placeholder="Search by name, email, phone or city..."
+          className="flex-1 min-w-[200px] border border-gray-300 rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </div>
+      <div className="overflow-x-auto bg-white rounded-xl shadow-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <SortableHeader label="Name" field="name" sort={sort} onSort={setSort} />
+              <SortableHeader label="Email" field="email" sort={sort} onSort={setSort} />
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">City</th>
+              <SortableHeader label="Orders" field="orderCount" sort={sort} onSort={setSort} />
+              <SortableHeader label="Lifetime Value" field="lifetimeValueCents" sort={sort} onSort={setSort} />
+              <SortableHeader label="Last Order" field="lastOrderedAt" sort={sort} onSort={setSort} />
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {customers.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-4 text-center text-gray-500">No customers yet. Add one to start taking orders.</td>
+              </tr>
+            ) : pageData.total === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-4 text-center text-gray-500">No customers match this search.</td>
+              </tr>
+            ) : (
+              pageData.items.map(customer => (
+                <tr key={customer.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <a href={routeHref(ROUTES.CUSTOMER, { id: customer.id })} className="text-indigo-600 hover:text-indigo-900 hover:underline">
+                      {customer.name}
+                    </a>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customer.email || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customer.address?.city || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customer.orderCount}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">{format.money(customer.lifetimeValueCents)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{format.date(customer.lastOrderedAt) || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                    <a href={routeHref(ROUTES.CUSTOMER, { id: customer.id })} className="text-indigo-600 hover:text-indigo-900 px-2 py-1 rounded-lg hover:bg-indigo-50">View</a>
+                    {openForm && (
+                      <button onClick={() => openForm(customer)} className="text-indigo-600 hover:text-indigo-900 px-2 py-1 rounded-lg hover:bg-indigo-50">Edit</button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        {pageData.total > 0 && (
+          <Pagination
+            page={pageData.page}
+            pageCount={pageData.pageCount}
+            total={pageData.total}
+            pageSize={pageSize}
+            onPageChange={(next) => update({ page: next })}
+            onPageSizeChange={(size) => update({ pageSize: size, page: 1 })}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomersView;
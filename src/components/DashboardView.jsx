@@ -0,0 +1,109 @@
+import React from 'react';
+import OrderList from './OrderList';
+import SalesAnalytics from './SalesAnalytics';
+import SimulatorPanel from './SimulatorPanel';
+import { REVENUE_STATUSES } from '../lib/orderLifecycle';
+import { getOrderPricing } from '../lib/orders';
+import { isLowStock } from '../lib/inventory';
+import useFormat from '../hooks/useFormat';
+
+/**
+ * Dashboard: headline stats, sales analytics, recent orders and the order
+ * simulator, which is shown when `onSimulateOrder` and `simulator` (from
+ * useOrderSimulator) are set.
+ */
+const DashboardView = ({ products, orders, onSimulateOrder, simulator, onTransition, canTransitionTo, onViewReorders }) => {
+  const format = useFormat();
+
+  // What customers were charged, and how much of it was discounts, tax and shipping (in cents)
+  const revenue = orders
+    .filter(o => REVENUE_STATUSES.includes(o.status))
+    .map(getOrderPricing)
+    .reduce((sum, pricing) => ({
+      total: sum.total + pricing.totalCents,
+      discount: sum.discount + pricing.discountCents,
+      tax: sum.tax + pricing.taxCents,
+      shipping: sum.shipping + pricing.shippingCents,
+    }), { total: 0, discount: 0, tax: 0, shipping: 0 });
+
+  const totalStockValue = products.reduce((sum, p) => sum + (p.stock * (p.priceCents || 0)), 0);
+
+  const pendingOrders = orders.filter(o => o.status === 'Pending').length;
+
+  const lowStockProducts = products.filter(isLowStock).length;
+
+  return (
+    <div className="p-4 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6">
+      {/* Stat Card 1: Total Revenue */}
+      <div className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-green-500 hover:shadow-xl transition duration-300">
+        <div className="flex items-center">
+          <svg className="w-8 h-8 text-green-500 mr-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2M21 12a9 9 0 11-18 0 9 9 0 0118 0zM12 15V9" /></svg>
+          <div>
+            <p className="text-sm font-medium text-gray-500">Total Revenue</p>
+            <p className="text-3xl font-bold text-gray-900">{format.money(revenue.total)}</p>
+            <p className="text-xs text-gray-500">
+              incl. {format.money(revenue.tax)} tax, {format.money(revenue.shipping)} shipping
+              {revenue.discount > 0 && ` after ${format.money(revenue.discount)} discounts`}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Stat Card 2: Pending Orders */}
+      <div className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-blue-500 hover:shadow-xl transition duration-300">
+        <div className="flex items-center">
+          <svg className="w-8 h-8 text-blue-500 mr-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" /></svg>
+          <div>
+            <p className="text-sm font-medium text-gray-500">Pending Orders</p>
+            <p className="text-3xl font-bold text-gray-900">{pendingOrders}</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Stat Card 3: Products in Stock */}
+      <div className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-purple-500 hover:shadow-xl transition duration-300">
+        <div className="flex items-center">
+          <svg className="w-8 h-8 text-purple-500 mr-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 7v10l9 4 9-4V7M4 7l9 4 9-4M4 7V3a1 1 0 011-1h14a1 1 0 011 1v4M12 17v4m-4-2h8" /></svg>
+          <div>
+            <p className="text-sm font-medium text-gray-500">Total Stock Value</p>
+            <p className="text-3xl font-bold text-gray-900">{format.money(totalStockValue)}</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Stat Card 4: Low Stock Alert */}
+      <div className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-red-500 hover:shadow-xl transition duration-300">
+        <div className="flex items-center">
+          <svg className="w-8 h-8 text-red-500 mr-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.372 17c-.77 1.333.192 3 1.732 3z" /></svg>
+          <div>
+            <p className="text-sm font-medium text-gray-500">Low Stock Alert</p>
+            <p className="text-3xl font-bold text-red-600">{lowStockProducts} item(s)</p>
+            <p className="text-xs text-gray-500">at or below reorder point</p>
+            {lowStockProducts > 0 && onViewReorders && (
+              <button onClick={onViewReorders} className="mt-1 text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                View suggested reorders &rarr;
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="md:col-span-2 xl:col-span-4 mt-4">
+        <SalesAnalytics orders={orders} products={products} />
+      </div>
+
+      <div className="md:col-span-2 xl:col-span-4 mt-8">
+        <h3 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2">Recent Orders</h3>
+        <OrderList orders={orders} isDashboard={true} onTransition={onTransition} canTransitionTo={canTransitionTo} />
+      </div>
+
+      {onSimulateOrder && simulator && (
+        <div className="md:col-span-2 xl:col-span-4 mt-4">
+          <SimulatorPanel products={products} simulator={simulator} onSimulateOrder={onSimulateOrder} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DashboardView;
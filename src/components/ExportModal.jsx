@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { ORDER_STATUSES } from '../lib/orderLifecycle';
+import useFormat from '../hooks/useFormat';
+import {
+  filterProductsForExport, filterOrdersForExport, serialiseProducts, serialiseOrders, downloadFile,
+} from '../lib/importExport';
+
+/**
+ * Exports products or orders to CSV/JSON. Products are filtered on their last
+ * update date, orders on their order date and status.
+ */
+const ExportModal = ({ products, orders, initialEntity = 'products', onClose }) => {
+  const [entity, setEntity] = useState(initialEntity);
+  const [format, setFormat] = useState('csv');
+  const { currency } = useFormat();
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [status, setStatus] = useState('');
+
+  const selected = entity === 'orders'
+    ? filterOrdersForExport(orders, { from, to, status })
+    : filterProductsForExport(products, { from, to });
+
+  const handleDownload = () => {
+    const content = entity === 'orders' ? serialiseOrders(selected, format, currency) : serialiseProducts(selected, format, currency);
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(content, `${entity}-${stamp}.${format}`, format);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6">
+        <h3 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-2">Export Data</h3>
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          <div>
+            <label htmlFor="export-entity" className="block text-sm font-medium text-gray-700">Data</label>
+            <select id="export-entity" value={entity} onChange={(e) => setEntity(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-lg p-2">
+              <option value="products">Products</option>
+              <option value="orders">Orders</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="export-format" className="block text-sm font-medium text-gray-700">Format</label>
+            <select id="export-format" value={format} onChange={(e) => setFormat(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-lg p-2">
+              <option value="csv">CSV</option>
+              <option value="json">JSON</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="export-from" className="block text-sm font-medium text-gray-700">
+              {entity === 'orders' ? 'Ordered From' : 'Updated From'}
+            </label>
+            <input id="export-from" type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-lg p-2" />
+          </div>
+          <div>
+            <label htmlFor="export-to" className="block text-sm font-medium text-gray-700">To</label>
+            <input id="export-to" type="date" value={to} onChange={(e) => setTo(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-lg p-2" />
+          </div>
+          {entity === 'orders' && (
+            <div className="col-span-2">
+              <label htmlFor="export-status" className="block text-sm font-medium text-gray-700">Status</label>
+              <select id="export-status" value={status} onChange={(e) => setStatus(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-lg p-2">
+                <option value="">All statuses</option>
+                {ORDER_STATUSES.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            </div>
+          )}
+        </div>
+        <p className="text-sm text-gray-600 mb-6">{selected.length} {entity} match these filters.</p>
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleDownload}
+            disabled={selected.length === 0}
+            className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition duration-150 shadow-md"
+          >
+            Download
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
@@ -0,0 +1,216 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { parseProductFile, planProductImport } from '../lib/importExport';
+import useFormat from '../hooks/useFormat';
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  skip: 'bg-red-100 text-red-800',
+};
+
+/**
+ * Bulk product import from CSV or JSON. Rows are validated and matched to
+ * existing products (by SKU, or by name for rows without one) for a preview before anything is written.
+ *
+ * `onImport(rows, onProgress, signal)` writes the valid rows and resolves to
+ * `{ created, updated, skipped, failedRows, notImportedRows }`. Stopping the
+ * import (or closing the dialog) aborts `signal`.
+ */
+const ImportProductsModal = ({ products, onImport, onClose }) => {
+  const [format, setFormat] = useState('csv');
+  const formatters = useFormat();
+  const [text, setText] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [result, setResult] = useState(null);
+  const abortController = useRef(null);
+
+  // Stop a running import if the dialog goes away
+  useEffect(() => () => abortController.current?.abort(), []);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFormat(file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+    setText(await file.text());
+    setPlan(null);
+    setResult(null);
+  };
+
+  const handlePreview = () => {
+    setParseError(null);
+    setResult(null);
+    try {
+      setPlan(planProductImport(parseProductFile(text, format, { currency: formatters.currency }), products, { currency: formatters.currency }));
+    } catch (error) {
+      setPlan(null);
+      setParseError(error.message);
+    }
+  };
+
+  const validRows = plan ? plan.filter(row => row.action !== 'skip') : [];
+  const invalidCount = plan ? plan.length - validRows.length : 0;
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setProgress({ done: 0, total: validRows.length });
+    abortController.current = new AbortController();
+    try {
+      setResult(await onImport(
+        validRows,
+        (done) => setProgress({ done, total: validRows.length }),
+        abortController.current.signal
+      ));
+      setPlan(null);
+    } finally {
+      abortController.current = null;
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl p-6 max-h-[90vh] flex flex-col">
+        <h3 className="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">Import Products</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <div className="md:col-span-2">
+            <label htmlFor="import-file" className="block text-sm font-medium text-gray-700">File (.csv or .json)</label>
+            <input id="import-file" type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="mt-1 block w-full text-sm" />
+          </div>
+          <div>
+            <label htmlFor="import-format" className="block text-sm font-medium text-gray-700">Format</label>
+            <select
+              id="import-format"
+              value={format}
+              onChange={(e) => { setFormat(e.target.value); setPlan(null); }}
+              className="mt-1 block w-full border border-gray-300 rounded-lg p-2"
+            >
+              <option value="csv">CSV</option>
+              <option value="json">JSON</option>
+            </select>
+          </div>
+        </div>
+        <textarea
+          value={text}
+          onChange={(e) => { setText(e.target.value); setPlan(null); }}
+          rows={4}
+          className="block w-full border border-gray-300 rounded-lg p-2 font-mono text-xs mb-2"
+          placeholder={format === 'csv' ? 'sku,name,price,stock\nTSHIRT-01,Vintage T-Shirt,29.99,40' : '[{ "sku": "TSHIRT-01", "name": "Vintage T-Shirt", "price": 29.99, "stock": 40 }]'}
+        />
+        <p className="text-xs text-gray-500 mb-4">
+          Rows matching an existing product by SKU (or by name when the row has no SKU) update it; blank price or stock cells keep the current value.
+          A JSON export's variants are imported with it.
+        </p>
+        {parseError && <p className="text-sm text-red-600 mb-4">Could not read file: {parseError}</p>}
+
+        {plan && (
+          <div className="overflow-y-auto flex-1 mb-4 border rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stock</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {plan.map(row => (
+                  <tr key={row.rowNumber} className={row.errors.length ? 'bg-red-50' : ''}>
+                    <td className="px-3 py-2 text-sm text-gray-500">{row.rowNumber}</td>
+                    <td className="px-3 py-2 text-sm">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${ACTION_STYLES[row.action]}`}>{row.action}</span>
+                    </td>
+                    <td className="px-3 py-2 text-sm text-gray-500">{row.data.sku || row.existing?.sku || '-'}</td>
+                    <td className="px-3 py-2 text-sm text-gray-900">{row.data.name || row.existing?.name || '-'}</td>
+                    <td className="px-3 py-2 text-sm text-gray-500">{'priceCents' in row.data ? formatters.money(row.data.priceCents) : 'unchanged'}</td>
+                    <td className="px-3 py-2 text-sm text-gray-500">{'stock' in row.data ? row.data.stock : 'unchanged'}</td>
+                    <td className="px-3 py-2 text-xs text-red-600">{row.errors.join(' ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {plan && (
+          <p className="text-sm text-gray-600 mb-4">
+            {validRows.filter(row => row.action === 'create').length} to create, {validRows.filter(row => row.action === 'update').length} to update
+            {invalidCount > 0 && <span className="text-red-600">, {invalidCount} with errors will be skipped</span>}.
+          </p>
+        )}
+
+        {progress && isImporting && (
+          <div className="mb-4">
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className="bg-indigo-600 h-2 rounded-full" style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }} />
+            </div>
+            <p className="text-xs text-gray-500 mt-1">Imported {progress.done} of {progress.total} rows...</p>
+          </div>
+        )}
+
+        {result && (
+          <div className="mb-4 text-sm">
+            <p className="text-green-700">
+              Import finished: {result.created} created, {result.updated} updated{result.skipped > 0 && `, ${result.skipped} skipped`}.
+            </p>
+            {result.notImportedRows.length > 0 && (
+              <p className="text-yellow-700">
+                Import stopped: {result.notImportedRows.length} row(s) were not imported.
+              </p>
+            )}
+            {result.failedRows.length > 0 && (
+              <p className="text-red-600">
+                Rows {result.failedRows.map(row => row.rowNumber).join(', ')} could not be saved. Check your connection and import them again.
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          {isImporting ? (
+            <button
+              type="button"
+              onClick={() => abortController.current?.abort()}
+              className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+            >
+              Stop Import
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+            >
+              {result ? 'Done' : 'Cancel'}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handlePreview}
+            disabled={!text.trim() || isImporting}
+            className="px-4 py-2 bg-white border border-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-50 disabled:opacity-50 transition duration-150"
+          >
+            Preview
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={validRows.length === 0 || isImporting}
+            className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition duration-150 shadow-md"
+          >
+            {isImporting ? 'Importing...' : `Import ${validRows.length} Row(s)`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportProductsModal;
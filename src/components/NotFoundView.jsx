@@ -0,0 +1,24 @@
+import React from 'react';
+import { ROUTES, routeHref } from '../lib/routes';
+
+/**
+ * Shown for an unknown address or a record that doesn't exist (any more).
+ * `backTo` is the route of the list to return to.
+ */
+const NotFoundView = ({ title = 'Page not found', message = "There's nothing at this address.", backTo = ROUTES.DASHBOARD, backLabel = 'Go to the dashboard' }) => (
+  <div className="p-4 flex items-center justify-center min-h-[60vh]">
+    <div className="bg-white p-8 rounded-xl shadow-lg text-center max-w-md">
+      <p className="text-5xl font-extrabold text-indigo-200 mb-4">404</p>
+      <h2 className="text-2xl font-bold text-gray-800 mb-2">{title}</h2>
+      <p className="text-gray-500 mb-6">{message}</p>
+      <a
+        href={routeHref(backTo)}
+        className="inline-block px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md"
+      >
+        {backLabel}
+      </a>
+    </div>
+  </div>
+);
+
+export default NotFoundView;
@@ -0,0 +1,232 @@
+import React, { useState, useMemo, useRef } from 'react';
+import PendingSyncBadge from './PendingSyncBadge';
+import { RESTOCKING_STATUSES, STATUS_STYLES, TRANSITION_LABELS, getAllowedTransitions, getStatusHistory } from '../lib/orderLifecycle';
+import { getOrderLineItems, getOrderPricing, getLineItemName } from '../lib/orders';
+import { formatAddress } from '../lib/customers';
+import { canAssignInvoiceNumber, formatInvoiceNumber } from '../lib/invoices';
+import { DOCUMENT_KINDS, DOCUMENT_LABELS, buildOrderDocument, renderDocumentHtml, renderDocumentPdf } from '../lib/orderDocuments';
+import { canEncodeText } from '../lib/pdf';
+import { downloadFile } from '../lib/importExport';
+import { ROUTES, routeHref } from '../lib/routes';
+import useFormat from '../hooks/useFormat';
+
+/**
+ * One order in full: customer, lines, totals and status history, with its
+ * invoice and packing slip previewed, printable and downloadable as PDF.
+ * `business` is the store's business details (see lib/format). Status moves
+ * are offered as in OrderList; `onAssignInvoiceNumber(orderId)` numbers an
+ * order that shipped before invoice numbers existed and is hidden when null.
+ */
+const OrderDetailView = ({ order, business, storeName, onTransition, canTransitionTo = () => true, onAssignInvoiceNumber }) => {
+  const format = useFormat();
+  const [kind, setKind] = useState(DOCUMENT_KINDS.INVOICE);
+  const [isAssigning, setIsAssigning] = useState(false);
+  const previewRef = useRef(null);
+
+  const pricing = getOrderPricing(order);
+  const money = (cents) => format.money(cents || 0, pricing.currency || format.currency);
+  const addressLines = formatAddress(order.shippingAddress);
+  const transitions = onTransition ? getAllowedTransitions(order.status).filter(canTransitionTo) : [];
+
+  const html = useMemo(
+    () => renderDocumentHtml(buildOrderDocument(order, kind, { business, storeName, format })),
+    [order, kind, business, storeName, format]
+  );
+
+  const handlePrint = () => previewRef.current?.contentWindow?.print();
+
+  // Built on demand: the PDF falls back to plain amounts for currency symbols it can't draw
+  const handleDownloadPdf = () => {
+    const orderDocument = buildOrderDocument(order, kind, { business, storeName, format, canPrint: canEncodeText });
+    downloadFile(renderDocumentPdf(orderDocument), orderDocument.fileName, 'pdf');
+  };
+
+  const handleAssign = async () => {
+    setIsAssigning(true);
+    await onAssignInvoiceNumber(order.id);
+    setIsAssigning(false);
+  };
+
+  return (
+    <div className="p-4">
+      <a href={routeHref(ROUTES.ORDERS)} className="inline-block text-sm font-semibold text-indigo-600 hover:text-indigo-800 mb-4">&larr; All orders</a>
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-800">
+            Order <span className="font-mono text-2xl">{order.id}</span>
+          </h2>
+          <p className="text-sm text-gray-500">
+            Placed {format.dateTime(order.orderedAt)}
+            {order.invoiceNumber && ` · Invoice ${formatInvoiceNumber(order.invoiceNumber)}`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className={`px-3 py-1 inline-flex text-sm leading-5 font-semibold rounded-full ${STATUS_STYLES[order.status] || 'bg-gray-100 text-gray-800'}`}>
+            {order.status}
+          </span>
+          <PendingSyncBadge record={order} />
+          {transitions.map(nextStatus => (
+            <button
+              key={nextStatus}
+              onClick={() => onTransition(order.id, nextStatus)}
+              className={`px-3 py-1 rounded-lg text-sm font-semibold ${
+                RESTOCKING_STATUSES.includes(nextStatus)
+                  ? 'text-red-600 hover:text-red-900 hover:bg-red-50'
+                  : 'text-blue-600 hover:text-blue-900 hover:bg-blue-50'
+              }`}
+            >
+              {TRANSITION_LABELS[nextStatus]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Customer</h3>
+          {order.customerId ? (
+            <div className="text-sm text-gray-700 space-y-1">
+              <a href={routeHref(ROUTES.CUSTOMER, { id: order.customerId })} className="text-indigo-600 hover:text-indigo-900 hover:underline">
+                {order.customerName || 'Unnamed customer'}
+              </a>
+              <p className="text-gray-500">{order.customerEmail || 'No email'}</p>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No customer on this order.</p>
+          )}
+        </div>
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Ship To</h3>
+          {addressLines.length > 0 ? (
+            <address className="text-sm text-gray-700 not-italic">
+              {addressLines.map(line => <div key={line}>{line}</div>)}
+            </address>
+          ) : (
+            <p className="text-sm text-gray-500">No shipping address.</p>
+          )}
+        </div>
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">History</h3>
+          <ol className="text-sm text-gray-700 space-y-1">
+            {getStatusHistory(order).map((entry, index) => (
+              <li key={`${entry.status}-${index}`} className="flex justify-between">
+                <span>{entry.status}</span>
+                <span className="text-gray-500">{format.dateTime(entry.at)}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto bg-white rounded-xl shadow-lg mb-6">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Price</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {getOrderLineItems(order).map((line, index) => (
+              <tr key={`${line.productId}-${index}`}>
+                <td className="px-6 py-3 text-sm text-gray-900">
+                  {getLineItemName(line)}
+                  {line.sku && <span className="block text-xs text-gray-400">SKU {line.sku}</span>}
+                </td>
+                <td className="px-6 py-3 text-sm text-gray-500 text-right">{line.quantity}</td>
+                <td className="px-6 py-3 text-sm text-gray-500 text-right">{money(line.unitPriceCents)}</td>
+                <td className="px-6 py-3 text-sm text-gray-900 text-right">{money(line.lineTotalCents)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="text-sm">
+            <tr>
+              <td colSpan="3" className="px-6 pt-3 text-right text-gray-500">Subtotal</td>
+              <td className="px-6 pt-3 text-right">{money(pricing.subtotalCents)}</td>
+            </tr>
+            {pricing.discountCents > 0 && (
+              <tr>
+                <td colSpan="3" className="px-6 text-right text-gray-500">Discount {pricing.coupon?.code}</td>
+                <td className="px-6 text-right text-green-700">-{money(pricing.discountCents)}</td>
+              </tr>
+            )}
+            {pricing.shippingCents > 0 && (
+              <tr>
+                <td colSpan="3" className="px-6 text-right text-gray-500">Shipping</td>
+                <td className="px-6 text-right">{money(pricing.shippingCents)}</td>
+              </tr>
+            )}
+            {pricing.taxCents > 0 && (
+              <tr>
+                <td colSpan="3" className="px-6 text-right text-gray-500">Tax</td>
+                <td className="px-6 text-right">{money(pricing.taxCents)}</td>
+              </tr>
+            )}
+            <tr>
+              <td colSpan="3" className="px-6 pt-1 pb-3 text-right font-semibold text-gray-700">Total</td>
+              <td className="px-6 pt-1 pb-3 text-right font-bold text-gray-900">{money(pricing.totalCents)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg">
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-4 border-b pb-2">
+          <div className="flex space-x-2">
+            {Object.values(DOCUMENT_KINDS).map(option => (
+              <button
+                key={option}
+                onClick={() => setKind(option)}
+                className={`px-4 py-2 rounded-lg font-semibold transition duration-150 ${
+                  kind === option ? 'bg-indigo-100 text-indigo-700' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {DOCUMENT_LABELS[option]}
+              </button>
+            ))}
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={handlePrint}
+              className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+            >
+              Print
+            </button>
+            <button
+              onClick={handleDownloadPdf}
+              className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md"
+            >
+              Download PDF
+            </button>
+          </div>
+        </div>
+        {kind === DOCUMENT_KINDS.INVOICE && !order.invoiceNumber && (
+          canAssignInvoiceNumber(order) ? (
+            <div className="flex items-center justify-between text-sm bg-yellow-50 text-yellow-800 p-3 rounded-lg mb-4">
+              <span>This order shipped before invoice numbers were kept, so it only has a pro forma invoice.</span>
+              {onAssignInvoiceNumber && (
+                <button onClick={handleAssign} disabled={isAssigning} className="ml-4 font-semibold hover:text-yellow-900 disabled:text-gray-400">
+                  {isAssigning ? 'Assigning...' : 'Assign Invoice Number'}
+                </button>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm bg-gray-50 text-gray-600 p-3 rounded-lg mb-4">
+              This is a pro forma invoice. The invoice number is assigned when the order ships.
+            </p>
+          )
+        )}
+        <iframe
+          ref={previewRef}
+          srcDoc={html}
+          title={`${DOCUMENT_LABELS[kind]} preview`}
+          className="w-full h-[720px] border border-gray-200 rounded-lg"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetailView;
@@ -0,0 +1,252 @@
+import React, { useMemo } from 'react';
+import SortableHeader from './SortableHeader';
+import Pagination, { PAGE_SIZES } from './Pagination';
+import PendingSyncBadge from './PendingSyncBadge';
+import { ORDER_STATUSES, RESTOCKING_STATUSES, STATUS_STYLES, TRANSITION_LABELS, getAllowedTransitions, getStatusHistory } from '../lib/orderLifecycle';
+import { getOrderLineItems, getOrderItemCount, getOrderPricing, getLineItemName } from '../lib/orders';
+import { filterOrders, sortRecords, sortByOrderedAtDesc, paginate } from '../lib/filters';
+import { ROUTES, routeHref } from '../lib/routes';
+import { BULK_ORDER_STATUSES } from '../lib/bulk';
+import useFormat from '../hooks/useFormat';
+import useQueryState from '../hooks/useQueryState';
+import useSelection from '../hooks/useSelection';
+
+const RECENT_ORDER_COUNT = 5;
+
+const LIST_DEFAULTS = { search: '', status: '', from: '', to: '', sort: { field: 'orderedAt', direction: 'desc' }, page: 1, pageSize: PAGE_SIZES[0] };
+
+// The total with whatever went into it besides the items, in the currency the order was placed in
+const OrderTotal = ({ pricing }) => {
+  const format = useFormat();
+  const money = (cents) => format.money(cents, pricing.currency || format.currency);
+  return (
+    <>
+      <span className="font-bold text-gray-900">{money(pricing.totalCents)}</span>
+      {pricing.totalCents !== pricing.subtotalCents && (
+        <span className="block text-xs text-gray-400">
+          Items {money(pricing.subtotalCents)}
+          {pricing.discountCents > 0 && <span className="block text-green-700">-{money(pricing.discountCents)} {pricing.coupon?.code}</span>}
+          {pricing.shippingCents > 0 && <span className="block">+{money(pricing.shippingCents)} shipping</span>}
+          {pricing.taxCents > 0 && <span className="block">+{money(pricing.taxCents)} tax</span>}
+        </span>
+      )}
+    </>
+  );
+};
+
+/**
+ * Orders table. In dashboard mode it shows only the most recent orders without
+ * filters; otherwise it offers search, status and date filters, sorting and
+ * pagination, kept in the query string. Each order ID links to the order's page.
+ * Status moves are offered when `onTransition` is set and `canTransitionTo(status)` allows them.
+ * With `onBulkTransition(orderIds, status)` (not in dashboard mode) orders can
+ * be selected and moved together. `title` replaces the default heading, e.g.
+ * on a customer's page.
+ */
+const OrderList = ({ orders, isDashboard = false, title = null, onTransition, onBulkTransition, canTransitionTo = () => true, onExport }) => {
+  const format = useFormat();
+  const [{ search, status, from, to, sort, page, pageSize }, update] = useQueryState(LIST_DEFAULTS);
+  const setSort = (next) => update({ sort: next });
+
+  const heading = title || (isDashboard ? 'Recent Orders' : 'All Orders');
+  const visibleOrders = useMemo(
+    () => (isDashboard ? sortByOrderedAtDesc(orders) : sortRecords(filterOrders(orders, { search, status, from, to }), sort)),
+    [orders, isDashboard, search, status, from, to, sort]
+  );
+  const pageData = isDashboard
+    ? paginate(visibleOrders, 1, RECENT_ORDER_COUNT)
+    : paginate(visibleOrders, page, pageSize);
+
+  const isSelectable = Boolean(onBulkTransition) && !isDashboard;
+  const { selectedIds, isSelected, toggle, setSelected, clear } = useSelection(orders);
+  const pageIds = pageData.items.map(order => order.id);
+  const isPageSelected = pageIds.length > 0 && pageIds.every(isSelected);
+  const columnCount = isSelectable ? 9 : 8;
+  // Only moves at least one selected order can make; the others are reported as failed
+  const bulkStatuses = BULK_ORDER_STATUSES.filter(nextStatus => canTransitionTo(nextStatus) && orders.some(
+    order => isSelected(order.id) && getAllowedTransitions(order.status).includes(nextStatus)
+  ));
+
+  return (
+    <div className="p-4 pt-0">
+      <div className={`flex justify-between items-center mb-6 ${isDashboard ? 'hidden' : ''}`}>
+        <h2 className="text-3xl font-bold text-gray-800">{heading}</h2>
+        {onExport && (
+          <button
+            onClick={onExport}
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+          >
+            Export
+          </button>
+        )}
+      </div>
+      {!isDashboard && (
+        <div className="flex flex-wrap items-center gap-4 mb-4">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => update({ search: e.target.value, page: 1 })}
+            placeholder="Search by order ID, customer or product..."
+            className="flex-1 min-w-[200px] border border-gray-300 rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <select
+            value={status}
+            onChange={(e) => update({ status: e.target.value, page: 1 })}
+            className="border border-gray-300 rounded-lg shadow-sm p-2"
+            aria-label="Filter by status"
+          >
+            <option value="">All statuses</option>
+            {ORDER_STATUSES.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>From</span>
+            <input type="date" value={from} onChange={(e) => update({ from: e.target.value, page: 1 })} className="border border-gray-300 rounded-lg p-2" />
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>To</span>
+            <input type="date" value={to} onChange={(e) => update({ to: e.target.value, page: 1 })} className="border border-gray-300 rounded-lg p-2" />
+          </label>
+        </div>
+      )}
+      {isSelectable && selectedIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg text-sm">
+          <span className="font-semibold text-indigo-800">{selectedIds.length} selected</span>
+          {bulkStatuses.map(nextStatus => (
+            <button
+              key={nextStatus}
+              onClick={() => onBulkTransition(selectedIds, nextStatus)}
+              className={`px-3 py-1 bg-white border rounded-lg font-semibold ${
+                RESTOCKING_STATUSES.includes(nextStatus)
+                  ? 'border-red-300 text-red-600 hover:bg-red-50'
+                  : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {TRANSITION_LABELS[nextStatus]}
+            </button>
+          ))}
+          <button onClick={clear} className="ml-auto text-indigo-600 hover:text-indigo-900 font-semibold">
+            Clear
+          </button>
+        </div>
+      )}
+      <div className="overflow-x-auto bg-white rounded-xl shadow-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {isSelectable && (
+                <th className="pl-6 py-3 w-4">
+                  <input
+                    type="checkbox"
+                    checked={isPageSelected}
+                    onChange={(e) => setSelected(pageIds, e.target.checked)}
+                    aria-label="Select all on this page"
+                    className="rounded"
+                  />
+                </th>
+              )}
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order ID</th>
+              <SortableHeader label="Customer" field="customerName" sort={sort} onSort={isDashboard ? null : setSort} />
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Products</th>
+              <SortableHeader label="Qty" field="itemCount" sort={sort} onSort={isDashboard ? null : setSort} />
+              <SortableHeader label="Total" field="total" sort={sort} onSort={isDashboard ? null : setSort} />
+              <SortableHeader label="Status" field="status" sort={sort} onSort={isDashboard ? null : setSort} />
+              <SortableHeader label="Ordered At" field="orderedAt" sort={sort} onSort={isDashboard ? null : setSort} />
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {orders.length === 0 ? (
+              <tr>
+                <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">No orders placed yet. Simulate an order!</td>
+              </tr>
+            ) : pageData.total === 0 ? (
+              <tr>
+                <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">No orders match these filters.</td>
+              </tr>
+            ) : (
+              pageData.items.map((order) => (
+                <tr key={order.id} className="hover:bg-gray-50">
+                  {isSelectable && (
+                    <td className="pl-6 py-4 w-4">
+                      <input
+                        type="checkbox"
+                        checked={isSelected(order.id)}
+                        onChange={() => toggle(order.id)}
+                        aria-label={`Select order ${order.id}`}
+                        className="rounded"
+                      />
+                    </td>
+                  )}
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900 truncate max-w-[100px]">
+                    <a href={routeHref(ROUTES.ORDER, { id: order.id })} className="text-indigo-600 hover:text-indigo-900 hover:underline" title={order.id}>
+                      {order.id}
+                    </a>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {order.customerId ? (
+                      <>
+                        {order.customerName || 'Unnamed customer'}
+                        {order.shippingAddress?.city && <span className="block text-xs text-gray-400">{order.shippingAddress.city}</span>}
+                      </>
+                    ) : (
+                      <span className="text-gray-400">No customer</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {getOrderLineItems(order).map((line, index) => (
+                      <div key={`${line.productId}-${index}`}>
+                        {getLineItemName(line)} <span className="text-gray-400">x{line.quantity} @ {format.money(line.unitPriceCents || 0, order.pricing?.currency || format.currency)}</span>
+                      </div>
+                    ))}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getOrderItemCount(order)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <OrderTotal pricing={getOrderPricing(order)} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span
+                      className={`px-3 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[order.status] || 'bg-gray-100 text-gray-800'}`}
+                      title={getStatusHistory(order).map(entry => `${entry.status}: ${format.dateTime(entry.at)}`).join('\n')}
+                    >
+                      {order.status}
+                    </span>
+                    <PendingSyncBadge record={order} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{format.dateTime(order.orderedAt)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                    {onTransition && getAllowedTransitions(order.status).filter(canTransitionTo).map(nextStatus => (
+                      <button
+                        key={nextStatus}
+                        onClick={() => onTransition(order.id, nextStatus)}
+                        className={`px-2 py-1 rounded-lg text-xs font-semibold ${
+                          RESTOCKING_STATUSES.includes(nextStatus)
+                            ? 'text-red-600 hover:text-red-900 hover:bg-red-50'
+                            : 'text-blue-600 hover:text-blue-900 hover:bg-blue-50'
+                        }`}
+                        title={`${TRANSITION_LABELS[nextStatus]} Order`}
+                      >
+                        {TRANSITION_LABELS[nextStatus]}
+                      </button>
+                    ))}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        {!isDashboard && pageData.total > 0 && (
+          <Pagination
+            page={pageData.page}
+            pageCount={pageData.pageCount}
+            total={pageData.total}
+            pageSize={pageSize}
+            onPageChange={(next) => update({ page: next })}
+            onPageSizeChange={(size) => update({ pageSize: size, page: 1 })}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrderList;
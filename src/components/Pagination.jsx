@@ -0,0 +1,49 @@
+import React, { useId } from 'react';
+
+export const PAGE_SIZES = [25, 50, 100];
+
+/**
+ * Page navigation for a table. `page` is 1-based.
+ */
+const Pagination = ({ page, pageCount, total, pageSize, onPageChange, onPageSizeChange }) => {
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+  // Unique per instance, since a page can show more than one paginated list
+  const pageSizeId = useId();
+
+  return (
+    <div className="flex flex-wrap justify-between items-center px-6 py-3 bg-gray-50 border-t text-sm text-gray-600">
+      <span>Showing {first}-{last} of {total}</span>
+      <div className="flex items-center space-x-2">
+        <label htmlFor={pageSizeId} className="text-gray-500">Rows per page</label>
+        <select
+          id={pageSizeId}
+          value={pageSize}
+          onChange={(e) => onPageSizeChange(Number(e.target.value))}
+          className="border border-gray-300 rounded-lg p-1"
+        >
+          {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          className="px-3 py-1 rounded-lg border border-gray-300 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <span>Page {page} of {pageCount}</span>
+        <button
+          type="button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= pageCount}
+          className="px-3 py-1 rounded-lg border border-gray-300 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,18 @@
+import React from 'react';
+
+/**
+ * Marks a row whose latest change is still waiting in the offline outbox.
+ */
+const PendingSyncBadge = ({ record }) => {
+  if (!record.pendingSync) return null;
+  return (
+    <span
+      className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800"
+      title="This change hasn't reached the server yet. It will sync automatically."
+    >
+      Pending sync
+    </span>
+  );
+};
+
+export default PendingSyncBadge;
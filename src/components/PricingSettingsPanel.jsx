@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { SHIPPING_METHODS, SHIPPING_METHOD_LABELS } from '../lib/pricing';
+import useFormat from '../hooks/useFormat';
+
+const inputClass = 'border border-gray-300 rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+// Tier limits are kg when shipping by weight and an amount when shipping by value
+const isByValue = (method) => method === SHIPPING_METHODS.VALUE;
+
+const toDraft = (settings, format) => ({
+  taxRates: settings.taxRates.map(rate => ({ ...rate, rate: String(rate.rate) })),
+  taxShipping: settings.taxShipping,
+  method: settings.shipping.method,
+  flatRate: format.amount(settings.shipping.flatRateCents || 0),
+  tiers: (settings.shipping.tiers || []).map(tier => ({
+    upTo: tier.upTo === null || tier.upTo === undefined
+      ? ''
+      : (isByValue(settings.shipping.method) ? format.amount(tier.upTo) : String(tier.upTo)),
+    cost: format.amount(tier.costCents || 0),
+  })),
+});
+
+// Returns `{ error }` or `{ data }` with the pricing settings to save
+const parseDraft = (draft, format) => {
+  const taxRates = draft.taxRates.map(rate => ({ id: rate.id, name: rate.name.trim(), rate: parseFloat(rate.rate) }));
+  if (taxRates.some(rate => !rate.name || !(rate.rate >= 0))) {
+    return { error: 'Every tax rate needs a name and a percentage of 0 or more.' };
+  }
+
+  const flatRateCents = format.parse(draft.flatRate);
+  if (draft.method === SHIPPING_METHODS.FLAT && flatRateCents === null) {
+    return { error: `Enter a flat shipping rate of 0 or more in ${format.currency}.` };
+  }
+
+  const parseLimit = (text) => (isByValue(draft.method) ? format.parse(text) : (parseFloat(text) >= 0 ? parseFloat(text) : null));
+  const tiers = draft.tiers.map(tier => ({
+    upTo: tier.upTo === '' ? null : parseLimit(tier.upTo),
+    costCents: format.parse(tier.cost),
+    hasLimit: tier.upTo !== '',
+  }));
+  if (draft.method !== SHIPPING_METHODS.FLAT) {
+    if (tiers.length === 0) return { error: 'Add at least one shipping tier.' };
+    if (tiers.some(tier => tier.costCents === null || (tier.hasLimit && tier.upTo === null))) {
+      return { error: 'Shipping tiers need a cost of 0 or more and a limit of 0 or more (blank for "and above").' };
+    }
+  }
+
+  return {
+    data: {
+      taxRates,
+      taxShipping: draft.taxShipping,
+      shipping: {
+        method: draft.method,
+        flatRateCents: flatRateCents || 0,
+        tiers: tiers
+          .map(({ upTo, costCents }) => ({ upTo, costCents }))
+          .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity)),
+      },
+    },
+  };
+};
+
+/**
+ * Tax rates and shipping rules. The first tax rate is the default for
+ * products without a tax rate of their own. `onSave(settings)` resolves truthy on success.
+ */
+const PricingSettingsPanel = ({ settings, onSave }) => {
+  const format = useFormat();
+  const [draft, setDraft] = useState(() => toDraft(settings, format));
+  const [error, setError] = useState(null);
+
+  const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+  const updateRow = (listKey, index, field) => (e) => setDraft(current => ({
+    ...current,
+    [listKey]: current[listKey].map((row, rowIndex) => (rowIndex === index ? { ...row, [field]: e.target.value } : row)),
+  }));
+  const removeRow = (listKey, index) => setDraft(current => ({
+    ...current,
+    [listKey]: current[listKey].filter((row, rowIndex) => rowIndex !== index),
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const parsed = parseDraft(draft, format);
+    setError(parsed.error || null);
+    if (!parsed.error) await onSave(parsed.data);
+  };
+
+  const measureLabel = isByValue(draft.method) ? `Up to (${format.currency} after discount)` : 'Up to (kg)';
+  const moneyStep = 10 ** -format.digits;
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-1 lg:grid-cols-2 gap-6" noValidate>
+      <div className="bg-white p-6 rounded-xl shadow-lg h-fit">
+        <h3 className="text-xl font-semibold text-gray-800 mb-4 border-b pb-2">Tax Rates</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          The first rate is the default. Products using a rate you remove fall back to the default.
+        </p>
+        {draft.taxRates.map((rate, index) => (
+          <div key={rate.id} className="flex items-center space-x-2 mb-2">
+            <input value={rate.name} onChange={updateRow('taxRates', index, 'name')} placeholder="Name" aria-label="Tax rate name" className={`${inputClass} flex-1`} />
+            <input value={rate.rate} onChange={updateRow('taxRates', index, 'rate')} type="number" min="0" step="0.001" aria-label="Tax rate percent" className={`${inputClass} w-24`} />
+            <span className="text-sm text-gray-500">%</span>
+            {index > 0 && (
+              <button type="button" onClick={() => removeRow('taxRates', index)} className="text-red-600 hover:text-red-900 px-2" title="Remove rate">&times;</button>
+            )}
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => update({ taxRates: [...draft.taxRates, { id: `rate-${Date.now().toString(36)}`, name: '', rate: '0' }] })}
+          className="text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+        >
+          + Add Rate
+        </button>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 mt-4">
+          <input type="checkbox" checked={draft.taxShipping} onChange={(e) => update({ taxShipping: e.target.checked })} className="rounded" />
+          <span>Charge tax on shipping (at the default rate)</span>
+        </label>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg h-fit">
+        <h3 className="text-xl font-semibold text-gray-800 mb-4 border-b pb-2">Shipping</h3>
+        <select value={draft.method} onChange={(e) => update({ method: e.target.value })} aria-label="Shipping method" className={`${inputClass} w-full mb-4`}>
+          {Object.values(SHIPPING_METHODS).map(method => <option key={method} value={method}>{SHIPPING_METHOD_LABELS[method]}</option>)}
+        </select>
+        {draft.method === SHIPPING_METHODS.FLAT ? (
+          <label className="block text-sm font-medium text-gray-700">
+            Rate per order ({format.currency})
+            <input value={draft.flatRate} onChange={(e) => update({ flatRate: e.target.value })} type="number" min="0" step={moneyStep} className={`${inputClass} mt-1 block w-full`} />
+          </label>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 mb-2">The first tier the order fits in applies. Leave the last limit blank for "and above".</p>
+            {draft.tiers.map((tier, index) => (
+              <div key={index} className="flex items-center space-x-2 mb-2">
+                <input value={tier.upTo} onChange={updateRow('tiers', index, 'upTo')} type="number" min="0" step={isByValue(draft.method) ? moneyStep : '0.001'} placeholder="and above" aria-label={measureLabel} className={`${inputClass} flex-1`} />
+                <span className="text-sm text-gray-500">costs {format.currency}</span>
+                <input value={tier.cost} onChange={updateRow('tiers', index, 'cost')} type="number" min="0" step={moneyStep} aria-label="Shipping cost" className={`${inputClass} w-24`} />
+                <button type="button" onClick={() => removeRow('tiers', index)} className="text-red-600 hover:text-red-900 px-2" title="Remove tier">&times;</button>
+              </div>
+            ))}
+            <p className="text-xs text-gray-400 mb-2">Limits are {isByValue(draft.method) ? `the order value in ${format.currency} after discount` : 'the order weight in kg'}.</p>
+            <button
+              type="button"
+              onClick={() => update({ tiers: [...draft.tiers, { upTo: '', cost: '0' }] })}
+              className="text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+            >
+              + Add Tier
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="lg:col-span-2 flex justify-end items-center space-x-4">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md">
+          Save Pricing
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PricingSettingsPanel;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import CouponsPanel from './CouponsPanel';
+import PricingSettingsPanel from './PricingSettingsPanel';
+import StoreSettingsPanel from './StoreSettingsPanel';
+
+const TABS = [
+  { key: 'coupons', label: 'Coupons' },
+  { key: 'settings', label: 'Tax & Shipping' },
+  { key: 'store', label: 'Store Details' },
+];
+
+/**
+ * Pricing: coupon codes, tax rates, shipping rules, the store currency and
+ * the business details printed on invoices.
+ * `actions` are the pricing handlers from App; each resolves truthy on success.
+ */
+const PricingView = ({ coupons, products, settings, storeSettings, actions }) => {
+  const [tab, setTab] = useState('coupons');
+
+  return (
+    <div className="p-6">
+      <h2 className="text-3xl font-bold text-gray-800 mb-6">Pricing</h2>
+      <div className="flex space-x-2 mb-6 border-b">
+        {TABS.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`px-4 py-2 -mb-px font-semibold border-b-2 transition duration-150 ${
+              tab === key ? 'border-indigo-600 text-indigo-700' : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'coupons' && (
+        <CouponsPanel coupons={coupons} products={products} onSave={actions.saveCoupon} onDelete={actions.deleteCoupon} />
+      )}
+      {tab === 'settings' && (
+        // Remount when saved settings or a new currency arrive so the form starts from them
+        <PricingSettingsPanel key={`${settings.updatedAt || 'defaults'}:${storeSettings.currency}`} settings={settings} onSave={actions.saveSettings} />
+      )}
+      {tab === 'store' && (
+        <StoreSettingsPanel
+          key={storeSettings.updatedAt || 'defaults'}
+          settings={storeSettings}
+          onSave={actions.saveStore}
+          onCountLegacy={actions.countLegacyMoney}
+          onMigrate={actions.migrateLegacyMoney}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PricingView;
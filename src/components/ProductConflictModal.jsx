@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import useFormat from '../hooks/useFormat';
+import { hasVariants, mergeVariantStock, withVariantStock } from '../lib/variants';
+
+const orNone = (value) => value || 'None';
+
+// `format` gets the value and the store's formatters (see useFormat)
+const FIELDS = [
+  { key: 'name', label: 'Name', format: (value) => value },
+  { key: 'priceCents', label: 'Price', format: (value, formatters) => formatters.money(value || 0) },
+  { key: 'stock', label: 'Stock', format: (value) => `${value} units` },
+  { key: 'reorderPoint', label: 'Reorder Point', format: (value) => value ?? 'Default' },
+  { key: 'reorderQuantity', label: 'Reorder Quantity', format: (value) => value ?? 'Default' },
+  { key: 'weight', label: 'Weight', format: (value) => (value === null || value === undefined ? 'Not weighed' : `${value} kg`) },
+  { key: 'taxClass', label: 'Tax Rate', format: (value) => value || 'Default' },
+  { key: 'sku', label: 'SKU', format: orNone },
+  { key: 'category', label: 'Category', format: orNone },
+  { key: 'description', label: 'Description', format: orNone },
+  { key: 'tags', label: 'Tags', format: (value) => orNone(value?.join(', ')) },
+  { key: 'imageUrls', label: 'Images', format: (value) => `${value?.length || 0} image(s)` },
+  {
+    key: 'variants',
+    label: 'Variants',
+    format: (value, formatters) => orNone(value?.map(variant => `${variant.name}: ${formatters.money(variant.priceCents || 0)}, ${variant.stock} units`).join('; ')),
+  },
+];
+
+// Stock and variants combine each side's stock changes when both changed them
+const COMBINABLE_FIELDS = ['stock', 'variants'];
+
+// Optional fields may be missing on older products; treat missing, null and
+// empty (text or lists) alike
+const valueOf = (product, key) => {
+  const value = product[key] ?? null;
+  return value === '' || (Array.isArray(value) && value.length === 0) ? null : value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Picks a sensible default per field: whichever side actually changed it, and
+// for stock changed on both sides, the user's adjustment applied on top of theirs.
+const defaultChoice = (key, base, mine, theirs) => {
+  if (sameValue(valueOf(mine, key), valueOf(base, key))) return 'theirs';
+  if (sameValue(valueOf(theirs, key), valueOf(base, key))) return 'mine';
+  return COMBINABLE_FIELDS.includes(key) ? 'combined' : 'mine';
+};
+
+const resolveValue = (key, choice, base, mine, theirs) => {
+  if (choice === 'mine') return valueOf(mine, key);
+  if (choice === 'combined' && key === 'variants') return mergeVariantStock(base.variants, mine.variants, theirs.variants);
+  if (choice === 'combined') return theirs[key] + (mine[key] - base[key]);
+  return valueOf(theirs, key);
+};
+
+/**
+ * Shown when a product save is rejected because the product changed after the
+ * edit form was opened. Lets the user merge field by field, then save again
+ * against the latest version, or drop their edit.
+ *
+ * `base` is the product as the form loaded it, `mine` the form's values and
+ * `theirs` the product as currently stored. A product with variants takes its
+ * stock from them, so only the variants are merged.
+ */
+const ProductConflictModal = ({ base, mine, theirs, onSave, onDiscard, onCancel }) => {
+  const formatters = useFormat();
+  const fields = [base, mine, theirs].some(hasVariants) ? FIELDS.filter(({ key }) => key !== 'stock') : FIELDS;
+  const [choices, setChoices] = useState(() =>
+    FIELDS.reduce((acc, { key }) => ({ ...acc, [key]: defaultChoice(key, base, mine, theirs) }), {})
+  );
+
+  const merged = withVariantStock(FIELDS.reduce((acc, { key }) => ({
+    ...acc,
+    [key]: resolveValue(key, choices[key], base, mine, theirs),
+  }), {}));
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl p-6">
+        <h3 className="text-2xl font-bold text-gray-800 mb-2 border-b pb-2">Product Changed While You Were Editing</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Someone else (or an incoming order) updated <span className="font-semibold">{theirs.name}</span> after you opened it.
+          Choose which value to keep for each field.
+        </p>
+        <table className="min-w-full divide-y divide-gray-200 mb-6">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When Opened</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Your Edit</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Current</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Keep</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {fields.map(({ key, label, format }) => {
+              const changedByMe = !sameValue(valueOf(mine, key), valueOf(base, key));
+              const changedByThem = !sameValue(valueOf(theirs, key), valueOf(base, key));
+              return (
+                <tr key={key} className={changedByMe && changedByThem ? 'bg-yellow-50' : ''}>
+                  <td className="px-3 py-2 text-sm font-medium text-gray-900">{label}</td>
+                  <td className="px-3 py-2 text-sm text-gray-500">{format(base[key], formatters)}</td>
+                  <td className={`px-3 py-2 text-sm ${changedByMe ? 'font-semibold text-indigo-700' : 'text-gray-500'}`}>{format(mine[key], formatters)}</td>
+                  <td className={`px-3 py-2 text-sm ${changedByThem ? 'font-semibold text-orange-700' : 'text-gray-500'}`}>{format(theirs[key], formatters)}</td>
+                  <td className="px-3 py-2 text-sm">
+                    <select
+                      value={choices[key]}
+                      onChange={(e) => setChoices(current => ({ ...current, [key]: e.target.value }))}
+                      className="border border-gray-300 rounded-lg p-1 text-sm"
+                    >
+                      <option value="mine">Mine</option>
+                      <option value="theirs">Current</option>
+                      {key === 'stock' && changedByMe && (
+                        <option value="combined">Apply my change ({mine.stock - base.stock > 0 ? '+' : ''}{mine.stock - base.stock}) to current</option>
+                      )}
+                      {key === 'variants' && changedByMe && (
+                        <option value="combined">Mine, with my stock changes applied to current</option>
+                      )}
+                    </select>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <p className="text-sm text-gray-600 mb-6">
+          Will save: <span className="font-semibold">{merged.name}</span>, {FIELDS[1].format(merged.priceCents, formatters)}, {FIELDS[2].format(merged.stock, formatters)}
+        </p>
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+          >
+            Back to Form
+          </button>
+          <button
+            type="button"
+            onClick={onDiscard}
+            className="px-4 py-2 bg-white border border-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-50 transition duration-150"
+          >
+            Discard My Changes
+          </button>
+          <button
+            type="button"
+            onClick={() => onSave({ ...merged, stock: Math.max(0, merged.stock) })}
+            className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md"
+          >
+            Save Merged
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductConflictModal;
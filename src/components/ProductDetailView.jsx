@@ -0,0 +1,187 @@
+import React, { useMemo } from 'react';
+import OrderList from './OrderList';
+import PendingSyncBadge from './PendingSyncBadge';
+import { REVENUE_STATUSES } from '../lib/orderLifecycle';
+import { getOrderLineItems } from '../lib/orders';
+import { isLowStock, getReorderPoint } from '../lib/inventory';
+import { ROUTES, routeHref } from '../lib/routes';
+import { getVariants, getPriceRange } from '../lib/variants';
+import useFormat from '../hooks/useFormat';
+
+/**
+ * One product: price, stock, catalog details and images, its variants, units
+ * sold and the orders it appears in. Actions follow ProductListView: a null callback hides its button,
+ * and an archived product offers restoring and deleting for good instead of `onDelete`.
+ */
+const ProductDetailView = ({
+  product, orders, suppliers, taxRates, onEdit, onDelete, onRestore, onDeletePermanently, onShowHistory, onTransition, canTransitionTo,
+}) => {
+  const format = useFormat();
+  const productOrders = useMemo(
+    () => orders.filter(order => getOrderLineItems(order).some(line => line.productId === product.id)),
+    [orders, product.id]
+  );
+  const soldLines = productOrders
+    .filter(order => REVENUE_STATUSES.includes(order.status))
+    .flatMap(getOrderLineItems)
+    .filter(line => line.productId === product.id);
+  const unitsSold = soldLines.reduce((sum, line) => sum + (line.quantity || 0), 0);
+  const unitsSoldOf = (variantId) => soldLines
+    .filter(line => line.variantId === variantId)
+    .reduce((sum, line) => sum + (line.quantity || 0), 0);
+  const variants = getVariants(product);
+  const { minCents, maxCents } = getPriceRange(product);
+
+  const supplier = suppliers.find(entry => entry.id === product.supplierId);
+  const taxRate = taxRates.find(rate => rate.id === product.taxClass);
+
+  const figures = [
+    { label: 'Price', value: minCents === maxCents ? format.money(minCents) : `${format.money(minCents)} - ${format.money(maxCents)}` },
+    { label: 'In Stock', value: `${product.stock} units`, tone: isLowStock(product) ? 'text-red-600' : 'text-green-700' },
+    { label: 'Units Sold', value: unitsSold, hint: 'Across paid, packed, shipped and delivered orders' },
+    { label: 'Orders', value: productOrders.length },
+  ];
+
+  const details = [
+    ['SKU', product.sku || '-'],
+    ['Category', product.category || '-'],
+    ['Tags', product.tags?.length > 0 ? product.tags.join(', ') : '-'],
+    ['Reorder point', getReorderPoint(product)],
+    ['Reorder quantity', product.reorderQuantity > 0 ? product.reorderQuantity : 'Up to twice the reorder point'],
+    ['Preferred supplier', supplier?.name || '-'],
+    ['Weight', product.weight === null || product.weight === undefined ? '-' : `${product.weight} kg`],
+    ['Tax class', taxRate ? `${taxRate.name} (${taxRate.rate}%)` : 'Store default'],
+    ['Added', format.dateTime(product.createdAt) || '-'],
+    ['Updated', format.dateTime(product.updatedAt) || '-'],
+  ];
+
+  return (
+    <div className="p-4">
+      <a href={routeHref(ROUTES.PRODUCTS)} className="inline-block text-sm font-semibold text-indigo-600 hover:text-indigo-800 mb-4">&larr; All products</a>
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+        <h2 className="text-3xl font-bold text-gray-800">
+          {product.name}
+          <PendingSyncBadge record={product} />
+        </h2>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => onShowHistory(product)}
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+          >
+            Stock History
+          </button>
+          {onEdit && (
+            <button
+              onClick={() => onEdit(product)}
+              className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+            >
+              Edit
+            </button>
+          )}
+          {product.archivedAt && onRestore && (
+            <button
+              onClick={() => onRestore(product.id)}
+              className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+            >
+              Restore
+            </button>
+          )}
+          {product.archivedAt && onDeletePermanently && (
+            <button
+              onClick={() => onDeletePermanently(product.id)}
+              className="bg-white border border-red-300 hover:bg-red-50 text-red-600 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+            >
+              Delete Permanently
+            </button>
+          )}
+          {!product.archivedAt && onDelete && (
+            <button
+              onClick={() => onDelete(product.id)}
+              className="bg-white border border-red-300 hover:bg-red-50 text-red-600 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      {product.archivedAt && (
+        <div className="mb-6 p-3 rounded-lg bg-gray-100 border border-gray-300 text-sm text-gray-700">
+          Archived {format.dateTime(product.archivedAt)}. It's hidden from the inventory and storefront and can't be ordered.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6 mb-6">
+        {figures.map(({ label, value, hint, tone = 'text-gray-900' }) => (
+          <div key={label} className="bg-white p-6 rounded-xl shadow-lg" title={hint}>
+            <p className="text-sm font-medium text-gray-500">{label}</p>
+            <p className={`text-2xl font-bold ${tone}`}>{value}</p>
+          </div>
+        ))}
+      </div>
+
+      {(product.description || product.imageUrls?.length > 0) && (
+        <div className="bg-white p-6 rounded-xl shadow-lg mb-6">
+          {product.imageUrls?.length > 0 && (
+            <div className="flex flex-wrap gap-3 mb-3">
+              {product.imageUrls.map(url => (
+                <img key={url} src={url} alt={product.name} className="h-32 w-32 rounded-lg object-cover border border-gray-200" />
+              ))}
+            </div>
+          )}
+          {product.description && <p className="text-sm text-gray-700 whitespace-pre-line">{product.description}</p>}
+        </div>
+      )}
+
+      {variants.length > 0 && (
+        <div className="bg-white p-6 rounded-xl shadow-lg mb-6 overflow-x-auto">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Variants</h3>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="py-2 pr-4">Variant</th>
+                <th className="py-2 pr-4">SKU</th>
+                <th className="py-2 pr-4">Price</th>
+                <th className="py-2 pr-4">In Stock</th>
+                <th className="py-2">Units Sold</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 text-gray-700">
+              {variants.map(variant => (
+                <tr key={variant.id}>
+                  <td className="py-2 pr-4 font-medium text-gray-900">{variant.name}</td>
+                  <td className="py-2 pr-4 font-mono">{variant.sku || '-'}</td>
+                  <td className="py-2 pr-4">{format.money(variant.priceCents || 0)}</td>
+                  <td className={`py-2 pr-4 font-semibold ${variant.stock > 0 ? 'text-green-700' : 'text-red-600'}`}>{variant.stock}</td>
+                  <td className="py-2">{unitsSoldOf(variant.id)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="bg-white p-6 rounded-xl shadow-lg mb-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Details</h3>
+        <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-1 text-sm text-gray-700">
+          {details.map(([label, value]) => (
+            <div key={label} className="flex justify-between border-b border-gray-100 py-1">
+              <dt className="text-gray-500">{label}</dt>
+              <dd>{value}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+
+      {productOrders.length > 0 ? (
+        <div className="-mx-4">
+          <OrderList orders={productOrders} title="Orders" onTransition={onTransition} canTransitionTo={canTransitionTo} />
+        </div>
+      ) : (
+        <p className="bg-white p-6 rounded-xl shadow-lg text-center text-gray-500">No orders include {product.name} yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default ProductDetailView;
@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import { DEFAULT_REORDER_POINT } from '../lib/inventory';
+import { validateProductForm, variantFieldKey, emptyVariantValues } from '../lib/productValidation';
+import { getCategories } from '../lib/filters';
+import useFormat from '../hooks/useFormat';
+
+const inputClass = (hasError) => `mt-1 block w-full border rounded-lg shadow-sm p-3 focus:ring-indigo-500 focus:border-indigo-500 ${
+  hasError ? 'border-red-500' : 'border-gray-300'
+}`;
+
+const FieldMessage = ({ error, warning }) => {
+  if (error) return <p className="mt-1 text-xs text-red-600">{error}</p>;
+  if (warning) return <p className="mt-1 text-xs text-yellow-700">{warning}</p>;
+  return null;
+};
+
+/**
+ * Add/edit form for a product. `product` is the product being edited (null
+ * when adding) and `initialValues` the form values to start from (see
+ * productToFormValues). Errors show once a field has been left or the form
+ * submitted; `onSave(data)` only gets valid data. `taxRates` are the store's
+ * (see lib/pricing); the first is the default. Once a product has variants
+ * its stock is edited per variant.
+ */
+const ProductFormModal = ({ product, initialValues, products, suppliers, taxRates, onSave, onClose }) => {
+  const [values, setValues] = useState(initialValues);
+  const [touched, setTouched] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const format = useFormat();
+
+  const { errors, warnings, data } = validateProductForm(values, { products, productId: product?.id, currency: format.currency });
+  const visibleError = (field) => ((submitted || touched[field]) ? errors[field] : null);
+
+  const fieldProps = (field) => ({
+    id: field,
+    value: values[field],
+    onChange: (e) => setValues(current => ({ ...current, [field]: e.target.value })),
+    onBlur: () => setTouched(current => ({ ...current, [field]: true })),
+    'aria-invalid': Boolean(visibleError(field)),
+  });
+
+  // Variant rows are touched by ID, so removing a row doesn't shift what's been visited
+  const variantError = (index, field) =>
+    ((submitted || touched[`${values.variants[index].id}.${field}`]) ? errors[variantFieldKey(index, field)] : null);
+
+  const variantFieldProps = (index, field, label) => ({
+    id: variantFieldKey(index, field),
+    value: values.variants[index][field],
+    onChange: (e) => setValues(current => ({
+      ...current,
+      variants: current.variants.map((row, i) => (i === index ? { ...row, [field]: e.target.value } : row)),
+    })),
+    onBlur: () => setTouched(current => ({ ...current, [`${values.variants[index].id}.${field}`]: true })),
+    'aria-invalid': Boolean(variantError(index, field)),
+    'aria-label': `Variant ${index + 1} ${label}`,
+  });
+
+  const addVariant = () => setValues(current => ({ ...current, variants: [...current.variants, emptyVariantValues(current.price)] }));
+
+  const removeVariant = (index) => setValues(current => ({ ...current, variants: current.variants.filter((_, i) => i !== index) }));
+
+  const hasVariants = values.variants.length > 0;
+  const categories = getCategories(products);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(errors).length > 0) return;
+    setIsSaving(true);
+    try {
+      await onSave(data);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-2">
+          {product ? 'Edit Product' : 'Add New Product'}
+        </h3>
+        <form onSubmit={handleSubmit} noValidate>
+          <div className="mb-4">
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700">Product Name</label>
+            <input
+              {...fieldProps('name')}
+              type="text"
+              className={inputClass(visibleError('name'))}
+              placeholder="e.g., Wireless Headset"
+            />
+            <FieldMessage error={visibleError('name')} warning={warnings.name} />
+          </div>
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="sku" className="block text-sm font-medium text-gray-700">SKU</label>
+              <input {...fieldProps('sku')} type="text" placeholder="Optional" className={inputClass(visibleError('sku'))} />
+              <FieldMessage error={visibleError('sku')} />
+            </div>
+            <div>
+              <label htmlFor="category" className="block text-sm font-medium text-gray-700">Category</label>
+              <input {...fieldProps('category')} type="text" list="product-categories" placeholder="e.g., Apparel" className={inputClass(false)} />
+              <datalist id="product-categories">
+                {categories.map(category => <option key={category} value={category} />)}
+              </datalist>
+            </div>
+          </div>
+          <div className="mb-4">
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description</label>
+            <textarea {...fieldProps('description')} rows={3} className={inputClass(false)} />
+          </div>
+          <div className="mb-4">
+            <label htmlFor="tags" className="block text-sm font-medium text-gray-700">Tags</label>
+            <input {...fieldProps('tags')} type="text" placeholder="Comma-separated, e.g., cotton, summer" className={inputClass(false)} />
+          </div>
+          <div className="mb-4">
+            <label htmlFor="imageUrls" className="block text-sm font-medium text-gray-700">Image URLs</label>
+            <textarea
+              {...fieldProps('imageUrls')}
+              rows={2}
+              placeholder="One per line; the first is the main image"
+              className={inputClass(visibleError('imageUrls'))}
+            />
+            <FieldMessage error={visibleError('imageUrls')} />
+            {!errors.imageUrls && data.imageUrls.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {data.imageUrls.map(url => <img key={url} src={url} alt="" className="h-12 w-12 object-cover rounded border border-gray-200" />)}
+              </div>
+            )}
+          </div>
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="price" className="block text-sm font-medium text-gray-700">Price ({format.currency})</label>
+              <input {...fieldProps('price')} type="number" step={10 ** -format.digits} min="0" className={inputClass(visibleError('price'))} />
+              <FieldMessage error={visibleError('price')} />
+            </div>
+            <div>
+              <label htmlFor="stock" className="block text-sm font-medium text-gray-700">Stock (Units)</label>
+              {hasVariants ? (
+                <input id="stock" type="number" value={data.stock} disabled className={`${inputClass(false)} bg-gray-100`} />
+              ) : (
+                <input {...fieldProps('stock')} type="number" step="1" min="0" className={inputClass(visibleError('stock'))} />
+              )}
+              {hasVariants && <p className="mt-1 text-xs text-gray-500">The total of the variants below.</p>}
+              <FieldMessage error={visibleError('stock')} />
+            </div>
+          </div>
+          <fieldset className="mb-4">
+            <legend className="block text-sm font-medium text-gray-700">Variants</legend>
+            <p className="text-xs text-gray-500 mb-2">Sizes, colours and so on, each with its own SKU, price and stock.</p>
+            {hasVariants && (
+              <table className="min-w-full mb-2">
+                <thead>
+                  <tr>
+                    <th className="py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                    <th className="py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+                    <th className="py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+                    <th className="py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stock</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {values.variants.map((row, index) => (
+                    <tr key={row.id} className="align-top">
+                      <td className="pr-2 py-1">
+                        <input {...variantFieldProps(index, 'name', 'name')} type="text" placeholder="e.g., M / Blue" className={inputClass(variantError(index, 'name'))} />
+                        <FieldMessage error={variantError(index, 'name')} />
+                      </td>
+                      <td className="pr-2 py-1">
+                        <input {...variantFieldProps(index, 'sku', 'SKU')} type="text" className={inputClass(variantError(index, 'sku'))} />
+                        <FieldMessage error={variantError(index, 'sku')} />
+                      </td>
+                      <td className="pr-2 py-1 w-28">
+                        <input
+                          {...variantFieldProps(index, 'price', 'price')}
+                          type="number"
+                          step={10 ** -format.digits}
+                          min="0"
+                          className={inputClass(variantError(index, 'price'))}
+                        />
+                        <FieldMessage error={variantError(index, 'price')} />
+                      </td>
+                      <td className="pr-2 py-1 w-24">
+                        <input {...variantFieldProps(index, 'stock', 'stock')} type="number" step="1" min="0" className={inputClass(variantError(index, 'stock'))} />
+                        <FieldMessage error={variantError(index, 'stock')} />
+                      </td>
+                      <td className="py-1 pt-4 text-right">
+                        <button
+                          type="button"
+                          onClick={() => removeVariant(index)}
+                          className="text-red-500 hover:text-red-700 font-bold px-2"
+                          title="Remove variant"
+                        >
+                          &times;
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <button type="button" onClick={addVariant} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+              + Add variant
+            </button>
+          </fieldset>
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="reorderPoint" className="block text-sm font-medium text-gray-700">Reorder Point</label>
+              <input
+                {...fieldProps('reorderPoint')}
+                type="number"
+                min="0"
+                placeholder={`Default (${DEFAULT_REORDER_POINT})`}
+                className={inputClass(visibleError('reorderPoint'))}
+              />
+              <FieldMessage error={visibleError('reorderPoint')} />
+            </div>
+            <div>
+              <label htmlFor="reorderQuantity" className="block text-sm font-medium text-gray-700">Reorder Quantity</label>
+              <input
+                {...fieldProps('reorderQuantity')}
+                type="number"
+                min="1"
+                placeholder="Suggested"
+                className={inputClass(visibleError('reorderQuantity'))}
+              />
+              <FieldMessage error={visibleError('reorderQuantity')} />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="weight" className="block text-sm font-medium text-gray-700">Weight (kg)</label>
+              <input
+                {...fieldProps('weight')}
+                type="number"
+                step="0.001"
+                min="0"
+                placeholder="Not weighed"
+                className={inputClass(visibleError('weight'))}
+              />
+              <FieldMessage error={visibleError('weight')} />
+            </div>
+            <div>
+              <label htmlFor="taxClass" className="block text-sm font-medium text-gray-700">Tax Rate</label>
+              <select {...fieldProps('taxClass')} className={inputClass(false)}>
+                <option value="">Default ({taxRates[0].name}, {taxRates[0].rate}%)</option>
+                {taxRates.slice(1).map(rate => <option key={rate.id} value={rate.id}>{rate.name} ({rate.rate}%)</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="mb-6">
+            <label htmlFor="supplierId" className="block text-sm font-medium text-gray-700">Preferred Supplier</label>
+            <select {...fieldProps('supplierId')} className={inputClass(false)}>
+              <option value="">None</option>
+              {suppliers.map(supplier => <option key={supplier.id} value={supplier.id}>{supplier.name}</option>)}
+            </select>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition duration-150 shadow-md"
+            >
+              {isSaving ? 'Saving...' : product ? 'Update Product' : 'Add Product'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ProductFormModal;
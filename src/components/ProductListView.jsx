@@ -0,0 +1,360 @@
+import React, { useState, useMemo } from 'react';
+import SortableHeader from './SortableHeader';
+import Pagination, { PAGE_SIZES } from './Pagination';
+import PendingSyncBadge from './PendingSyncBadge';
+import { filterProducts, getCategories, sortRecords, paginate } from '../lib/filters';
+import { isLowStock, getReorderPoint } from '../lib/inventory';
+import { getVariants, getPriceRange } from '../lib/variants';
+import { MUTATION_TYPES } from '../lib/pendingMutations';
+import { BULK_PRODUCT_ACTIONS } from '../lib/bulk';
+import { ROUTES, routeHref } from '../lib/routes';
+import useFormat from '../hooks/useFormat';
+import useQueryState from '../hooks/useQueryState';
+import useSelection from '../hooks/useSelection';
+
+const LIST_DEFAULTS = {
+  search: '', category: '', lowStockOnly: false, archived: false, sort: { field: 'name', direction: 'asc' }, page: 1, pageSize: PAGE_SIZES[0],
+};
+
+// The product's first image, or its initial when it has none
+const ProductThumbnail = ({ product }) => (product.imageUrls?.length > 0 ? (
+  <img src={product.imageUrls[0]} alt="" className="h-10 w-10 rounded-lg object-cover border border-gray-200 flex-shrink-0" />
+) : (
+  <div className="h-10 w-10 rounded-lg bg-indigo-100 flex items-center justify-center font-bold text-indigo-400 flex-shrink-0">
+    {(product.name || '?').charAt(0).toUpperCase()}
+  </div>
+));
+
+/**
+ * Product inventory table with search (name, SKU, category, tags and
+ * variants), category, low-stock and archived filters, sortable columns and
+ * pagination, all kept in the query string. Products with variants show each
+ * variant's stock and their price range. Row actions
+ * are delegated to the parent through callbacks; an action whose callback is
+ * null (the user's role doesn't allow it) is hidden. `onDelete` archives;
+ * archived products are listed under the Archived filter, where
+ * `onRestore` and `onDeletePermanently` apply. With
+ * `onBulkAction(productIds, action)` rows can be selected for a bulk action
+ * (see lib/bulk).
+ */
+const ProductListView = ({ products, onEdit, onDelete, onRestore, onDeletePermanently, onShowHistory, onImport, onExport, onBulkAction }) => {
+  const format = useFormat();
+  const [{ search, category, lowStockOnly, archived, sort, page, pageSize }, update] = useQueryState(LIST_DEFAULTS);
+  const setSort = (next) => update({ sort: next });
+
+  // One price, or the range a product's variants sell at
+  const priceLabel = (product) => {
+    const { minCents, maxCents } = getPriceRange(product);
+    return minCents === maxCents ? format.money(minCents) : `${format.money(minCents)} - ${format.money(maxCents)}`;
+  };
+
+  // Filtering and sorting only rerun when their inputs change, keeping large catalogs responsive
+  const visibleProducts = useMemo(
+    () => sortRecords(filterProducts(products, { search, category, lowStockOnly, archived }), sort),
+    [products, search, category, lowStockOnly, archived, sort]
+  );
+  const categories = useMemo(() => getCategories(products), [products]);
+  const pageData = paginate(visibleProducts, page, pageSize);
+
+  const { selectedIds, isSelected, toggle, setSelected, clear } = useSelection(visibleProducts);
+  const [pricePercent, setPricePercent] = useState('');
+  const [stockLevel, setStockLevel] = useState('');
+  const pageIds = pageData.items.map(product => product.id);
+  const isPageSelected = pageIds.length > 0 && pageIds.every(isSelected);
+  const columnCount = onBulkAction ? 6 : 5;
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-3xl font-bold text-gray-800">Product Inventory</h2>
+        <div className="flex space-x-3">
+          {onImport && (
+            <button
+              onClick={onImport}
+              className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+            >
+              Import
+            </button>
+          )}
+          {onExport && (
+            <button
+              onClick={onExport}
+              className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg shadow-sm transition duration-200"
+            >
+              Export
+            </button>
+          )}
+          {onEdit && (
+            <button
+              onClick={() => onEdit(null)}
+              className="bg-green-500 hover:bg-green-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-200 flex items-center"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" /></svg>
+              Add Product
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => update({ search: e.target.value, page: 1 })}
+          placeholder="Search by name, SKU, category or tag..."
+          className="flex-1 min-w-[200px] border border-gray-300 rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        {categories.length > 0 && (
+          <select
+            value={category}
+            onChange={(e) => update({ category: e.target.value, page: 1 })}
+            className="border border-gray-300 rounded-lg shadow-sm p-2"
+            aria-label="Filter by category"
+          >
+            <option value="">All categories</option>
+            {categories.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        )}
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={lowStockOnly}
+            onChange={(e) => update({ lowStockOnly: e.target.checked, page: 1 })}
+            className="rounded"
+          />
+          <span>Low stock only</span>
+        </label>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={archived}
+            onChange={(e) => update({ archived: e.target.checked, page: 1 })}
+            className="rounded"
+          />
+          <span>Archived</span>
+        </label>
+      </div>
+      {onBulkAction && selectedIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg text-sm">
+          <span className="font-semibold text-indigo-800">{selectedIds.length} selected</span>
+          {archived ? (
+            <>
+              <button
+                onClick={() => onBulkAction(selectedIds, { type: BULK_PRODUCT_ACTIONS.RESTORE })}
+                className="px-3 py-1 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 font-semibold text-gray-700"
+              >
+                Restore
+              </button>
+              <button
+                onClick={() => onBulkAction(selectedIds, { type: BULK_PRODUCT_ACTIONS.DELETE })}
+                className="px-3 py-1 bg-white border border-red-300 rounded-lg hover:bg-red-50 font-semibold text-red-600"
+              >
+                Delete Permanently
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => onBulkAction(selectedIds, { type: BULK_PRODUCT_ACTIONS.ARCHIVE })}
+              className="px-3 py-1 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 font-semibold text-gray-700"
+            >
+              Archive
+            </button>
+          )}
+          <form
+            className="flex items-center gap-1"
+            onSubmit={(e) => {
+              e.preventDefault();
+              onBulkAction(selectedIds, { type: BULK_PRODUCT_ACTIONS.ADJUST_PRICE, percent: Number(pricePercent) });
+            }}
+          >
+            <input
+              type="number"
+              step="any"
+              value={pricePercent}
+              onChange={(e) => setPricePercent(e.target.value)}
+              placeholder="%"
+              aria-label="Price change (%)"
+              className="w-20 border border-gray-300 rounded-lg p-1"
+            />
+            <button type="submit" disabled={pricePercent === ''} className="px-3 py-1 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 font-semibold text-gray-700 disabled:opacity-50">
+              Adjust Price
+            </button>
+          </form>
+          <form
+            className="flex items-center gap-1"
+            onSubmit={(e) => {
+              e.preventDefault();
+              onBulkAction(selectedIds, { type: BULK_PRODUCT_ACTIONS.SET_STOCK, stock: Number(stockLevel) });
+            }}
+          >
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={stockLevel}
+              onChange={(e) => setStockLevel(e.target.value)}
+              placeholder="Units"
+              aria-label="Stock level"
+              className="w-20 border border-gray-300 rounded-lg p-1"
+            />
+            <button type="submit" disabled={stockLevel === ''} className="px-3 py-1 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 font-semibold text-gray-700 disabled:opacity-50">
+              Set Stock
+            </button>
+          </form>
+          <button onClick={clear} className="ml-auto text-indigo-600 hover:text-indigo-900 font-semibold">
+            Clear
+          </button>
+        </div>
+      )}
+      <div className="overflow-x-auto bg-white rounded-xl shadow-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {onBulkAction && (
+                <th className="pl-6 py-3 w-4">
+                  <input
+                    type="checkbox"
+                    checked={isPageSelected}
+                    onChange={(e) => setSelected(pageIds, e.target.checked)}
+                    aria-label="Select all on this page"
+                    className="rounded"
+                  />
+                </th>
+              )}
+              <SortableHeader label="Name" field="name" sort={sort} onSort={setSort} />
+              <SortableHeader label="Price" field="priceCents" sort={sort} onSort={setSort} />
+              <SortableHeader label="Stock" field="stock" sort={sort} onSort={setSort} />
+              <SortableHeader label="Updated At" field="updatedAt" sort={sort} onSort={setSort} />
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {products.length === 0 ? (
+              <tr>
+                <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">No products found. Add your first product!</td>
+              </tr>
+            ) : archived && !products.some(product => product.archivedAt) ? (
+              <tr>
+                <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">No archived products. Deleted products are kept here and can be restored.</td>
+              </tr>
+            ) : pageData.total === 0 ? (
+              <tr>
+                <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">No products match your search.</td>
+              </tr>
+            ) : (
+              pageData.items.map((product) => (
+                <tr
+                  key={product.id}
+                  className={`${isLowStock(product) ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-gray-50'} ${
+                    product.pendingSync === MUTATION_TYPES.DELETE_PRODUCT ? 'opacity-50' : ''
+                  }`}
+                >
+                  {onBulkAction && (
+                    <td className="pl-6 py-4 w-4">
+                      <input
+                        type="checkbox"
+                        checked={isSelected(product.id)}
+                        onChange={() => toggle(product.id)}
+                        aria-label={`Select ${product.name}`}
+                        className="rounded"
+                      />
+                    </td>
+                  )}
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    <div className="flex items-center space-x-3">
+                      <ProductThumbnail product={product} />
+                      <div>
+                        <a
+                          href={routeHref(ROUTES.PRODUCT, { id: product.id })}
+                          className={`text-indigo-600 hover:text-indigo-900 hover:underline ${product.pendingSync === MUTATION_TYPES.DELETE_PRODUCT ? 'line-through' : ''}`}
+                        >
+                          {product.name}
+                        </a>
+                        <PendingSyncBadge record={product} />
+                        {(product.sku || product.category) && (
+                          <span className="block text-xs font-normal text-gray-400">
+                            {[product.sku, product.category].filter(Boolean).join(' · ')}
+                          </span>
+                        )}
+                        {product.tags?.length > 0 && (
+                          <span className="block text-xs font-normal text-gray-400">{product.tags.join(', ')}</span>
+                        )}
+                      </div>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{priceLabel(product)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold" style={{ color: isLowStock(product) ? 'red' : 'green' }}>
+                    {product.stock} units
+                    {getVariants(product).map(variant => (
+                      <span key={variant.id} className="block text-xs font-normal text-gray-500">{variant.name}: {variant.stock}</span>
+                    ))}
+                    <span className="block text-xs font-normal text-gray-400">reorder at {getReorderPoint(product)}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {format.dateTime(product.updatedAt)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    <button
+                      onClick={() => onShowHistory(product)}
+                      className="text-gray-600 hover:text-gray-900 mr-4 p-1 rounded-full hover:bg-gray-100"
+                      title="Stock History"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
+                    </button>
+                    {onEdit && (
+                      <button
+                        onClick={() => onEdit(product)}
+                        className="text-indigo-600 hover:text-indigo-900 mr-4 p-1 rounded-full hover:bg-indigo-50"
+                        title="Edit Product"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" /></svg>
+                      </button>
+                    )}
+                    {archived && onRestore && (
+                      <button
+                        onClick={() => onRestore(product.id)}
+                        className="text-green-600 hover:text-green-900 mr-4 p-1 rounded-full hover:bg-green-50"
+                        title="Restore Product"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" /></svg>
+                      </button>
+                    )}
+                    {archived && onDeletePermanently && (
+                      <button
+                        onClick={() => onDeletePermanently(product.id)}
+                        className="text-red-600 hover:text-red-900 p-1 rounded-full hover:bg-red-50"
+                        title="Delete Permanently"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>
+                      </button>
+                    )}
+                    {!archived && onDelete && (
+                      <button
+                        onClick={() => onDelete(product.id)}
+                        className="text-red-600 hover:text-red-900 p-1 rounded-full hover:bg-red-50"
+                        title="Delete Product"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        {pageData.total > 0 && (
+          <Pagination
+            page={pageData.page}
+            pageCount={pageData.pageCount}
+            total={pageData.total}
+            pageSize={pageSize}
+            onPageChange={(next) => update({ page: next })}
+            onPageSizeChange={(size) => update({ pageSize: size, page: 1 })}
+          />
+        )}
+      </div>
+    </div>
+    );
+};
+
+export default ProductListView;
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import useFormat from '../hooks/useFormat';
+import { itemKey, listOrderableItems } from '../lib/variants';
+
+// Lines as edited: `key` is the product's or variant's itemKey and `unitCost`
+// the typed amount, saved as `unitCostCents`
+const emptyLine = () => ({ key: '', quantityOrdered: 1, unitCost: '' });
+
+/**
+ * Creates or edits a draft purchase order. `purchaseOrder` is null for a new one.
+ * Products with variants are ordered per variant.
+ * `onSave({ supplierId, supplierName, lines, notes })` resolves truthy on success.
+ */
+const PurchaseOrderModal = ({ purchaseOrder, suppliers, products, onSave, onClose }) => {
+  const format = useFormat();
+  const [supplierId, setSupplierId] = useState(purchaseOrder?.supplierId || suppliers[0]?.id || '');
+  const [notes, setNotes] = useState(purchaseOrder?.notes || '');
+  const [lines, setLines] = useState(() => (
+    purchaseOrder
+      ? purchaseOrder.lines.map(({ productId, variantId, quantityOrdered, unitCostCents }) => ({
+        key: itemKey(productId, variantId),
+        quantityOrdered,
+        unitCost: unitCostCents ? format.amount(unitCostCents) : '',
+      }))
+      : [emptyLine()]
+  ));
+  const items = listOrderableItems(products);
+  const [error, setError] = useState(null);
+
+  const updateLine = (index, field, value) => {
+    setLines(current => current.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const supplier = suppliers.find(s => s.id === supplierId);
+    if (!supplier) {
+      setError('Choose a supplier.');
+      return;
+    }
+
+    const filledLines = lines.filter(line => line.key);
+    const keys = filledLines.map(line => line.key);
+    if (filledLines.length === 0) {
+      setError('Add at least one product.');
+      return;
+    }
+    if (new Set(keys).size !== keys.length) {
+      setError('Each product or variant can only appear once per purchase order.');
+      return;
+    }
+    if (keys.some(key => !items.some(item => item.key === key))) {
+      setError('A product or variant on this order no longer exists. Choose another.');
+      return;
+    }
+    if (filledLines.some(line => !(parseInt(line.quantityOrdered, 10) > 0))) {
+      setError('Quantities must be whole numbers greater than zero.');
+      return;
+    }
+    // A blank cost is recorded as 0 (not known yet)
+    if (filledLines.some(line => line.unitCost !== '' && format.parse(line.unitCost) === null)) {
+      setError(`Unit costs must be amounts of 0 or more in ${format.currency}.`);
+      return;
+    }
+
+    const saved = await onSave({
+      supplierId,
+      supplierName: supplier.name,
+      notes: notes.trim(),
+      lines: filledLines.map(line => {
+        const { product, variant } = items.find(item => item.key === line.key);
+        return {
+          productId: product.id,
+          productName: product.name,
+          variantId: variant?.id || null,
+          variantName: variant?.name || null,
+          quantityOrdered: parseInt(line.quantityOrdered, 10),
+          unitCostCents: format.parse(line.unitCost) || 0,
+        };
+      }),
+    });
+    if (saved) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-2">
+          {purchaseOrder ? 'Edit Draft Purchase Order' : 'New Purchase Order'}
+        </h3>
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label htmlFor="po-supplier" className="block text-sm font-medium text-gray-700">Supplier</label>
+            <select
+              id="po-supplier"
+              value={supplierId}
+              onChange={(e) => setSupplierId(e.target.value)}
+              className="mt-1 block w-full border border-gray-300 rounded-lg p-2"
+            >
+              <option value="">Select a supplier...</option>
+              {suppliers.map(supplier => <option key={supplier.id} value={supplier.id}>{supplier.name}</option>)}
+            </select>
+          </div>
+
+          <table className="min-w-full mb-2">
+            <thead>
+              <tr>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Cost ({format.currency})</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map((line, index) => (
+                <tr key={index}>
+                  <td className="pr-2 py-1">
+                    <select
+                      value={line.key}
+                      onChange={(e) => updateLine(index, 'key', e.target.value)}
+                      className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                      aria-label="Product"
+                    >
+                      <option value="">Select a product...</option>
+                      {items.map(item => <option key={item.key} value={item.key}>{item.name}</option>)}
+                    </select>
+                  </td>
+                  <td className="pr-2 py-1 w-28">
+                    <input
+                      type="number"
+                      min="1"
+                      value={line.quantityOrdered}
+                      onChange={(e) => updateLine(index, 'quantityOrdered', e.target.value)}
+                      className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                      aria-label="Quantity"
+                    />
+                  </td>
+                  <td className="pr-2 py-1 w-32">
+                    <input
+                      type="number"
+                      min="0"
+                      step={10 ** -format.digits}
+                      value={line.unitCost}
+                      onChange={(e) => updateLine(index, 'unitCost', e.target.value)}
+                      className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                      aria-label="Unit cost"
+                    />
+                  </td>
+                  <td className="py-1 text-right">
+                    <button
+                      type="button"
+                      onClick={() => setLines(current => current.filter((_, i) => i !== index))}
+                      disabled={lines.length === 1}
+                      className="text-red-500 hover:text-red-700 font-bold px-2 disabled:text-gray-300"
+                      title="Remove line"
+                    >
+                      &times;
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            onClick={() => setLines(current => [...current, emptyLine()])}
+            className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 mb-4"
+          >
+            + Add line
+          </button>
+
+          <div className="mb-4">
+            <label htmlFor="po-notes" className="block text-sm font-medium text-gray-700">Notes</label>
+            <textarea
+              id="po-notes"
+              rows={2}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="mt-1 block w-full border border-gray-300 rounded-lg p-2 text-sm"
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md"
+            >
+              Save Draft
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrderModal;
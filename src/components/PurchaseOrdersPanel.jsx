@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import PurchaseOrderModal from './PurchaseOrderModal';
+import ReceiveStockModal from './ReceiveStockModal';
+import { sortRecords } from '../lib/filters';
+import useFormat from '../hooks/useFormat';
+import {
+  PURCHASE_ORDER_STATUS_LABELS, PURCHASE_ORDER_STATUS_STYLES, RECEIVABLE_STATUSES, getPurchaseOrderTotal,
+} from '../lib/purchaseOrders';
+import { getItemName, itemKey } from '../lib/variants';
+
+/**
+ * Purchase order list with draft editing, ordering, receiving and cancelling.
+ * `actions` are the purchasing handlers from App; each resolves truthy on success.
+ * Without `canManage` only receiving is offered, and only with `canReceive`.
+ */
+const PurchaseOrdersPanel = ({ purchaseOrders, suppliers, products, actions, canManage = true, canReceive = true }) => {
+  const format = useFormat();
+  // null when closed, { purchaseOrder: null } for a new draft
+  const [editing, setEditing] = useState(null);
+  const [receiving, setReceiving] = useState(null);
+
+  const sorted = sortRecords(purchaseOrders, { field: 'createdAt', direction: 'desc' });
+
+  const handleSave = (data) => (
+    editing.purchaseOrder
+      ? actions.updatePurchaseOrder(editing.purchaseOrder.id, data)
+      : actions.createPurchaseOrders([data])
+  );
+
+  return (
+    <div>
+      {canManage && (
+        <div className="flex justify-end mb-4">
+          <button
+            onClick={() => setEditing({ purchaseOrder: null })}
+            disabled={suppliers.length === 0}
+            title={suppliers.length === 0 ? 'Add a supplier first' : undefined}
+            className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition duration-150 shadow-md"
+          >
+            + New Purchase Order
+          </button>
+        </div>
+      )}
+
+      <div className="overflow-x-auto bg-white rounded-xl shadow-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PO ID</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {sorted.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-4 text-center text-gray-500">No purchase orders yet.</td>
+              </tr>
+            ) : (
+              sorted.map(purchaseOrder => (
+                <tr key={purchaseOrder.id} className="hover:bg-gray-50 align-top">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{purchaseOrder.id.substring(0, 8)}...</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{purchaseOrder.supplierName}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {purchaseOrder.lines.map(line => (
+                      <div key={itemKey(line.productId, line.variantId)}>
+                        {getItemName(line.productName, line.variantName)}: {line.quantityReceived || 0}/{line.quantityOrdered}
+                      </div>
+                    ))}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-700">{format.money(getPurchaseOrderTotal(purchaseOrder))}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${PURCHASE_ORDER_STATUS_STYLES[purchaseOrder.status]}`}>
+                      {PURCHASE_ORDER_STATUS_LABELS[purchaseOrder.status]}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                    {canManage && purchaseOrder.status === 'Draft' && (
+                      <>
+                        <button onClick={() => setEditing({ purchaseOrder })} className="text-indigo-600 hover:text-indigo-900 px-2 py-1 rounded-lg hover:bg-indigo-50">Edit</button>
+                        <button onClick={() => actions.markOrdered(purchaseOrder.id)} className="text-blue-600 hover:text-blue-900 px-2 py-1 rounded-lg hover:bg-blue-50">Mark Ordered</button>
+                      </>
+                    )}
+                    {canReceive && RECEIVABLE_STATUSES.includes(purchaseOrder.status) && (
+                      <button onClick={() => setReceiving(purchaseOrder)} className="text-green-600 hover:text-green-900 px-2 py-1 rounded-lg hover:bg-green-50">Receive</button>
+                    )}
+                    {canManage && ['Draft', 'Ordered'].includes(purchaseOrder.status) && (
+                      <button onClick={() => actions.cancelPurchaseOrder(purchaseOrder.id)} className="text-red-600 hover:text-red-900 px-2 py-1 rounded-lg hover:bg-red-50">Cancel</button>
+                    )}
+                    {canManage && purchaseOrder.status === 'Draft' && (
+                      <button onClick={() => actions.removeDraft(purchaseOrder.id)} className="text-gray-600 hover:text-gray-900 px-2 py-1 rounded-lg hover:bg-gray-100">Delete</button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && (
+        <PurchaseOrderModal
+          purchaseOrder={editing.purchaseOrder}
+          suppliers={suppliers}
+          products={products}
+          onSave={handleSave}
+          onClose={() => setEditing(null)}
+        />
+      )}
+      {receiving && (
+        <ReceiveStockModal
+          purchaseOrder={receiving}
+          onReceive={(receipts) => actions.receivePurchaseOrder(receiving.id, receipts)}
+          onClose={() => setReceiving(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrdersPanel;
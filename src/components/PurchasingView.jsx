@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import ReorderSuggestions from './ReorderSuggestions';
+import PurchaseOrdersPanel from './PurchaseOrdersPanel';
+import SuppliersPanel from './SuppliersPanel';
+import { suggestReorders } from '../lib/inventory';
+
+const TABS = [
+  { key: 'reorders', label: 'Suggested Reorders' },
+  { key: 'orders', label: 'Purchase Orders' },
+  { key: 'suppliers', label: 'Suppliers' },
+];
+
+/**
+ * Purchasing: reorder suggestions, purchase orders and suppliers. Without
+ * `canManage` only the purchase orders are shown, to receive against when
+ * `canReceive` allows it.
+ */
+const PurchasingView = ({ products, suppliers, purchaseOrders, actions, initialTab = 'reorders', canManage = true, canReceive = true }) => {
+  const tabs = canManage ? TABS : TABS.filter(({ key }) => key === 'orders');
+  const [tab, setTab] = useState(tabs.some(({ key }) => key === initialTab) ? initialTab : tabs[0].key);
+  const reorderCount = suggestReorders(products, purchaseOrders).length;
+
+  const handleCreateDrafts = async (drafts) => {
+    const created = await actions.createPurchaseOrders(drafts);
+    if (created) setTab('orders');
+    return created;
+  };
+
+  return (
+    <div className="p-6">
+      <h2 className="text-3xl font-bold text-gray-800 mb-6">Purchasing</h2>
+      <div className="flex space-x-2 mb-6 border-b">
+        {tabs.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`px-4 py-2 -mb-px font-semibold border-b-2 transition duration-150 ${
+              tab === key ? 'border-indigo-600 text-indigo-700' : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {label}
+            {key === 'reorders' && reorderCount > 0 && (
+              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">{reorderCount}</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'reorders' && (
+        <ReorderSuggestions
+          products={products}
+          purchaseOrders={purchaseOrders}
+          suppliers={suppliers}
+          onCreateDrafts={handleCreateDrafts}
+        />
+      )}
+      {tab === 'orders' && (
+        <PurchaseOrdersPanel
+          purchaseOrders={purchaseOrders}
+          suppliers={suppliers}
+          products={products}
+          actions={actions}
+          canManage={canManage}
+          canReceive={canReceive}
+        />
+      )}
+      {tab === 'suppliers' && (
+        <SuppliersPanel suppliers={suppliers} onSave={actions.saveSupplier} onDelete={actions.deleteSupplier} />
+      )}
+    </div>
+  );
+};
+
+export default PurchasingView;
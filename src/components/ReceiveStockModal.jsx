@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { getOutstandingQuantity } from '../lib/purchaseOrders';
+import { getItemName, itemKey } from '../lib/variants';
+
+const lineKey = (line) => itemKey(line.productId, line.variantId);
+const lineName = (line) => getItemName(line.productName, line.variantName);
+
+/**
+ * Books a (possibly partial) delivery against a purchase order. Each line
+ * defaults to its full outstanding quantity. `onReceive(receipts)` takes
+ * `{ [itemKey]: quantity }` (see lib/variants) and resolves truthy on success.
+ */
+const ReceiveStockModal = ({ purchaseOrder, onReceive, onClose }) => {
+  const [quantities, setQuantities] = useState(() =>
+    purchaseOrder.lines.reduce((acc, line) => ({ ...acc, [lineKey(line)]: getOutstandingQuantity(line) }), {})
+  );
+  const [isSaving, setIsSaving] = useState(false);
+
+  const receipts = Object.fromEntries(
+    Object.entries(quantities).map(([key, value]) => [key, parseInt(value, 10) || 0])
+  );
+  const overReceived = purchaseOrder.lines.filter(line => receipts[lineKey(line)] > getOutstandingQuantity(line));
+  const totalReceiving = Object.values(receipts).reduce((sum, quantity) => sum + Math.max(quantity, 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      if (await onReceive(receipts)) onClose();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-xl p-6">
+        <h3 className="text-2xl font-bold text-gray-800 mb-2 border-b pb-2">Receive Stock</h3>
+        <p className="text-sm text-gray-600 mb-4">From {purchaseOrder.supplierName}. Enter what actually arrived; the rest stays on order.</p>
+        <form onSubmit={handleSubmit}>
+          <table className="min-w-full divide-y divide-gray-200 mb-4">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Ordered</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Receiving Now</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {purchaseOrder.lines.map(line => (
+                <tr key={lineKey(line)}>
+                  <td className="px-3 py-2 text-sm text-gray-900">{lineName(line)}</td>
+                  <td className="px-3 py-2 text-sm text-right text-gray-500">{line.quantityOrdered}</td>
+                  <td className="px-3 py-2 text-sm text-right text-gray-500">{line.quantityReceived || 0}</td>
+                  <td className="px-3 py-2 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      max={getOutstandingQuantity(line)}
+                      value={quantities[lineKey(line)]}
+                      onChange={(e) => setQuantities(current => ({ ...current, [lineKey(line)]: e.target.value }))}
+                      disabled={getOutstandingQuantity(line) === 0}
+                      className="w-24 border border-gray-300 rounded-lg p-1 text-sm text-right disabled:bg-gray-100"
+                      aria-label={`Receiving now: ${lineName(line)}`}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {overReceived.length > 0 && (
+            <p className="text-sm text-red-600 mb-4">
+              More than outstanding for {overReceived.map(lineName).join(', ')}.
+            </p>
+          )}
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving || totalReceiving === 0 || overReceived.length > 0}
+              className="px-4 py-2 bg-green-500 text-white font-semibold rounded-lg hover:bg-green-600 disabled:opacity-50 transition duration-150 shadow-md"
+            >
+              {isSaving ? 'Receiving...' : `Receive ${totalReceiving} Unit(s)`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReceiveStockModal;
@@ -0,0 +1,160 @@
+import React, { useState, useMemo } from 'react';
+import { suggestReorders, splitReorderQuantity } from '../lib/inventory';
+import { hasVariants } from '../lib/variants';
+
+/**
+ * Products at or below their reorder point that open purchase orders don't
+ * already cover. Selected rows become one draft purchase order per supplier;
+ * a product with variants gets a line per variant (see splitReorderQuantity).
+ * `onCreateDrafts(drafts)` resolves truthy on success.
+ */
+const ReorderSuggestions = ({ products, purchaseOrders, suppliers, onCreateDrafts }) => {
+  const suggestions = useMemo(() => suggestReorders(products, purchaseOrders), [products, purchaseOrders]);
+  // Per-product overrides of the suggested quantity, supplier and selection
+  const [overrides, setOverrides] = useState({});
+  const [error, setError] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const rows = suggestions.map(suggestion => {
+    const override = overrides[suggestion.product.id] || {};
+    return {
+      ...suggestion,
+      selected: override.selected ?? true,
+      quantity: override.quantity ?? suggestion.suggestedQuantity,
+      supplierId: override.supplierId ?? (suggestion.product.supplierId || ''),
+    };
+  });
+  const selectedRows = rows.filter(row => row.selected);
+
+  const setOverride = (productId, field, value) => {
+    setOverrides(current => ({ ...current, [productId]: { ...current[productId], [field]: value } }));
+  };
+
+  const handleCreate = async () => {
+    if (selectedRows.some(row => !row.supplierId)) {
+      setError('Choose a supplier for every selected product.');
+      return;
+    }
+    if (selectedRows.some(row => !(parseInt(row.quantity, 10) > 0))) {
+      setError('Quantities must be whole numbers greater than zero.');
+      return;
+    }
+    setError(null);
+
+    const bySupplier = new Map();
+    selectedRows.forEach(row => {
+      const lines = bySupplier.get(row.supplierId) || [];
+      splitReorderQuantity(row.product, parseInt(row.quantity, 10)).forEach(({ variant, quantity }) => lines.push({
+        productId: row.product.id,
+        productName: row.product.name,
+        variantId: variant?.id || null,
+        variantName: variant?.name || null,
+        quantityOrdered: quantity,
+        unitCostCents: 0,
+      }));
+      bySupplier.set(row.supplierId, lines);
+    });
+    const drafts = Array.from(bySupplier, ([supplierId, lines]) => ({
+      supplierId,
+      supplierName: suppliers.find(s => s.id === supplierId)?.name || '',
+      lines,
+    }));
+
+    setIsCreating(true);
+    try {
+      if (await onCreateDrafts(drafts)) setOverrides({});
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  if (rows.length === 0) {
+    return (
+      <div className="bg-white p-6 rounded-xl shadow-lg text-center text-gray-500">
+        Nothing to reorder. Every product is above its reorder point or already on order.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3" />
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">In Stock</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Reorder Point</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">On Order</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order Qty</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rows.map(row => (
+              <tr key={row.product.id} className="hover:bg-gray-50">
+                <td className="px-4 py-3">
+                  <input
+                    type="checkbox"
+                    checked={row.selected}
+                    onChange={(e) => setOverride(row.product.id, 'selected', e.target.checked)}
+                    className="rounded border-gray-300"
+                    aria-label={`Reorder ${row.product.name}`}
+                  />
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                  {row.product.name}
+                  {hasVariants(row.product) && (
+                    <span className="block text-xs font-normal text-gray-400">Split across {row.product.variants.length} variants, lowest stock first</span>
+                  )}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-red-600 font-semibold">{row.product.stock}</td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">{row.reorderPoint}</td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">{row.onOrder}</td>
+                <td className="px-4 py-3">
+                  <input
+                    type="number"
+                    min="1"
+                    value={row.quantity}
+                    onChange={(e) => setOverride(row.product.id, 'quantity', e.target.value)}
+                    className="w-24 border border-gray-300 rounded-lg p-1 text-sm"
+                    aria-label={`Order quantity for ${row.product.name}`}
+                  />
+                </td>
+                <td className="px-4 py-3">
+                  <select
+                    value={row.supplierId}
+                    onChange={(e) => setOverride(row.product.id, 'supplierId', e.target.value)}
+                    className="border border-gray-300 rounded-lg p-1 text-sm"
+                    aria-label={`Supplier for ${row.product.name}`}
+                  >
+                    <option value="">Select...</option>
+                    {suppliers.map(supplier => <option key={supplier.id} value={supplier.id}>{supplier.name}</option>)}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap justify-between items-center gap-3 p-4 border-t">
+        <p className="text-sm text-gray-600">
+          {suppliers.length === 0
+            ? 'Add a supplier on the Suppliers tab before creating purchase orders.'
+            : `${selectedRows.length} of ${rows.length} product(s) selected.`}
+        </p>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          onClick={handleCreate}
+          disabled={isCreating || selectedRows.length === 0 || suppliers.length === 0}
+          className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition duration-150 shadow-md"
+        >
+          {isCreating ? 'Creating...' : 'Create Draft Purchase Orders'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReorderSuggestions;
@@ -0,0 +1,143 @@
+import React, { useState, useMemo } from 'react';
+import BarChart from './BarChart';
+import { PERIODS, buildRevenueSeries, comparePeriods, topProducts, averageOrderValue, inventoryTurnover } from '../lib/analytics';
+import useFormat from '../hooks/useFormat';
+
+const PERIOD_NAMES = { day: 'today', week: 'this week', month: 'this month' };
+const PREVIOUS_NAMES = { day: 'yesterday', week: 'last week', month: 'last month' };
+
+const ChangeBadge = ({ change }) => {
+  if (change === null) return <span className="text-xs text-gray-400">no prior data</span>;
+  const positive = change >= 0;
+  return (
+    <span className={`text-xs font-semibold ${positive ? 'text-green-600' : 'text-red-600'}`}>
+      {positive ? '▲' : '▼'} {Math.abs(change).toFixed(1)}%
+    </span>
+  );
+};
+
+/**
+ * Revenue and order trends by day/week/month, period-over-period comparison,
+ * top sellers and inventory turnover.
+ */
+const SalesAnalytics = ({ orders, products }) => {
+  const [period, setPeriod] = useState('day');
+  const [dateField, setDateField] = useState('orderedAt');
+  const [metric, setMetric] = useState('revenue');
+  const [rankBy, setRankBy] = useState('units');
+  const format = useFormat();
+  const formatMoney = format.money;
+
+  const series = useMemo(
+    () => buildRevenueSeries(orders, { period, dateField, locale: format.locale }),
+    [orders, period, dateField, format.locale]
+  );
+  const comparison = useMemo(() => comparePeriods(orders, { period, dateField }), [orders, period, dateField]);
+  const bestSellers = useMemo(() => topProducts(orders, { by: rankBy, limit: 5 }), [orders, rankBy]);
+  const overallAverage = useMemo(() => averageOrderValue(orders), [orders]);
+  const turnover = useMemo(() => inventoryTurnover(orders, products), [orders, products]);
+
+  const comparisonCards = [
+    { label: 'Revenue', value: formatMoney(comparison.current.revenue), previous: formatMoney(comparison.previous.revenue), change: comparison.revenueChange },
+    { label: 'Orders', value: comparison.current.orders, previous: comparison.previous.orders, change: comparison.ordersChange },
+    { label: 'Avg. Order Value', value: formatMoney(comparison.current.averageOrderValue), previous: formatMoney(comparison.previous.averageOrderValue), change: comparison.averageOrderValueChange },
+  ];
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6 border-b pb-2">
+        <h3 className="text-2xl font-semibold text-gray-800">Sales Analytics</h3>
+        <div className="flex flex-wrap gap-3 text-sm">
+          <select value={period} onChange={(e) => setPeriod(e.target.value)} className="border border-gray-300 rounded-lg p-2" aria-label="Period">
+            {Object.entries(PERIODS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <select value={dateField} onChange={(e) => setDateField(e.target.value)} className="border border-gray-300 rounded-lg p-2" aria-label="Date basis">
+            <option value="orderedAt">By order date</option>
+            <option value="fulfilledAt">By fulfilment date</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        {comparisonCards.map(card => (
+          <div key={card.label} className="p-4 rounded-lg bg-gray-50">
+            <p className="text-sm font-medium text-gray-500">{card.label} ({PERIOD_NAMES[period]})</p>
+            <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+            <p className="text-xs text-gray-500">
+              <ChangeBadge change={card.change} /> vs {card.previous} {PREVIOUS_NAMES[period]} at this point
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <div className="mb-6">
+        <div className="flex space-x-2 mb-2">
+          {[{ key: 'revenue', label: 'Revenue' }, { key: 'orders', label: 'Orders' }].map(option => (
+            <button
+              key={option.key}
+              onClick={() => setMetric(option.key)}
+              className={`px-3 py-1 rounded-lg text-sm font-semibold ${metric === option.key ? 'bg-indigo-100 text-indigo-700' : 'text-gray-600 hover:bg-gray-50'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <BarChart
+          data={series.map(bucket => ({ label: bucket.label, value: bucket[metric] }))}
+          formatValue={metric === 'revenue' ? formatMoney : (value) => `${value} order(s)`}
+          barClassName={metric === 'revenue' ? 'fill-green-500' : 'fill-indigo-500'}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          <div className="flex justify-between items-center mb-2">
+            <h4 className="text-lg font-semibold text-gray-800">Top Products</h4>
+            <select value={rankBy} onChange={(e) => setRankBy(e.target.value)} className="border border-gray-300 rounded-lg p-1 text-sm" aria-label="Rank top products by">
+              <option value="units">By units sold</option>
+              <option value="revenue">By revenue</option>
+            </select>
+          </div>
+          {bestSellers.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">No paid orders yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Units</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Revenue</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {bestSellers.map(entry => (
+                  <tr key={entry.productId}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{entry.productName}</td>
+                    <td className="px-4 py-2 text-sm text-right text-gray-700">{entry.units}</td>
+                    <td className="px-4 py-2 text-sm text-right text-gray-700">{formatMoney(entry.revenue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div className="space-y-4">
+          <div className="p-4 rounded-lg bg-gray-50">
+            <p className="text-sm font-medium text-gray-500">Avg. Order Value (all time)</p>
+            <p className="text-2xl font-bold text-gray-900">{formatMoney(overallAverage)}</p>
+          </div>
+          <div className="p-4 rounded-lg bg-gray-50">
+            <p className="text-sm font-medium text-gray-500">Inventory Turnover ({turnover.days} days)</p>
+            <p className="text-2xl font-bold text-gray-900">{turnover.turnover.toFixed(2)}x</p>
+            <p className="text-xs text-gray-500">
+              {turnover.unitsSold} units sold, {turnover.unitsOnHand} on hand
+              {turnover.daysOfInventory !== null && ` (~${Math.round(turnover.daysOfInventory)} days of stock)`}
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SalesAnalytics;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { getErrorMessage } from '../lib/errors';
+
+const inputClass = 'mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 focus:ring-indigo-500 focus:border-indigo-500';
+
+/**
+ * Email/password sign-in, with a switch to create an account.
+ * `onSignIn(email, password)` and `onSignUp(email, password)` reject with the
+ * Firebase Auth error, which is shown inline.
+ */
+const SignInView = ({ onSignIn, onSignUp }) => {
+  const [mode, setMode] = useState('signIn'); // 'signIn' | 'signUp'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isSignUp = mode === 'signUp';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await (isSignUp ? onSignUp : onSignIn)(email.trim(), password);
+    } catch (submitError) {
+      setError(getErrorMessage(submitError, isSignUp ? "Couldn't create your account." : "Couldn't sign you in."));
+      setIsSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isSignUp ? 'signIn' : 'signUp');
+    setError(null);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-2xl w-full max-w-sm p-6">
+        <h1 className="text-2xl font-extrabold text-indigo-600 mb-1">E-Comm V2</h1>
+        <p className="text-gray-600 mb-6">{isSignUp ? 'Create an account to start or join a store.' : 'Sign in to your store.'}</p>
+        <div className="mb-4">
+          <label htmlFor="sign-in-email" className="block text-sm font-medium text-gray-700">Email</label>
+          <input
+            id="sign-in-email"
+            type="email"
+            autoComplete="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="sign-in-password" className="block text-sm font-medium text-gray-700">Password</label>
+          <input
+            id="sign-in-password"
+            type="password"
+            autoComplete={isSignUp ? 'new-password' : 'current-password'}
+            minLength={isSignUp ? 6 : undefined}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            className={inputClass}
+          />
+        </div>
+        {error && <p className="mb-4 text-sm text-red-600" role="alert">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition duration-150 shadow-md"
+        >
+          {isSubmitting ? 'Please wait...' : isSignUp ? 'Create Account' : 'Sign In'}
+        </button>
+        <p className="mt-4 text-sm text-center text-gray-600">
+          {isSignUp ? 'Already have an account?' : 'New here?'}{' '}
+          <button type="button" onClick={switchMode} className="font-semibold text-indigo-600 hover:text-indigo-800">
+            {isSignUp ? 'Sign in' : 'Create an account'}
+          </button>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default SignInView;
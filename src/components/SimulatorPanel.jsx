@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import {
+  QUANTITY_DISTRIBUTIONS, QUANTITY_DISTRIBUTION_LABELS, parseSimulationConfig, randomSeed, simulationToFormValues,
+} from '../lib/simulation';
+
+const inputClass = 'mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+const REJECTION_LABELS = {
+  'insufficient-stock': 'out of stock',
+  'record-not-found': 'product or customer gone',
+};
+
+const Stat = ({ label, value, detail, tone = 'text-gray-900' }) => (
+  <div className="bg-gray-50 rounded-lg p-3">
+    <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</p>
+    <p className={`text-2xl font-bold ${tone}`}>{value}</p>
+    {detail && <p className="text-xs text-gray-500">{detail}</p>}
+  </div>
+);
+
+/**
+ * Order simulator settings, start/stop and live results. `simulator` comes
+ * from useOrderSimulator; `onSimulateOrder` places a single random order.
+ */
+const SimulatorPanel = ({ products, simulator, onSimulateOrder }) => {
+  const { run, config, start, stop } = simulator;
+  const [values, setValues] = useState(() => simulationToFormValues(config));
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const isActive = Boolean(run) && run.status !== 'done';
+
+  // Keeps the clock moving between orders at low rates
+  useEffect(() => {
+    if (!isActive) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isActive]);
+
+  const update = (field) => (e) => setValues(current => ({ ...current, [field]: e.target.value }));
+  const updateWeight = (productId) => (e) => setValues(current => ({
+    ...current,
+    weights: { ...current.weights, [productId]: e.target.value },
+  }));
+
+  const handleStart = (e) => {
+    e.preventDefault();
+    const parsed = parseSimulationConfig(values);
+    setError(parsed.error || null);
+    if (!parsed.error) start(parsed.config);
+  };
+
+  const stats = run?.stats;
+  const elapsedSeconds = run ? Math.max(0, ((run.finishedAt || Math.min(now, run.endsAt)) - run.startedAt) / 1000) : 0;
+  const remainingSeconds = run && run.status === 'running' ? Math.max(0, Math.ceil((run.endsAt - now) / 1000)) : 0;
+  const settled = stats ? stats.attempted - stats.inFlight : 0;
+  const rejectionDetail = stats && Object.entries(stats.rejections)
+    .map(([code, count]) => `${count} ${REJECTION_LABELS[code] || code}`)
+    .join(', ');
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg">
+      <div className="flex justify-between items-center mb-4 border-b pb-2">
+        <h3 className="text-2xl font-semibold text-gray-800">Order Simulator</h3>
+        <button
+          onClick={onSimulateOrder}
+          disabled={products.length === 0}
+          className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+        >
+          {products.length === 0 ? 'Add products to simulate orders' : 'Place one random order'}
+        </button>
+      </div>
+
+      <form onSubmit={handleStart} noValidate>
+        <fieldset disabled={isActive} className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <label className="block text-sm font-medium text-gray-700">
+            Orders per second
+            <input value={values.ratePerSecond} onChange={update('ratePerSecond')} type="number" min="0.1" max="50" step="0.1" className={inputClass} />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Duration (seconds)
+            <input value={values.durationSeconds} onChange={update('durationSeconds')} type="number" min="1" max="3600" className={inputClass} />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Products per order (max)
+            <input value={values.maxLines} onChange={update('maxLines')} type="number" min="1" className={inputClass} />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Seed
+            <div className="flex space-x-2">
+              <input value={values.seed} onChange={update('seed')} type="text" className={inputClass} />
+              <button
+                type="button"
+                onClick={() => setValues(current => ({ ...current, seed: randomSeed() }))}
+                className="mt-1 px-2 text-xs font-semibold text-indigo-600 hover:text-indigo-800"
+                title="New random seed"
+              >
+                New
+              </button>
+            </div>
+          </label>
+          <label className="block text-sm font-medium text-gray-700 col-span-2">
+            Quantity per product
+            <select value={values.distribution} onChange={update('distribution')} className={inputClass}>
+              {Object.values(QUANTITY_DISTRIBUTIONS).map(option => (
+                <option key={option} value={option}>{QUANTITY_DISTRIBUTION_LABELS[option]}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Min quantity
+            <input value={values.quantityMin} onChange={update('quantityMin')} type="number" min="1" className={inputClass} />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Max quantity
+            <input value={values.quantityMax} onChange={update('quantityMax')} type="number" min="1" className={inputClass} />
+          </label>
+
+          <details className="col-span-2 md:col-span-4">
+            <summary className="text-sm font-medium text-gray-700 cursor-pointer">Product popularity weights</summary>
+            <p className="text-xs text-gray-500 my-2">Relative chance of each product being ordered. Blank means 1; 0 leaves the product out.</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {products.map(product => (
+                <label key={product.id} className="flex items-center justify-between text-sm text-gray-700 space-x-2">
+                  <span className="truncate">{product.name} <span className="text-gray-400">({product.stock} in stock)</span></span>
+                  <input
+                    value={values.weights[product.id] ?? ''}
+                    onChange={updateWeight(product.id)}
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    placeholder="1"
+                    aria-label={`Weight for ${product.name}`}
+                    className="w-20 border border-gray-300 rounded-lg p-1"
+                  />
+                </label>
+              ))}
+            </div>
+          </details>
+        </fieldset>
+
+        <div className="flex justify-end items-center space-x-4 mt-4">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {isActive ? (
+            <button
+              type="button"
+              onClick={stop}
+              disabled={run.status === 'stopping'}
+              className="px-4 py-2 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700 transition duration-150 shadow-md disabled:bg-gray-400"
+            >
+              {run.status === 'stopping' ? 'Finishing...' : 'Stop'}
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={products.length === 0}
+              className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md disabled:bg-gray-400"
+            >
+              Start Simulation
+            </button>
+          )}
+        </div>
+      </form>
+
+      {stats && (
+        <div className="mt-6">
+          <p className="text-sm text-gray-500 mb-2">
+            {run.status === 'running' && `Running, ${remainingSeconds}s left. `}
+            {run.status === 'stopping' && `Waiting for ${stats.inFlight} order(s) to finish. `}
+            {run.status === 'done' && 'Finished. '}
+            {stats.attempted} order(s) in {elapsedSeconds.toFixed(0)}s
+            {elapsedSeconds > 0 && ` (${(stats.attempted / elapsedSeconds).toFixed(2)}/s)`}
+            {settled > 0 && `, ${Math.round(stats.totalLatencyMs / settled)} ms average`}.
+          </p>
+          <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-3">
+            <Stat label="Placed" value={stats.placed} tone="text-green-700" />
+            <Stat label="Rejected" value={stats.rejected} detail={rejectionDetail} tone={stats.rejected ? 'text-red-600' : 'text-gray-900'} />
+            <Stat
+              label="Conflicts"
+              value={stats.conflicts}
+              detail={`retries across ${stats.conflictedOrders} order(s)`}
+              tone={stats.conflicts ? 'text-yellow-700' : 'text-gray-900'}
+            />
+            <Stat label="Aborted" value={stats.aborted} detail="still conflicting after every retry" />
+            <Stat label="Failed" value={stats.failed} detail="network or permission errors" />
+            <Stat label="Skipped" value={stats.skipped} detail="nothing in stock, or too many in flight" />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimulatorPanel;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+/**
+ * Table header cell that toggles sorting on `field`. `sort` is `{ field, direction }`.
+ * Without `onSort` it renders as a plain, non-interactive header.
+ */
+const SortableHeader = ({ label, field, sort, onSort }) => {
+  const isActive = Boolean(onSort) && sort.field === field;
+  const nextDirection = isActive && sort.direction === 'asc' ? 'desc' : 'asc';
+
+  return (
+    <th
+      className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+      aria-sort={isActive ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      {onSort ? (
+        <button
+          type="button"
+          onClick={() => onSort({ field, direction: nextDirection })}
+          className={`uppercase tracking-wider hover:text-indigo-600 ${isActive ? 'text-indigo-600' : ''}`}
+        >
+          {label}
+          <span className="ml-1">{isActive ? (sort.direction === 'asc' ? '▲' : '▼') : ''}</span>
+        </button>
+      ) : label}
+    </th>
+  );
+};
+
+export default SortableHeader;
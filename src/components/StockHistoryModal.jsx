@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { MOVEMENT_REASON_LABELS } from '../data/stockMovementRepository';
+import useFormat from '../hooks/useFormat';
+
+/**
+ * Stock ledger for a single product, newest movement first.
+ */
+const StockHistoryModal = ({ product, stockMovements, onClose }) => {
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const format = useFormat();
+
+  useEffect(() => {
+    setLoading(true);
+    const unsubscribe = stockMovements.subscribeForProduct(product.id, (list) => {
+      setMovements(list);
+      setLoading(false);
+    }, (error) => {
+      console.error("Error fetching stock movements:", error);
+      setLoading(false);
+    });
+    return () => unsubscribe();
+  }, [product.id, stockMovements]);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl p-6 max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-6 border-b pb-2">
+          <h3 className="text-2xl font-bold text-gray-800">Stock History: {product.name}</h3>
+          <span className="text-sm text-gray-500">Current stock: <span className="font-semibold text-gray-800">{product.stock} units</span></span>
+        </div>
+        <div className="overflow-y-auto flex-1">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Stock After</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan="6" className="px-4 py-4 text-center text-gray-500">Loading history...</td>
+                </tr>
+              ) : movements.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-4 py-4 text-center text-gray-500">No stock movements recorded for this product yet.</td>
+                </tr>
+              ) : (
+                movements.map(movement => (
+                  <tr key={movement.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{format.dateTime(movement.createdAt)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {MOVEMENT_REASON_LABELS[movement.reason] || movement.reason}
+                      {movement.variantName && <span className="block text-xs text-indigo-600">{movement.variantName}</span>}
+                      {movement.note && <span className="block text-xs text-gray-400">{movement.note}</span>}
+                    </td>
+                    <td className={`px-4 py-3 whitespace-nowrap text-sm text-right font-semibold ${movement.delta < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{movement.stockAfter}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-500 truncate max-w-[100px]">{movement.orderId || '-'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-500 truncate max-w-[100px]">{movement.userId || '-'}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex justify-end mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StockHistoryModal;
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { getErrorMessage } from '../lib/errors';
+import { ROLE_LABELS } from '../lib/permissions';
+
+/**
+ * Lets a signed-in user open one of their stores, accept an invitation to
+ * someone else's, or create a new one. `directory` is a store directory (see
+ * data/storeDirectory.js); `onSelect(store)` opens the chosen store.
+ * Invitations can only be accepted from a verified email address:
+ * `onSendVerification()` sends the verification email again and
+ * `onRefreshUser()` resolves to the user once they have followed its link.
+ */
+const StorePicker = ({ user, directory, onSelect, onSignOut, onSendVerification, onRefreshUser }) => {
+  const [stores, setStores] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [storeName, setStoreName] = useState('');
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const needsVerification = user.emailVerified === false;
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([directory.listStores(user), directory.listInvitations(user)])
+      .then(([userStores, userInvitations]) => {
+        if (cancelled) return;
+        setStores(userStores);
+        setInvitations(userInvitations);
+      })
+      .catch((loadError) => {
+        console.error("Error loading stores:", loadError);
+        if (!cancelled) {
+          setStores([]);
+          setError(getErrorMessage(loadError, "Couldn't load your stores."));
+        }
+      });
+    return () => { cancelled = true; };
+  }, [directory, user]);
+
+  // Runs a directory call that ends with a store to open
+  const openWith = async (fn) => {
+    setError(null);
+    setBusy(true);
+    try {
+      const store = await fn();
+      if (store) onSelect(store);
+      else setBusy(false);
+    } catch (actionError) {
+      console.error("Error opening store:", actionError);
+      setError(getErrorMessage(actionError));
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!storeName.trim()) return;
+    openWith(() => directory.createStore(user, storeName));
+  };
+
+  const handleDecline = async (invitation) => {
+    setError(null);
+    try {
+      await directory.declineInvitation(invitation);
+      setInvitations(current => current.filter(item => item !== invitation));
+    } catch (declineError) {
+      console.error("Error declining invitation:", declineError);
+      setError(getErrorMessage(declineError));
+    }
+  };
+
+  const handleSendVerification = async () => {
+    setError(null);
+    setNotice(null);
+    try {
+      await onSendVerification();
+      setNotice(`Verification email sent to ${user.email}.`);
+    } catch (sendError) {
+      console.error("Error sending verification email:", sendError);
+      setError(getErrorMessage(sendError));
+    }
+  };
+
+  const handleCheckVerification = async () => {
+    setError(null);
+    setNotice(null);
+    try {
+      const refreshed = await onRefreshUser();
+      if (!refreshed?.emailVerified) {
+        setError(`${user.email} isn't verified yet. Follow the link in the email, then try again.`);
+      }
+    } catch (refreshError) {
+      console.error("Error checking email verification:", refreshError);
+      setError(getErrorMessage(refreshError));
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6">
+        <div className="flex justify-between items-baseline mb-6 border-b pb-2">
+          <h1 className="text-2xl font-bold text-gray-800">Choose a Store</h1>
+          <button onClick={onSignOut} className="text-sm text-gray-500 hover:text-gray-800">Sign out</button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">Signed in as {user.email || user.uid}</p>
+        {error && <p className="mb-4 text-sm text-red-600" role="alert">{error}</p>}
+        {notice && <p className="mb-4 text-sm text-green-700">{notice}</p>}
+
+        {stores === null ? (
+          <p className="text-gray-500 mb-6">Loading your stores...</p>
+        ) : (
+          <>
+            {stores.length > 0 && (
+              <ul className="mb-6 space-y-2">
+                {stores.map(store => (
+                  <li key={store.id}>
+                    <button
+                      onClick={() => onSelect(store)}
+                      disabled={busy}
+                      className="w-full flex justify-between items-center p-3 border rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+                    >
+                      <span className="font-semibold text-gray-800">{store.name}</span>
+                      <span className="text-sm text-gray-500">{ROLE_LABELS[store.role] || store.role}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {invitations.length > 0 && (
+              <div className="mb-6">
+                <h2 className="text-lg font-semibold text-gray-800 mb-2">Invitations</h2>
+                {needsVerification && (
+                  <div className="mb-2 p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                    Verify {user.email} to accept an invitation: follow the link in the email sent when you signed up.
+                    <span className="block mt-2 space-x-3">
+                      <button onClick={handleSendVerification} className="font-semibold text-indigo-600 hover:text-indigo-900">
+                        Resend email
+                      </button>
+                      <button onClick={handleCheckVerification} className="font-semibold text-indigo-600 hover:text-indigo-900">
+                        I've verified it
+                      </button>
+                    </span>
+                  </div>
+                )}
+                <ul className="space-y-2">
+                  {invitations.map(invitation => (
+                    <li key={`${invitation.storeId}/${invitation.id}`} className="flex justify-between items-center p-3 border rounded-lg">
+                      <span className="text-sm text-gray-700">
+                        <span className="font-semibold">{invitation.storeName || 'A store'}</span>
+                        {' as '}{ROLE_LABELS[invitation.role] || invitation.role}
+                        {invitation.invitedByEmail && <span className="block text-xs text-gray-500">from {invitation.invitedByEmail}</span>}
+                      </span>
+                      <span className="space-x-2">
+                        <button
+                          onClick={() => openWith(() => directory.acceptInvitation(user, invitation))}
+                          disabled={busy || needsVerification}
+                          className="px-3 py-1 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                          Accept
+                        </button>
+                        <button
+                          onClick={() => handleDecline(invitation)}
+                          disabled={busy}
+                          className="px-3 py-1 text-sm text-gray-600 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+                        >
+                          Decline
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {stores.length === 0 && invitations.length === 0 && (
+              <p className="text-gray-600 mb-6">
+                You aren't part of a store yet. Create one below, or ask a store owner to invite {user.email || 'you'}.
+              </p>
+            )}
+          </>
+        )}
+
+        <form onSubmit={handleCreate} className="flex space-x-2">
+          <input
+            type="text"
+            value={storeName}
+            onChange={(e) => setStoreName(e.target.value)}
+            placeholder="New store name"
+            aria-label="New store name"
+            className="flex-1 border border-gray-300 rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <button
+            type="submit"
+            disabled={busy || !storeName.trim()}
+            className="px-4 py-2 bg-green-500 text-white font-semibold rounded-lg hover:bg-green-600 disabled:opacity-50 shadow-md"
+          >
+            Create Store
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StorePicker;
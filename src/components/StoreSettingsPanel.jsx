@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { CURRENCIES } from '../lib/money';
+import { LOCALES, createFormatters } from '../lib/format';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500';
+
+const SAMPLE_CENTS = 123456;
+
+const BUSINESS_FIELDS = [
+  { field: 'name', label: 'Business name', placeholder: 'Defaults to the store name' },
+  { field: 'email', label: 'Email', type: 'email' },
+  { field: 'phone', label: 'Phone', type: 'tel' },
+  { field: 'taxId', label: 'Tax / VAT ID' },
+];
+
+/**
+ * The store's currency and display locale, the business details printed on
+ * invoices and packing slips, and the one-off conversion of documents that
+ * still store money as decimal amounts. `onCountLegacy` resolves to how many
+ * are left; `onMigrate` resolves truthy once done.
+ */
+const StoreSettingsPanel = ({ settings, onSave, onCountLegacy, onMigrate }) => {
+  const [currency, setCurrency] = useState(settings.currency);
+  const [locale, setLocale] = useState(settings.locale);
+  const [business, setBusiness] = useState(settings.business);
+  const [legacyCount, setLegacyCount] = useState(null);
+  const [isMigrating, setIsMigrating] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    onCountLegacy()
+      .then(count => { if (!cancelled) setLegacyCount(count); })
+      .catch(error => console.error("Error counting legacy amounts:", error));
+    return () => { cancelled = true; };
+  }, [onCountLegacy]);
+
+  const preview = createFormatters({ currency, locale });
+  const isCurrencyChanged = currency !== settings.currency;
+
+  // Each form saves its own fields alongside the other's saved values
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onSave({ currency, locale, business: settings.business });
+  };
+
+  const handleBusinessSubmit = async (e) => {
+    e.preventDefault();
+    const trimmed = Object.fromEntries(Object.entries(business).map(([field, value]) => [field, value.trim()]));
+    await onSave({ currency: settings.currency, locale: settings.locale, business: trimmed });
+  };
+
+  const updateBusiness = (field) => (e) => setBusiness(current => ({ ...current, [field]: e.target.value }));
+
+  const handleMigrate = async () => {
+    setIsMigrating(true);
+    await onMigrate();
+    setIsMigrating(false);
+    setLegacyCount(await onCountLegacy().catch(() => null));
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <form onSubmit={handleSubmit} className="bg-white p-6 rounded-xl shadow-lg h-fit space-y-4">
+        <h3 className="text-xl font-semibold text-gray-800 border-b pb-2">Currency & Locale</h3>
+        <label className="block text-sm font-medium text-gray-700">
+          Store currency
+          <select value={currency} onChange={(e) => setCurrency(e.target.value)} className={`${inputClass} mt-1 block w-full`}>
+            {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+        </label>
+        <label className="block text-sm font-medium text-gray-700">
+          Number and date format
+          <select value={locale} onChange={(e) => setLocale(e.target.value)} className={`${inputClass} mt-1 block w-full`}>
+            <option value="">Each viewer's browser</option>
+            {LOCALES.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+        </label>
+        <p className="text-sm text-gray-500">
+          Preview: {preview.money(SAMPLE_CENTS)} · {preview.dateTime(new Date().toISOString())}
+        </p>
+        {isCurrencyChanged && (
+          <p className="text-sm bg-yellow-50 text-yellow-800 p-3 rounded-lg">
+            Prices are not converted. Existing prices, coupons and shipping rates keep their amounts in {currency}; past orders keep the currency they were placed in.
+          </p>
+        )}
+        <div className="flex justify-end">
+          <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md">
+            Save Settings
+          </button>
+        </div>
+      </form>
+
+      <form onSubmit={handleBusinessSubmit} className="bg-white p-6 rounded-xl shadow-lg h-fit space-y-4">
+        <h3 className="text-xl font-semibold text-gray-800 border-b pb-2">Business Details</h3>
+        <p className="text-sm text-gray-500">
+          Printed at the top of invoices and packing slips. An invoice keeps the details it was issued with.
+        </p>
+        {BUSINESS_FIELDS.map(({ field, label, type = 'text', placeholder }) => (
+          <label key={field} className="block text-sm font-medium text-gray-700">
+            {label}
+            <input type={type} value={business[field]} onChange={updateBusiness(field)} placeholder={placeholder} className={`${inputClass} mt-1 block w-full`} />
+          </label>
+        ))}
+        <label className="block text-sm font-medium text-gray-700">
+          Address
+          <textarea value={business.address} onChange={updateBusiness('address')} rows="3" className={`${inputClass} mt-1 block w-full`} />
+        </label>
+        <div className="flex justify-end">
+          <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md">
+            Save Details
+          </button>
+        </div>
+      </form>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg h-fit">
+        <h3 className="text-xl font-semibold text-gray-800 mb-4 border-b pb-2">Stored Amounts</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Amounts are stored in whole cents. Records saved by earlier versions hold decimal dollar amounts; they are
+          converted whenever they are read, and converting them once here updates them for good.
+        </p>
+        {legacyCount === null ? (
+          <p className="text-sm text-gray-500">Checking...</p>
+        ) : legacyCount === 0 ? (
+          <p className="text-sm text-green-700">All records store amounts in cents.</p>
+        ) : (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-700">{legacyCount} record(s) still hold decimal amounts.</p>
+            <button
+              onClick={handleMigrate}
+              disabled={isMigrating}
+              className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md disabled:bg-gray-400"
+            >
+              {isMigrating ? 'Converting...' : 'Convert Now'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StoreSettingsPanel;
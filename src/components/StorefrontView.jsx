@@ -0,0 +1,292 @@
+import React, { useId, useState } from 'react';
+import useCart from '../hooks/useCart';
+import { getErrorMessage, InvalidCouponError } from '../lib/errors';
+import { buildLineItem } from '../lib/orders';
+import { getSellableItem, getVariants, hasVariants, itemKey } from '../lib/variants';
+import { ADDRESS_FIELDS, shopperToFormValues, validateShopper } from '../lib/customers';
+import { normalizeCouponCode, priceOrder } from '../lib/pricing';
+import useFormat from '../hooks/useFormat';
+
+// The order price as checkout will compute it. An unusable coupon is reported
+// in `couponError` and left out of the quote.
+const quoteOrder = (lineItems, { settings, currency }, coupons, couponCode) => {
+  if (!couponCode) return { quote: priceOrder(lineItems, { settings, currency }), couponError: null };
+  const coupon = coupons.find(candidate => candidate.id === couponCode);
+  try {
+    if (!coupon) throw new InvalidCouponError(couponCode, `Coupon ${couponCode} doesn't exist.`);
+    return { quote: priceOrder(lineItems, { settings, coupon, currency }), couponError: null };
+  } catch (error) {
+    if (!(error instanceof InvalidCouponError)) throw error;
+    return { quote: priceOrder(lineItems, { settings, currency }), couponError: error.message };
+  }
+};
+
+/**
+ * Customer-facing storefront: lists the live product catalog (with a choice
+ * of variant for products that have them), keeps a
+ * persistent cart, quotes it with the store's `pricingSettings` and an
+ * optional coupon, and checks it out for the shopper's own name, email and
+ * address through `onCheckout(items, { couponCode, shopper })`, which
+ * resolves to `{ queued }` (true when the order waits for the network).
+ * Checkout is disabled when `onCheckout` is null.
+ */
+const StorefrontView = ({ products, coupons, pricingSettings, cartStorageKey, onCheckout }) => {
+  const { items, addItem, removeItem, removeLine, clearCart } = useCart(cartStorageKey);
+  const format = useFormat();
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState(null); // the applied code, upper-cased
+  const [shopperValues, setShopperValues] = useState(shopperToFormValues);
+  const [showShopperErrors, setShowShopperErrors] = useState(false);
+  const [isCheckingOut, setIsCheckingOut] = useState(false);
+  const [checkoutResult, setCheckoutResult] = useState(null); // { type: 'success' | 'error', message }
+  const [chosenVariants, setChosenVariants] = useState({}); // productId -> variantId picked on its card
+
+  // Join cart lines against live product data; lines whose product (or variant) was deleted are dropped
+  const cartLines = items
+    .map(item => {
+      const product = products.find(p => p.id === item.productId);
+      return { ...item, variantId: item.variantId || null, product, item: product && getSellableItem(product, item.variantId) };
+    })
+    .filter(line => line.item);
+  const quantityInCart = (productId, variantId) =>
+    cartLines.find(line => itemKey(line.productId, line.variantId) === itemKey(productId, variantId))?.quantity || 0;
+
+  // The card's variant: the one picked, else the first in stock, else the first
+  const chosenVariant = (product) => {
+    const variants = getVariants(product);
+    return variants.find(variant => variant.id === chosenVariants[product.id])
+      || variants.find(variant => variant.stock > 0)
+      || variants[0];
+  };
+
+  const { quote, couponError } = quoteOrder(
+    cartLines.map(line => buildLineItem(line.productId, line.product, line.quantity, line.variantId)),
+    { settings: pricingSettings, currency: format.currency },
+    coupons,
+    couponCode
+  );
+  const cartCount = cartLines.reduce((sum, line) => sum + line.quantity, 0);
+  const { errors: shopperErrors, data: shopper } = validateShopper(shopperValues);
+  const hasShopperErrors = Object.keys(shopperErrors).length > 0;
+  const fieldIdPrefix = useId();
+
+  const applyCoupon = (e) => {
+    e.preventDefault();
+    setCouponCode(normalizeCouponCode(couponInput) || null);
+  };
+
+  const removeCoupon = () => {
+    setCouponCode(null);
+    setCouponInput('');
+  };
+
+  const shopperFieldProps = (field) => ({
+    id: `${fieldIdPrefix}-${field}`,
+    value: shopperValues[field],
+    onChange: (e) => setShopperValues(current => ({ ...current, [field]: e.target.value })),
+    className: `mt-1 w-full border rounded-lg p-2 text-sm ${showShopperErrors && shopperErrors[field] ? 'border-red-500' : 'border-gray-300'}`,
+  });
+  const shopperError = (field) => showShopperErrors && shopperErrors[field] && (
+    <p className="mt-1 text-xs text-red-600">{shopperErrors[field]}</p>
+  );
+
+  const handleCheckout = async () => {
+    if (cartLines.length === 0) return;
+    if (hasShopperErrors) {
+      setShowShopperErrors(true);
+      return;
+    }
+    setIsCheckingOut(true);
+    setCheckoutResult(null);
+    try {
+      const { queued } = await onCheckout(
+        cartLines.map(line => ({ productId: line.productId, variantId: line.variantId, quantity: line.quantity })),
+        { couponCode, shopper }
+      );
+      clearCart();
+      removeCoupon();
+      setShopperValues(shopperToFormValues());
+      setShowShopperErrors(false);
+      setCheckoutResult(queued
+        ? { type: 'success', message: "You're offline. Your order is saved and will be placed as soon as you reconnect." }
+        : { type: 'success', message: 'Thank you! Your order has been placed.' });
+    } catch (error) {
+      setCheckoutResult({ type: 'error', message: getErrorMessage(error, 'Checkout failed. Please try again.') });
+    } finally {
+      setIsCheckingOut(false);
+    }
+  };
+
+  return (
+    <div className="p-4 grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <section className="lg:col-span-2">
+        <h2 className="text-3xl font-bold text-gray-800 mb-6">Shop</h2>
+        {products.length === 0 ? (
+          <p className="text-gray-500 italic">No products are available right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-4">
+            {products.map(product => {
+              const variant = hasVariants(product) ? chosenVariant(product) : null;
+              const item = getSellableItem(product, variant?.id);
+              const available = item.stock - quantityInCart(product.id, variant?.id || null);
+              return (
+                <div key={product.id} className="bg-white p-4 rounded-xl shadow-md border border-gray-100 flex flex-col justify-between">
+                  <div>
+                    {product.imageUrls?.length > 0 ? (
+                      <img src={product.imageUrls[0]} alt={product.name} className="h-32 w-full mb-3 rounded-lg object-cover" />
+                    ) : (
+                      <div className="h-32 mb-3 rounded-lg bg-indigo-100 flex items-center justify-center text-4xl font-extrabold text-indigo-400">
+                        {(product.name || '?').charAt(0).toUpperCase()}
+                      </div>
+                    )}
+                    {product.category && <p className="text-xs uppercase tracking-wide text-gray-400">{product.category}</p>}
+                    <h3 className="text-lg font-bold text-gray-900">{product.name}</h3>
+                    {product.description && <p className="text-sm text-gray-600 my-1">{product.description}</p>}
+                    {variant && (
+                      <select
+                        value={variant.id}
+                        onChange={(e) => setChosenVariants(current => ({ ...current, [product.id]: e.target.value }))}
+                        className="mt-1 w-full border border-gray-300 rounded-lg p-1 text-sm"
+                        aria-label={`Variant of ${product.name}`}
+                      >
+                        {product.variants.map(option => (
+                          <option key={option.id} value={option.id}>{option.name}{option.stock > 0 ? '' : ' (out of stock)'}</option>
+                        ))}
+                      </select>
+                    )}
+                    <p className="text-indigo-600 font-semibold my-1">{format.money(item.priceCents)}</p>
+                    <p className={`text-xs ${item.stock > 0 ? 'text-gray-500' : 'text-red-600 font-semibold'}`}>
+                      {item.stock > 0 ? `${item.stock} in stock` : 'Out of stock'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => addItem(product.id, variant?.id || null, item.stock)}
+                    disabled={available <= 0}
+                    className="mt-3 bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium py-2 px-4 rounded-lg transition duration-150"
+                  >
+                    {available <= 0 && item.stock > 0 ? 'All Stock in Cart' : 'Add to Cart'}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </section>
+
+      <aside className="bg-white p-6 rounded-xl shadow-lg h-fit lg:sticky lg:top-4">
+        <h2 className="text-2xl font-semibold mb-4 text-gray-800 border-b pb-2">Your Cart ({cartCount})</h2>
+        {cartLines.length === 0 ? (
+          <p className="text-gray-500 italic">Cart is empty.</p>
+        ) : (
+          <ul className="space-y-3">
+            {cartLines.map(line => {
+              const overStock = line.quantity > line.item.stock;
+              return (
+                <li key={itemKey(line.productId, line.variantId)} className="flex justify-between items-center text-sm p-2 border-b border-gray-100">
+                  <div className="flex-1">
+                    <span className="font-medium">{line.item.name}</span>
+                    <span className="text-gray-500 ml-2">({format.money(line.item.priceCents)} x {line.quantity})</span>
+                    {overStock && <p className="text-xs text-red-600">Only {line.item.stock} left in stock</p>}
+                  </div>
+                  <div className="flex items-center space-x-1 ml-4">
+                    <button onClick={() => removeItem(line.productId, line.variantId)} className="px-2 rounded hover:bg-gray-100" title="Remove one">-</button>
+                    <button
+                      onClick={() => addItem(line.productId, line.variantId, line.item.stock)}
+                      disabled={line.quantity >= line.item.stock}
+                      className="px-2 rounded hover:bg-gray-100 disabled:text-gray-300"
+                      title="Add one"
+                    >
+                      +
+                    </button>
+                    <button onClick={() => removeLine(line.productId, line.variantId)} className="text-red-500 hover:text-red-700 font-bold px-2" title="Remove from cart">
+                      &times;
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <fieldset className="mt-6">
+          <legend className="text-sm font-semibold text-gray-800 mb-2">Your Details</legend>
+          <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+            <div className="col-span-2">
+              <label htmlFor={`${fieldIdPrefix}-name`} className="block text-xs font-medium text-gray-600">Name</label>
+              <input {...shopperFieldProps('name')} type="text" autoComplete="name" />
+              {shopperError('name')}
+            </div>
+            <div className="col-span-2">
+              <label htmlFor={`${fieldIdPrefix}-email`} className="block text-xs font-medium text-gray-600">Email</label>
+              <input {...shopperFieldProps('email')} type="email" autoComplete="email" />
+              {shopperError('email')}
+            </div>
+            {ADDRESS_FIELDS.map(({ field, label }) => (
+              <div key={field} className={field.startsWith('line') ? 'col-span-2' : ''}>
+                <label htmlFor={`${fieldIdPrefix}-${field}`} className="block text-xs font-medium text-gray-600">{label}</label>
+                <input {...shopperFieldProps(field)} type="text" />
+                {shopperError(field)}
+              </div>
+            ))}
+          </div>
+        </fieldset>
+
+        <form onSubmit={applyCoupon} className="mt-4 flex space-x-2">
+          <input
+            type="text"
+            value={couponInput}
+            onChange={(e) => setCouponInput(e.target.value)}
+            placeholder="Coupon code"
+            aria-label="Coupon code"
+            className="flex-1 border border-gray-300 rounded-lg p-2 text-sm uppercase"
+          />
+          {couponCode ? (
+            <button type="button" onClick={removeCoupon} className="px-3 py-2 text-sm font-semibold text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300">
+              Remove
+            </button>
+          ) : (
+            <button type="submit" disabled={!couponInput.trim()} className="px-3 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:bg-gray-300">
+              Apply
+            </button>
+          )}
+        </form>
+        {couponError && <p className="mt-2 text-xs text-red-600">{couponError}</p>}
+
+        <div className="mt-4 pt-4 border-t border-gray-200">
+          <dl className="text-sm text-gray-600 space-y-1 mb-2">
+            <div className="flex justify-between"><dt>Subtotal</dt><dd>{format.money(quote.subtotalCents)}</dd></div>
+            {quote.discountCents > 0 && (
+              <div className="flex justify-between text-green-700">
+                <dt>Discount ({quote.coupon.code})</dt>
+                <dd>-{format.money(quote.discountCents)}</dd>
+              </div>
+            )}
+            <div className="flex justify-between"><dt>Shipping</dt><dd>{format.money(quote.shippingCents)}</dd></div>
+            {quote.taxes.map(entry => (
+              <div key={entry.id} className="flex justify-between"><dt>{entry.name} tax ({entry.rate}%)</dt><dd>{format.money(entry.amountCents)}</dd></div>
+            ))}
+          </dl>
+          <div className="flex justify-between font-bold text-lg">
+            <span>Total:</span>
+            <span>{format.money(quote.totalCents)}</span>
+          </div>
+          <button
+            onClick={handleCheckout}
+            disabled={!onCheckout || cartLines.length === 0 || isCheckingOut || Boolean(couponError)}
+            className="mt-4 w-full bg-green-500 hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-bold py-3 px-6 rounded-xl transition duration-200 shadow-md"
+          >
+            {isCheckingOut ? 'Placing Order...' : 'Checkout'}
+          </button>
+          {!onCheckout && <p className="mt-3 text-sm text-gray-500">Your role can browse the store but not place orders.</p>}
+          {checkoutResult && (
+            <p className={`mt-3 text-sm ${checkoutResult.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+              {checkoutResult.message}
+            </p>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default StorefrontView;
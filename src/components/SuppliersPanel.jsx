@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+
+const EMPTY_FORM = { name: '', email: '', phone: '', leadTimeDays: '' };
+
+/**
+ * Supplier list with an inline add/edit form.
+ */
+const SuppliersPanel = ({ suppliers, onSave, onDelete }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const startEdit = (supplier) => {
+    setEditingId(supplier.id);
+    setForm({
+      name: supplier.name || '',
+      email: supplier.email || '',
+      phone: supplier.phone || '',
+      leadTimeDays: supplier.leadTimeDays ?? '',
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    const saved = await onSave(editingId, {
+      name: form.name.trim(),
+      email: form.email.trim(),
+      phone: form.phone.trim(),
+      leadTimeDays: form.leadTimeDays === '' ? null : parseInt(form.leadTimeDays, 10) || 0,
+    });
+    if (saved) resetForm();
+  };
+
+  const updateField = (field) => (e) => setForm(current => ({ ...current, [field]: e.target.value }));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="lg:col-span-2 overflow-x-auto bg-white rounded-xl shadow-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lead Time</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {suppliers.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="px-6 py-4 text-center text-gray-500">No suppliers yet. Add one to start ordering stock.</td>
+              </tr>
+            ) : (
+              suppliers.map(supplier => (
+                <tr key={supplier.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{supplier.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {supplier.email && <div>{supplier.email}</div>}
+                    {supplier.phone && <div>{supplier.phone}</div>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {supplier.leadTimeDays !== null && supplier.leadTimeDays !== undefined ? `${supplier.leadTimeDays} day(s)` : '-'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                    <button onClick={() => startEdit(supplier)} className="text-indigo-600 hover:text-indigo-900 px-2 py-1 rounded-lg hover:bg-indigo-50">Edit</button>
+                    <button onClick={() => onDelete(supplier.id)} className="text-red-600 hover:text-red-900 px-2 py-1 rounded-lg hover:bg-red-50">Delete</button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white p-6 rounded-xl shadow-lg h-fit">
+        <h3 className="text-xl font-semibold text-gray-800 mb-4 border-b pb-2">{editingId ? 'Edit Supplier' : 'Add Supplier'}</h3>
+        {[
+          { field: 'name', label: 'Name', type: 'text', required: true },
+          { field: 'email', label: 'Email', type: 'email' },
+          { field: 'phone', label: 'Phone', type: 'tel' },
+          { field: 'leadTimeDays', label: 'Lead Time (days)', type: 'number' },
+        ].map(({ field, label, type, required }) => (
+          <div key={field} className="mb-3">
+            <label htmlFor={`supplier-${field}`} className="block text-sm font-medium text-gray-700">{label}</label>
+            <input
+              id={`supplier-${field}`}
+              type={type}
+              min={type === 'number' ? '0' : undefined}
+              value={form[field]}
+              onChange={updateField(field)}
+              required={required}
+              className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+        ))}
+        <div className="flex justify-end space-x-3 mt-4">
+          {editingId && (
+            <button type="button" onClick={resetForm} className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded-lg hover:bg-gray-300 transition duration-150">
+              Cancel
+            </button>
+          )}
+          <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md">
+            {editingId ? 'Update Supplier' : 'Add Supplier'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SuppliersPanel;
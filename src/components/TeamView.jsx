@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { ROLES, ROLE_LABELS, ROLE_DESCRIPTIONS, hasPermission, getInvitableRoles } from '../lib/permissions';
+
+/**
+ * Store team: members with their roles, open invitations and an invite form.
+ * What is editable follows the current user's `role`; the founding owner
+ * (`ownerId`) is always shown read-only. `actions` resolve to true on success.
+ */
+const TeamView = ({ members, invitations, role, userId, ownerId, actions }) => {
+  const invitableRoles = getInvitableRoles(role);
+  const canManage = hasPermission(role, 'team.manage');
+  const canInvite = hasPermission(role, 'team.invite');
+
+  const [email, setEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState(invitableRoles.includes(ROLES.CLERK) ? ROLES.CLERK : invitableRoles[0]);
+
+  const sortedMembers = [...members].sort((a, b) =>
+    Object.values(ROLES).indexOf(a.role) - Object.values(ROLES).indexOf(b.role) || (a.email || '').localeCompare(b.email || '')
+  );
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    if (await actions.invite(email, inviteRole)) setEmail('');
+  };
+
+  return (
+    <div className="p-6">
+      <h2 className="text-3xl font-bold text-gray-800 mb-6">Team</h2>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          <div className="overflow-x-auto bg-white rounded-xl shadow-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Member</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {sortedMembers.length === 0 ? (
+                  <tr>
+                    <td colSpan="3" className="px-6 py-4 text-center text-gray-500">No members yet.</td>
+                  </tr>
+                ) : (
+                  sortedMembers.map(member => {
+                    const isFounder = member.id === ownerId;
+                    const isSelf = member.id === userId;
+                    const editable = canManage && !isFounder;
+                    return (
+                      <tr key={member.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {member.email || member.id}
+                          {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                          {isFounder && <span className="ml-2 text-xs text-gray-500">(founder)</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {editable ? (
+                            <select
+                              value={member.role}
+                              onChange={(e) => actions.changeRole(member, e.target.value)}
+                              className="border border-gray-300 rounded-lg p-1"
+                              aria-label={`Role for ${member.email || member.id}`}
+                            >
+                              {Object.values(ROLES).map(option => <option key={option} value={option}>{ROLE_LABELS[option]}</option>)}
+                            </select>
+                          ) : (
+                            ROLE_LABELS[member.role] || member.role
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          {!isFounder && (editable || isSelf) && (
+                            <button
+                              onClick={() => actions.removeMember(member)}
+                              className="text-red-600 hover:text-red-900 px-2 py-1 rounded-lg hover:bg-red-50"
+                            >
+                              {isSelf ? 'Leave' : 'Remove'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {canInvite && (
+            <div className="overflow-x-auto bg-white rounded-xl shadow-lg">
+              <h3 className="text-xl font-semibold text-gray-800 p-4 pb-2">Open Invitations</h3>
+              {invitations.length === 0 ? (
+                <p className="px-4 pb-4 text-sm text-gray-500">No open invitations.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {invitations.map(invitation => (
+                    <li key={invitation.id} className="flex justify-between items-center px-4 py-3 text-sm">
+                      <span className="text-gray-900">
+                        {invitation.email}
+                        <span className="ml-2 text-gray-500">{ROLE_LABELS[invitation.role] || invitation.role}</span>
+                      </span>
+                      {invitableRoles.includes(invitation.role) && (
+                        <button
+                          onClick={() => actions.revokeInvitation(invitation.email)}
+                          className="text-red-600 hover:text-red-900 px-2 py-1 rounded-lg hover:bg-red-50"
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-6">
+          {canInvite && (
+            <form onSubmit={handleInvite} className="bg-white p-6 rounded-xl shadow-lg h-fit">
+              <h3 className="text-xl font-semibold text-gray-800 mb-4 border-b pb-2">Invite Someone</h3>
+              <div className="mb-3">
+                <label htmlFor="invite-email" className="block text-sm font-medium text-gray-700">Email</label>
+                <input
+                  id="invite-email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </div>
+              <div className="mb-3">
+                <label htmlFor="invite-role" className="block text-sm font-medium text-gray-700">Role</label>
+                <select
+                  id="invite-role"
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2"
+                >
+                  {invitableRoles.map(option => <option key={option} value={option}>{ROLE_LABELS[option]}</option>)}
+                </select>
+              </div>
+              <p className="text-xs text-gray-500 mb-4">
+                They sign in with this email and accept the invitation when choosing a store.
+              </p>
+              <div className="flex justify-end">
+                <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md">
+                  Send Invitation
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h3 className="text-xl font-semibold text-gray-800 mb-4 border-b pb-2">Roles</h3>
+            <dl className="space-y-2 text-sm">
+              {Object.values(ROLES).map(option => (
+                <div key={option}>
+                  <dt className="font-semibold text-gray-800">{ROLE_LABELS[option]}</dt>
+                  <dd className="text-gray-500">{ROLE_DESCRIPTIONS[option]}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamView;
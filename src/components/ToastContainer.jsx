@@ -0,0 +1,43 @@
+import React from 'react';
+
+const TOAST_STYLES = {
+  success: 'bg-green-600 text-white',
+  error: 'bg-red-600 text-white',
+  info: 'bg-gray-800 text-white',
+};
+
+/**
+ * Renders the toasts from useToasts, newest at the bottom.
+ */
+const ToastContainer = ({ toasts, onDismiss }) => (
+  <div className="fixed bottom-4 right-4 z-[60] flex flex-col space-y-2 w-80" role="status" aria-live="polite">
+    {toasts.map(toast => (
+      <div
+        key={toast.id}
+        className={`flex items-start justify-between p-3 rounded-lg shadow-lg text-sm ${TOAST_STYLES[toast.type] || TOAST_STYLES.info}`}
+      >
+        <span className="flex-1">{toast.message}</span>
+        {toast.action && (
+          <button
+            onClick={() => {
+              toast.action.onClick();
+              onDismiss(toast.id);
+            }}
+            className="ml-3 font-semibold underline whitespace-nowrap hover:opacity-75"
+          >
+            {toast.action.label}
+          </button>
+        )}
+        <button
+          onClick={() => onDismiss(toast.id)}
+          className="ml-3 font-bold opacity-75 hover:opacity-100"
+          aria-label="Dismiss notification"
+        >
+          &times;
+        </button>
+      </div>
+    ))}
+  </div>
+);
+
+export default ToastContainer;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import Pagination from '../Pagination';
+
+describe('Pagination', () => {
+  it('labels each page size select on a page with two lists', () => {
+    const onFirstSize = jest.fn();
+    const onSecondSize = jest.fn();
+    render(
+      <>
+        <Pagination page={1} pageCount={2} total={30} pageSize={25} onPageChange={jest.fn()} onPageSizeChange={onFirstSize} />
+        <Pagination page={1} pageCount={1} total={3} pageSize={25} onPageChange={jest.fn()} onPageSizeChange={onSecondSize} />
+      </>
+    );
+
+    const [first, second] = screen.getAllByLabelText('Rows per page');
+    expect(first.id).not.toBe(second.id);
+
+    fireEvent.change(second, { target: { value: '50' } });
+    expect(onSecondSize).toHaveBeenCalledWith(50);
+    expect(onFirstSize).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import ProductListView from '../ProductListView';
+import { RouteContext, useHashRouter } from '../../hooks/useRoute';
+
+const PRODUCTS = [
+  { id: 'wallet', name: 'Leather Wallet', category: 'Accessories', priceCents: 4500, stock: 25, updatedAt: '2026-01-02T10:00:00.000Z' },
+  {
+    id: 'tee',
+    name: 'Vintage T-Shirt',
+    category: 'Apparel',
+    priceCents: 2999,
+    stock: 40,
+    variants: [
+      { id: 's', name: 'S', sku: 'TSH-S', priceCents: 2999, stock: 15 },
+      { id: 'm', name: 'M', sku: 'TSH-M', priceCents: 3299, stock: 25 },
+    ],
+    updatedAt: '2026-01-03T10:00:00.000Z',
+  },
+  { id: 'headphones', name: 'Noise-Cancelling Headphones', priceCents: 12550, stock: 2, updatedAt: '2026-01-04T10:00:00.000Z' },
+  { id: 'mug', name: 'Enamel Mug', priceCents: 1200, stock: 0, updatedAt: '2026-01-05T10:00:00.000Z', archivedAt: '2026-02-01T10:00:00.000Z' },
+];
+
+// List state lives in the URL hash, so the view needs the app's router
+const Routed = ({ children }) => <RouteContext.Provider value={useHashRouter()}>{children}</RouteContext.Provider>;
+
+const renderList = (props = {}) => render(
+  <Routed>
+    <ProductListView products={PRODUCTS} onShowHistory={jest.fn()} {...props} />
+  </Routed>
+);
+
+const rowNames = () => screen.getAllByRole('row').slice(1).map(row => within(row).getByRole('link').textContent);
+
+describe('ProductListView', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '#/products');
+  });
+
+  it('lists products by name with links to their pages', () => {
+    renderList();
+    expect(rowNames()).toEqual(['Leather Wallet', 'Noise-Cancelling Headphones', 'Vintage T-Shirt']);
+    expect(screen.getByRole('link', { name: 'Leather Wallet' })).toHaveProperty('hash', '#/products/wallet');
+  });
+
+  it('keeps the search box focused while filtering', () => {
+    renderList();
+    const search = screen.getByPlaceholderText('Search by name, SKU, category or tag...');
+    search.focus();
+
+    fireEvent.change(search, { target: { value: 'wal' } });
+    fireEvent.change(search, { target: { value: 'wall' } });
+
+    expect(document.activeElement).toBe(search);
+    expect(search.value).toBe('wall');
+    expect(rowNames()).toEqual(['Leather Wallet']);
+    expect(window.location.hash).toBe('#/products?search=wall');
+  });
+
+  it('filters by category and finds products by a variant SKU', () => {
+    renderList();
+    fireEvent.change(screen.getByLabelText('Filter by category'), { target: { value: 'Apparel' } });
+    expect(rowNames()).toEqual(['Vintage T-Shirt']);
+    expect(screen.getByText('M: 25')).toBeTruthy();
+    expect(screen.getByText('$29.99 - $32.99')).toBeTruthy();
+
+    fireEvent.change(screen.getByLabelText('Filter by category'), { target: { value: '' } });
+    fireEvent.change(screen.getByPlaceholderText('Search by name, SKU, category or tag...'), { target: { value: 'tsh-m' } });
+    expect(rowNames()).toEqual(['Vintage T-Shirt']);
+  });
+
+  it('hides the actions the role has no callback for', () => {
+    renderList();
+    expect(screen.queryByTitle('Edit Product')).toBeNull();
+    expect(screen.queryByTitle('Delete Product')).toBeNull();
+    expect(screen.queryByText('Import')).toBeNull();
+  });
+
+  it('hands row actions to the parent', () => {
+    const onEdit = jest.fn();
+    const onDelete = jest.fn();
+    renderList({ onEdit, onDelete });
+
+    fireEvent.click(screen.getAllByTitle('Delete Product')[0]);
+    expect(onDelete).toHaveBeenCalledWith('wallet');
+
+    fireEvent.click(screen.getByText('Add Product'));
+    expect(onEdit).toHaveBeenCalledWith(null);
+  });
+
+  it('lists archived products under their own filter, with restore and permanent delete', () => {
+    const onDelete = jest.fn();
+    const onRestore = jest.fn();
+    const onDeletePermanently = jest.fn();
+    renderList({ onDelete, onRestore, onDeletePermanently });
+
+    fireEvent.click(screen.getByLabelText('Archived'));
+    expect(rowNames()).toEqual(['Enamel Mug']);
+    expect(window.location.hash).toBe('#/products?archived=1');
+    expect(screen.queryByTitle('Delete Product')).toBeNull();
+
+    fireEvent.click(screen.getByTitle('Restore Product'));
+    expect(onRestore).toHaveBeenCalledWith('mug');
+    fireEvent.click(screen.getByTitle('Delete Permanently'));
+    expect(onDeletePermanently).toHaveBeenCalledWith('mug');
+    expect(onDelete).not.toHaveBeenCalled();
+  });
+
+  it('offers bulk actions for the selected products', () => {
+    const onBulkAction = jest.fn();
+    renderList({ onBulkAction });
+    expect(screen.queryByText(/selected/)).toBeNull();
+
+    fireEvent.click(screen.getByLabelText('Select all on this page'));
+    fireEvent.click(screen.getByLabelText('Select Vintage T-Shirt'));
+    expect(screen.getByText('2 selected')).toBeTruthy();
+
+    fireEvent.change(screen.getByLabelText('Price change (%)'), { target: { value: '-15' } });
+    fireEvent.click(screen.getByText('Adjust Price'));
+    expect(onBulkAction).toHaveBeenCalledWith(['wallet', 'headphones'], { type: 'adjustPrice', percent: -15 });
+
+    fireEvent.click(screen.getByText('Clear'));
+    expect(screen.queryByText(/selected/)).toBeNull();
+  });
+});
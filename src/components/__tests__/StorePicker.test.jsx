@@ -0,0 +1,50 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import StorePicker from '../StorePicker';
+
+const INVITATION = { id: 'ada@example.com', storeId: 'store-1', storeName: 'Corner Shop', role: 'clerk' };
+
+const renderPicker = (user, props = {}) => {
+  const directory = {
+    listStores: jest.fn(async () => []),
+    listInvitations: jest.fn(async () => [INVITATION]),
+    acceptInvitation: jest.fn(async () => ({ id: 'store-1' })),
+  };
+  render(
+    <StorePicker
+      user={user}
+      directory={directory}
+      onSelect={jest.fn()}
+      onSignOut={jest.fn()}
+      onSendVerification={jest.fn(async () => {})}
+      onRefreshUser={jest.fn(async () => user)}
+      {...props}
+    />
+  );
+  return directory;
+};
+
+describe('StorePicker', () => {
+  it('accepts an invitation from a verified address', async () => {
+    const onSelect = jest.fn();
+    const directory = renderPicker({ uid: 'ada', email: 'ada@example.com', emailVerified: true }, { onSelect });
+
+    fireEvent.click(await screen.findByText('Accept'));
+    await waitFor(() => expect(onSelect).toHaveBeenCalledWith({ id: 'store-1' }));
+    expect(directory.acceptInvitation).toHaveBeenCalledWith(expect.objectContaining({ uid: 'ada' }), INVITATION);
+  });
+
+  it('asks for a verified email before accepting an invitation', async () => {
+    const user = { uid: 'ada', email: 'ada@example.com', emailVerified: false };
+    const onSendVerification = jest.fn(async () => {});
+    renderPicker(user, { onSendVerification });
+
+    expect((await screen.findByText('Accept')).disabled).toBe(true);
+    fireEvent.click(screen.getByText('Resend email'));
+    expect(await screen.findByText('Verification email sent to ada@example.com.')).toBeTruthy();
+    expect(onSendVerification).toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText("I've verified it"));
+    expect((await screen.findByRole('alert')).textContent).toMatch("ada@example.com isn't verified yet");
+  });
+});
@@ -0,0 +1,43 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import StorefrontView from '../StorefrontView';
+
+const PRODUCTS = [{ id: 'wallet', name: 'Leather Wallet', priceCents: 4500, stock: 25 }];
+
+const renderStorefront = (onCheckout) => render(
+  <StorefrontView products={PRODUCTS} coupons={[]} pricingSettings={null} cartStorageKey="cart:test" onCheckout={onCheckout} />
+);
+
+const fillIn = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+describe('StorefrontView', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('checks out with the details the shopper types in', async () => {
+    const onCheckout = jest.fn().mockResolvedValue({ queued: false });
+    renderStorefront(onCheckout);
+    fireEvent.click(screen.getByRole('button', { name: 'Add to Cart' }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Checkout' }));
+    expect(screen.getByText('Name is required.')).toBeTruthy();
+    expect(onCheckout).not.toHaveBeenCalled();
+
+    fillIn('Name', 'Ada Lovelace');
+    fillIn('Email', 'ada@example.com');
+    fillIn('Address line 1', '12 St James Square');
+    fireEvent.click(screen.getByRole('button', { name: 'Checkout' }));
+
+    await waitFor(() => expect(screen.getByText('Thank you! Your order has been placed.')).toBeTruthy());
+    expect(onCheckout).toHaveBeenCalledWith([{ productId: 'wallet', variantId: null, quantity: 1 }], {
+      couponCode: null,
+      shopper: {
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        address: expect.objectContaining({ line1: '12 St James Square', city: '' }),
+      },
+    });
+    expect(screen.getByLabelText('Name').value).toBe('');
+  });
+});
@@ -0,0 +1,28 @@
+import { createLocalBackend } from '../localBackend';
+
+const STORAGE_KEY = 'local-backend:test';
+
+// What another tab sharing the storage key does when it writes
+const writeFromAnotherTab = (collections) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(collections));
+  window.dispatchEvent(new StorageEvent('storage', { key: STORAGE_KEY }));
+};
+
+describe('createLocalBackend', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('follows other tabs until disposed', () => {
+    const backend = createLocalBackend({ storageKey: STORAGE_KEY, storage: window.localStorage });
+    const onChange = jest.fn();
+    backend.subscribe('products', onChange);
+
+    writeFromAnotherTab({ products: { mug: { name: 'Mug' } } });
+    expect(onChange).toHaveBeenLastCalledWith([{ id: 'mug', name: 'Mug' }]);
+
+    backend.dispose();
+    writeFromAnotherTab({ products: {} });
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,12 @@
+// Collection names shared by every backend
+export const PRODUCTS = 'products';
+export const ORDERS = 'orders';
+export const STOCK_MOVEMENTS = 'stockMovements';
+export const SUPPLIERS = 'suppliers';
+export const PURCHASE_ORDERS = 'purchaseOrders';
+export const MEMBERS = 'members';
+export const INVITATIONS = 'invitations';
+export const COUPONS = 'coupons';
+export const SETTINGS = 'settings';
+export const CUSTOMERS = 'customers';
+export const COUNTERS = 'counters';
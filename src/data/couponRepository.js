@@ -0,0 +1,38 @@
+import { COUPONS } from './collections';
+import { normalizeCouponCode } from '../lib/pricing';
+import { InvalidStateError, ValidationError } from '../lib/errors';
+import { normalizeCoupon } from '../lib/legacyMoney';
+
+/**
+ * Coupons, keyed by their upper-cased code so checkout can read one inside
+ * the order transaction:
+ *   { code, type, value, amountCents, buyQuantity, getQuantity, productIds,
+ *     minSubtotalCents, expiresAt, usageLimit, usageCount, active }
+ * `value` is the percentage off and `amountCents` the fixed amount off.
+ * `usageCount` only moves when an order using the coupon is placed.
+ */
+export const createCouponRepository = (backend) => ({
+  subscribe: (onChange, onError) =>
+    backend.subscribe(COUPONS, (coupons) => onChange(coupons.map(normalizeCoupon)), onError),
+
+  create: (couponData) => {
+    const code = normalizeCouponCode(couponData.code);
+    if (!code) throw new ValidationError('Enter a coupon code.', { code: 'Enter a coupon code.' });
+    return backend.runTransaction(async (tx) => {
+      if (await tx.get(COUPONS, code)) {
+        throw new InvalidStateError(`Coupon ${code} already exists.`);
+      }
+      const now = new Date().toISOString();
+      tx.set(COUPONS, code, { ...couponData, code, usageCount: 0, createdAt: now, updatedAt: now });
+      return code;
+    });
+  },
+
+  // The code is the document ID, so it can't change; redemptions are kept
+  update: (code, couponData) => {
+    const { code: ignoredCode, usageCount, ...data } = couponData;
+    return backend.update(COUPONS, code, { ...data, updatedAt: new Date().toISOString() });
+  },
+
+  remove: (code) => backend.remove(COUPONS, code),
+});
@@ -0,0 +1,19 @@
+import { CUSTOMERS } from './collections';
+
+/**
+ * Customers (see lib/customers for the shape). There is no delete: orders
+ * keep pointing at the customer they were placed for.
+ */
+export const createCustomerRepository = (backend) => ({
+  subscribe: (onChange, onError) => backend.subscribe(CUSTOMERS, onChange, onError),
+
+  create: async (customerData) => {
+    const now = new Date().toISOString();
+    const id = backend.newId(CUSTOMERS);
+    await backend.set(CUSTOMERS, id, { ...customerData, createdAt: now, updatedAt: now });
+    return id;
+  },
+
+  update: (customerId, customerData) =>
+    backend.update(CUSTOMERS, customerId, { ...customerData, updatedAt: new Date().toISOString() }),
+});
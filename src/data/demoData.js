@@ -0,0 +1,58 @@
+import { toStoredVariants } from '../lib/variants';
+
+// Starter data for the local backend: the V1 store's PRODUCTS (with their
+// images) and a few customers to sell to, stored as the repositories store them
+
+const now = new Date().toISOString();
+
+const image = (colour, text) => `https://placehold.co/400x300/${colour}/ffffff?text=${text}`;
+
+const product = (name, priceCents, stock, { variants, ...details } = {}) => ({
+  name,
+  priceCents,
+  stock,
+  description: '',
+  tags: [],
+  imageUrls: [],
+  ...details,
+  ...(variants ? toStoredVariants(variants) : {}),
+  createdAt: now,
+  updatedAt: now,
+});
+
+const variant = (id, name, sku, priceCents, stock) => ({ id, name, sku, priceCents, stock });
+
+const customer = (name, email, address) => ({
+  name,
+  email,
+  phone: '',
+  notes: '',
+  address: { line1: '', line2: '', region: '', ...address },
+  createdAt: now,
+  updatedAt: now,
+});
+
+export const DEMO_DATA = {
+  products: {
+    'demo-vintage-t-shirt': product('Vintage T-Shirt', 2999, 40, {
+      sku: 'TSH-VIN',
+      category: 'Apparel',
+      tags: ['cotton'],
+      imageUrls: [image('4F46E5', 'Shirt')],
+      variants: [
+        variant('s', 'S', 'TSH-VIN-S', 2999, 10),
+        variant('m', 'M', 'TSH-VIN-M', 2999, 15),
+        variant('l', 'L', 'TSH-VIN-L', 2999, 15),
+      ],
+    }),
+    'demo-leather-wallet': product('Leather Wallet', 4500, 25, { sku: 'WAL-LTH', category: 'Accessories', imageUrls: [image('10B981', 'Wallet')] }),
+    'demo-espresso-maker': product('Espresso Maker', 19995, 8, { sku: 'KIT-ESP', category: 'Kitchen', imageUrls: [image('F59E0B', 'Coffee')] }),
+    'demo-headphones': product('Noise-Cancelling Headphones', 12550, 4, { sku: 'AUD-NCH', category: 'Audio', imageUrls: [image('EF4444', 'Headphones')] }),
+  },
+  customers: {
+    'demo-ada-lovelace': customer('Ada Lovelace', 'ada@example.com', { line1: '12 St James Square', city: 'London', postalCode: 'SW1Y 4JH', country: 'United Kingdom' }),
+    'demo-grace-hopper': customer('Grace Hopper', 'grace@example.com', { line1: '200 Park Ave', city: 'New York', region: 'NY', postalCode: '10166', country: 'United States' }),
+    'demo-alan-turing': customer('Alan Turing', 'alan@example.com', { line1: '1 Bletchley Park', city: 'Milton Keynes', postalCode: 'MK3 6EB', country: 'United Kingdom' }),
+  },
+  orders: {},
+};
@@ -0,0 +1,62 @@
+import {
+  onAuthStateChanged, signInWithCustomToken, signInWithEmailAndPassword,
+  createUserWithEmailAndPassword, sendEmailVerification, reload, signOut,
+} from 'firebase/auth';
+
+// Firebase Auth behind the small interface useAuth works with; see
+// createLocalAuth for the same interface without Firebase.
+
+const toUser = (authUser) => (authUser ? { uid: authUser.uid, email: authUser.email, emailVerified: authUser.emailVerified } : null);
+
+/**
+ * @param {import('firebase/auth').Auth} firebaseAuth
+ * @param {object} [options]
+ * @param {string|null} [options.initialAuthToken] Custom token handed over by
+ *   the canvas environment. Listeners hear about the user only once signing in
+ *   with it has finished, so the sign-in screen doesn't flash up first.
+ */
+export const createFirebaseAuth = (firebaseAuth, { initialAuthToken = null } = {}) => {
+  let tokenSignIn = null;
+
+  return {
+    kind: 'firebase',
+
+    // Calls `onUser({ uid, email, emailVerified } | null)` now and on every change; returns the unsubscribe function
+    onChange: (onUser, onError) => {
+      if (!tokenSignIn) {
+        tokenSignIn = initialAuthToken
+          ? signInWithCustomToken(firebaseAuth, initialAuthToken).catch(error => console.error("Custom token sign in failed:", error))
+          : Promise.resolve();
+      }
+      return onAuthStateChanged(
+        firebaseAuth,
+        (authUser) => tokenSignIn.then(() => onUser(toUser(authUser))),
+        onError
+      );
+    },
+
+    signIn: (email, password) => signInWithEmailAndPassword(firebaseAuth, email, password),
+
+    // New accounts are sent a verification email: invitations can only be
+    // accepted from a verified address
+    signUp: async (email, password) => {
+      const credential = await createUserWithEmailAndPassword(firebaseAuth, email, password);
+      await sendEmailVerification(credential.user).catch(error => console.error("Sending the verification email failed:", error));
+      return credential;
+    },
+
+    sendVerificationEmail: () => sendEmailVerification(firebaseAuth.currentUser),
+
+    // Picks up a verification made through the emailed link. The ID token is
+    // refreshed too, since the security rules read `email_verified` from it.
+    refreshUser: async () => {
+      const { currentUser } = firebaseAuth;
+      if (!currentUser) return null;
+      await reload(currentUser);
+      await currentUser.getIdToken(true);
+      return toUser(currentUser);
+    },
+
+    signOut: () => signOut(firebaseAuth),
+  };
+};
@@ -0,0 +1,62 @@
+import { doc, collection, query, where, onSnapshot, getDoc, getDocs, setDoc, updateDoc, deleteDoc, runTransaction } from 'firebase/firestore';
+
+const toRecord = (snapshot) => (snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+
+/**
+ * Document-store backend on Cloud Firestore. Every collection lives under
+ * `basePath`, e.g. `artifacts/${appId}/stores/${storeId}`.
+ *
+ * All backends share this interface:
+ *   newId(collectionName)                          -> string
+ *   subscribe(collectionName, onChange, onError, equals?) -> unsubscribe
+ *     (`equals` optionally restricts to documents whose fields equal the given values)
+ *   list(collectionName, equals?)                  -> Promise<record[]> (one-off read, e.g. for migrations)
+ *   get(collectionName, id)                        -> Promise<record | null>
+ *   set / update(collectionName, id, data)         -> Promise
+ *   remove(collectionName, id)                     -> Promise
+ *   runTransaction(async (tx) => ...)              -> Promise<result>
+ *   dispose()                                      -> stops listening for changes made elsewhere
+ * where `tx` offers get/set/update/delete with the same arguments, and every
+ * `tx.get` must happen before the first write.
+ */
+export const createFirestoreBackend = (db, basePath) => {
+  const collectionRef = (collectionName) => collection(db, `${basePath}/${collectionName}`);
+  const docRef = (collectionName, id) => doc(collectionRef(collectionName), id);
+
+  return {
+    kind: 'firestore',
+
+    newId: (collectionName) => doc(collectionRef(collectionName)).id,
+
+    subscribe: (collectionName, onChange, onError, equals = {}) => {
+      const filters = Object.entries(equals).map(([field, value]) => where(field, '==', value));
+      return onSnapshot(query(collectionRef(collectionName), ...filters), (snapshot) => {
+        onChange(snapshot.docs.map(toRecord));
+      }, onError);
+    },
+
+    list: async (collectionName, equals = {}) => {
+      const filters = Object.entries(equals).map(([field, value]) => where(field, '==', value));
+      return (await getDocs(query(collectionRef(collectionName), ...filters))).docs.map(toRecord);
+    },
+
+    get: async (collectionName, id) => toRecord(await getDoc(docRef(collectionName, id))),
+
+    set: (collectionName, id, data) => setDoc(docRef(collectionName, id), data),
+
+    update: (collectionName, id, data) => updateDoc(docRef(collectionName, id), data),
+
+    remove: (collectionName, id) => deleteDoc(docRef(collectionName, id)),
+
+    runTransaction: (updateFn) =>
+      runTransaction(db, (transaction) => updateFn({
+        get: async (collectionName, id) => toRecord(await transaction.get(docRef(collectionName, id))),
+        set: (collectionName, id, data) => { transaction.set(docRef(collectionName, id), data); },
+        update: (collectionName, id, data) => { transaction.update(docRef(collectionName, id), data); },
+        delete: (collectionName, id) => { transaction.delete(docRef(collectionName, id)); },
+      })),
+
+    // Listeners belong to their subscribers, who unsubscribe themselves
+    dispose: () => {},
+  };
+};
@@ -0,0 +1,7 @@
+export { createRepositories } from './repositories';
+export { createFirestoreBackend } from './firestoreBackend';
+export { createLocalBackend } from './localBackend';
+export { createFirebaseAuth } from './firebaseAuth';
+export { createLocalAuth } from './localAuth';
+export { createStoreDirectory } from './storeDirectory';
+export { createOrderSimulator } from './orderSimulator';
@@ -0,0 +1,26 @@
+// The auth interface of createFirebaseAuth for the local backend: one user who
+// is always signed in. There are no accounts to sign in to or create.
+
+const unsupported = () => Promise.reject(new Error('Accounts need Firebase. The local store is always signed in.'));
+
+/**
+ * @param {{ uid: string, email: string|null }} user The signed-in user.
+ */
+export const createLocalAuth = (user) => ({
+  kind: 'local',
+
+  onChange: (onUser) => {
+    onUser(user);
+    return () => {};
+  },
+
+  signIn: unsupported,
+
+  signUp: unsupported,
+
+  sendVerificationEmail: unsupported,
+
+  refreshUser: async () => user,
+
+  signOut: async () => {},
+});
@@ -0,0 +1,180 @@
+// In-memory document store with optional localStorage persistence, used when
+// no Firebase config is available (demos, offline development, tests).
+// It implements the same interface as createFirestoreBackend.
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+// Mirrors the `code` property Firestore puts on its errors
+const backendError = (code, message) => Object.assign(new Error(message), { code });
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const generateId = () => {
+  let id = '';
+  for (let i = 0; i < 20; i++) id += ID_CHARS.charAt(Math.floor(Math.random() * ID_CHARS.length));
+  return id;
+};
+
+const defaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Storage can throw when disabled by browser settings
+  }
+};
+
+/**
+ * Follows writes from other tabs through the `storage` event until
+ * `dispose()` is called.
+ *
+ * @param {object} [options]
+ * @param {string} [options.storageKey] localStorage key holding the whole store.
+ * @param {Storage|null} [options.storage] Storage to persist to; `null` keeps data in memory only.
+ * @param {object} [options.initialData] `{ [collectionName]: { [id]: data } }` used when nothing is persisted yet.
+ */
+export const createLocalBackend = ({ storageKey = 'ecomm-local-store', storage = defaultStorage(), initialData = {} } = {}) => {
+  const load = () => {
+    if (!storage) return null;
+    try {
+      return JSON.parse(storage.getItem(storageKey));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  let collections = load() || clone(initialData);
+  // Per-document write counters; a transaction commits only if none of the
+  // documents it read have been written since (optimistic concurrency).
+  const versions = new Map();
+  const listeners = new Map(); // collectionName -> Set of { onChange, onError }
+
+  const versionKey = (collectionName, id) => `${collectionName}/${id}`;
+  const versionOf = (collectionName, id) => versions.get(versionKey(collectionName, id)) || 0;
+  const bumpVersion = (collectionName, id) => versions.set(versionKey(collectionName, id), versionOf(collectionName, id) + 1);
+
+  const readDoc = (collectionName, id) => {
+    const data = collections[collectionName]?.[id];
+    return data ? { id, ...clone(data) } : null;
+  };
+
+  const listDocs = (collectionName) =>
+    Object.keys(collections[collectionName] || {}).map(id => readDoc(collectionName, id));
+
+  const persist = () => {
+    if (!storage) return;
+    try {
+      storage.setItem(storageKey, JSON.stringify(collections));
+    } catch (error) {
+      console.error("Could not persist local store:", error);
+    }
+  };
+
+  const matches = (record, equals) => Object.entries(equals).every(([field, value]) => record[field] === value);
+
+  const notify = (collectionNames) => {
+    collectionNames.forEach(collectionName => {
+      const collectionListeners = listeners.get(collectionName);
+      if (!collectionListeners || collectionListeners.size === 0) return;
+      const docs = listDocs(collectionName);
+      collectionListeners.forEach(({ onChange, equals }) => onChange(docs.filter(record => matches(record, equals))));
+    });
+  };
+
+  // Applies a batch of writes all-or-nothing, then persists and notifies once
+  const commit = (writes) => {
+    const next = { ...collections };
+    const touched = new Set();
+
+    writes.forEach(({ type, collectionName, id, data }) => {
+      const current = { ...(next[collectionName] || {}) };
+      if (type === 'update' && !current[id]) {
+        throw backendError('not-found', `No document to update: ${collectionName}/${id}`);
+      }
+      if (type === 'delete') {
+        delete current[id];
+      } else if (type === 'update') {
+        current[id] = { ...current[id], ...clone(data) };
+      } else {
+        current[id] = clone(data);
+      }
+      next[collectionName] = current;
+      touched.add(collectionName);
+    });
+
+    collections = next;
+    writes.forEach(({ collectionName, id }) => bumpVersion(collectionName, id));
+    persist();
+    notify(touched);
+  };
+
+  // Pick up writes made by other tabs sharing the same storage key, until disposed
+  const onStorage = (event) => {
+    if (event.key !== storageKey) return;
+    collections = load() || {};
+    Object.keys(collections).forEach(collectionName => {
+      Object.keys(collections[collectionName]).forEach(id => bumpVersion(collectionName, id));
+    });
+    notify(Array.from(listeners.keys()));
+  };
+  const watchesStorage = Boolean(storage) && typeof window !== 'undefined';
+  if (watchesStorage) window.addEventListener('storage', onStorage);
+
+  return {
+    kind: 'local',
+
+    newId: () => generateId(),
+
+    subscribe: (collectionName, onChange, onError, equals = {}) => {
+      const listener = { onChange, onError, equals };
+      if (!listeners.has(collectionName)) listeners.set(collectionName, new Set());
+      listeners.get(collectionName).add(listener);
+      onChange(listDocs(collectionName).filter(record => matches(record, equals)));
+      return () => listeners.get(collectionName).delete(listener);
+    },
+
+    list: async (collectionName, equals = {}) => listDocs(collectionName).filter(record => matches(record, equals)),
+
+    get: async (collectionName, id) => readDoc(collectionName, id),
+
+    set: async (collectionName, id, data) => commit([{ type: 'set', collectionName, id, data }]),
+
+    update: async (collectionName, id, data) => commit([{ type: 'update', collectionName, id, data }]),
+
+    remove: async (collectionName, id) => commit([{ type: 'delete', collectionName, id }]),
+
+    runTransaction: async (updateFn) => {
+      for (let attempt = 1; ; attempt++) {
+        const reads = new Map();
+        const writes = [];
+        const queueWrite = (type) => (collectionName, id, data) => { writes.push({ type, collectionName, id, data }); };
+
+        const result = await updateFn({
+          get: async (collectionName, id) => {
+            if (writes.length > 0) {
+              throw backendError('invalid-argument', 'Transactions require all reads to be executed before all writes.');
+            }
+            reads.set(versionKey(collectionName, id), versionOf(collectionName, id));
+            return readDoc(collectionName, id);
+          },
+          set: queueWrite('set'),
+          update: queueWrite('update'),
+          delete: queueWrite('delete'),
+        });
+
+        const conflicted = Array.from(reads).some(([key, version]) => (versions.get(key) || 0) !== version);
+        if (!conflicted) {
+          commit(writes);
+          return result;
+        }
+        if (attempt >= MAX_TRANSACTION_ATTEMPTS) {
+          throw backendError('aborted', 'Transaction failed: documents kept changing while it ran.');
+        }
+      }
+    },
+
+    dispose: () => {
+      if (watchesStorage) window.removeEventListener('storage', onStorage);
+    },
+  };
+};
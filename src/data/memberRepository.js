@@ -0,0 +1,63 @@
+import { MEMBERS, INVITATIONS } from './collections';
+import { InvalidStateError, ValidationError } from '../lib/errors';
+import { ROLES } from '../lib/permissions';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Invitations are keyed by the lower-cased address so the security rules can
+// match them against the signed-in user's email
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * The store's team. Members are keyed by user ID: `{ email, role, joinedAt }`.
+ * Invitations are keyed by email: `{ email, role, storeName, invitedBy,
+ * invitedByEmail, createdAt }`; the invitee accepts through the store
+ * directory (see storeDirectory.js).
+ *
+ * `context.ownerId` is the store's founding owner, who can be neither demoted
+ * nor removed so the store always keeps an owner.
+ */
+export const createMemberRepository = (backend, context = {}) => {
+  const assertNotFounder = (memberId) => {
+    if (memberId === context.ownerId) {
+      throw new InvalidStateError("The store's founding owner can't be changed or removed.");
+    }
+  };
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(MEMBERS, onChange, onError),
+
+    subscribeInvitations: (onChange, onError) => backend.subscribe(INVITATIONS, onChange, onError),
+
+    invite: async (email, role) => {
+      const address = normalizeEmail(email);
+      if (!EMAIL_PATTERN.test(address)) {
+        throw new ValidationError('Enter a valid email address.', { email: 'Enter a valid email address.' });
+      }
+      if (!Object.values(ROLES).includes(role)) {
+        throw new ValidationError('Choose a role.', { role: 'Choose a role.' });
+      }
+      await backend.set(INVITATIONS, address, {
+        email: address,
+        role,
+        storeName: context.storeName || null,
+        invitedBy: context.userId || null,
+        invitedByEmail: context.userEmail || null,
+        createdAt: new Date().toISOString(),
+      });
+      return address;
+    },
+
+    revokeInvitation: (email) => backend.remove(INVITATIONS, normalizeEmail(email)),
+
+    changeRole: (memberId, role) => {
+      assertNotFounder(memberId);
+      return backend.update(MEMBERS, memberId, { role, updatedAt: new Date().toISOString() });
+    },
+
+    remove: (memberId) => {
+      assertNotFounder(memberId);
+      return backend.remove(MEMBERS, memberId);
+    },
+  };
+};
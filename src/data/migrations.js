@@ -0,0 +1,53 @@
+import { PRODUCTS, ORDERS, PURCHASE_ORDERS, COUPONS, SETTINGS } from './collections';
+import {
+  normalizeProduct, normalizeOrder, normalizePurchaseOrder, normalizeCoupon, normalizePricingSettings,
+  productHasLegacyMoney, orderHasLegacyMoney, purchaseOrderHasLegacyMoney, couponHasLegacyMoney, pricingSettingsHasLegacyMoney,
+} from '../lib/legacyMoney';
+
+// Per collection: which stored documents hold decimal amounts and their cents shape
+const LEGACY_MONEY = [
+  { collectionName: PRODUCTS, isLegacy: productHasLegacyMoney, normalize: normalizeProduct },
+  { collectionName: ORDERS, isLegacy: orderHasLegacyMoney, normalize: normalizeOrder },
+  { collectionName: PURCHASE_ORDERS, isLegacy: purchaseOrderHasLegacyMoney, normalize: normalizePurchaseOrder },
+  { collectionName: COUPONS, isLegacy: couponHasLegacyMoney, normalize: normalizeCoupon },
+  { collectionName: SETTINGS, isLegacy: pricingSettingsHasLegacyMoney, normalize: normalizePricingSettings },
+];
+
+const findLegacyMoney = async (backend) => {
+  const found = [];
+  for (const migration of LEGACY_MONEY) {
+    const records = await backend.list(migration.collectionName);
+    records.filter(migration.isLegacy).forEach(record => found.push({ migration, id: record.id }));
+  }
+  return found;
+};
+
+/**
+ * One-off data migrations. Each can be re-run safely: documents already in the
+ * new shape are left alone.
+ */
+export const createMigrationRepository = (backend) => ({
+  // How many documents still store money as decimal amounts
+  countLegacyMoney: async () => (await findLegacyMoney(backend)).length,
+
+  // Rewrites every document with decimal amounts in cents (see lib/legacyMoney),
+  // one transaction per document so concurrent edits are never overwritten.
+  // `onProgress(done, total)` follows along. Resolves to the number of
+  // documents migrated.
+  migrateLegacyMoney: async (onProgress = () => {}) => {
+    const found = await findLegacyMoney(backend);
+    let migrated = 0;
+    for (const [index, { migration, id }] of found.entries()) {
+      const changed = await backend.runTransaction(async (tx) => {
+        const current = await tx.get(migration.collectionName, id);
+        if (!current || !migration.isLegacy(current)) return false;
+        const { id: ignoredId, ...data } = migration.normalize(current);
+        tx.set(migration.collectionName, id, data);
+        return true;
+      });
+      if (changed) migrated++;
+      onProgress(index + 1, found.length);
+    }
+    return migrated;
+  },
+});
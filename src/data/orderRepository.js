@@ -0,0 +1,240 @@
+import { PRODUCTS, ORDERS, COUPONS, SETTINGS, CUSTOMERS, COUNTERS } from './collections';
+import { RESTOCKING_STATUSES, buildTransitionUpdate } from '../lib/orderLifecycle';
+import { getOrderLineItems, mergeOrderItems, buildLineItem, buildOrder, buildCustomerSnapshot } from '../lib/orders';
+import { MOVEMENT_REASONS, writeStockMovement } from './stockMovementRepository';
+import { getProduct, productStockUpdate } from './productRepository';
+import { SETTINGS_DOCS } from './settingsRepository';
+import { priceOrder, normalizeCouponCode } from '../lib/pricing';
+import { withStoreDefaults } from '../lib/format';
+import { normalizeCoupon, normalizeOrder } from '../lib/legacyMoney';
+import { INVOICE_COUNTER, INVOICING_STATUS, canAssignInvoiceNumber, nextInvoice } from '../lib/invoices';
+import { getSellableItem, stockChanges } from '../lib/variants';
+import { NotFoundError, InsufficientStockError, InvalidCouponError, InvalidStateError, ValidationError } from '../lib/errors';
+
+// Reads the invoice counter and the store's business details, which
+// nextInvoice (see lib/invoices) numbers invoices from. Call before the
+// transaction's first write.
+const readInvoicing = async (tx) => {
+  const counter = await tx.get(COUNTERS, INVOICE_COUNTER);
+  const { business } = withStoreDefaults(await tx.get(SETTINGS, SETTINGS_DOCS.STORE));
+  return { counter, seller: business };
+};
+
+// Moves each order in `orderIds` to `nextStatus` in one transaction. Orders
+// restocking the same product add up, and shipped orders take consecutive
+// invoice numbers (though the security rules only allow one per transaction;
+// see orderChunkSize in lib/bulk). Stock goes back to the variant each line
+// was sold in.
+const transitionBatch = (backend, context, orderIds, nextStatus) =>
+  backend.runTransaction(async (tx) => {
+    // Every read has to happen before the first write
+    const at = new Date().toISOString();
+    const failed = [];
+    const moves = [];
+    const products = new Map(); // productId -> stored product, or null once known to be deleted
+    for (const orderId of orderIds) {
+      const order = await tx.get(ORDERS, orderId);
+      if (!order) {
+        failed.push({ id: orderId, error: new NotFoundError('Order', orderId) });
+        continue;
+      }
+      let update;
+      try {
+        update = buildTransitionUpdate(order, nextStatus, at);
+      } catch (error) {
+        failed.push({ id: orderId, error });
+        continue;
+      }
+      const items = RESTOCKING_STATUSES.includes(nextStatus) ? mergeOrderItems(getOrderLineItems(order)) : [];
+      for (const item of items) {
+        if (!products.has(item.productId)) products.set(item.productId, await getProduct(tx, item.productId));
+      }
+      moves.push({ order, update, items });
+    }
+
+    const invoicing = nextStatus === INVOICING_STATUS && moves.some(({ order }) => !order.invoiceNumber);
+    const invoicingFrom = invoicing ? await readInvoicing(tx) : null;
+    let counter = invoicingFrom?.counter;
+    let counterChanged = false;
+
+    const restocked = new Map(); // productId -> product with the stock returned so far
+    moves.forEach(({ order, update, items }) => {
+      items.forEach(({ productId, variantId, quantity }) => {
+        const product = restocked.get(productId) || products.get(productId);
+        // A deleted product (or variant) has nothing to return stock to
+        const changes = product && stockChanges(product, variantId, quantity);
+        if (!changes) return;
+        restocked.set(productId, { ...product, ...changes });
+        writeStockMovement(backend, tx, context, {
+          productId,
+          productName: product.name,
+          variantId,
+          variantName: getSellableItem(product, variantId)?.variant?.name || null,
+          reason: nextStatus === 'Refunded' ? MOVEMENT_REASONS.REFUND : MOVEMENT_REASONS.CANCELLATION,
+          delta: quantity,
+          stockAfter: changes.stock,
+          orderId: order.id,
+        });
+      });
+
+      if (invoicing && !order.invoiceNumber) {
+        const invoice = nextInvoice(counter, invoicingFrom.seller, order.id, at);
+        tx.update(ORDERS, order.id, { ...update, ...invoice.order });
+        counter = invoice.counter;
+        counterChanged = true;
+      } else {
+        tx.update(ORDERS, order.id, update);
+      }
+    });
+    restocked.forEach((product, productId) => tx.update(PRODUCTS, productId, productStockUpdate(product)));
+    if (counterChanged) tx.set(COUNTERS, INVOICE_COUNTER, counter);
+
+    return { failed };
+  });
+
+/**
+ * Order persistence on top of any backend. Stock changes always happen in the
+ * same transaction as the order write they belong to.
+ */
+export const createOrderRepository = (backend, context = {}) => ({
+  subscribe: (onChange, onError) =>
+    backend.subscribe(ORDERS, (orders) => onChange(orders.map(normalizeOrder)), onError),
+
+  // Places one order holding every requested line (`{ productId, variantId,
+  // quantity }`, `variantId` only for products with variants): either stock is
+  // decremented for all of them and the order is written, or nothing changes.
+  // Placing an `orderId` that already exists does nothing, so a replayed
+  // placement can't take stock twice. Archived products can't be ordered. The
+  // order is priced with the store's current settings and `couponCode`, whose
+  // redemption is counted in the same transaction. With a `customerId` the
+  // order records that customer and a copy of their shipping address. A
+  // `shopper` (`{ name, email, address }`, see validateShopper) is matched to
+  // the customer with that email, or made a new customer, and the order ships
+  // to the address they gave.
+  place: async (items, orderId = backend.newId(ORDERS), { couponCode = null, customerId = null, shopper = null } = {}) => {
+    const requestedItems = mergeOrderItems(items);
+    const code = normalizeCouponCode(couponCode);
+    if (shopper && !shopper.email) {
+      throw new ValidationError('Enter an email address to check out.');
+    }
+    // Transactions can't query, so the shopper's customer is looked up first
+    const [knownShopper] = shopper ? await backend.list(CUSTOMERS, { email: shopper.email }) : [];
+    const shopperId = shopper && (knownShopper?.id || backend.newId(CUSTOMERS));
+
+    await backend.runTransaction(async (tx) => {
+      // Every read has to happen before the first write
+      if (await tx.get(ORDERS, orderId)) return;
+      const products = new Map(); // productId -> stored product, read once for all its variants
+      const lines = [];
+      for (const item of requestedItems) {
+        if (!products.has(item.productId)) products.set(item.productId, await getProduct(tx, item.productId));
+        const product = products.get(item.productId);
+        if (!product) {
+          throw new NotFoundError('Product', item.productId);
+        }
+        if (product.archivedAt) {
+          throw new InvalidStateError(`${product.name} is no longer for sale.`);
+        }
+        const sellable = getSellableItem(product, item.variantId);
+        if (!sellable) {
+          if (item.variantId) throw new NotFoundError('Variant', item.variantId);
+          throw new ValidationError(`Choose a variant of ${product.name}.`);
+        }
+        if (sellable.stock - item.quantity < 0) {
+          throw new InsufficientStockError({ id: product.id, name: sellable.name, stock: sellable.stock }, item.quantity);
+        }
+        lines.push({ product, variant: sellable.variant, quantity: item.quantity });
+      }
+      const settings = await tx.get(SETTINGS, SETTINGS_DOCS.PRICING);
+      const { currency } = withStoreDefaults(await tx.get(SETTINGS, SETTINGS_DOCS.STORE));
+      const storedCoupon = code ? await tx.get(COUPONS, code) : null;
+      if (code && !storedCoupon) {
+        throw new InvalidCouponError(code, `Coupon ${code} doesn't exist.`);
+      }
+      const coupon = storedCoupon && normalizeCoupon(storedCoupon);
+      const customer = customerId ? await tx.get(CUSTOMERS, customerId) : null;
+      if (customerId && !customer) {
+        throw new NotFoundError('Customer', customerId);
+      }
+
+      const lineItems = lines.map(({ product, variant, quantity }) => buildLineItem(product.id, product, quantity, variant?.id));
+      const pricing = priceOrder(lineItems, { settings, coupon, currency });
+
+      // 1. Decrease stock for every line, writing each product once
+      const sold = new Map(); // productId -> product with the stock taken so far
+      lines.forEach(({ product, variant, quantity }) => {
+        const current = sold.get(product.id) || product;
+        const changes = stockChanges(current, variant?.id || null, -quantity);
+        sold.set(product.id, { ...current, ...changes });
+        writeStockMovement(backend, tx, context, {
+          productId: product.id,
+          productName: product.name,
+          variantId: variant?.id || null,
+          variantName: variant?.name || null,
+          reason: MOVEMENT_REASONS.SALE,
+          delta: -quantity,
+          stockAfter: changes.stock,
+          orderId,
+        });
+      });
+      sold.forEach((product, productId) => tx.update(PRODUCTS, productId, productStockUpdate(product)));
+
+      // 2. Count the coupon redemption
+      if (coupon) {
+        tx.update(COUPONS, code, { usageCount: (coupon.usageCount || 0) + 1 });
+      }
+
+      // 3. Record a shopper we haven't seen before as a customer
+      const now = new Date().toISOString();
+      if (shopper && !knownShopper) {
+        tx.set(CUSTOMERS, shopperId, { ...shopper, phone: '', notes: '', createdAt: now, updatedAt: now });
+      }
+
+      // 4. Create the order with price snapshots for each line
+      tx.set(ORDERS, orderId, {
+        ...buildOrder(
+          lineItems,
+          now,
+          pricing,
+          shopper ? buildCustomerSnapshot(shopperId, shopper) : customer && buildCustomerSnapshot(customerId, customer)
+        ),
+        createdBy: context.userId || null,
+      });
+    });
+
+    return orderId;
+  },
+
+  // Moves an order along its lifecycle. Cancelling or refunding returns each
+  // line's quantity to stock in the same transaction as the status change;
+  // shipping takes the next invoice number (see lib/invoices).
+  transition: async (orderId, nextStatus) => {
+    const { failed } = await transitionBatch(backend, context, [orderId], nextStatus);
+    if (failed.length > 0) throw failed[0].error;
+  },
+
+  // The same for a chunk of orders in one transaction (see lib/bulk). Orders
+  // that are missing or can't move to `nextStatus` are refused and the rest
+  // are written. Resolves to `{ failed: [{ id, error }] }`.
+  transitionBatch: (orderIds, nextStatus) => transitionBatch(backend, context, orderIds, nextStatus),
+
+  // Gives an order that shipped before invoice numbers existed the next one.
+  // Resolves to the number.
+  assignInvoiceNumber: (orderId) =>
+    backend.runTransaction(async (tx) => {
+      const order = await tx.get(ORDERS, orderId);
+      if (!order) {
+        throw new NotFoundError('Order', orderId);
+      }
+      if (order.invoiceNumber) return order.invoiceNumber;
+      if (!canAssignInvoiceNumber(order)) {
+        throw new InvalidStateError('Only shipped orders get an invoice number.');
+      }
+
+      const { counter, seller } = await readInvoicing(tx);
+      const invoice = nextInvoice(counter, seller, orderId);
+      tx.set(COUNTERS, INVOICE_COUNTER, invoice.counter);
+      tx.update(ORDERS, orderId, invoice.order);
+      return invoice.order.invoiceNumber;
+    }),
+});
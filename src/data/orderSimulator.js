@@ -0,0 +1,136 @@
+import { createOrderRepository } from './orderRepository';
+import { withTransactionStats } from './transactionStats';
+import { DomainError } from '../lib/errors';
+import { createRandom, nextArrivalDelay, planSimulatedOrder } from '../lib/simulation';
+import { itemKey } from '../lib/variants';
+
+// Orders allowed to be waiting on the backend at once; arrivals beyond it are skipped
+export const MAX_IN_FLIGHT = 20;
+
+const emptyStats = () => ({
+  attempted: 0,
+  placed: 0,
+  rejected: 0,
+  rejections: {}, // by error code, e.g. 'insufficient-stock'
+  failed: 0,
+  aborted: 0, // gave up after conflicting on every attempt
+  conflicts: 0, // attempts rerun because of a conflict
+  conflictedOrders: 0,
+  skipped: 0, // nothing in stock, or too many orders in flight
+  inFlight: 0,
+  totalLatencyMs: 0,
+});
+
+/**
+ * Places simulated orders (see lib/simulation) straight through the order
+ * repository, bypassing the outbox so each order is its own transaction and
+ * concurrent ones can conflict, until `config.durationSeconds` have passed or
+ * `stop()` is called. `getCatalog()` returns the live `{ products, customers }`.
+ * `onUpdate(run)` gets `{ status: 'running' | 'stopping' | 'done', startedAt,
+ * endsAt, finishedAt, stats }` after every change; the run is done once the
+ * orders still in flight have settled.
+ */
+export const createOrderSimulator = ({ repositories, config, getCatalog, onUpdate }) => {
+  const random = createRandom(config.seed);
+  const stats = emptyStats();
+  const reserved = new Map(); // itemKey -> units claimed by orders in flight
+  const startedAt = Date.now();
+  const endsAt = startedAt + config.durationSeconds * 1000;
+  let status = 'running';
+  let finishedAt = null;
+  let timer = null;
+
+  const publish = () => onUpdate({
+    status,
+    startedAt,
+    endsAt,
+    finishedAt,
+    stats: { ...stats, rejections: { ...stats.rejections } },
+  });
+
+  const finishIfSettled = () => {
+    if (status !== 'stopping' || stats.inFlight > 0) return;
+    status = 'done';
+    finishedAt = Date.now();
+  };
+
+  const reserve = (items, sign) => items.forEach(({ productId, variantId, quantity }) => {
+    const key = itemKey(productId, variantId);
+    reserved.set(key, (reserved.get(key) || 0) + sign * quantity);
+  });
+  const available = ({ key, product, variant }) => ((variant || product).stock || 0) - (reserved.get(key) || 0);
+
+  const settle = (items, began, attempts, outcome) => {
+    stats.inFlight--;
+    reserve(items, -1);
+    stats.totalLatencyMs += Date.now() - began;
+    if (attempts > 1) {
+      stats.conflicts += attempts - 1;
+      stats.conflictedOrders++;
+    }
+    outcome();
+    finishIfSettled();
+    publish();
+  };
+
+  const placeNext = () => {
+    if (stats.inFlight >= MAX_IN_FLIGHT) {
+      stats.skipped++;
+      return;
+    }
+    const plan = planSimulatedOrder(random, config, { ...getCatalog(), available });
+    if (!plan) {
+      stats.skipped++;
+      return;
+    }
+
+    stats.attempted++;
+    stats.inFlight++;
+    reserve(plan.items, 1);
+    let attempts = 0;
+    const orders = createOrderRepository(
+      withTransactionStats(repositories.backend, (count) => { attempts = count; }),
+      repositories.context
+    );
+    const began = Date.now();
+    orders.place(plan.items, undefined, { customerId: plan.customerId }).then(
+      () => settle(plan.items, began, attempts, () => { stats.placed++; }),
+      (error) => settle(plan.items, began, attempts, () => {
+        if (error instanceof DomainError) {
+          stats.rejected++;
+          stats.rejections[error.code] = (stats.rejections[error.code] || 0) + 1;
+        } else if (error?.code === 'aborted') {
+          stats.aborted++;
+        } else {
+          stats.failed++;
+          console.error("Simulated order failed:", error);
+        }
+      })
+    );
+  };
+
+  const stop = () => {
+    if (status !== 'running') return;
+    clearTimeout(timer);
+    status = 'stopping';
+    finishIfSettled();
+    publish();
+  };
+
+  const scheduleNext = () => {
+    const delay = nextArrivalDelay(random, config.ratePerSecond);
+    if (Date.now() + delay >= endsAt) {
+      timer = setTimeout(stop, Math.max(0, endsAt - Date.now()));
+      return;
+    }
+    timer = setTimeout(() => {
+      placeNext();
+      publish();
+      scheduleNext();
+    }, delay);
+  };
+
+  publish();
+  scheduleNext();
+  return { stop };
+};
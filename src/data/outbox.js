@@ -0,0 +1,188 @@
+import { MUTATION_TYPES } from '../lib/pendingMutations';
+import { withRetry, isTransientError, RETRY_BUDGETS } from '../lib/retry';
+
+// After a replay gives up on a transient failure, try again this much later
+// even if no 'online' event arrives (the network may have been up all along).
+const RETRY_PAUSE_MS = 30000;
+
+const defaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null; // Storage can throw when disabled by browser settings
+  }
+};
+
+const defaultIsOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+const generateEntryId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Writes one queued mutation through the repositories. Creates and order
+// placements carry their ids, so replaying one that already landed is a no-op.
+const replay = (repositories, { type, payload }) => {
+  switch (type) {
+    case MUTATION_TYPES.SAVE_PRODUCT:
+      return payload.isNew
+        ? repositories.products.create(payload.data, payload.productId)
+        : repositories.products.update(payload.productId, payload.data, payload.expectedVersion);
+    case MUTATION_TYPES.DELETE_PRODUCT:
+      return repositories.products.remove(payload.productId);
+    case MUTATION_TYPES.ARCHIVE_PRODUCT:
+      return repositories.products.archive(payload.productId);
+    case MUTATION_TYPES.RESTORE_PRODUCT:
+      return repositories.products.restore(payload.productId);
+    case MUTATION_TYPES.TRANSITION_ORDER:
+      return repositories.orders.transition(payload.orderId, payload.nextStatus);
+    case MUTATION_TYPES.PLACE_ORDER:
+      return repositories.orders.place(payload.items, payload.orderId, {
+        couponCode: payload.couponCode,
+        customerId: payload.customerId,
+        shopper: payload.shopper,
+      });
+    default:
+      return Promise.reject(new Error(`Unknown outbox mutation: ${type}`));
+  }
+};
+
+const retryBudgetFor = (type) => (type === MUTATION_TYPES.PLACE_ORDER ? RETRY_BUDGETS.checkout : RETRY_BUDGETS.interactive);
+
+/**
+ * Persistent queue of writes waiting to reach the backend. Entries
+ * (`{ id, type, payload, createdAt }`, see MUTATION_TYPES) are saved to
+ * localStorage and replayed strictly in order. A transient failure pauses the
+ * queue with the entry still at its head; a permanent one (e.g. a stock-out)
+ * drops the entry so the optimistic change rolls back.
+ *
+ * @param {object} options
+ * @param {object} options.repositories From createRepositories.
+ * @param {string} options.storageKey localStorage key holding the queue.
+ * @param {Storage|null} [options.storage] `null` keeps the queue in memory only.
+ * @param {() => boolean} [options.isOnline] Replays only run while this is true.
+ * @param {(entry, error) => void} [options.onSettled] Called when an entry
+ *   syncs (`error` null) or is rejected, unless a caller is waiting on it.
+ */
+export const createOutbox = ({
+  repositories,
+  storageKey,
+  storage = defaultStorage(),
+  isOnline = defaultIsOnline,
+  onSettled = () => {},
+}) => {
+  const load = () => {
+    if (!storage) return [];
+    try {
+      const saved = JSON.parse(storage.getItem(storageKey));
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  let entries = load();
+  const listeners = new Set();
+  const waiters = new Map(); // entry id -> { resolve, reject }
+  let flushing = null;
+  let followUp = null;
+  let pauseTimer = null;
+
+  const save = (nextEntries) => {
+    entries = nextEntries;
+    if (storage) {
+      try {
+        storage.setItem(storageKey, JSON.stringify(entries));
+      } catch (error) {
+        console.error("Could not persist the outbox:", error);
+      }
+    }
+    listeners.forEach(listener => listener(entries));
+  };
+
+  const settle = (entry, error, result) => {
+    const waiter = waiters.get(entry.id);
+    waiters.delete(entry.id);
+    if (!waiter) onSettled(entry, error);
+    else if (error) waiter.reject(error);
+    else waiter.resolve({ queued: false, result });
+  };
+
+  // Callers waiting on entries that can't sync now are told they're queued;
+  // from then on the outcome is reported through onSettled instead.
+  const pause = () => {
+    waiters.forEach(waiter => waiter.resolve({ queued: true }));
+    waiters.clear();
+    clearTimeout(pauseTimer);
+    pauseTimer = setTimeout(() => flush(), RETRY_PAUSE_MS);
+  };
+
+  const replayAll = async () => {
+    while (entries.length > 0) {
+      if (!isOnline()) {
+        pause();
+        return;
+      }
+      const entry = entries[0];
+      try {
+        const result = await withRetry(() => replay(repositories, entry), retryBudgetFor(entry.type));
+        save(entries.filter(e => e.id !== entry.id));
+        settle(entry, null, result);
+      } catch (error) {
+        if (isTransientError(error)) {
+          pause();
+          return;
+        }
+        save(entries.filter(e => e.id !== entry.id));
+        settle(entry, error);
+      }
+    }
+  };
+
+  // Only one replay loop runs at a time. A request arriving while one runs
+  // queues a single follow-up pass, since the running loop may already be on
+  // its way out (e.g. it just paused for being offline).
+  const flush = () => {
+    if (flushing) {
+      if (!followUp) {
+        followUp = flushing.then(() => {
+          followUp = null;
+          return flush();
+        });
+      }
+      return followUp;
+    }
+    flushing = replayAll().finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  };
+
+  return {
+    getEntries: () => entries,
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Queues a mutation and starts replaying. With `wait`, `settled` resolves
+     * to `{ queued: false, result }` once written, `{ queued: true }` if it has
+     * to wait for the network, or rejects if the write was refused.
+     */
+    enqueue: (type, payload, { wait = false } = {}) => {
+      const entry = { id: generateEntryId(), type, payload, createdAt: new Date().toISOString() };
+      const settled = wait
+        ? new Promise((resolve, reject) => waiters.set(entry.id, { resolve, reject }))
+        : null;
+      save([...entries, entry]);
+      flush();
+      return { entry, settled };
+    },
+
+    flush,
+
+    dispose: () => {
+      clearTimeout(pauseTimer);
+      listeners.clear();
+    },
+  };
+};
@@ -0,0 +1,239 @@
+import { PRODUCTS, ORDERS } from './collections';
+import { MOVEMENT_REASONS, writeStockMovement } from './stockMovementRepository';
+import { NotFoundError, VersionConflictError, InvalidStateError, ValidationError } from '../lib/errors';
+import { normalizeProduct } from '../lib/legacyMoney';
+import { getOpenOrdersFor } from '../lib/orders';
+import { BULK_PRODUCT_ACTIONS, productActionChanges } from '../lib/bulk';
+import { hasVariants, diffStockLevels, withVariantStock, toStoredVariants, fromStoredVariants } from '../lib/variants';
+
+// Products written before versioning existed count as version 0
+export const getProductVersion = (product) => product.version || 0;
+
+// A stored product as the app works with it: prices in cents and stock on its variants
+const fromStored = (stored) => (stored ? fromStoredVariants(normalizeProduct(stored)) : null);
+
+// Product fields as stored, with the variants' stock split out (see lib/variants)
+const toStored = (data) => (Array.isArray(data.variants) ? { ...data, ...toStoredVariants(data.variants) } : data);
+
+// Reads a product in a transaction; null when it doesn't exist
+export const getProduct = async (tx, productId) => fromStored(await tx.get(PRODUCTS, productId));
+
+// The fields a stock change writes, given `product` as read with its new stock
+// (and variants' stock) applied. Variants only change in `variantStock`.
+export const productStockUpdate = (product) => ({
+  stock: product.stock,
+  ...(hasVariants(product) ? { variantStock: toStoredVariants(product.variants).variantStock } : {}),
+  version: getProductVersion(product) + 1,
+});
+
+/**
+ * Queues a ledger entry for each variant whose stock differs between `before`
+ * and `after` (see diffStockLevels); `stockAfter` runs through the product's
+ * total. `movement` holds the other fields, e.g. `{ reason, note }`.
+ */
+const writeStockChanges = (backend, tx, context, productId, before, after, movement) => {
+  let stock = before?.stock || 0;
+  diffStockLevels(before, after).forEach(({ variantId, variantName, delta }) => {
+    stock += delta;
+    writeStockMovement(backend, tx, context, {
+      productId,
+      productName: after?.name || before.name,
+      variantId,
+      variantName,
+      delta,
+      stockAfter: stock,
+      ...movement,
+    });
+  });
+};
+
+// Refuses to delete a product that open orders still hold; archiving keeps it instead
+const openOrdersError = (product, openOrders) => new InvalidStateError(
+  `${product.name} is in ${openOrders.length} open order(s). Archive it, or delete it once they are delivered, cancelled or refunded.`
+);
+
+// Read outside the transaction, which can't query. An order placed for the
+// product in the meantime fails when it reads the deleted product.
+const listOrders = (backend) => backend.list(ORDERS);
+
+const setArchived = (backend, productId, archived) =>
+  backend.runTransaction(async (tx) => {
+    const stored = await tx.get(PRODUCTS, productId);
+    if (!stored) throw new NotFoundError('Product', productId);
+    if (Boolean(stored.archivedAt) === archived) return;
+    const now = new Date().toISOString();
+    tx.update(PRODUCTS, productId, {
+      archivedAt: archived ? now : null,
+      version: getProductVersion(stored) + 1,
+      updatedAt: now,
+    });
+  });
+
+/**
+ * Product persistence on top of any backend (see firestoreBackend.js).
+ * Writes that change stock run as transactions so the stock ledger entry is
+ * committed together with the product. Every product write bumps `version`.
+ * Prices are `priceCents`; products with a decimal `price` are converted on read.
+ * A product with variants (see lib/variants) always stores their total as its
+ * `stock`, and their own stock in `variantStock`; the ledger records stock
+ * changes per variant. Read products in transactions with getProduct.
+ * Deleting from the app archives a product (`archivedAt`), which keeps it for
+ * order history and analytics; `remove` deletes for good.
+ */
+export const createProductRepository = (backend, context = {}) => ({
+  subscribe: (onChange, onError) =>
+    backend.subscribe(PRODUCTS, (products) => onChange(products.map(fromStored)), onError),
+
+  // `id` may be chosen up front (e.g. for a write queued offline); creating a
+  // product that already exists with that id does nothing.
+  create: async (productData, id = backend.newId(PRODUCTS)) => {
+    const now = new Date().toISOString();
+    const data = withVariantStock(productData);
+
+    await backend.runTransaction(async (tx) => {
+      if (await tx.get(PRODUCTS, id)) return;
+      tx.set(PRODUCTS, id, { ...toStored(data), version: 1, createdAt: now, updatedAt: now });
+      writeStockChanges(backend, tx, context, id, null, data, { reason: MOVEMENT_REASONS.INITIAL });
+    });
+    return id;
+  },
+
+  // `expectedVersion` is the version the caller's edit is based on; when given
+  // and the stored product has moved on, the write is rejected with a
+  // VersionConflictError instead of overwriting the newer data.
+  update: (productId, productData, expectedVersion = null) =>
+    backend.runTransaction(async (tx) => {
+      const current = await getProduct(tx, productId);
+      if (!current) {
+        throw new NotFoundError('Product', productId);
+      }
+      if (expectedVersion !== null && getProductVersion(current) !== expectedVersion) {
+        throw new VersionConflictError(current);
+      }
+
+      const data = withVariantStock({ ...current, ...productData });
+      tx.update(PRODUCTS, productId, {
+        ...toStored(productData),
+        stock: data.stock,
+        version: getProductVersion(current) + 1,
+        updatedAt: new Date().toISOString(),
+      });
+      writeStockChanges(backend, tx, context, productId, current, data, { reason: MOVEMENT_REASONS.ADJUSTMENT });
+    }),
+
+  // Upserts a chunk of planned import rows (see planProductImport) in one
+  // transaction. A row writes its product and a stock movement per changed
+  // stock level (see importRowWrites), so callers should keep chunks well
+  // under Firestore's 500-write limit. Resolves to { created, updated, skipped }.
+  importBatch: (rows) =>
+    backend.runTransaction(async (tx) => {
+      const targets = [];
+      for (const row of rows) {
+        const current = row.productId ? await getProduct(tx, row.productId) : null;
+        targets.push({ row, current });
+      }
+
+      const now = new Date().toISOString();
+      const summary = { created: 0, updated: 0, skipped: 0 };
+      targets.forEach(({ row, current }) => {
+        if (current) {
+          // The stock of a product with variants is their total
+          const data = withVariantStock({ ...current, ...row.data });
+          tx.update(PRODUCTS, current.id, { ...toStored(row.data), stock: data.stock, version: getProductVersion(current) + 1, updatedAt: now });
+          writeStockChanges(backend, tx, context, current.id, current, data, { reason: MOVEMENT_REASONS.ADJUSTMENT, note: 'Bulk import' });
+          summary.updated++;
+          return;
+        }
+
+        // The matched product was deleted since the preview; create it if we can
+        if (!row.data.name) {
+          summary.skipped++;
+          return;
+        }
+        const id = backend.newId(PRODUCTS);
+        const data = withVariantStock({ priceCents: 0, stock: 0, ...row.data });
+        tx.set(PRODUCTS, id, { ...toStored(data), version: 1, createdAt: now, updatedAt: now });
+        writeStockChanges(backend, tx, context, id, null, data, { reason: MOVEMENT_REASONS.INITIAL, note: 'Bulk import' });
+        summary.created++;
+      });
+      return summary;
+    }),
+
+  // Applies one bulk action (see lib/bulk) to a chunk of products in one
+  // transaction. Products deleted in the meantime, or that open orders hold
+  // when deleting, are refused; the rest are written. Resolves to
+  // `{ failed: [{ id, error }] }`.
+  applyBatch: async (productIds, action) => {
+    const orders = action.type === BULK_PRODUCT_ACTIONS.DELETE ? await listOrders(backend) : [];
+    return backend.runTransaction(async (tx) => {
+      const targets = [];
+      for (const productId of productIds) {
+        targets.push({ productId, current: await getProduct(tx, productId) });
+      }
+
+      const now = new Date().toISOString();
+      const failed = [];
+      targets.forEach(({ productId, current }) => {
+        if (!current) {
+          failed.push({ id: productId, error: new NotFoundError('Product', productId) });
+          return;
+        }
+
+        if (action.type === BULK_PRODUCT_ACTIONS.DELETE) {
+          const openOrders = getOpenOrdersFor(orders, productId);
+          if (openOrders.length > 0) {
+            failed.push({ id: productId, error: openOrdersError(current, openOrders) });
+            return;
+          }
+          tx.delete(PRODUCTS, productId);
+          // One movement for the product's total, keeping to one per product in a chunk
+          if (current.stock) {
+            writeStockMovement(backend, tx, context, {
+              productId,
+              productName: current.name,
+              reason: MOVEMENT_REASONS.REMOVAL,
+              delta: -current.stock,
+              stockAfter: 0,
+              note: 'Bulk delete',
+            });
+          }
+          return;
+        }
+
+        // One stock level can't be split between variants
+        if (action.type === BULK_PRODUCT_ACTIONS.SET_STOCK && hasVariants(current)) {
+          failed.push({ id: productId, error: new ValidationError(`${current.name} has variants; set their stock one by one.`) });
+          return;
+        }
+
+        const changes = productActionChanges(current, action, now);
+        tx.update(PRODUCTS, productId, { ...toStored(changes), version: getProductVersion(current) + 1, updatedAt: now });
+        writeStockChanges(backend, tx, context, productId, current, { ...current, ...changes }, {
+          reason: MOVEMENT_REASONS.ADJUSTMENT,
+          note: 'Bulk stock update',
+        });
+      });
+      return { failed };
+    });
+  },
+
+  // Hides the product from the inventory and storefront, keeping its stock
+  // and history; `restore` brings it back. Both are idempotent.
+  archive: (productId) => setArchived(backend, productId, true),
+
+  restore: (productId) => setArchived(backend, productId, false),
+
+  // Deletes for good; refused with an InvalidStateError while open orders hold the product
+  remove: async (productId) => {
+    const orders = await listOrders(backend);
+    return backend.runTransaction(async (tx) => {
+      const current = await getProduct(tx, productId);
+      if (!current) return;
+      const openOrders = getOpenOrdersFor(orders, productId);
+      if (openOrders.length > 0) throw openOrdersError(current, openOrders);
+
+      tx.delete(PRODUCTS, productId);
+      writeStockChanges(backend, tx, context, productId, current, null, { reason: MOVEMENT_REASONS.REMOVAL });
+    });
+  },
+});
@@ -0,0 +1,162 @@
+import { PRODUCTS, PURCHASE_ORDERS } from './collections';
+import { MOVEMENT_REASONS, writeStockMovement } from './stockMovementRepository';
+import { getProduct, productStockUpdate } from './productRepository';
+import { NotFoundError, InvalidStateError, ValidationError } from '../lib/errors';
+import { RECEIVABLE_STATUSES, getOutstandingQuantity, isFullyReceived } from '../lib/purchaseOrders';
+import { normalizePurchaseOrder } from '../lib/legacyMoney';
+import { getItemName, itemKey, stockChanges } from '../lib/variants';
+
+// Receipts are keyed by line: product, and variant for products with variants
+const lineKey = (line) => itemKey(line.productId, line.variantId);
+
+const appendStatus = (purchaseOrder, status, at) => ({
+  status,
+  statusHistory: [...(purchaseOrder.statusHistory || []), { status, at }],
+});
+
+/**
+ * Purchase orders:
+ *   { supplierId, supplierName, status, statusHistory, notes,
+ *     lines: [{ productId, productName, variantId, variantName, quantityOrdered, quantityReceived, unitCostCents }],
+ *     createdAt, orderedAt, receivedAt }
+ * Lines for a product with variants (see lib/variants) order one variant each.
+ * Receiving stock updates products, the stock ledger and the purchase order in
+ * one transaction.
+ */
+export const createPurchaseOrderRepository = (backend, context = {}) => {
+  // Runs `buildUpdate(purchaseOrder)` in a transaction after checking the status allows it
+  const updateInStatus = (purchaseOrderId, allowedStatuses, buildUpdate) =>
+    backend.runTransaction(async (tx) => {
+      const purchaseOrder = await tx.get(PURCHASE_ORDERS, purchaseOrderId);
+      if (!purchaseOrder) {
+        throw new NotFoundError('Purchase order', purchaseOrderId);
+      }
+      if (!allowedStatuses.includes(purchaseOrder.status)) {
+        throw new InvalidStateError(`This purchase order is ${purchaseOrder.status} and can no longer be changed that way.`);
+      }
+      tx.update(PURCHASE_ORDERS, purchaseOrderId, buildUpdate(purchaseOrder));
+    });
+
+  return {
+    subscribe: (onChange, onError) =>
+      backend.subscribe(PURCHASE_ORDERS, (purchaseOrders) => onChange(purchaseOrders.map(normalizePurchaseOrder)), onError),
+
+    // `lines` are `{ productId, productName, variantId, variantName, quantityOrdered, unitCostCents }`
+    createDraft: async ({ supplierId, supplierName, lines, notes = '' }) => {
+      const now = new Date().toISOString();
+      const id = backend.newId(PURCHASE_ORDERS);
+      await backend.set(PURCHASE_ORDERS, id, {
+        supplierId,
+        supplierName,
+        notes,
+        lines: lines.map(line => ({ ...line, quantityReceived: 0 })),
+        status: 'Draft',
+        statusHistory: [{ status: 'Draft', at: now }],
+        createdAt: now,
+      });
+      return id;
+    },
+
+    updateDraft: (purchaseOrderId, { supplierId, supplierName, lines, notes = '' }) =>
+      updateInStatus(purchaseOrderId, ['Draft'], () => ({
+        supplierId,
+        supplierName,
+        notes,
+        lines: lines.map(line => ({ ...line, quantityReceived: 0 })),
+      })),
+
+    markOrdered: (purchaseOrderId) =>
+      updateInStatus(purchaseOrderId, ['Draft'], (purchaseOrder) => {
+        const now = new Date().toISOString();
+        return { ...appendStatus(purchaseOrder, 'Ordered', now), orderedAt: now };
+      }),
+
+    cancel: (purchaseOrderId) =>
+      updateInStatus(purchaseOrderId, ['Draft', 'Ordered'], (purchaseOrder) => {
+        const now = new Date().toISOString();
+        return { ...appendStatus(purchaseOrder, 'Cancelled', now), cancelledAt: now };
+      }),
+
+    /**
+     * Books received quantities (`{ [itemKey]: quantity }`, see lib/variants)
+     * against the purchase order, adding them to the stock of each line's
+     * product or variant. Quantities may be less than outstanding (partial
+     * receipt) but never more.
+     */
+    receive: (purchaseOrderId, receipts) =>
+      backend.runTransaction(async (tx) => {
+        const stored = await tx.get(PURCHASE_ORDERS, purchaseOrderId);
+        if (!stored) {
+          throw new NotFoundError('Purchase order', purchaseOrderId);
+        }
+        // Rewritten lines below carry the converted costs
+        const purchaseOrder = normalizePurchaseOrder(stored);
+        if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+          throw new InvalidStateError(`Stock can't be received against a ${purchaseOrder.status} purchase order.`);
+        }
+
+        const received = purchaseOrder.lines
+          .map(line => ({ line, quantity: receipts[lineKey(line)] || 0 }))
+          .filter(({ quantity }) => quantity > 0);
+        if (received.length === 0) {
+          throw new ValidationError('Enter a quantity for at least one line.');
+        }
+
+        const products = new Map();
+        for (const { line, quantity } of received) {
+          if (!Number.isInteger(quantity) || quantity > getOutstandingQuantity(line)) {
+            throw new ValidationError(`Can't receive ${quantity} of ${getItemName(line.productName, line.variantName)}: only ${getOutstandingQuantity(line)} outstanding.`);
+          }
+          if (!products.has(line.productId)) products.set(line.productId, await getProduct(tx, line.productId));
+        }
+
+        const restocked = new Map(); // productId -> product with the stock received so far
+        received.forEach(({ line, quantity }) => {
+          const product = restocked.get(line.productId) || products.get(line.productId);
+          // Stock for a product (or variant) deleted since ordering has nowhere
+          // to go, but the receipt is still recorded
+          const changes = product && stockChanges(product, line.variantId || null, quantity);
+          if (!changes) return;
+          restocked.set(line.productId, { ...product, ...changes });
+          writeStockMovement(backend, tx, context, {
+            productId: product.id,
+            productName: product.name,
+            variantId: line.variantId || null,
+            variantName: line.variantName || null,
+            reason: MOVEMENT_REASONS.RECEIVING,
+            delta: quantity,
+            stockAfter: changes.stock,
+            note: `Purchase order ${purchaseOrderId} from ${purchaseOrder.supplierName}`,
+          });
+        });
+        restocked.forEach((product, productId) => tx.update(PRODUCTS, productId, productStockUpdate(product)));
+
+        const now = new Date().toISOString();
+        const updated = {
+          ...purchaseOrder,
+          lines: purchaseOrder.lines.map(line => ({
+            ...line,
+            quantityReceived: (line.quantityReceived || 0) + (receipts[lineKey(line)] || 0),
+          })),
+        };
+        const nextStatus = isFullyReceived(updated) ? 'Received' : 'PartiallyReceived';
+        tx.update(PURCHASE_ORDERS, purchaseOrderId, {
+          lines: updated.lines,
+          ...(nextStatus !== purchaseOrder.status ? appendStatus(purchaseOrder, nextStatus, now) : {}),
+          ...(nextStatus === 'Received' ? { receivedAt: now } : {}),
+          lastReceivedAt: now,
+        });
+      }),
+
+    // Only drafts can be deleted; anything sent to a supplier is cancelled instead
+    removeDraft: (purchaseOrderId) =>
+      backend.runTransaction(async (tx) => {
+        const purchaseOrder = await tx.get(PURCHASE_ORDERS, purchaseOrderId);
+        if (!purchaseOrder) return;
+        if (purchaseOrder.status !== 'Draft') {
+          throw new InvalidStateError('Only draft purchase orders can be deleted.');
+        }
+        tx.delete(PURCHASE_ORDERS, purchaseOrderId);
+      }),
+  };
+};
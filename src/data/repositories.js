@@ -0,0 +1,32 @@
+import { createProductRepository } from './productRepository';
+import { createOrderRepository } from './orderRepository';
+import { createStockMovementRepository } from './stockMovementRepository';
+import { createSupplierRepository } from './supplierRepository';
+import { createCustomerRepository } from './customerRepository';
+import { createPurchaseOrderRepository } from './purchaseOrderRepository';
+import { createMemberRepository } from './memberRepository';
+import { createCouponRepository } from './couponRepository';
+import { createSettingsRepository } from './settingsRepository';
+import { createMigrationRepository } from './migrations';
+
+/**
+ * Builds the repositories the app talks to from a backend
+ * (createFirestoreBackend or createLocalBackend) scoped to one store.
+ * `context.userId` is recorded as the author of stock movements; `userEmail`,
+ * `storeName` and `ownerId` are used by the team repository. Both are kept on
+ * the result for building extra repositories over a wrapped backend.
+ */
+export const createRepositories = (backend, context = {}) => ({
+  backend,
+  context,
+  products: createProductRepository(backend, context),
+  orders: createOrderRepository(backend, context),
+  stockMovements: createStockMovementRepository(backend),
+  suppliers: createSupplierRepository(backend),
+  customers: createCustomerRepository(backend),
+  purchaseOrders: createPurchaseOrderRepository(backend, context),
+  members: createMemberRepository(backend, context),
+  coupons: createCouponRepository(backend),
+  settings: createSettingsRepository(backend),
+  migrations: createMigrationRepository(backend),
+});
@@ -0,0 +1,36 @@
+import { SETTINGS } from './collections';
+import { withPricingDefaults } from '../lib/pricing';
+import { withStoreDefaults } from '../lib/format';
+
+// Store-wide settings, one document per area in the `settings` collection
+export const SETTINGS_DOCS = {
+  PRICING: 'pricing',
+  STORE: 'store',
+};
+
+// Settings with defaults filled in for anything never saved
+const toSettings = (records) => {
+  const byId = Object.fromEntries(records.map(record => [record.id, record]));
+  return {
+    pricing: withPricingDefaults(byId[SETTINGS_DOCS.PRICING]),
+    store: withStoreDefaults(byId[SETTINGS_DOCS.STORE]),
+  };
+};
+
+/**
+ * Store settings. Subscribers get `{ pricing, store }`: see lib/pricing for
+ * the first and lib/format for the second (`{ currency, locale, business }`).
+ */
+export const createSettingsRepository = (backend) => ({
+  subscribe: (onChange, onError) => backend.subscribe(SETTINGS, (records) => onChange(toSettings(records)), onError),
+
+  savePricing: (pricing) => {
+    const { id, ...data } = pricing;
+    return backend.set(SETTINGS, SETTINGS_DOCS.PRICING, { ...data, updatedAt: new Date().toISOString() });
+  },
+
+  // Amounts are stored in cents of whatever the currency is, so changing it
+  // relabels prices rather than converting them
+  saveStore: ({ currency, locale, business }) =>
+    backend.set(SETTINGS, SETTINGS_DOCS.STORE, { currency, locale, business, updatedAt: new Date().toISOString() }),
+});
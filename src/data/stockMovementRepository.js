@@ -0,0 +1,57 @@
+import { STOCK_MOVEMENTS } from './collections';
+
+/**
+ * Why a product's stock changed. Every stock write records one of these in
+ * the `stockMovements` collection, inside the same transaction.
+ */
+export const MOVEMENT_REASONS = {
+  INITIAL: 'initial',
+  ADJUSTMENT: 'adjustment',
+  SALE: 'sale',
+  CANCELLATION: 'cancellation',
+  REFUND: 'refund',
+  RECEIVING: 'receiving',
+  REMOVAL: 'removal',
+};
+
+export const MOVEMENT_REASON_LABELS = {
+  initial: 'Initial stock',
+  adjustment: 'Manual adjustment',
+  sale: 'Sale',
+  cancellation: 'Order cancelled',
+  refund: 'Order refunded',
+  receiving: 'Stock received',
+  removal: 'Product deleted',
+};
+
+/**
+ * Queues a ledger entry on a backend transaction. `delta` is the signed change
+ * and `stockAfter` the product's stock once the transaction commits; for a
+ * product with variants, `variantId` and `variantName` say which one moved and
+ * `stockAfter` is still the product's total.
+ */
+export const writeStockMovement = (backend, tx, context, {
+  productId, productName, variantId = null, variantName = null, reason, delta, stockAfter, orderId = null, note = null,
+}) => {
+  tx.set(STOCK_MOVEMENTS, backend.newId(STOCK_MOVEMENTS), {
+    productId,
+    productName,
+    variantId,
+    variantName,
+    reason,
+    delta,
+    stockAfter,
+    orderId,
+    note,
+    userId: context.userId || null,
+    createdAt: new Date().toISOString(),
+  });
+};
+
+export const createStockMovementRepository = (backend) => ({
+  // Movements for one product, newest first
+  subscribeForProduct: (productId, onChange, onError) =>
+    backend.subscribe(STOCK_MOVEMENTS, (movements) => {
+      onChange([...movements].sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+    }, onError, { productId }),
+});
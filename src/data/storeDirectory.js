@@ -0,0 +1,89 @@
+import { doc, collection, collectionGroup, query, where, getDoc, getDocs, deleteDoc, writeBatch, arrayUnion } from 'firebase/firestore';
+import { MEMBERS, INVITATIONS } from './collections';
+import { normalizeEmail } from './memberRepository';
+import { ROLES } from '../lib/permissions';
+
+/**
+ * Finds, creates and joins stores for a signed-in Firebase user. Each store
+ * keeps its data under `artifacts/${appId}/stores/${storeId}` (pass
+ * `storePath(storeId)` to createFirestoreBackend) with the team in its
+ * `members` and `invitations` collections. A user's profile at
+ * `artifacts/${appId}/users/${userId}` only lists the stores they joined;
+ * access itself is decided by the member documents (see firestore.rules).
+ *
+ * Stores come back as `{ id, name, ownerId, createdAt, role }`, where `role`
+ * is the user's own.
+ */
+export const createStoreDirectory = (db, appId) => {
+  const storePath = (storeId) => `artifacts/${appId}/stores/${storeId}`;
+  const storeRef = (storeId) => doc(db, storePath(storeId));
+  const memberRef = (storeId, userId) => doc(db, `${storePath(storeId)}/${MEMBERS}/${userId}`);
+  const profileRef = (userId) => doc(db, `artifacts/${appId}/users/${userId}`);
+
+  const getStore = async (storeId, userId) => {
+    try {
+      const [store, member] = await Promise.all([getDoc(storeRef(storeId)), getDoc(memberRef(storeId, userId))]);
+      if (!store.exists() || !member.exists()) return null;
+      return { id: storeId, ...store.data(), role: member.data().role };
+    } catch (error) {
+      // Removed from the team: the store is no longer readable
+      if (error.code === 'permission-denied') return null;
+      throw error;
+    }
+  };
+
+  return {
+    storePath,
+
+    getStore: (storeId, user) => getStore(storeId, user.uid),
+
+    listStores: async (user) => {
+      const profile = await getDoc(profileRef(user.uid));
+      const storeIds = profile.exists() ? profile.data().storeIds || [] : [];
+      const stores = await Promise.all(storeIds.map(storeId => getStore(storeId, user.uid)));
+      return stores.filter(Boolean);
+    },
+
+    // Open invitations for the user's email across every store of this app
+    listInvitations: async (user) => {
+      if (!user.email) return [];
+      const snapshot = await getDocs(query(collectionGroup(db, INVITATIONS), where('email', '==', normalizeEmail(user.email))));
+      return snapshot.docs
+        .filter(invitation => invitation.ref.path.startsWith(`artifacts/${appId}/stores/`))
+        .map(invitation => ({ id: invitation.id, storeId: invitation.ref.parent.parent.id, ...invitation.data() }));
+    },
+
+    // Creates the store with the user as its founding owner, in one batch so
+    // the security rules can check the store and membership together
+    createStore: async (user, name) => {
+      const storeId = doc(collection(db, `artifacts/${appId}/stores`)).id;
+      const now = new Date().toISOString();
+      const store = { name: name.trim(), ownerId: user.uid, createdAt: now };
+
+      const batch = writeBatch(db);
+      batch.set(storeRef(storeId), store);
+      batch.set(memberRef(storeId, user.uid), { email: user.email ? normalizeEmail(user.email) : null, role: ROLES.OWNER, joinedAt: now });
+      batch.set(profileRef(user.uid), { storeIds: arrayUnion(storeId) }, { merge: true });
+      await batch.commit();
+      return { id: storeId, ...store, role: ROLES.OWNER };
+    },
+
+    // Joins the store with the invited role and uses up the invitation
+    acceptInvitation: async (user, invitation) => {
+      const batch = writeBatch(db);
+      batch.set(memberRef(invitation.storeId, user.uid), {
+        email: normalizeEmail(user.email),
+        role: invitation.role,
+        invitedBy: invitation.invitedBy || null,
+        joinedAt: new Date().toISOString(),
+      });
+      batch.delete(doc(db, `${storePath(invitation.storeId)}/${INVITATIONS}/${invitation.id}`));
+      batch.set(profileRef(user.uid), { storeIds: arrayUnion(invitation.storeId) }, { merge: true });
+      await batch.commit();
+      return getStore(invitation.storeId, user.uid);
+    },
+
+    declineInvitation: (invitation) =>
+      deleteDoc(doc(db, `${storePath(invitation.storeId)}/${INVITATIONS}/${invitation.id}`)),
+  };
+};
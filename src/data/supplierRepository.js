@@ -0,0 +1,20 @@
+import { SUPPLIERS } from './collections';
+
+/**
+ * Suppliers: `{ name, email, phone, leadTimeDays, notes }`.
+ */
+export const createSupplierRepository = (backend) => ({
+  subscribe: (onChange, onError) => backend.subscribe(SUPPLIERS, onChange, onError),
+
+  create: async (supplierData) => {
+    const now = new Date().toISOString();
+    const id = backend.newId(SUPPLIERS);
+    await backend.set(SUPPLIERS, id, { ...supplierData, createdAt: now, updatedAt: now });
+    return id;
+  },
+
+  update: (supplierId, supplierData) =>
+    backend.update(SUPPLIERS, supplierId, { ...supplierData, updatedAt: new Date().toISOString() }),
+
+  remove: (supplierId) => backend.remove(SUPPLIERS, supplierId),
+});
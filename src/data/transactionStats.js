@@ -0,0 +1,20 @@
+/**
+ * Wraps a backend so each runTransaction reports, once it settles, how many
+ * attempts it took: `onSettled(attempts)`. Both backends rerun the
+ * transaction function when a document it read changed before it could
+ * commit, so every attempt after the first was a conflict.
+ */
+export const withTransactionStats = (backend, onSettled) => ({
+  ...backend,
+  runTransaction: async (updateFn) => {
+    let attempts = 0;
+    try {
+      return await backend.runTransaction((tx) => {
+        attempts++;
+        return updateFn(tx);
+      });
+    } finally {
+      onSettled(attempts);
+    }
+  },
+});
@@ -0,0 +1,96 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useAuth from '../useAuth';
+import { createLocalAuth } from '../../data/localAuth';
+import { createFakeAuth, TEST_USER } from '../../test/fakeBackend';
+
+describe('useAuth', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is loading until the auth service reports a user', () => {
+    const auth = createFakeAuth();
+    const { result } = renderHook(() => useAuth(auth));
+    expect(result.current).toMatchObject({ user: null, loading: true, error: null });
+
+    act(() => auth.emit(TEST_USER));
+    expect(result.current).toMatchObject({ user: TEST_USER, loading: false, error: null });
+  });
+
+  it('reports a signed-out user as not loading', () => {
+    const auth = createFakeAuth();
+    const { result } = renderHook(() => useAuth(auth));
+
+    act(() => auth.emit(null));
+    expect(result.current).toMatchObject({ user: null, loading: false });
+  });
+
+  it('follows sign in and sign out', async () => {
+    const auth = createFakeAuth();
+    const { result } = renderHook(() => useAuth(auth));
+    act(() => auth.emit(null));
+
+    await act(() => result.current.signIn('ada@example.com', 'secret'));
+    expect(auth.signIn).toHaveBeenCalledWith('ada@example.com', 'secret');
+    expect(result.current.user).toEqual({ uid: 'signed-in', email: 'ada@example.com' });
+
+    await act(() => result.current.signOut());
+    expect(result.current.user).toBeNull();
+  });
+
+  it('lets a failed sign in reject for the form to show', async () => {
+    const auth = createFakeAuth();
+    auth.signIn.mockRejectedValueOnce(Object.assign(new Error('Wrong password.'), { code: 'auth/wrong-password' }));
+    const { result } = renderHook(() => useAuth(auth));
+
+    await expect(result.current.signIn('ada@example.com', 'nope')).rejects.toMatchObject({ code: 'auth/wrong-password' });
+    expect(result.current.error).toBeNull();
+  });
+
+  it('picks up a verified email when the user is reread', async () => {
+    const auth = createFakeAuth();
+    const { result } = renderHook(() => useAuth(auth));
+    act(() => auth.emit({ ...TEST_USER, emailVerified: false }));
+
+    auth.refreshUser.mockResolvedValueOnce({ ...TEST_USER, emailVerified: true });
+    let refreshed;
+    await act(async () => {
+      refreshed = await result.current.refreshUser();
+    });
+    expect(refreshed.emailVerified).toBe(true);
+    expect(result.current.user).toEqual({ ...TEST_USER, emailVerified: true });
+  });
+
+  it('keeps the error when signing out fails', async () => {
+    const auth = createFakeAuth();
+    const { result } = renderHook(() => useAuth(auth));
+    act(() => auth.emit(TEST_USER));
+
+    auth.signOutError = new Error('Network down');
+    await act(() => result.current.signOut());
+    expect(result.current.error).toBe(auth.signOutError);
+    expect(result.current.user).toEqual(TEST_USER);
+  });
+
+  it('stops loading with the error when the listener fails', () => {
+    const auth = createFakeAuth();
+    const { result } = renderHook(() => useAuth(auth));
+    const error = Object.assign(new Error('Denied'), { code: 'permission-denied' });
+
+    act(() => auth.fail(error));
+    expect(result.current).toMatchObject({ user: null, loading: false, error });
+  });
+
+  it('has the local user signed in straight away', async () => {
+    const localUser = { uid: 'local-user', email: null };
+    const { result } = renderHook(() => useAuth(createLocalAuth(localUser)));
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.user).toEqual(localUser);
+    await expect(result.current.signUp('ada@example.com', 'secret')).rejects.toThrow('Accounts need Firebase');
+  });
+});
@@ -0,0 +1,237 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useOutbox from '../useOutbox';
+import useProducts from '../useProducts';
+import useOrders from '../useOrders';
+import useOrderActions from '../useOrderActions';
+import { createFakeRepositories, TEST_USER } from '../../test/fakeBackend';
+import { PRODUCTS, COUNTERS, CUSTOMERS as CUSTOMERS_COLLECTION } from '../../data/collections';
+import { INVOICE_COUNTER } from '../../lib/invoices';
+
+const CUSTOMERS = [{ id: 'demo-ada-lovelace', name: 'Ada Lovelace' }];
+
+// The hooks as App wires them: stored products and orders plus writes through the outbox
+const renderOrderHooks = (repositories) => renderHook(() => {
+  const outbox = useOutbox(repositories, 'outbox:test', jest.fn());
+  const { products } = useProducts(repositories);
+  const { orders } = useOrders(repositories);
+  return { products, orders, actions: useOrderActions(repositories, outbox, { products, customers: CUSTOMERS }) };
+});
+
+const stockOf = (result, productId) => result.current.products.find(product => product.id === productId).stock;
+
+// Places one order and waits for it to show up
+const placeWallets = async (result, quantity = 1) => {
+  await act(() => result.current.actions.placeOrder([{ productId: 'demo-leather-wallet', quantity }], { customerId: 'demo-ada-lovelace' }));
+  await waitFor(() => expect(result.current.orders).toHaveLength(1));
+  return result.current.orders[0];
+};
+
+// Moves an order through each status in turn, waiting for every move to sync
+const moveOrder = async (result, orderId, statuses) => {
+  for (const status of statuses) {
+    act(() => {
+      result.current.actions.transitionOrder(orderId, status);
+    });
+    await waitFor(() => expect(result.current.orders[0].status).toBe(status));
+  }
+  await waitFor(() => expect(result.current.actions.pending).toBe(0));
+};
+
+describe('useOrderActions', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('places an order, taking its stock', async () => {
+    const { result } = renderOrderHooks(createFakeRepositories());
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.actions.placeOrder([{ productId: 'demo-leather-wallet', quantity: 3 }], { customerId: 'demo-ada-lovelace' });
+    });
+
+    await waitFor(() => expect(stockOf(result, 'demo-leather-wallet')).toBe(22));
+    const [order] = result.current.orders;
+    expect(outcome).toEqual({ queued: false, result: order.id });
+    expect(order).toMatchObject({ status: 'Pending', customerId: 'demo-ada-lovelace', customerName: 'Ada Lovelace', createdBy: TEST_USER.uid });
+    expect(result.current.actions).toMatchObject({ loading: false, error: null });
+  });
+
+  it('places a checkout for the customer with the shopper\'s email, shipping where they asked', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderOrderHooks(repositories);
+    const address = { line1: '1 New Street', city: 'London', country: 'United Kingdom' };
+
+    await act(() => result.current.actions.placeOrder(
+      [{ productId: 'demo-leather-wallet', quantity: 1 }],
+      { shopper: { name: 'Ada King', email: 'ada@example.com', address } }
+    ));
+
+    await waitFor(() => expect(result.current.orders).toHaveLength(1));
+    expect(result.current.orders[0]).toMatchObject({ customerId: 'demo-ada-lovelace', customerName: 'Ada King', shippingAddress: address });
+    // The customer record itself is left as it was
+    expect(await repositories.backend.get(CUSTOMERS_COLLECTION, 'demo-ada-lovelace')).toMatchObject({ name: 'Ada Lovelace' });
+  });
+
+  it('records a shopper with a new email as a customer', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderOrderHooks(repositories);
+    const shopper = { name: 'Katherine Johnson', email: 'katherine@example.com', address: { line1: '1 NASA Way' } };
+
+    await act(() => result.current.actions.placeOrder([{ productId: 'demo-leather-wallet', quantity: 1 }], { shopper }));
+
+    await waitFor(() => expect(result.current.orders).toHaveLength(1));
+    const { customerId } = result.current.orders[0];
+    expect(await repositories.backend.get(CUSTOMERS_COLLECTION, customerId)).toMatchObject(shopper);
+    expect(await repositories.backend.list(CUSTOMERS_COLLECTION, { email: shopper.email })).toHaveLength(1);
+  });
+
+  it('rejects an order for more than is in stock', async () => {
+    const { result } = renderOrderHooks(createFakeRepositories());
+
+    await act(async () => {
+      await expect(result.current.actions.placeOrder([{ productId: 'demo-headphones', quantity: 5 }])).rejects.toMatchObject({ code: 'insufficient-stock' });
+    });
+
+    expect(result.current.actions.error).toMatchObject({ code: 'insufficient-stock' });
+    expect(result.current.orders).toHaveLength(0);
+    expect(stockOf(result, 'demo-headphones')).toBe(4);
+  });
+
+  it('refuses an order for an archived product', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderOrderHooks(repositories);
+    await act(() => repositories.products.archive('demo-leather-wallet'));
+
+    await act(async () => {
+      await expect(result.current.actions.placeOrder([{ productId: 'demo-leather-wallet', quantity: 1 }])).rejects.toMatchObject({ code: 'invalid-state' });
+    });
+    expect(stockOf(result, 'demo-leather-wallet')).toBe(25);
+  });
+
+  it('numbers the invoice when an order ships', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderOrderHooks(repositories);
+    const order = await placeWallets(result);
+
+    await moveOrder(result, order.id, ['Paid', 'Packed', 'Shipped']);
+    expect(result.current.orders[0].invoiceNumber).toBe(1);
+    // The counter names the order that took the number, for the security rules
+    expect(await repositories.backend.get(COUNTERS, INVOICE_COUNTER)).toMatchObject({ lastNumber: 1, lastOrderId: order.id });
+
+    let number;
+    await act(async () => {
+      number = await result.current.actions.assignInvoiceNumber(order.id);
+    });
+    expect(number).toBe(1);
+  });
+
+  it('returns the stock of a cancelled order', async () => {
+    const { result } = renderOrderHooks(createFakeRepositories());
+    const order = await placeWallets(result, 5);
+    await waitFor(() => expect(stockOf(result, 'demo-leather-wallet')).toBe(20));
+
+    await moveOrder(result, order.id, ['Cancelled']);
+    await waitFor(() => expect(stockOf(result, 'demo-leather-wallet')).toBe(25));
+  });
+
+  it('sells and restocks a single variant', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderOrderHooks(repositories);
+    const variantStock = (variantId) => result.current.products
+      .find(product => product.id === 'demo-vintage-t-shirt').variants.find(variant => variant.id === variantId).stock;
+
+    await act(() => result.current.actions.placeOrder([{ productId: 'demo-vintage-t-shirt', variantId: 'm', quantity: 4 }]));
+    await waitFor(() => expect(result.current.orders).toHaveLength(1));
+    const [order] = result.current.orders;
+    expect(order.lineItems[0]).toMatchObject({ variantId: 'm', variantName: 'M', sku: 'TSH-VIN-M', quantity: 4 });
+    await waitFor(() => expect(stockOf(result, 'demo-vintage-t-shirt')).toBe(36));
+    expect([variantStock('s'), variantStock('m'), variantStock('l')]).toEqual([10, 11, 15]);
+    // Selling only moves the stock map, which staff may write; the variants stay as they were
+    const stored = await repositories.backend.get(PRODUCTS, 'demo-vintage-t-shirt');
+    expect(stored.variantStock).toEqual({ s: 10, m: 11, l: 15 });
+    expect(stored.variants.some(variant => 'stock' in variant)).toBe(false);
+
+    await moveOrder(result, order.id, ['Cancelled']);
+    await waitFor(() => expect(variantStock('m')).toBe(15));
+    expect(stockOf(result, 'demo-vintage-t-shirt')).toBe(40);
+  });
+
+  it('refuses an order without a variant, or for one the product lacks', async () => {
+    const { result } = renderOrderHooks(createFakeRepositories());
+
+    await act(async () => {
+      await expect(result.current.actions.placeOrder([{ productId: 'demo-vintage-t-shirt', quantity: 1 }])).rejects.toMatchObject({ code: 'validation' });
+      await expect(result.current.actions.placeOrder([{ productId: 'demo-vintage-t-shirt', variantId: 'xl', quantity: 1 }])).rejects.toMatchObject({ code: 'record-not-found' });
+      await expect(result.current.actions.placeOrder([{ productId: 'demo-vintage-t-shirt', variantId: 's', quantity: 11 }])).rejects.toMatchObject({ code: 'insufficient-stock' });
+    });
+    expect(result.current.orders).toHaveLength(0);
+    expect(stockOf(result, 'demo-vintage-t-shirt')).toBe(40);
+  });
+
+  it('keeps the error when an unshipped order is given an invoice number', async () => {
+    const { result } = renderOrderHooks(createFakeRepositories());
+    const order = await placeWallets(result);
+
+    await act(async () => {
+      await expect(result.current.actions.assignInvoiceNumber(order.id)).rejects.toMatchObject({ code: 'invalid-state' });
+    });
+    expect(result.current.actions).toMatchObject({ loading: false, error: expect.objectContaining({ code: 'invalid-state' }) });
+  });
+
+  it('ships a selection of orders with consecutive invoice numbers', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderOrderHooks(repositories);
+    await act(async () => {
+      await repositories.orders.place([{ productId: 'demo-leather-wallet', quantity: 1 }], 'order-1');
+      await repositories.orders.place([{ productId: 'demo-headphones', quantity: 1 }], 'order-2');
+    });
+
+    const onProgress = jest.fn();
+    for (const status of ['Paid', 'Packed']) {
+      await act(() => result.current.actions.transitionOrders(['order-1', 'order-2'], status, onProgress));
+    }
+    const transitionBatch = jest.spyOn(repositories.orders, 'transitionBatch');
+    await act(() => result.current.actions.transitionOrders(['order-1', 'order-2'], 'Shipped', onProgress));
+
+    const numbers = result.current.orders.map(order => order.invoiceNumber).sort();
+    expect(numbers).toEqual([1, 2]);
+    // The counter moves up by one per transaction
+    expect(transitionBatch.mock.calls).toEqual([[['order-1'], 'Shipped'], [['order-2'], 'Shipped']]);
+    expect(onProgress).toHaveBeenLastCalledWith(2);
+  });
+
+  it('cancels a selection together and reports orders that cannot move', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderOrderHooks(repositories);
+    await act(async () => {
+      await repositories.orders.place([{ productId: 'demo-leather-wallet', quantity: 2 }], 'order-1');
+      await repositories.orders.place([{ productId: 'demo-leather-wallet', quantity: 3 }], 'order-2');
+      await repositories.orders.place([{ productId: 'demo-leather-wallet', quantity: 4 }], 'order-3');
+      await repositories.orders.transition('order-3', 'Cancelled');
+    });
+    expect(stockOf(result, 'demo-leather-wallet')).toBe(20);
+
+    let report;
+    await act(async () => {
+      report = await result.current.actions.transitionOrders(['order-1', 'order-2', 'order-3'], 'Cancelled');
+    });
+
+    expect(report.succeeded).toEqual(['order-1', 'order-2']);
+    expect(report.failed).toEqual([{ id: 'order-3', error: expect.objectContaining({ code: 'invalid-transition' }) }]);
+    expect(stockOf(result, 'demo-leather-wallet')).toBe(25);
+  });
+
+  it('simulates orders only while something is in stock', async () => {
+    const { result } = renderOrderHooks(createFakeRepositories({ products: { mug: { name: 'Mug', priceCents: 900, stock: 0 } } }));
+    expect(result.current.actions.simulateOrder()).toBe(false);
+
+    const { result: stocked } = renderOrderHooks(createFakeRepositories());
+    let simulated;
+    act(() => {
+      simulated = stocked.current.actions.simulateOrder(() => 0);
+    });
+    expect(simulated).toBe(true);
+    await waitFor(() => expect(stocked.current.orders).toHaveLength(1));
+  });
+});
@@ -0,0 +1,173 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useOutbox from '../useOutbox';
+import useProducts from '../useProducts';
+import useProductMutations from '../useProductMutations';
+import { STOCK_MOVEMENTS } from '../../data/collections';
+import { planProductImport } from '../../lib/importExport';
+import { BULK_PRODUCT_ACTIONS } from '../../lib/bulk';
+import { createFakeRepositories } from '../../test/fakeBackend';
+
+// The hooks as App wires them: stored products plus writes through the outbox
+const renderProductHooks = (repositories, onSettled = jest.fn()) => renderHook(() => {
+  const outbox = useOutbox(repositories, 'outbox:test', onSettled);
+  return { ...useProducts(repositories), outbox, mutations: useProductMutations(repositories, outbox) };
+});
+
+const productById = (result, id) => result.current.products.find(product => product.id === id);
+
+describe('useProductMutations', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('queues a new product and reports it once written', async () => {
+    const onSettled = jest.fn();
+    const { result } = renderProductHooks(createFakeRepositories(), onSettled);
+
+    act(() => {
+      result.current.mutations.saveProduct({ name: 'Canvas Tote', priceCents: 1500, stock: 12 });
+    });
+
+    await waitFor(() => expect(result.current.products).toHaveLength(5));
+    await waitFor(() => expect(result.current.mutations.loading).toBe(false));
+    expect(result.current.products.find(product => product.name === 'Canvas Tote')).toMatchObject({ priceCents: 1500, stock: 12, version: 1 });
+    expect(result.current.mutations).toMatchObject({ pending: 0, error: null });
+    expect(onSettled).toHaveBeenCalledWith(expect.objectContaining({ type: 'saveProduct' }), null);
+  });
+
+  it('counts a queued write as pending until it syncs', async () => {
+    const { result } = renderProductHooks(createFakeRepositories());
+
+    act(() => {
+      result.current.mutations.saveProduct({ name: 'Canvas Tote', priceCents: 1500, stock: 12 });
+    });
+    expect(result.current.mutations).toMatchObject({ pending: 1, loading: true });
+
+    await waitFor(() => expect(result.current.mutations.pending).toBe(0));
+  });
+
+  it('refuses an edit based on an outdated version', async () => {
+    const { result } = renderProductHooks(createFakeRepositories());
+    const stale = productById(result, 'demo-leather-wallet');
+
+    act(() => {
+      result.current.mutations.saveProduct({ ...stale, stock: 30 }, stale);
+    });
+    await waitFor(() => expect(productById(result, 'demo-leather-wallet').stock).toBe(30));
+
+    act(() => {
+      result.current.mutations.saveProduct({ ...stale, priceCents: 5000 }, stale);
+    });
+    await waitFor(() => expect(result.current.mutations.error).toMatchObject({ code: 'version-conflict' }));
+    expect(productById(result, 'demo-leather-wallet')).toMatchObject({ stock: 30, priceCents: 4500 });
+  });
+
+  it('deletes a product', async () => {
+    const { result } = renderProductHooks(createFakeRepositories());
+
+    act(() => {
+      result.current.mutations.deleteProduct('demo-espresso-maker', 'Espresso Maker');
+    });
+
+    await waitFor(() => expect(productById(result, 'demo-espresso-maker')).toBeUndefined());
+    expect(result.current.products).toHaveLength(3);
+  });
+
+  it('archives a product and restores it', async () => {
+    const { result } = renderProductHooks(createFakeRepositories());
+
+    act(() => {
+      result.current.mutations.archiveProduct('demo-headphones', 'Noise-Cancelling Headphones');
+    });
+    await waitFor(() => expect(result.current.mutations.pending).toBe(0));
+    expect(productById(result, 'demo-headphones')).toMatchObject({ archivedAt: expect.any(String), stock: 4 });
+
+    act(() => {
+      result.current.mutations.restoreProduct('demo-headphones', 'Noise-Cancelling Headphones');
+    });
+    await waitFor(() => expect(productById(result, 'demo-headphones').archivedAt).toBeNull());
+  });
+
+  it('refuses to delete a product that open orders hold', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderProductHooks(repositories);
+    await act(() => repositories.orders.place([{ productId: 'demo-leather-wallet', quantity: 1 }], 'order-1'));
+
+    act(() => {
+      result.current.mutations.deleteProduct('demo-leather-wallet', 'Leather Wallet');
+    });
+    await waitFor(() => expect(result.current.mutations.error).toMatchObject({ code: 'invalid-state' }));
+    expect(productById(result, 'demo-leather-wallet')).toBeDefined();
+
+    let report;
+    await act(async () => {
+      report = await result.current.mutations.bulkUpdateProducts(['demo-leather-wallet', 'demo-espresso-maker'], { type: BULK_PRODUCT_ACTIONS.DELETE });
+    });
+    expect(report.succeeded).toEqual(['demo-espresso-maker']);
+    expect(report.failed).toEqual([{ id: 'demo-leather-wallet', error: expect.objectContaining({ code: 'invalid-state' }) }]);
+
+    await act(() => repositories.orders.transition('order-1', 'Cancelled'));
+    act(() => {
+      result.current.mutations.deleteProduct('demo-leather-wallet', 'Leather Wallet');
+    });
+    await waitFor(() => expect(productById(result, 'demo-leather-wallet')).toBeUndefined());
+  });
+
+  it('imports rows in batches and reports progress', async () => {
+    const repositories = createFakeRepositories({ products: {} });
+    const { result } = renderProductHooks(repositories);
+    const rawRows = Array.from({ length: 150 }, (_, index) => ({ name: `Sticker ${index + 1}`, price: '1.00', stock: '5' }));
+    const onProgress = jest.fn();
+
+    let totals;
+    await act(async () => {
+      totals = await result.current.mutations.importProducts(planProductImport(rawRows, []), onProgress);
+    });
+
+    expect(totals).toMatchObject({ created: 150, updated: 0, skipped: 0, failedRows: [], notImportedRows: [] });
+    expect(onProgress.mock.calls).toEqual([[100], [150]]);
+    expect(result.current.products).toHaveLength(150);
+    expect(result.current.mutations.loading).toBe(false);
+  });
+
+  it('applies a bulk action and reports the products it could not change', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderProductHooks(repositories);
+
+    let report;
+    await act(async () => {
+      report = await result.current.mutations.bulkUpdateProducts(
+        ['demo-leather-wallet', 'gone', 'demo-headphones'],
+        { type: BULK_PRODUCT_ACTIONS.ADJUST_PRICE, percent: -10 }
+      );
+    });
+
+    expect(report.succeeded).toEqual(['demo-leather-wallet', 'demo-headphones']);
+    expect(report.failed).toEqual([{ id: 'gone', error: expect.objectContaining({ code: 'record-not-found' }) }]);
+    expect(productById(result, 'demo-leather-wallet')).toMatchObject({ priceCents: 4050, version: 1 });
+    expect(productById(result, 'demo-headphones')).toMatchObject({ priceCents: 11295 });
+  });
+
+  it('sets stock in bulk with a ledger entry per product', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderProductHooks(repositories);
+
+    await act(() => result.current.mutations.bulkUpdateProducts(['demo-leather-wallet', 'demo-headphones'], { type: BULK_PRODUCT_ACTIONS.SET_STOCK, stock: 10 }));
+
+    expect(productById(result, 'demo-leather-wallet').stock).toBe(10);
+    expect(productById(result, 'demo-headphones').stock).toBe(10);
+    const movements = await repositories.backend.list(STOCK_MOVEMENTS);
+    expect(movements.find(movement => movement.productId === 'demo-headphones' && movement.note)).toMatchObject({ reason: 'adjustment', delta: 6, stockAfter: 10, note: 'Bulk stock update' });
+  });
+
+  it('refuses an invalid bulk action before writing anything', async () => {
+    const { result } = renderProductHooks(createFakeRepositories());
+
+    await act(async () => {
+      await expect(result.current.mutations.bulkUpdateProducts(['demo-leather-wallet'], { type: BULK_PRODUCT_ACTIONS.SET_STOCK, stock: -1 }))
+        .rejects.toMatchObject({ code: 'validation' });
+    });
+    expect(productById(result, 'demo-leather-wallet').stock).toBe(25);
+  });
+});
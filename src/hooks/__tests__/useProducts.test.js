@@ -0,0 +1,68 @@
+import { renderHook, act } from '@testing-library/react';
+import useProducts from '../useProducts';
+import useOrders from '../useOrders';
+import { PRODUCTS } from '../../data/collections';
+import { createFakeRepositories, createFailingRepositories } from '../../test/fakeBackend';
+
+const names = (products) => products.map(product => product.name).sort();
+
+describe('useProducts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is loading while there is no store open', () => {
+    const { result } = renderHook(() => useProducts(null));
+    expect(result.current).toEqual({ products: [], loading: true, error: null });
+  });
+
+  it('lists the stored products', () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderHook(() => useProducts(repositories));
+    expect(result.current.loading).toBe(false);
+    expect(names(result.current.products)).toEqual(['Espresso Maker', 'Leather Wallet', 'Noise-Cancelling Headphones', 'Vintage T-Shirt']);
+  });
+
+  it('follows writes made elsewhere', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderHook(() => useProducts(repositories));
+
+    await act(() => repositories.backend.update(PRODUCTS, 'demo-headphones', { stock: 0 }));
+    expect(result.current.products.find(product => product.id === 'demo-headphones').stock).toBe(0);
+
+    await act(() => repositories.backend.remove(PRODUCTS, 'demo-espresso-maker'));
+    expect(result.current.products).toHaveLength(3);
+  });
+
+  it('starts over when another store opens', () => {
+    const { result, rerender } = renderHook(({ repositories }) => useProducts(repositories), {
+      initialProps: { repositories: createFakeRepositories() },
+    });
+    expect(result.current.products).toHaveLength(4);
+
+    rerender({ repositories: createFakeRepositories({ products: {} }) });
+    expect(result.current).toEqual({ products: [], loading: false, error: null });
+  });
+
+  it('reports a listener that fails', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const error = Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+    const repositories = createFailingRepositories(error);
+    const { result } = renderHook(() => useProducts(repositories));
+
+    expect(result.current).toEqual({ products: [], loading: false, error });
+    expect(console.error).toHaveBeenCalledWith('Error fetching products:', error);
+  });
+});
+
+describe('useOrders', () => {
+  it('lists orders as they are placed', async () => {
+    const repositories = createFakeRepositories();
+    const { result } = renderHook(() => useOrders(repositories));
+    expect(result.current).toEqual({ orders: [], loading: false, error: null });
+
+    await act(() => repositories.orders.place([{ productId: 'demo-leather-wallet', quantity: 2 }], 'order-1'));
+    expect(result.current.orders).toHaveLength(1);
+    expect(result.current.orders[0]).toMatchObject({ id: 'order-1', status: 'Pending' });
+  });
+});
@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * The signed-in user from an auth service (createFirebaseAuth or
+ * createLocalAuth). Returns `{ user, loading, error, signIn, signUp, signOut,
+ * sendVerificationEmail, refreshUser }`: `user` is `{ uid, email, emailVerified }`
+ * or null, `loading` holds until the service has reported for the first time
+ * and `error` is the last failure of the listener or of signing out.
+ * `signIn(email, password)` and `signUp(email, password)` reject with the auth
+ * error for the form to show. `refreshUser()` rereads the user, e.g. once they
+ * have followed the verification link, and resolves to it.
+ */
+const useAuth = (authService) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    return authService.onChange(
+      (nextUser) => {
+        setUser(nextUser);
+        setError(null);
+        setLoading(false);
+      },
+      (listenError) => {
+        console.error("Auth state listener failed:", listenError);
+        setUser(null);
+        setError(listenError);
+        setLoading(false);
+      }
+    );
+  }, [authService]);
+
+  const signIn = useCallback((email, password) => authService.signIn(email, password), [authService]);
+
+  const signUp = useCallback((email, password) => authService.signUp(email, password), [authService]);
+
+  const sendVerificationEmail = useCallback(() => authService.sendVerificationEmail(), [authService]);
+
+  const refreshUser = useCallback(async () => {
+    const refreshed = await authService.refreshUser();
+    setUser(refreshed);
+    return refreshed;
+  }, [authService]);
+
+  const signOut = useCallback(async () => {
+    try {
+      await authService.signOut();
+    } catch (signOutError) {
+      console.error("Sign out failed:", signOutError);
+      setError(signOutError);
+    }
+  }, [authService]);
+
+  return { user, loading, error, signIn, signUp, signOut, sendVerificationEmail, refreshUser };
+};
+
+export default useAuth;
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback } from 'react';
+import { itemKey } from '../lib/variants';
+
+const isLine = (item, productId, variantId) => itemKey(item.productId, item.variantId) === itemKey(productId, variantId);
+
+// Reads a previously saved cart, falling back to an empty one if storage is
+// unavailable or holds something we don't recognise.
+const readCart = (storageKey) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey));
+    return Array.isArray(saved) ? saved.filter(item => item && item.productId && item.quantity > 0) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Shopping cart state persisted to localStorage under `storageKey`.
+ * Items only hold `{ productId, variantId, quantity }`, one per product and
+ * variant (`variantId` is null for products without variants); names, prices
+ * and stock are always read from the live product list so the cart never
+ * shows stale data.
+ */
+const useCart = (storageKey) => {
+  // The key is kept alongside the items so a key change (e.g. a different user
+  // signing in) never writes one user's cart under another user's key.
+  const [cart, setCart] = useState(() => ({ storageKey, items: readCart(storageKey) }));
+
+  if (cart.storageKey !== storageKey) {
+    setCart({ storageKey, items: readCart(storageKey) });
+  }
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(cart.storageKey, JSON.stringify(cart.items));
+    } catch (error) {
+      console.error("Could not persist cart:", error);
+    }
+  }, [cart]);
+
+  const updateItems = useCallback((updater) => {
+    setCart(current => ({ ...current, items: updater(current.items) }));
+  }, []);
+
+  // Adds one unit, never exceeding `maxQuantity` (the product's or variant's current stock)
+  const addItem = useCallback((productId, variantId = null, maxQuantity = Infinity) => {
+    updateItems(items => {
+      const existing = items.find(item => isLine(item, productId, variantId));
+      if (!existing) {
+        return maxQuantity > 0 ? [...items, { productId, variantId, quantity: 1 }] : items;
+      }
+      if (existing.quantity >= maxQuantity) return items;
+      return items.map(item => isLine(item, productId, variantId) ? { ...item, quantity: item.quantity + 1 } : item);
+    });
+  }, [updateItems]);
+
+  // Removes one unit, dropping the line entirely when it reaches zero
+  const removeItem = useCallback((productId, variantId = null) => {
+    updateItems(items => items
+      .map(item => isLine(item, productId, variantId) ? { ...item, quantity: item.quantity - 1 } : item)
+      .filter(item => item.quantity > 0));
+  }, [updateItems]);
+
+  const removeLine = useCallback((productId, variantId = null) => {
+    updateItems(items => items.filter(item => !isLine(item, productId, variantId)));
+  }, [updateItems]);
+
+  const clearCart = useCallback(() => updateItems(() => []), [updateItems]);
+
+  const items = cart.storageKey === storageKey ? cart.items : [];
+
+  return { items, addItem, removeItem, removeLine, clearCart };
+};
+
+export default useCart;
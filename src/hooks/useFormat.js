@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+import { createFormatters } from '../lib/format';
+
+// Provided by App with the open store's currency and locale
+export const FormatContext = createContext(createFormatters());
+
+/**
+ * Money and date formatters for the open store (see lib/format).
+ */
+const useFormat = () => useContext(FormatContext);
+
+export default useFormat;
@@ -0,0 +1,39 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Loading and error state for one group of writes, shared by
+ * useProductMutations and useOrderActions. `queue` is the outbox
+ * (`{ entries, subscribeSettled }`, see useOutbox) and `types` the
+ * MUTATION_TYPES the group queues there; it should be a module constant.
+ * Returns `{ loading, pending, error, track }`: `pending` counts the group's
+ * queued writes, `error` is the last failure (cleared by the next success) and
+ * `track(fn)` runs a write the caller awaits itself, rethrowing its error.
+ */
+const useMutationStatus = (queue, types) => {
+  const [running, setRunning] = useState(0);
+  const [error, setError] = useState(null);
+  const pending = queue.entries.filter(entry => types.includes(entry.type)).length;
+
+  const { subscribeSettled } = queue;
+  useEffect(() => subscribeSettled((entry, settledError) => {
+    if (types.includes(entry.type)) setError(settledError);
+  }), [subscribeSettled, types]);
+
+  const track = useCallback(async (fn) => {
+    setRunning(count => count + 1);
+    try {
+      const result = await fn();
+      setError(null);
+      return result;
+    } catch (runError) {
+      setError(runError);
+      throw runError;
+    } finally {
+      setRunning(count => count - 1);
+    }
+  }, []);
+
+  return { loading: running > 0 || pending > 0, pending, error, track };
+};
+
+export default useMutationStatus;
@@ -0,0 +1,80 @@
+import { useCallback } from 'react';
+import useMutationStatus from './useMutationStatus';
+import { ORDERS } from '../data/collections';
+import { MUTATION_TYPES } from '../lib/pendingMutations';
+import { DEFAULT_SIMULATION, planSimulatedOrder } from '../lib/simulation';
+import { orderChunkSize, runInChunks } from '../lib/bulk';
+
+const ORDER_MUTATIONS = [MUTATION_TYPES.PLACE_ORDER, MUTATION_TYPES.TRANSITION_ORDER];
+
+const customerNameOf = (customers, customerId) => customers.find(customer => customer.id === customerId)?.name || null;
+
+/**
+ * Order writes for the open store. Placements and status moves go through
+ * `queue` (the outbox, see useOutbox); `products` and `customers` are the
+ * current lists, used for simulated orders and customer names. Returns
+ * `{ placeOrder, transitionOrder, transitionOrders, assignInvoiceNumber, simulateOrder }`
+ * with the loading and error state of useMutationStatus.
+ */
+const useOrderActions = (repositories, queue, { products = [], customers = [] } = {}) => {
+  const { enqueue } = queue;
+  const { track, ...status } = useMutationStatus(queue, ORDER_MUTATIONS);
+
+  // Places one order holding every requested line for `customerId`, or for
+  // the `shopper` who checked out, priced with the optional coupon; see
+  // orderRepository.place. Resolves to
+  // `{ queued }` (true when it will be placed once back online) and rejects
+  // if the order was refused, for the storefront to show inline.
+  const placeOrder = useCallback(async (items, { couponCode = null, customerId = null, shopper = null } = {}) => {
+    if (!repositories || items.length === 0) return { queued: false };
+    const customerName = shopper ? shopper.name : customerNameOf(customers, customerId);
+    const { settled } = enqueue(
+      MUTATION_TYPES.PLACE_ORDER,
+      { orderId: repositories.backend.newId(ORDERS), items, couponCode, customerId, shopper, customerName },
+      { wait: true }
+    );
+    return track(() => settled);
+  }, [repositories, customers, enqueue, track]);
+
+  // Moves an order along its lifecycle; cancelling or refunding also restocks
+  const transitionOrder = useCallback((orderId, nextStatus) => {
+    if (!repositories) return null;
+    return enqueue(MUTATION_TYPES.TRANSITION_ORDER, { orderId, nextStatus });
+  }, [repositories, enqueue]);
+
+  // Moves a selection of orders to `nextStatus` in chunks, written directly
+  // rather than queued so the outcome of every order can be reported. Orders
+  // that can't make the move fail on their own. Resolves to
+  // `{ succeeded, failed, notRun }` (see runInChunks).
+  const transitionOrders = useCallback((orderIds, nextStatus, onProgress, signal) => track(async () => {
+    if (!repositories) return { succeeded: [], failed: [], notRun: orderIds };
+    return runInChunks(orderIds, orderChunkSize(nextStatus), (ids) => repositories.orders.transitionBatch(ids, nextStatus), { onProgress, signal });
+  }), [repositories, track]);
+
+  // Only for orders that shipped before invoice numbers existed; shipping
+  // assigns them otherwise. Resolves to the number.
+  const assignInvoiceNumber = useCallback((orderId) => track(
+    () => repositories.orders.assignInvoiceNumber(orderId)
+  ), [repositories, track]);
+
+  // Queues an order of 1 to 3 in-stock products or variants, 1 to 5 units
+  // each, for a random customer if there are any. Returns false when nothing
+  // is in stock.
+  const simulateOrder = useCallback((random = Math.random) => {
+    if (!repositories) return false;
+    const plan = planSimulatedOrder(random, DEFAULT_SIMULATION, { products, customers, available: ({ product, variant }) => (variant || product).stock || 0 });
+    if (!plan) return false;
+
+    enqueue(MUTATION_TYPES.PLACE_ORDER, {
+      orderId: repositories.backend.newId(ORDERS),
+      items: plan.items,
+      customerId: plan.customerId,
+      customerName: customerNameOf(customers, plan.customerId),
+    });
+    return true;
+  }, [repositories, products, customers, enqueue]);
+
+  return { ...status, placeOrder, transitionOrder, transitionOrders, assignInvoiceNumber, simulateOrder };
+};
+
+export default useOrderActions;
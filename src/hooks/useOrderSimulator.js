@@ -0,0 +1,50 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createOrderSimulator } from '../data/orderSimulator';
+import { DEFAULT_SIMULATION } from '../lib/simulation';
+
+/**
+ * Order simulator (see data/orderSimulator.js) bound to the current
+ * repositories. Lives in App so a run keeps going while other views are open.
+ * Returns the latest `run` (null before the first), the `config` it was
+ * started with (initially the defaults), `start(config)` and `stop()`.
+ * Switching stores stops the run.
+ */
+const useOrderSimulator = (repositories, { products, customers }) => {
+  const [run, setRun] = useState(null);
+  const [config, setConfig] = useState(DEFAULT_SIMULATION);
+  const simulatorRef = useRef(null);
+
+  // The simulator reads the catalog as it changes without being restarted
+  const catalogRef = useRef({ products, customers });
+  useEffect(() => {
+    catalogRef.current = { products, customers };
+  }, [products, customers]);
+
+  useEffect(() => {
+    setRun(null);
+    return () => {
+      simulatorRef.current?.stop();
+      simulatorRef.current = null;
+    };
+  }, [repositories]);
+
+  const start = useCallback((nextConfig) => {
+    if (!repositories || (run && run.status !== 'done')) return;
+    setConfig(nextConfig);
+    // Orders still settling after a store switch must not report into the new store
+    const active = {};
+    simulatorRef.current = active;
+    active.stop = createOrderSimulator({
+      repositories,
+      config: nextConfig,
+      getCatalog: () => catalogRef.current,
+      onUpdate: (next) => { if (simulatorRef.current === active) setRun(next); },
+    }).stop;
+  }, [repositories, run]);
+
+  const stop = useCallback(() => simulatorRef.current?.stop(), []);
+
+  return { run, config, start, stop };
+};
+
+export default useOrderSimulator;
@@ -0,0 +1,13 @@
+import useSubscription from './useSubscription';
+
+/**
+ * The open store's orders as stored, kept live. Returns
+ * `{ orders, loading, error }` (see useSubscription); orders still waiting
+ * in the outbox are applied on top by applyPendingMutations.
+ */
+const useOrders = (repositories) => {
+  const { data, loading, error } = useSubscription(repositories?.orders, { description: 'orders' });
+  return { orders: data, loading, error };
+};
+
+export default useOrders;
@@ -0,0 +1,75 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createOutbox } from '../data/outbox';
+
+const readOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+/**
+ * Offline outbox (see data/outbox.js) bound to the current repositories.
+ * Returns the pending `entries`, whether the browser is `isOnline`,
+ * `enqueue(type, payload, options)` and `subscribeSettled(listener)`.
+ * `onSettled(entry, error)` and any subscribed listeners hear about entries
+ * nobody is waiting on.
+ */
+const useOutbox = (repositories, storageKey, onSettled) => {
+  const [entries, setEntries] = useState([]);
+  const [isOnline, setIsOnline] = useState(readOnline);
+  const outboxRef = useRef(null);
+  const settledListenersRef = useRef(new Set());
+
+  // Always report through the latest callback without recreating the outbox
+  const onSettledRef = useRef(onSettled);
+  useEffect(() => {
+    onSettledRef.current = onSettled;
+  }, [onSettled]);
+
+  useEffect(() => {
+    if (!repositories || !storageKey) return;
+    const outbox = createOutbox({
+      repositories,
+      storageKey,
+      onSettled: (entry, error) => {
+        onSettledRef.current(entry, error);
+        settledListenersRef.current.forEach(listener => listener(entry, error));
+      },
+    });
+    outboxRef.current = outbox;
+    setEntries(outbox.getEntries());
+    const unsubscribe = outbox.subscribe(setEntries);
+    outbox.flush();
+
+    return () => {
+      unsubscribe();
+      outbox.dispose();
+      outboxRef.current = null;
+    };
+  }, [repositories, storageKey]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      outboxRef.current?.flush();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  const enqueue = useCallback((type, payload, options) => {
+    if (!outboxRef.current) throw new Error('The outbox is not ready yet.');
+    return outboxRef.current.enqueue(type, payload, options);
+  }, []);
+
+  // For hooks that track the outcome of their own mutations (see useMutationStatus)
+  const subscribeSettled = useCallback((listener) => {
+    settledListenersRef.current.add(listener);
+    return () => settledListenersRef.current.delete(listener);
+  }, []);
+
+  return { entries, isOnline, enqueue, subscribeSettled };
+};
+
+export default useOutbox;
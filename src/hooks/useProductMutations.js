@@ -0,0 +1,120 @@
+import { useCallback } from 'react';
+import useMutationStatus from './useMutationStatus';
+import { PRODUCTS } from '../data/collections';
+import { getProductVersion } from '../data/productRepository';
+import { MUTATION_TYPES } from '../lib/pendingMutations';
+import { withRetry, isAbortError, RETRY_BUDGETS } from '../lib/retry';
+import { PRODUCT_CHUNK_SIZE, runInChunks, validateProductAction } from '../lib/bulk';
+import { importRowWrites } from '../lib/importExport';
+
+// Writes per import transaction, well under Firestore's 500. A row writes its
+// product and a stock movement per variant (see importRowWrites).
+const IMPORT_BATCH_WRITES = 200;
+
+// Consecutive runs of rows within the write budget; a row over it goes alone
+const batchImportRows = (rows) => {
+  const batches = [];
+  let writes = 0;
+  rows.forEach(row => {
+    const rowWrites = importRowWrites(row);
+    if (batches.length === 0 || writes + rowWrites > IMPORT_BATCH_WRITES) {
+      batches.push([]);
+      writes = 0;
+    }
+    batches[batches.length - 1].push(row);
+    writes += rowWrites;
+  });
+  return batches;
+};
+
+const PRODUCT_MUTATIONS = [
+  MUTATION_TYPES.SAVE_PRODUCT, MUTATION_TYPES.DELETE_PRODUCT, MUTATION_TYPES.ARCHIVE_PRODUCT, MUTATION_TYPES.RESTORE_PRODUCT,
+];
+
+/**
+ * Product writes for the open store. Saves, archiving and deletions go
+ * through `queue` (the outbox, see useOutbox), so they show straight away and
+ * sync when online; their outcome is reported where the outbox settles.
+ * Returns `{ saveProduct, archiveProduct, restoreProduct, deleteProduct,
+ * importProducts, bulkUpdateProducts }` with the loading and error state of
+ * useMutationStatus.
+ */
+const useProductMutations = (repositories, queue) => {
+  const { enqueue } = queue;
+  const { track, ...status } = useMutationStatus(queue, PRODUCT_MUTATIONS);
+
+  // Edits are checked against the version they were based on (`baseProduct`)
+  // so an order or another user's change made in the meantime is never
+  // silently overwritten; a conflict settles with a VersionConflictError.
+  const saveProduct = useCallback((productData, baseProduct = null) => {
+    if (!repositories) return null;
+    const isNew = !baseProduct?.id;
+    return enqueue(MUTATION_TYPES.SAVE_PRODUCT, {
+      productId: isNew ? repositories.backend.newId(PRODUCTS) : baseProduct.id,
+      isNew,
+      data: productData,
+      expectedVersion: isNew ? null : getProductVersion(baseProduct),
+      base: baseProduct,
+    });
+  }, [repositories, enqueue]);
+
+  // Archiving is what deleting means in the app: the product is hidden but
+  // kept for order history, and can be restored
+  const archiveProduct = useCallback((productId, productName = 'Product') => {
+    if (!repositories) return null;
+    return enqueue(MUTATION_TYPES.ARCHIVE_PRODUCT, { productId, productName });
+  }, [repositories, enqueue]);
+
+  const restoreProduct = useCallback((productId, productName = 'Product') => {
+    if (!repositories) return null;
+    return enqueue(MUTATION_TYPES.RESTORE_PRODUCT, { productId, productName });
+  }, [repositories, enqueue]);
+
+  // Deletes for good; settles with an InvalidStateError while open orders hold the product
+  const deleteProduct = useCallback((productId, productName = 'Product') => {
+    if (!repositories) return null;
+    return enqueue(MUTATION_TYPES.DELETE_PRODUCT, { productId, productName });
+  }, [repositories, enqueue]);
+
+  // Writes planned import rows in batches. A batch that still fails after
+  // retrying is reported back rather than aborting the remaining batches.
+  // Aborting `signal` stops after the batch in flight; rows not yet written
+  // are returned as `notImportedRows`.
+  const importProducts = useCallback((rows, onProgress = () => {}, signal) => track(async () => {
+    const totals = { created: 0, updated: 0, skipped: 0, failedRows: [], notImportedRows: [] };
+    if (!repositories) return totals;
+
+    let start = 0;
+    for (const batch of batchImportRows(rows)) {
+      try {
+        const summary = await withRetry(() => repositories.products.importBatch(batch), { ...RETRY_BUDGETS.batch, signal });
+        totals.created += summary.created;
+        totals.updated += summary.updated;
+        totals.skipped += summary.skipped;
+      } catch (error) {
+        if (isAbortError(error)) {
+          totals.notImportedRows = rows.slice(start);
+          break;
+        }
+        console.error("Error importing products:", error);
+        totals.failedRows.push(...batch);
+      }
+      start += batch.length;
+      onProgress(start);
+    }
+    return totals;
+  }), [repositories, track]);
+
+  // Applies one bulk action (see lib/bulk) to every product in `productIds`,
+  // in chunks. Rejects with a ValidationError before writing anything if the
+  // action is invalid; otherwise resolves to `{ succeeded, failed, notRun }`.
+  const bulkUpdateProducts = useCallback((productIds, action, onProgress, signal) => track(async () => {
+    validateProductAction(action);
+    if (!repositories) return { succeeded: [], failed: [], notRun: productIds };
+    return runInChunks(productIds, PRODUCT_CHUNK_SIZE, (ids) => repositories.products.applyBatch(ids, action), { onProgress, signal });
+  }), [repositories, track]);
+
+  return { ...status, saveProduct, archiveProduct, restoreProduct, deleteProduct, importProducts, bulkUpdateProducts };
+};
+
+export default useProductMutations;
@@ -0,0 +1,13 @@
+import useSubscription from './useSubscription';
+
+/**
+ * The open store's products as stored, kept live. Returns
+ * `{ products, loading, error }` (see useSubscription); writes still waiting
+ * in the outbox are applied on top by applyPendingMutations.
+ */
+const useProducts = (repositories) => {
+  const { data, loading, error } = useSubscription(repositories?.products, { description: 'products' });
+  return { products: data, loading, error };
+};
+
+export default useProducts;
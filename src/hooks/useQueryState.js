@@ -0,0 +1,26 @@
+import { useMemo, useCallback } from 'react';
+import useRoute from './useRoute';
+import { readQueryState, writeQueryState, withQuery } from '../lib/routes';
+
+/**
+ * List state (filters, sort, paging) kept in the query string, so a refresh
+ * or a shared link shows the same list. `defaults` gives each key's default
+ * value and type (see readQueryState) and must not change between renders.
+ * Returns `[state, update]`; `update(changes)` replaces the current history
+ * entry, so typing in a search box doesn't fill the back button.
+ */
+const useQueryState = (defaults) => {
+  const { route, navigate } = useRoute();
+  const state = useMemo(() => readQueryState(route.query, defaults), [route.query, defaults]);
+
+  const update = useCallback((changes) => {
+    // Keys this list doesn't own are left alone
+    const otherKeys = Object.fromEntries(Object.entries(route.query).filter(([key]) => !(key in defaults)));
+    const query = { ...otherKeys, ...writeQueryState({ ...state, ...changes }, defaults) };
+    navigate(withQuery(`#${route.path}`, query), { replace: true });
+  }, [route, state, defaults, navigate]);
+
+  return [state, update];
+};
+
+export default useQueryState;
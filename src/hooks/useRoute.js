@@ -0,0 +1,43 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { parseRoute } from '../lib/routes';
+
+const currentRoute = () => parseRoute(window.location.hash);
+
+// Provided by App with the value of useHashRouter
+export const RouteContext = createContext({ route: parseRoute(''), navigate: () => {} });
+
+/**
+ * Follows the URL hash. Returns `{ route, navigate }`: `route` is parseRoute's
+ * result and `navigate(href, { replace })` moves to a routeHref, replacing the
+ * current history entry rather than adding one when `replace` is set (for
+ * changes such as typing in a search box).
+ */
+export const useHashRouter = () => {
+  const [route, setRoute] = useState(currentRoute);
+
+  useEffect(() => {
+    const handleChange = () => setRoute(currentRoute());
+    window.addEventListener('hashchange', handleChange);
+    return () => window.removeEventListener('hashchange', handleChange);
+  }, []);
+
+  const navigate = useCallback((href, { replace = false } = {}) => {
+    if (href === window.location.hash) return;
+    if (replace) {
+      // replaceState doesn't fire hashchange
+      window.history.replaceState(window.history.state, '', href);
+      setRoute(currentRoute());
+    } else {
+      window.location.hash = href;
+    }
+  }, []);
+
+  return useMemo(() => ({ route, navigate }), [route, navigate]);
+};
+
+/**
+ * The current route and navigate function (see useHashRouter).
+ */
+const useRoute = () => useContext(RouteContext);
+
+export default useRoute;
@@ -0,0 +1,38 @@
+import { useState, useMemo, useCallback } from 'react';
+
+/**
+ * Checkbox selection over a list of `records` (anything with an `id`), for
+ * bulk actions. A selected record that leaves the list (deleted, or removed
+ * elsewhere) drops out of the selection. Returns
+ * `{ selectedIds, isSelected, toggle, setSelected, clear }`;
+ * `setSelected(ids, checked)` selects or unselects several at once, e.g. a page.
+ */
+const useSelection = (records) => {
+  const [selected, setSelectedSet] = useState(() => new Set());
+
+  const selectedIds = useMemo(
+    () => records.filter(record => selected.has(record.id)).map(record => record.id),
+    [records, selected]
+  );
+
+  const isSelected = useCallback((id) => selected.has(id), [selected]);
+
+  const toggle = useCallback((id) => setSelectedSet((current) => {
+    const next = new Set(current);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  }), []);
+
+  const setSelected = useCallback((ids, checked) => setSelectedSet((current) => {
+    const next = new Set(current);
+    ids.forEach(id => (checked ? next.add(id) : next.delete(id)));
+    return next;
+  }), []);
+
+  const clear = useCallback(() => setSelectedSet(new Set()), []);
+
+  return { selectedIds, isSelected, toggle, setSelected, clear };
+};
+
+export default useSelection;
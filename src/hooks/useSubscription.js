@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Live data from a repository's `subscribe(onChange, onError)`. Returns
+ * `{ data, loading, error }`; `loading` holds until the first snapshot or
+ * error arrives, and while there is no repository yet. A new repository
+ * (another store) starts over from `initialData`. `description` names the
+ * data in the console when the listener fails.
+ */
+const useSubscription = (repository, { initialData = [], description = 'data' } = {}) => {
+  const [state, setState] = useState({ data: initialData, loading: true, error: null });
+
+  useEffect(() => {
+    setState({ data: initialData, loading: true, error: null });
+    if (!repository) return;
+    return repository.subscribe(
+      (data) => setState({ data, loading: false, error: null }),
+      (error) => {
+        console.error(`Error fetching ${description}:`, error);
+        setState(current => ({ ...current, loading: false, error }));
+      }
+    );
+    // `initialData` only matters when starting over, so a new literal doesn't resubscribe
+  }, [repository, description]);
+
+  return state;
+};
+
+export default useSubscription;
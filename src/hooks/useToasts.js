@@ -0,0 +1,52 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+// How long each kind of toast stays up, in ms; errors linger so they can be read
+const DEFAULT_DURATIONS = { success: 4000, info: 4000, error: 8000 };
+
+// Toasts offering an action (e.g. undo) stay long enough to reach for it
+const ACTION_DURATION = 8000;
+
+let nextToastId = 1;
+
+/**
+ * Transient notifications. `notify({ type, message, duration, id })` shows a
+ * toast and returns its id; passing the id of a toast that is still showing
+ * replaces it in place (used for retry progress). `duration: null` keeps the
+ * toast up until it is dismissed. `action: { label, onClick }` adds a button
+ * that runs `onClick` and dismisses the toast.
+ */
+const useToasts = () => {
+  const [toasts, setToasts] = useState([]);
+  const timers = useRef(new Map());
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts(current => current.filter(toast => toast.id !== id));
+  }, []);
+
+  const notify = useCallback(({ type = 'info', message, action = null, duration = action ? ACTION_DURATION : DEFAULT_DURATIONS[type], id = nextToastId++ }) => {
+    setToasts(current => {
+      const toast = { id, type, message, action };
+      return current.some(t => t.id === id)
+        ? current.map(t => (t.id === id ? toast : t))
+        : [...current, toast];
+    });
+
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    if (duration !== null) {
+      timers.current.set(id, setTimeout(() => dismiss(id), duration));
+    }
+    return id;
+  }, [dismiss]);
+
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach(timer => clearTimeout(timer));
+  }, []);
+
+  return { toasts, notify, dismiss };
+};
+
+export default useToasts;
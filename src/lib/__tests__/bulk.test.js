@@ -0,0 +1,72 @@
+import { runInChunks, adjustPriceCents, validateProductAction, orderChunkSize, BULK_PRODUCT_ACTIONS, ORDER_CHUNK_SIZE } from '../bulk';
+import { NotFoundError } from '../errors';
+
+const ids = (count) => Array.from({ length: count }, (_, index) => `id-${index + 1}`);
+
+describe('runInChunks', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs every chunk and reports progress after each', async () => {
+    const runChunk = jest.fn(async () => ({ failed: [] }));
+    const onProgress = jest.fn();
+
+    const report = await runInChunks(ids(5), 2, runChunk, { onProgress });
+
+    expect(runChunk.mock.calls).toEqual([[['id-1', 'id-2']], [['id-3', 'id-4']], [['id-5']]]);
+    expect(onProgress.mock.calls).toEqual([[2], [4], [5]]);
+    expect(report).toEqual({ succeeded: ids(5), failed: [], notRun: [] });
+  });
+
+  it('keeps going past a failed chunk and reports its items', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const error = new NotFoundError('Product', 'id-1');
+    const runChunk = jest.fn(async (chunkIds) => {
+      if (chunkIds.includes('id-3')) throw error;
+      return { failed: chunkIds.includes('id-1') ? [{ id: 'id-1', error }] : [] };
+    });
+
+    const report = await runInChunks(ids(5), 2, runChunk);
+
+    expect(report.succeeded).toEqual(['id-2', 'id-5']);
+    expect(report.failed).toEqual([{ id: 'id-1', error }, { id: 'id-3', error }, { id: 'id-4', error }]);
+    expect(console.error).toHaveBeenCalledWith('Bulk action failed:', error);
+  });
+
+  it('leaves the remaining chunks when aborted', async () => {
+    const controller = new AbortController();
+    const runChunk = jest.fn(async () => {
+      controller.abort();
+      return { failed: [] };
+    });
+
+    const report = await runInChunks(ids(5), 2, runChunk, { signal: controller.signal });
+
+    expect(runChunk).toHaveBeenCalledTimes(1);
+    expect(report).toEqual({ succeeded: ['id-1', 'id-2'], failed: [], notRun: ['id-3', 'id-4', 'id-5'] });
+  });
+});
+
+describe('orderChunkSize', () => {
+  it('ships one order per transaction so invoice numbers go up one at a time', () => {
+    expect(orderChunkSize('Shipped')).toBe(1);
+    expect(orderChunkSize('Cancelled')).toBe(ORDER_CHUNK_SIZE);
+  });
+});
+
+describe('product actions', () => {
+  it('adjusts prices by a percentage, rounded and never below zero', () => {
+    expect(adjustPriceCents(2999, 10)).toBe(3299);
+    expect(adjustPriceCents(4500, -25)).toBe(3375);
+    expect(adjustPriceCents(100, -99.9)).toBe(0);
+  });
+
+  it('refuses price changes and stock levels that make no sense', () => {
+    expect(() => validateProductAction({ type: BULK_PRODUCT_ACTIONS.ADJUST_PRICE, percent: -100 })).toThrow('percentage above -100');
+    expect(() => validateProductAction({ type: BULK_PRODUCT_ACTIONS.ADJUST_PRICE, percent: NaN })).toThrow('percentage above -100');
+    expect(() => validateProductAction({ type: BULK_PRODUCT_ACTIONS.SET_STOCK, stock: 2.5 })).toThrow('whole number');
+    expect(() => validateProductAction({ type: 'rename' })).toThrow('Unknown bulk action');
+    expect(() => validateProductAction({ type: BULK_PRODUCT_ACTIONS.SET_STOCK, stock: 0 })).not.toThrow();
+  });
+});
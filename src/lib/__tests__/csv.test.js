@@ -0,0 +1,37 @@
+import { parseCsv, toCsv } from '../csv';
+
+describe('toCsv', () => {
+  it('quotes fields holding commas, quotes and line breaks', () => {
+    expect(toCsv([{ name: 'Mug, "large"', notes: 'a\nb' }], ['name', 'notes'])).toBe('name,notes\r\n"Mug, ""large""","a\nb"');
+  });
+
+  it('writes text a spreadsheet would run as a formula with a leading quote', () => {
+    const rows = [
+      { name: '=HYPERLINK("http://evil.example","Click")' },
+      { name: '+1' },
+      { name: '-2' },
+      { name: '@SUM(A1)' },
+      { name: '\tTabbed' },
+      { name: 'Plain' },
+    ];
+    expect(toCsv(rows, ['name']).split('\r\n').slice(1)).toEqual([
+      '"\'=HYPERLINK(""http://evil.example"",""Click"")"',
+      "'+1",
+      "'-2",
+      "'@SUM(A1)",
+      "'\tTabbed",
+      'Plain',
+    ]);
+  });
+
+  it('leaves numbers alone', () => {
+    expect(toCsv([{ delta: -3 }], ['delta'])).toBe('delta\r\n-3');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads back what toCsv wrote', () => {
+    const rows = [{ name: '=1+1', city: 'Paris, France' }, { name: "It's fine", city: '' }];
+    expect(parseCsv(toCsv(rows, ['name', 'city']))).toEqual(rows);
+  });
+});
@@ -0,0 +1,39 @@
+// The suite runs in America/Los_Angeles (see src/test/globalSetup.js)
+import { inDateRange, filterOrders } from '../filters';
+import { filterOrdersForExport, filterProductsForExport } from '../importExport';
+
+describe('inDateRange', () => {
+  it('compares against local calendar days', () => {
+    // 21:30 on 31 January in Los Angeles
+    const evening = '2026-02-01T05:30:00.000Z';
+    expect(inDateRange(evening, '2026-01-31', '2026-01-31')).toBe(true);
+    expect(inDateRange(evening, '2026-02-01', '')).toBe(false);
+    expect(inDateRange(evening, '', '2026-01-30')).toBe(false);
+  });
+
+  it('includes the whole of the last day', () => {
+    expect(inDateRange('2026-01-31T07:59:59.999Z', '', '2026-01-30')).toBe(true);
+    expect(inDateRange('2026-01-31T08:00:00.000Z', '', '2026-01-30')).toBe(false);
+  });
+
+  it('keeps days whole across a daylight saving change', () => {
+    // 23:30 on 8 March, the day the clocks go forward
+    expect(inDateRange('2026-03-09T06:30:00.000Z', '2026-03-08', '2026-03-08')).toBe(true);
+    expect(inDateRange('2026-03-09T07:30:00.000Z', '2026-03-08', '2026-03-08')).toBe(false);
+  });
+
+  it('leaves records without a timestamp out of a range', () => {
+    expect(inDateRange(null, '', '')).toBe(true);
+    expect(inDateRange(null, '2026-01-01', '')).toBe(false);
+  });
+});
+
+describe('date filters', () => {
+  const order = { id: 'o-1', status: 'Paid', orderedAt: '2026-02-01T05:30:00.000Z', lineItems: [] };
+
+  it('files an evening order under its local day in the list and the exports', () => {
+    expect(filterOrders([order], { from: '2026-01-31', to: '2026-01-31' })).toEqual([order]);
+    expect(filterOrdersForExport([order], { from: '2026-02-01', to: '' })).toEqual([]);
+    expect(filterProductsForExport([{ id: 'p-1', updatedAt: order.orderedAt }], { from: '2026-01-31', to: '2026-01-31' })).toHaveLength(1);
+  });
+});
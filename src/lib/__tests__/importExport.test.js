@@ -0,0 +1,62 @@
+import { parseProductFile, planProductImport, serialiseProducts } from '../importExport';
+
+const WALLET = { id: 'wallet', name: 'Leather Wallet', sku: 'WAL-1', priceCents: 4500, stock: 25 };
+const TEE = {
+  id: 'tee',
+  name: 'Vintage T-Shirt',
+  priceCents: 2999,
+  stock: 25,
+  variants: [
+    { id: 's', name: 'S', sku: 'TSH-S', priceCents: 2999, stock: 10 },
+    { id: 'm', name: 'M', sku: 'TSH-M', priceCents: 3299, stock: 15 },
+  ],
+};
+const PRODUCTS = [WALLET, TEE];
+
+describe('planProductImport', () => {
+  it('matches by name only when the row has no SKU', () => {
+    const [bySku, byName] = planProductImport([
+      { name: 'Leather Wallet', sku: 'WAL-2', price: '40.00' },
+      { name: 'leather wallet', price: '41.00' },
+    ], PRODUCTS);
+    expect(bySku).toMatchObject({ action: 'create', productId: null, data: { sku: 'WAL-2', priceCents: 4000 } });
+    expect(byName).toMatchObject({ action: 'update', productId: 'wallet', data: { priceCents: 4100 } });
+  });
+
+  it('refuses SKUs used by another product, a variant or an earlier row', () => {
+    const plan = planProductImport([
+      { name: 'Tee Small', sku: 'tsh-s' },
+      { name: 'Sticker', sku: 'STK-1' },
+      { name: 'Sticker set', variants: [{ name: 'Red', sku: 'STK-1', priceCents: 100 }] },
+    ], PRODUCTS);
+    expect(plan.map(row => row.action)).toEqual(['skip', 'create', 'skip']);
+    expect(plan[0].errors).toEqual(['SKU tsh-s is already used by Vintage T-Shirt (S).']);
+    expect(plan[2].errors).toEqual(['SKU STK-1 is already used on row 2.']);
+  });
+
+  it('still refuses a change to the stock of a product with variants', () => {
+    const [unchanged] = planProductImport([{ name: 'Vintage T-Shirt', stock: '25' }], PRODUCTS);
+    const [changed] = planProductImport([{ name: 'Vintage T-Shirt', stock: '30' }], PRODUCTS);
+    expect(unchanged).toMatchObject({ action: 'update', data: { name: 'Vintage T-Shirt' } });
+    expect(unchanged.data.stock).toBeUndefined();
+    expect(changed.errors).toEqual(['Stock of a product with variants is set per variant, in the product editor.']);
+  });
+});
+
+describe('JSON round trip', () => {
+  it('imports an export of products with variants as updates', () => {
+    const changed = { ...TEE, variants: [TEE.variants[0], { ...TEE.variants[1], stock: 20 }, { id: 'l', name: 'L', sku: 'TSH-L', priceCents: 3299, stock: 2 }] };
+    const rows = parseProductFile(serialiseProducts([WALLET, changed], 'json', 'USD'), 'json', { currency: 'USD' });
+    const plan = planProductImport(rows, PRODUCTS, { currency: 'USD' });
+
+    expect(plan.map(row => row.errors)).toEqual([[], []]);
+    expect(plan[0]).toMatchObject({ action: 'update', productId: 'wallet', data: { stock: 25 } });
+    expect(plan[1]).toMatchObject({ action: 'update', productId: 'tee', data: { stock: 32, variants: changed.variants } });
+  });
+
+  it('refuses a file in another currency than the store\'s', () => {
+    const text = serialiseProducts([WALLET], 'json', 'EUR');
+    expect(() => parseProductFile(text, 'json', { currency: 'USD' }))
+      .toThrow("The file's prices are in EUR but the store's are in USD.");
+  });
+});
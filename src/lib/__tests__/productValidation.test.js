@@ -0,0 +1,68 @@
+import { validateProductForm, productToFormValues, variantFieldKey } from '../productValidation';
+
+const PRODUCTS = [
+  { id: 'wallet', name: 'Leather Wallet', sku: 'WAL-1', priceCents: 4500, stock: 25 },
+  { id: 'tee', name: 'Vintage T-Shirt', priceCents: 2999, stock: 10, variants: [{ id: 's', name: 'S', sku: 'TSH-S', priceCents: 2999, stock: 10 }] },
+];
+
+const formFor = (overrides = {}) => ({ ...productToFormValues(), name: 'Hoodie', price: '49.00', stock: '3', ...overrides });
+const variantRow = (id, name, sku, price, stock) => ({ id, name, sku, price, stock });
+
+describe('validateProductForm', () => {
+  it('saves the catalog fields', () => {
+    const { errors, data } = validateProductForm(formFor({
+      sku: ' HOO-1 ',
+      category: 'Apparel',
+      tags: 'cotton, Winter,  cotton',
+      imageUrls: 'https://example.com/a.png\n\n https://example.com/b.png ',
+    }));
+    expect(errors).toEqual({});
+    expect(data).toMatchObject({
+      sku: 'HOO-1',
+      category: 'Apparel',
+      imageUrls: ['https://example.com/a.png', 'https://example.com/b.png'],
+      variants: [],
+      stock: 3,
+    });
+    expect(data.tags).toEqual(['cotton', 'Winter']);
+  });
+
+  it('takes the stock from the variants', () => {
+    const { errors, data } = validateProductForm(formFor({
+      stock: 'ignored',
+      variants: [variantRow('a', 'S', 'HOO-S', '49.00', '4'), variantRow('b', 'M', '', '52.50', '6')],
+    }));
+    expect(errors).toEqual({});
+    expect(data.stock).toBe(10);
+    expect(data.variants[1]).toEqual({ id: 'b', name: 'M', sku: null, priceCents: 5250, stock: 6 });
+  });
+
+  it('checks each variant row', () => {
+    const { errors } = validateProductForm(formFor({
+      stock: 'ignored',
+      variants: [variantRow('a', 'S', 'HOO-S', '49.00', '4'), variantRow('b', ' s ', '', 'x', '-1')],
+    }));
+    expect(errors).toEqual({
+      [variantFieldKey(1, 'name')]: 'There is already a variant called s.',
+      [variantFieldKey(1, 'price')]: expect.any(String),
+      [variantFieldKey(1, 'stock')]: 'Stock must be a whole number of 0 or more.',
+    });
+  });
+
+  it('keeps SKUs unique across products, their variants and the form', () => {
+    const { errors } = validateProductForm(formFor({
+      sku: 'wal-1',
+      variants: [variantRow('a', 'S', 'TSH-S', '49.00', '1'), variantRow('b', 'M', 'HOO-M', '49.00', '1'), variantRow('c', 'L', 'hoo-m', '49.00', '1')],
+    }), { products: PRODUCTS });
+    expect(errors).toEqual({
+      sku: 'SKU wal-1 is already used by Leather Wallet.',
+      [variantFieldKey(0, 'sku')]: expect.stringContaining('Vintage T-Shirt'),
+      [variantFieldKey(2, 'sku')]: 'SKU hoo-m is used twice on this product.',
+    });
+  });
+
+  it('refuses image URLs that are not web addresses', () => {
+    const { errors } = validateProductForm(formFor({ imageUrls: 'file:///tmp/a.png' }));
+    expect(errors.imageUrls).toMatch(/isn't a web address/);
+  });
+});
@@ -0,0 +1,100 @@
+import {
+  getSellableItem, stockChanges, diffStockLevels, mergeVariantStock, toStoredVariants, fromStoredVariants,
+} from '../variants';
+import { splitReorderQuantity } from '../inventory';
+
+const TEE = {
+  id: 'tee',
+  name: 'Vintage T-Shirt',
+  priceCents: 2999,
+  stock: 25,
+  variants: [
+    { id: 's', name: 'S', sku: 'TSH-S', priceCents: 2999, stock: 10 },
+    { id: 'm', name: 'M', sku: 'TSH-M', priceCents: 3299, stock: 15 },
+  ],
+};
+const MUG = { id: 'mug', name: 'Mug', priceCents: 900, stock: 6 };
+
+describe('getSellableItem', () => {
+  it('sells a variant at its own price and stock', () => {
+    expect(getSellableItem(TEE, 'm')).toMatchObject({ name: 'Vintage T-Shirt (M)', sku: 'TSH-M', priceCents: 3299, stock: 15 });
+    expect(getSellableItem(MUG)).toMatchObject({ variant: null, name: 'Mug', priceCents: 900, stock: 6 });
+  });
+
+  it('needs a variant the product has', () => {
+    expect(getSellableItem(TEE)).toBeNull();
+    expect(getSellableItem(TEE, 'xl')).toBeNull();
+  });
+});
+
+describe('stored variants', () => {
+  it('keeps the stock in a map beside the variants', () => {
+    const stored = { ...TEE, ...toStoredVariants(TEE.variants) };
+    expect(stored.variantStock).toEqual({ s: 10, m: 15 });
+    expect(stored.variants[1]).toEqual({ id: 'm', name: 'M', sku: 'TSH-M', priceCents: 3299 });
+    expect(fromStoredVariants(stored)).toEqual(TEE);
+  });
+
+  it('leaves products without variants as they are', () => {
+    expect(fromStoredVariants(MUG)).toEqual(MUG);
+  });
+});
+
+describe('stockChanges', () => {
+  it('moves a variant and keeps the total in step', () => {
+    const changes = stockChanges(TEE, 's', -4);
+    expect(changes.stock).toBe(21);
+    expect(changes.variants.map(variant => variant.stock)).toEqual([6, 15]);
+  });
+
+  it('has nowhere to put stock for a removed variant or a product that gained variants', () => {
+    expect(stockChanges(TEE, 'xl', 2)).toBeNull();
+    expect(stockChanges(TEE, null, 2)).toBeNull();
+    expect(stockChanges(MUG, null, 2)).toEqual({ stock: 8 });
+  });
+});
+
+describe('diffStockLevels', () => {
+  it('reports each variant whose stock moved, by its name after the edit', () => {
+    const after = {
+      ...TEE,
+      variants: [{ ...TEE.variants[0], name: 'Small', stock: 12 }, TEE.variants[1], { id: 'l', name: 'L', stock: 5 }],
+    };
+    expect(diffStockLevels(TEE, after)).toEqual([
+      { variantId: 's', variantName: 'Small', delta: 2 },
+      { variantId: 'l', variantName: 'L', delta: 5 },
+    ]);
+  });
+
+  it('moves a product\'s own stock into the variants it gains', () => {
+    const before = { ...MUG, stock: 6 };
+    const after = { ...MUG, stock: 4, variants: [{ id: 'red', name: 'Red', stock: 4 }] };
+    expect(diffStockLevels(before, after)).toEqual([
+      { variantId: null, variantName: null, delta: -6 },
+      { variantId: 'red', variantName: 'Red', delta: 4 },
+    ]);
+    expect(diffStockLevels(null, MUG)).toEqual([{ variantId: null, variantName: null, delta: 6 }]);
+  });
+});
+
+describe('mergeVariantStock', () => {
+  it('applies my stock changes to the current stock, never below 0', () => {
+    const mine = [{ ...TEE.variants[0], stock: 13, priceCents: 2499 }, { ...TEE.variants[1], stock: 0 }];
+    const theirs = [{ ...TEE.variants[0], stock: 8 }, { ...TEE.variants[1], stock: 5 }];
+    expect(mergeVariantStock(TEE.variants, mine, theirs)).toEqual([
+      { ...mine[0], stock: 11 },
+      { ...mine[1], stock: 0 },
+    ]);
+  });
+});
+
+describe('splitReorderQuantity', () => {
+  it('tops up the lowest-stock variants first', () => {
+    expect(splitReorderQuantity(TEE, 9).map(({ variant, quantity }) => [variant.id, quantity])).toEqual([['s', 7], ['m', 2]]);
+    expect(splitReorderQuantity(TEE, 3).map(({ variant, quantity }) => [variant.id, quantity])).toEqual([['s', 3]]);
+  });
+
+  it('gives a product without variants the whole quantity', () => {
+    expect(splitReorderQuantity(MUG, 5)).toEqual([{ variant: null, quantity: 5 }]);
+  });
+});
@@ -0,0 +1,141 @@
+import { REVENUE_STATUSES } from './orderLifecycle';
+import { getOrderLineItems, getOrderTotal } from './orders';
+
+// Sales analytics derived from orders and products. All bucketing uses the
+// browser's local time so "today" matches what the user sees on the clock.
+
+export const PERIODS = {
+  day: { label: 'Daily', bucketCount: 14 },
+  week: { label: 'Weekly', bucketCount: 12 },
+  month: { label: 'Monthly', bucketCount: 12 },
+};
+
+// Start of the day, week (Monday) or month containing `date`
+export const bucketStart = (date, period) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (period === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  } else if (period === 'month') {
+    start.setDate(1);
+  }
+  return start;
+};
+
+// Moves a bucket start by `steps` periods (negative goes back)
+export const shiftBucket = (start, period, steps) => {
+  const next = new Date(start);
+  if (period === 'month') next.setMonth(next.getMonth() + steps);
+  else next.setDate(next.getDate() + steps * (period === 'week' ? 7 : 1));
+  return next;
+};
+
+// `locale` is the store's (blank for the browser's)
+export const formatBucketLabel = (start, period, locale = '') => {
+  if (period === 'month') return start.toLocaleDateString(locale || undefined, { month: 'short', year: '2-digit' });
+  return start.toLocaleDateString(locale || undefined, { month: 'short', day: 'numeric' });
+};
+
+// Orders that count as sales, paired with the date they are attributed to
+const salesWithDates = (orders, dateField) => orders
+  .filter(order => REVENUE_STATUSES.includes(order.status) && order[dateField])
+  .map(order => ({ order, date: new Date(order[dateField]) }));
+
+/**
+ * Revenue (in cents) and order counts for the last `bucketCount` periods
+ * ending with the one containing `now`, oldest first.
+ * @param {string} dateField 'orderedAt' or 'fulfilledAt'
+ */
+export const buildRevenueSeries = (orders, { period, dateField = 'orderedAt', now = new Date(), locale = '' }) => {
+  const { bucketCount } = PERIODS[period];
+  const current = bucketStart(now, period);
+  const buckets = Array.from({ length: bucketCount }, (_, index) => {
+    const start = shiftBucket(current, period, index - bucketCount + 1);
+    return { start, label: formatBucketLabel(start, period, locale), revenue: 0, orders: 0 };
+  });
+  const byTime = new Map(buckets.map(bucket => [bucket.start.getTime(), bucket]));
+
+  salesWithDates(orders, dateField).forEach(({ order, date }) => {
+    const bucket = byTime.get(bucketStart(date, period).getTime());
+    if (bucket) {
+      bucket.revenue += getOrderTotal(order);
+      bucket.orders += 1;
+    }
+  });
+  return buckets;
+};
+
+const summarise = (entries) => {
+  const revenue = entries.reduce((sum, { order }) => sum + getOrderTotal(order), 0);
+  return { revenue, orders: entries.length, averageOrderValue: entries.length ? revenue / entries.length : 0 };
+};
+
+// Percentage change, or null when there is nothing to compare against
+export const percentChange = (current, previous) => (previous ? ((current - previous) / previous) * 100 : null);
+
+/**
+ * Compares the period containing `now` with the one before it. The current
+ * period is compared to date against the same elapsed span of the previous one,
+ * so a half-finished week isn't judged against a full week.
+ */
+export const comparePeriods = (orders, { period, dateField = 'orderedAt', now = new Date() }) => {
+  const currentStart = bucketStart(now, period);
+  const previousStart = shiftBucket(currentStart, period, -1);
+  const elapsed = now.getTime() - currentStart.getTime();
+  const previousEnd = Math.min(previousStart.getTime() + elapsed, currentStart.getTime());
+
+  const sales = salesWithDates(orders, dateField);
+  const current = summarise(sales.filter(({ date }) => date >= currentStart && date <= now));
+  const previous = summarise(sales.filter(({ date }) => date >= previousStart && date.getTime() <= previousEnd));
+
+  return {
+    current,
+    previous,
+    revenueChange: percentChange(current.revenue, previous.revenue),
+    ordersChange: percentChange(current.orders, previous.orders),
+    averageOrderValueChange: percentChange(current.averageOrderValue, previous.averageOrderValue),
+  };
+};
+
+/**
+ * Units sold and revenue per product across all sales, sorted by `by`
+ * ('units' or 'revenue'), highest first.
+ */
+export const topProducts = (orders, { by = 'units', limit = 5 } = {}) => {
+  const totals = new Map();
+  salesWithDates(orders, 'orderedAt').forEach(({ order }) => {
+    getOrderLineItems(order).forEach(line => {
+      const entry = totals.get(line.productId) || { productId: line.productId, productName: line.productName, units: 0, revenue: 0 };
+      entry.units += line.quantity || 0;
+      entry.revenue += line.lineTotalCents || 0;
+      totals.set(line.productId, entry);
+    });
+  });
+  return Array.from(totals.values())
+    .sort((a, b) => b[by] - a[by])
+    .slice(0, limit);
+};
+
+export const averageOrderValue = (orders) => summarise(salesWithDates(orders, 'orderedAt')).averageOrderValue;
+
+/**
+ * Inventory turnover over the last `days` days: units sold divided by average
+ * units on hand. Without stock snapshots the average is estimated as current
+ * stock plus half the units sold (stock drawn down evenly, nothing received).
+ * `daysOfInventory` is how long current stock lasts at that rate.
+ */
+export const inventoryTurnover = (orders, products, { days = 30, now = new Date() } = {}) => {
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const unitsSold = salesWithDates(orders, 'orderedAt')
+    .filter(({ date }) => date >= since && date <= now)
+    .reduce((sum, { order }) => sum + getOrderLineItems(order).reduce((lineSum, line) => lineSum + (line.quantity || 0), 0), 0);
+  const unitsOnHand = products.reduce((sum, product) => sum + (product.stock || 0), 0);
+  const averageInventory = unitsOnHand + unitsSold / 2;
+
+  return {
+    days,
+    unitsSold,
+    unitsOnHand,
+    turnover: averageInventory ? unitsSold / averageInventory : 0,
+    daysOfInventory: unitsSold ? (unitsOnHand / unitsSold) * days : null,
+  };
+};
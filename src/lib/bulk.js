@@ -0,0 +1,115 @@
+import { ValidationError } from './errors';
+import { withRetry, isAbortError, RETRY_BUDGETS } from './retry';
+import { hasVariants } from './variants';
+import { INVOICING_STATUS } from './invoices';
+
+// Bulk actions on a selection of products or orders. The selection is written
+// in chunks, one transaction each, so a chunk stays well under Firestore's
+// 500-write limit and a failure costs at most that chunk. Within a chunk each
+// item succeeds or fails on its own (e.g. an order that can't move to the
+// requested status), and the outcome is reported per item.
+
+export const BULK_PRODUCT_ACTIONS = {
+  ARCHIVE: 'archive',
+  RESTORE: 'restore',
+  DELETE: 'delete',
+  ADJUST_PRICE: 'adjustPrice',
+  SET_STOCK: 'setStock',
+};
+
+// A product writes itself and at most one stock movement (setting the stock
+// of a product with variants is refused)
+export const PRODUCT_CHUNK_SIZE = 100;
+
+// An order writes itself, and a product and a stock movement per line when it
+// restocks
+export const ORDER_CHUNK_SIZE = 20;
+
+// Shipping takes each order's invoice number from the counter, which the
+// security rules only let move up by one per write, so shipments go one
+// order per transaction
+export const orderChunkSize = (nextStatus) => (nextStatus === INVOICING_STATUS ? 1 : ORDER_CHUNK_SIZE);
+
+// Forward moves and cancelling, the status changes offered for a selection of orders
+export const BULK_ORDER_STATUSES = ['Paid', 'Packed', 'Shipped', 'Delivered', 'Cancelled'];
+
+// The price after changing it by `percent` (e.g. -10 for 10% off), rounded to the minor unit
+export const adjustPriceCents = (priceCents, percent) => Math.max(0, Math.round((priceCents || 0) * (100 + percent) / 100));
+
+/**
+ * Checks `action` (`{ type, percent }` or `{ type, stock }`) before anything
+ * is written; throws a ValidationError.
+ */
+export const validateProductAction = (action) => {
+  if (!Object.values(BULK_PRODUCT_ACTIONS).includes(action.type)) {
+    throw new ValidationError(`Unknown bulk action: ${action.type}.`);
+  }
+  if (action.type === BULK_PRODUCT_ACTIONS.ADJUST_PRICE && !(Number.isFinite(action.percent) && action.percent > -100)) {
+    throw new ValidationError('The price change must be a percentage above -100.', { percent: 'Enter a percentage above -100.' });
+  }
+  if (action.type === BULK_PRODUCT_ACTIONS.SET_STOCK && !(Number.isInteger(action.stock) && action.stock >= 0)) {
+    throw new ValidationError('Stock must be a whole number of 0 or more.', { stock: 'Enter a whole number of 0 or more.' });
+  }
+};
+
+/**
+ * The fields `action` changes on `product`; deleting is handled by the caller.
+ * Price changes apply to each variant's price too.
+ */
+export const productActionChanges = (product, action, at) => {
+  switch (action.type) {
+    case BULK_PRODUCT_ACTIONS.ARCHIVE:
+      return { archivedAt: product.archivedAt || at };
+    case BULK_PRODUCT_ACTIONS.RESTORE:
+      return { archivedAt: null };
+    case BULK_PRODUCT_ACTIONS.ADJUST_PRICE:
+      return {
+        priceCents: adjustPriceCents(product.priceCents, action.percent),
+        ...(hasVariants(product) ? {
+          variants: product.variants.map(variant => ({ ...variant, priceCents: adjustPriceCents(variant.priceCents, action.percent) })),
+        } : {}),
+      };
+    case BULK_PRODUCT_ACTIONS.SET_STOCK:
+      return { stock: action.stock };
+    default:
+      return {};
+  }
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let start = 0; start < items.length; start += size) chunks.push(items.slice(start, start + size));
+  return chunks;
+};
+
+/**
+ * Runs `runChunk(ids)` over `ids` in chunks of `chunkSize`, retrying each
+ * chunk with the batch budget. `runChunk` resolves to `{ failed: [{ id, error }] }`
+ * for the items it refused; a chunk that still fails after retrying fails all
+ * its items with that error and the next chunk goes ahead. `onProgress(done)`
+ * follows each chunk. Aborting `signal` stops after the chunk in flight.
+ * Resolves to `{ succeeded, failed, notRun }`: ids, `{ id, error }` pairs, ids.
+ */
+export const runInChunks = async (ids, chunkSize, runChunk, { onProgress = () => {}, signal } = {}) => {
+  const report = { succeeded: [], failed: [], notRun: [] };
+  let done = 0;
+
+  for (const chunkIds of chunk(ids, chunkSize)) {
+    try {
+      const { failed } = await withRetry(() => runChunk(chunkIds), { ...RETRY_BUDGETS.batch, signal });
+      const failedIds = new Set(failed.map(({ id }) => id));
+      report.succeeded.push(...chunkIds.filter(id => !failedIds.has(id)));
+      report.failed.push(...failed);
+    } catch (error) {
+      if (isAbortError(error)) {
+        report.notRun = ids.slice(done);
+        break;
+      }
+      console.error("Bulk action failed:", error);
+      report.failed.push(...chunkIds.map(id => ({ id, error })));
+    }
+    done += chunkIds.length;
+    onProgress(done);
+  }
+  return report;
+};
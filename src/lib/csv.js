@@ -0,0 +1,69 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields, escaped quotes ("")
+// and line breaks inside quotes are supported. Text that a spreadsheet would
+// run as a formula is written with a leading ' and read back without it.
+
+// Cells starting with one of these are formulas to Excel and Sheets
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Parses CSV text into an array of row objects keyed by the header row.
+ * Header names are trimmed; blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  const [header = [], ...records] = rows;
+  const keys = header.map(key => key.trim());
+  const readField = (value = '') => (value.startsWith("'") && FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value);
+  return records.map(values => keys.reduce((record, key, index) => ({ ...record, [key]: readField(values[index]) }), {}));
+};
+
+// Numbers are left alone: a negative amount is data, not a formula
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' || !FORMULA_PATTERN.test(String(value)) ? String(value) : `'${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises row objects to CSV using `columns` (array of keys) as the header.
+ */
+export const toCsv = (rows, columns) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escapeField).join(','))
+    .join('\r\n');
@@ -0,0 +1,119 @@
+import { REVENUE_STATUSES } from './orderLifecycle';
+import { getOrderTotal } from './orders';
+
+// Customers are stored as:
+//   { name, email, phone, address: { line1, line2, city, region, postalCode, country }, notes }
+// Orders keep the customer's id, name, email and shipping address as they were
+// when the order was placed (see buildCustomerSnapshot in lib/orders), so later
+// edits to the customer don't rewrite where past orders went.
+
+export const ADDRESS_FIELDS = [
+  { field: 'line1', label: 'Address line 1' },
+  { field: 'line2', label: 'Address line 2' },
+  { field: 'city', label: 'City' },
+  { field: 'region', label: 'State / Region' },
+  { field: 'postalCode', label: 'Postal code' },
+  { field: 'country', label: 'Country' },
+];
+
+const EMPTY_ADDRESS = Object.fromEntries(ADDRESS_FIELDS.map(({ field }) => [field, '']));
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// The address as display lines, skipping blank parts
+export const formatAddress = (address) => {
+  if (!address) return [];
+  const cityLine = [address.city, address.region, address.postalCode].filter(Boolean).join(', ');
+  return [address.line1, address.line2, cityLine, address.country].filter(Boolean);
+};
+
+export const hasAddress = (address) => formatAddress(address).length > 0;
+
+export const customerToFormValues = (customer = null) => ({
+  name: customer?.name ?? '',
+  email: customer?.email ?? '',
+  phone: customer?.phone ?? '',
+  notes: customer?.notes ?? '',
+  ...EMPTY_ADDRESS,
+  ...(customer?.address || {}),
+});
+
+const normaliseEmail = (email) => email.trim().toLowerCase();
+
+/**
+ * Checks customer form values the way validateProductForm checks products:
+ * returns `{ errors, warnings, data }`. Another customer with the same email
+ * is only a warning, since households sometimes share one.
+ */
+export const validateCustomerForm = (values, { customers = [], customerId = null } = {}) => {
+  const errors = {};
+  const warnings = {};
+
+  const name = values.name.trim();
+  const email = values.email.trim();
+
+  if (!name) errors.name = 'Name is required.';
+  if (email && !EMAIL_PATTERN.test(email)) errors.email = 'Enter a valid email address.';
+
+  const duplicate = email && customers.find(customer =>
+    customer.id !== customerId && customer.email && normaliseEmail(customer.email) === normaliseEmail(email)
+  );
+  if (duplicate) warnings.email = `${duplicate.name} already uses this email.`;
+
+  return {
+    errors,
+    warnings,
+    data: {
+      name,
+      email,
+      phone: values.phone.trim(),
+      notes: values.notes.trim(),
+      address: Object.fromEntries(ADDRESS_FIELDS.map(({ field }) => [field, String(values[field] || '').trim()])),
+    },
+  };
+};
+
+export const shopperToFormValues = () => ({ name: '', email: '', ...EMPTY_ADDRESS });
+
+/**
+ * Checks the details a shopper gives at checkout: returns `{ errors, data }`
+ * with `data` as `{ name, email, address }`. The email finds their customer
+ * record when the order is placed (see orderRepository.place), so it and a
+ * street address are required.
+ */
+export const validateShopper = (values) => {
+  const errors = {};
+  const name = values.name.trim();
+  const email = values.email.trim();
+  const address = Object.fromEntries(ADDRESS_FIELDS.map(({ field }) => [field, String(values[field] || '').trim()]));
+
+  if (!name) errors.name = 'Name is required.';
+  if (!EMAIL_PATTERN.test(email)) errors.email = 'Enter a valid email address.';
+  if (!address.line1) errors.line1 = 'Enter the address to ship to.';
+
+  return { errors, data: { name, email, address } };
+};
+
+export const EMPTY_CUSTOMER_STATS = { orderCount: 0, paidOrderCount: 0, lifetimeValueCents: 0, lastOrderedAt: null };
+
+/**
+ * Per-customer order figures, keyed by customer id:
+ *   { orderCount, paidOrderCount, lifetimeValueCents, lastOrderedAt }
+ * Every order counts towards `orderCount`; only paid ones (REVENUE_STATUSES)
+ * towards `paidOrderCount` and the lifetime value.
+ */
+export const getCustomerStats = (orders) => {
+  const stats = new Map();
+  orders.forEach(order => {
+    if (!order.customerId) return;
+    const current = stats.get(order.customerId) || EMPTY_CUSTOMER_STATS;
+    const isPaid = REVENUE_STATUSES.includes(order.status);
+    stats.set(order.customerId, {
+      orderCount: current.orderCount + 1,
+      paidOrderCount: current.paidOrderCount + (isPaid ? 1 : 0),
+      lifetimeValueCents: current.lifetimeValueCents + (isPaid ? getOrderTotal(order) : 0),
+      lastOrderedAt: !current.lastOrderedAt || (order.orderedAt || '') > current.lastOrderedAt ? order.orderedAt : current.lastOrderedAt,
+    });
+  });
+  return stats;
+};
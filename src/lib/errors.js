@@ -0,0 +1,104 @@
+/**
+ * Errors for broken business rules. Retrying the same write fails the same way,
+ * so `retryable` is false. `message` can be shown to the user as it is.
+ */
+export class DomainError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DomainError';
+    this.code = code;
+    this.retryable = false;
+  }
+}
+
+export class NotFoundError extends DomainError {
+  constructor(entity, id) {
+    super(`${entity} does not exist (it may have been deleted).`, 'record-not-found');
+    this.name = 'NotFoundError';
+    this.entity = entity;
+    this.id = id;
+  }
+}
+
+export class InsufficientStockError extends DomainError {
+  constructor(product, requested) {
+    super(`Insufficient stock for ${product.name}: only ${product.stock} left.`, 'insufficient-stock');
+    this.name = 'InsufficientStockError';
+    this.productId = product.id;
+    this.productName = product.name;
+    this.available = product.stock;
+    this.requested = requested;
+  }
+}
+
+export class InvalidTransitionError extends DomainError {
+  constructor(from, to) {
+    super(`Cannot move an order from ${from} to ${to}.`, 'invalid-transition');
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// A record is in a state that doesn't allow the requested change
+export class InvalidStateError extends DomainError {
+  constructor(message) {
+    super(message, 'invalid-state');
+    this.name = 'InvalidStateError';
+  }
+}
+
+// Input the data layer refuses to write. `fields` maps field names to messages when known.
+export class ValidationError extends DomainError {
+  constructor(message, fields = {}) {
+    super(message, 'validation');
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+// A coupon code that doesn't exist or can't be used on this order
+export class InvalidCouponError extends DomainError {
+  constructor(code, message = 'This coupon code is not valid.') {
+    super(message, 'invalid-coupon');
+    this.name = 'InvalidCouponError';
+    this.couponCode = code;
+  }
+}
+
+/**
+ * Thrown when a product was written by someone else since the caller read it.
+ * `current` holds the product as it is now stored.
+ */
+export class VersionConflictError extends DomainError {
+  constructor(current) {
+    super(`${current.name} was changed by someone else while you were editing it.`, 'version-conflict');
+    this.name = 'VersionConflictError';
+    this.current = current;
+  }
+}
+
+// Backend error codes (Firestore's, mirrored by the local backend, and Firebase Auth's) users can act on
+const BACKEND_MESSAGES = {
+  'permission-denied': "You don't have permission to do that.",
+  unavailable: "Can't reach the server. Check your connection and try again.",
+  'deadline-exceeded': 'The server took too long to respond. Please try again.',
+  'resource-exhausted': 'Too many requests right now. Please wait a moment and try again.',
+  aborted: 'Too many simultaneous changes. Please try again.',
+  'auth/invalid-credential': 'Wrong email or password.',
+  'auth/wrong-password': 'Wrong email or password.',
+  'auth/user-not-found': 'Wrong email or password.',
+  'auth/invalid-email': 'Enter a valid email address.',
+  'auth/user-disabled': 'This account has been disabled.',
+  'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+  'auth/weak-password': 'Choose a password of at least 6 characters.',
+  'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+  'auth/network-request-failed': "Can't reach the server. Check your connection and try again.",
+};
+
+// Message for showing any caught error to the user
+export const getErrorMessage = (error, fallback = 'Something went wrong. Please try again.') => {
+  if (error instanceof DomainError) return error.message;
+  if (typeof error === 'string') return error;
+  return BACKEND_MESSAGES[error?.code] || fallback;
+};
@@ -0,0 +1,119 @@
+import { getOrderLineItems, getOrderTotal, getOrderItemCount, getLineItemName } from './orders';
+import { isLowStock } from './inventory';
+import { getVariants } from './variants';
+
+// Local midnight at the start of `day` ('YYYY-MM-DD'), the day a date input means
+const startOfLocalDay = (day) => new Date(`${day}T00:00`);
+
+// Inclusive range of local calendar days on an ISO timestamp field, matching
+// the local-time buckets of lib/analytics; `from`/`to` are 'YYYY-MM-DD' strings or empty
+export const inDateRange = (isoString, from, to) => {
+  if (!from && !to) return true;
+  if (!isoString) return false;
+  const at = new Date(isoString);
+  if (from && at < startOfLocalDay(from)) return false;
+  if (to) {
+    const end = startOfLocalDay(to);
+    end.setDate(end.getDate() + 1);
+    if (at >= end) return false;
+  }
+  return true;
+};
+
+const includesText = (value, search) => String(value || '').toLowerCase().includes(search);
+
+// The search text matches a product's name, SKU, category or tags, or a variant's name or SKU
+const productMatches = (product, needle) =>
+  includesText(product.name, needle) || includesText(product.sku, needle) || includesText(product.category, needle) ||
+  (product.tags || []).some(tag => includesText(tag, needle)) ||
+  getVariants(product).some(variant => includesText(variant.name, needle) || includesText(variant.sku, needle));
+
+/**
+ * Lists either the active products or, with `archived`, only the archived ones.
+ * @param {object} criteria { search, category, lowStockOnly, archived }
+ */
+export const filterProducts = (products, { search = '', category = '', lowStockOnly = false, archived = false } = {}) => {
+  const needle = search.trim().toLowerCase();
+  return products.filter(product =>
+    Boolean(product.archivedAt) === archived &&
+    (!needle || productMatches(product, needle)) &&
+    (!category || product.category === category) &&
+    (!lowStockOnly || isLowStock(product))
+  );
+};
+
+// The categories products are filed under, sorted
+export const getCategories = (products) =>
+  Array.from(new Set(products.map(product => product.category).filter(Boolean))).sort((a, b) => a.localeCompare(b));
+
+// Products still on sale, for the storefront, purchasing and the dashboard
+export const getActiveProducts = (products) => products.filter(product => !product.archivedAt);
+
+/**
+ * Matches the search text against the order ID, the customer and the names and SKUs of its products.
+ * @param {object} criteria { search, status, from, to }
+ */
+export const filterOrders = (orders, { search = '', status = '', from = '', to = '' } = {}) => {
+  const needle = search.trim().toLowerCase();
+  return orders.filter(order =>
+    (!needle || includesText(order.id, needle) || includesText(order.customerName, needle) || includesText(order.customerEmail, needle) ||
+      getOrderLineItems(order).some(line => includesText(getLineItemName(line), needle) || includesText(line.sku, needle))) &&
+    (!status || order.status === status) &&
+    inDateRange(order.orderedAt, from, to)
+  );
+};
+
+/**
+ * Matches the search text against the customer's name, email, phone and city.
+ * @param {object} criteria { search }
+ */
+export const filterCustomers = (customers, { search = '' } = {}) => {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return customers;
+  return customers.filter(customer =>
+    [customer.name, customer.email, customer.phone, customer.address?.city].some(value => includesText(value, needle))
+  );
+};
+
+// Derived sort keys for columns that aren't stored as plain fields
+const SORT_VALUES = {
+  total: getOrderTotal,
+  itemCount: getOrderItemCount,
+};
+
+const sortValue = (record, field) => (SORT_VALUES[field] ? SORT_VALUES[field](record) : record[field]);
+
+/**
+ * Returns a sorted copy. Strings compare case-insensitively; missing values sort last.
+ * @param {object} sort { field, direction: 'asc' | 'desc' }
+ */
+export const sortRecords = (records, { field, direction = 'asc' }) => {
+  if (!field) return records;
+  const factor = direction === 'desc' ? -1 : 1;
+  return [...records].sort((a, b) => {
+    const left = sortValue(a, field);
+    const right = sortValue(b, field);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return 1;
+    if (right === undefined || right === null) return -1;
+    if (typeof left === 'string' && typeof right === 'string') {
+      return factor * left.localeCompare(right, undefined, { sensitivity: 'base', numeric: true });
+    }
+    return factor * (left < right ? -1 : 1);
+  });
+};
+
+// Clamps `page` (1-based) into range and returns that page's records
+export const paginate = (records, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(records.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pageCount);
+  return {
+    items: records.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+    page: currentPage,
+    pageCount,
+    total: records.length,
+  };
+};
+
+// Orders newest first, for "recent" lists
+export const sortByOrderedAtDesc = (orders) => sortRecords(orders, { field: 'orderedAt', direction: 'desc' });
@@ -0,0 +1,52 @@
+import { DEFAULT_CURRENCY, formatMoney, formatAmount, parseMoney, getCurrencyDigits } from './money';
+
+// The store's display settings. A blank locale follows each viewer's browser.
+// `business` is who the store is on invoices and packing slips; `address` is
+// free text, one line per line.
+export const DEFAULT_STORE_SETTINGS = {
+  currency: DEFAULT_CURRENCY,
+  locale: '',
+  business: { name: '', address: '', email: '', phone: '', taxId: '' },
+};
+
+// Offered in the store settings alongside "browser default"
+export const LOCALES = ['en-US', 'en-GB', 'en-CA', 'en-AU', 'en-IN', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'sv-SE', 'pl-PL', 'pt-BR', 'ja-JP'];
+
+export const withStoreDefaults = (settings = {}) => ({
+  ...DEFAULT_STORE_SETTINGS,
+  ...settings,
+  business: { ...DEFAULT_STORE_SETTINGS.business, ...settings?.business },
+});
+
+const dateFormat = (locale, options) => new Intl.DateTimeFormat(locale || undefined, options);
+
+/**
+ * Formatters for one store's currency and locale:
+ *   money(cents, currency?) "$1,250.00", in the store currency unless another is given
+ *   amount(cents) "1250.00" for inputs and exports; parse(text) is its inverse
+ *   date / dateTime / time(isoString)
+ * Missing or unparseable timestamps format as an empty string.
+ */
+export const createFormatters = ({ currency = DEFAULT_CURRENCY, locale = '' } = {}) => {
+  const dates = {
+    date: dateFormat(locale, { dateStyle: 'medium' }),
+    dateTime: dateFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }),
+    time: dateFormat(locale, { timeStyle: 'short' }),
+  };
+  const formatDate = (style) => (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? dates[style].format(date) : '';
+  };
+
+  return {
+    currency,
+    locale,
+    digits: getCurrencyDigits(currency),
+    money: (cents, otherCurrency = currency) => formatMoney(cents, otherCurrency, locale),
+    amount: (cents) => formatAmount(cents, currency),
+    parse: (text) => parseMoney(text, currency),
+    date: formatDate('date'),
+    dateTime: formatDate('dateTime'),
+    time: formatDate('time'),
+  };
+};
@@ -0,0 +1,290 @@
+import { parseCsv, toCsv } from './csv';
+import { getOrderLineItems, getOrderPricing } from './orders';
+import { inDateRange } from './filters';
+import { formatAddress } from './customers';
+import { formatInvoiceNumber } from './invoices';
+import { DEFAULT_CURRENCY, formatAmount, parseMoney } from './money';
+import { hasVariants, getVariants, getItemName, totalVariantStock, newVariantId } from './variants';
+
+// CSV amounts are decimals in the currency's major unit ("19.99"); JSON keeps
+// the stored cents and says which currency they are in
+export const PRODUCT_EXPORT_COLUMNS = ['id', 'sku', 'name', 'category', 'price', 'currency', 'stock', 'weight', 'createdAt', 'updatedAt'];
+export const ORDER_EXPORT_COLUMNS = [
+  'orderId', 'orderedAt', 'status', 'invoiceNumber', 'customerId', 'customerName', 'customerEmail', 'shipTo', 'currency', 'productId', 'productName', 'variantName', 'sku', 'quantity', 'unitPrice', 'lineTotal',
+  'orderSubtotal', 'couponCode', 'orderDiscount', 'orderShipping', 'orderTax', 'orderTotal',
+];
+
+const normaliseKey = (value) => String(value || '').trim().toLowerCase();
+
+// Accepts a top-level array or `{ currency, products: [...] }` as exported;
+// an export's cents only mean the same in the same currency
+const parseProductJson = (text, currency) => {
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : parsed?.products;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON must be an array of products or an object with a "products" array.');
+  }
+  if (!Array.isArray(parsed) && parsed.currency && parsed.currency !== currency) {
+    throw new Error(`The file's prices are in ${parsed.currency} but the store's are in ${currency}.`);
+  }
+  return rows;
+};
+
+/**
+ * Parses an uploaded product file. `format` is 'csv' or 'json'.
+ * Throws if the file itself can't be read, or is a JSON export in another
+ * currency than the store's `currency`; row-level problems are reported by
+ * planProductImport instead.
+ */
+export const parseProductFile = (text, format, { currency = DEFAULT_CURRENCY } = {}) =>
+  (format === 'json' ? parseProductJson(text, currency) : parseCsv(text));
+
+// Blank cells mean "not provided" so updates keep the existing value
+const readNumber = (raw, { integer }) => {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return { provided: false };
+  const value = Number(String(raw).trim());
+  if (!Number.isFinite(value) || value < 0 || (integer && !Number.isInteger(value))) {
+    return { provided: true, error: true };
+  }
+  return { provided: true, value };
+};
+
+// A decimal `price` in the store currency, or the `priceCents` of a JSON export
+const readPrice = (raw, currency) => {
+  if (raw.price === undefined || raw.price === null || String(raw.price).trim() === '') {
+    const cents = readNumber(raw.priceCents, { integer: true });
+    return cents.provided && !cents.error ? { provided: true, value: cents.value } : cents;
+  }
+  const value = parseMoney(raw.price, currency);
+  return value === null ? { provided: true, error: true } : { provided: true, value };
+};
+
+/**
+ * A JSON row's `variants`, as a JSON export writes them:
+ * `[{ id, name, sku, priceCents, stock }]`. Variants without an ID get a new
+ * one; matching IDs keep an existing variant (and its stock history).
+ */
+const readVariants = (raw) => {
+  if (raw === undefined || raw === null) return { provided: false, errors: [] };
+  if (!Array.isArray(raw)) return { provided: true, errors: ['Variants must be a list.'] };
+  const errors = [];
+  const names = new Set();
+  const ids = new Set();
+  const value = raw.map((variant, index) => {
+    const label = `Variant ${index + 1}`;
+    const id = String(variant?.id ?? '').trim() || newVariantId();
+    const name = String(variant?.name ?? '').trim();
+    const priceCents = readNumber(variant?.priceCents, { integer: true });
+    const stock = readNumber(variant?.stock, { integer: true });
+    if (ids.has(id)) errors.push(`${label} repeats the ID ${id}.`);
+    ids.add(id);
+    if (!name) {
+      errors.push(`${label} needs a name.`);
+    } else if (names.has(normaliseKey(name))) {
+      errors.push(`${label} repeats the name ${name}.`);
+    }
+    names.add(normaliseKey(name));
+    if (!priceCents.provided || priceCents.error) errors.push(`${label} needs a priceCents of 0 or more, in whole cents.`);
+    if (stock.error) errors.push(`${label} stock must be a whole number of 0 or more.`);
+    return {
+      id,
+      name,
+      sku: String(variant?.sku ?? '').trim() || null,
+      priceCents: priceCents.value ?? 0,
+      stock: stock.value ?? 0,
+    };
+  });
+  return { provided: true, value, errors };
+};
+
+/**
+ * Validates raw rows and matches each one to an existing product: by SKU when
+ * the row has one (a SKU matching nothing makes a new product), otherwise by
+ * case-insensitive name. A SKU already used by another product or a variant
+ * is refused. Prices are read in the store's `currency`; rows naming another
+ * currency are refused. JSON rows may carry `variants` as exported, which set
+ * the product's variants and its stock.
+ *
+ * Returns one entry per row:
+ *   { rowNumber, action: 'create' | 'update' | 'skip', productId, data, errors }
+ * Rows with errors get action 'skip'.
+ */
+export const planProductImport = (rawRows, existingProducts, { currency = DEFAULT_CURRENCY } = {}) => {
+  const bySku = new Map();
+  const byName = new Map();
+  const skuOwners = new Map(); // SKU -> { product, name } of the product or variant using it
+  existingProducts.forEach(product => {
+    if (product.sku) {
+      bySku.set(normaliseKey(product.sku), product);
+      skuOwners.set(normaliseKey(product.sku), { product, name: product.name });
+    }
+    byName.set(normaliseKey(product.name), product);
+    getVariants(product).forEach(variant => {
+      if (variant.sku) skuOwners.set(normaliseKey(variant.sku), { product, name: getItemName(product.name, variant.name) });
+    });
+  });
+  const seenKeys = new Set();
+  const claimedSkus = new Map(); // SKU -> row number, for the rows that will be written
+
+  return rawRows.map((raw, index) => {
+    const rowNumber = index + 1;
+    const errors = [];
+    const name = String(raw.name ?? '').trim();
+    const sku = String(raw.sku ?? '').trim();
+    const category = String(raw.category ?? '').trim();
+    const rowCurrency = String(raw.currency ?? '').trim().toUpperCase();
+
+    const price = readPrice(raw, currency);
+    const stock = readNumber(raw.stock, { integer: true });
+    const weight = readNumber(raw.weight, { integer: false });
+    const variants = readVariants(raw.variants);
+    if (rowCurrency && rowCurrency !== currency) errors.push(`Prices are in ${rowCurrency}, not the store's ${currency}.`);
+    if (price.error) errors.push(`Price must be an amount of 0 or more in ${currency}.`);
+    if (stock.error) errors.push('Stock must be a whole number of 0 or more.');
+    if (weight.error) errors.push('Weight must be a number of kg, 0 or more.');
+    errors.push(...variants.errors);
+
+    const existing = sku ? bySku.get(normaliseKey(sku)) : byName.get(normaliseKey(name));
+    if (!existing && !name) errors.push('Name is required for new products.');
+    // An empty list (as exported for a product without variants) means none
+    const variantList = variants.provided ? variants.value || [] : null;
+    const keepsVariants = hasVariants(existing) && !variantList;
+    // An export's stock for a product with variants is their total; only a change is refused
+    if (keepsVariants && stock.provided && !stock.error && stock.value !== existing.stock) {
+      errors.push('Stock of a product with variants is set per variant, in the product editor.');
+    }
+
+    const rowSkus = [sku, ...(variantList || []).map(variant => variant.sku)].filter(Boolean);
+    rowSkus.forEach((value, skuIndex) => {
+      const skuKey = normaliseKey(value);
+      const owner = skuOwners.get(skuKey);
+      // A repeated product SKU is reported as a duplicate row below
+      const isRepeatedRow = skuIndex === 0 && sku && seenKeys.has(`sku:${skuKey}`);
+      if (owner && owner.product.id !== existing?.id) {
+        errors.push(`SKU ${value} is already used by ${owner.name}.`);
+      } else if (claimedSkus.has(skuKey) && !isRepeatedRow) {
+        errors.push(`SKU ${value} is already used on row ${claimedSkus.get(skuKey)}.`);
+      } else if (rowSkus.slice(0, skuIndex).some(earlier => normaliseKey(earlier) === skuKey)) {
+        errors.push(`SKU ${value} is used twice on this row.`);
+      }
+    });
+
+    // Only rows that will actually be written claim their key
+    const key = sku ? `sku:${normaliseKey(sku)}` : `name:${normaliseKey(name)}`;
+    if (seenKeys.has(key)) {
+      errors.push(`Duplicate of an earlier row (${sku ? `SKU ${sku}` : name}).`);
+    } else if (errors.length === 0) {
+      seenKeys.add(key);
+      rowSkus.forEach(value => claimedSkus.set(normaliseKey(value), rowNumber));
+    }
+
+    const data = {};
+    if (name) data.name = name;
+    if (sku) data.sku = sku;
+    if (category) data.category = category;
+    if (price.provided && !price.error) data.priceCents = price.value;
+    if (variantList?.length > 0) {
+      data.variants = variantList;
+      data.stock = totalVariantStock(variantList);
+    } else {
+      if (variantList && hasVariants(existing)) data.variants = [];
+      if (stock.provided && !stock.error && !keepsVariants) data.stock = stock.value;
+    }
+    if (weight.provided && !weight.error) data.weight = weight.value;
+    if (!existing) {
+      data.priceCents = data.priceCents ?? 0;
+      data.stock = data.stock ?? 0;
+    }
+
+    return {
+      rowNumber,
+      action: errors.length > 0 ? 'skip' : existing ? 'update' : 'create',
+      productId: existing?.id || null,
+      existing: existing || null,
+      data,
+      errors,
+    };
+  });
+};
+
+// The most documents importing a planned `row` writes: the product, and a
+// stock movement per stock level it may change (the product's own and each
+// variant's, before and after)
+export const importRowWrites = (row) => 2 + (row.data.variants?.length || 0) + getVariants(row.existing).length;
+
+export const filterProductsForExport = (products, { from, to }) =>
+  products.filter(product => inDateRange(product.updatedAt, from, to));
+
+export const filterOrdersForExport = (orders, { from, to, status }) =>
+  orders.filter(order => (!status || order.status === status) && inDateRange(order.orderedAt, from, to));
+
+export const serialiseProducts = (products, format, currency = DEFAULT_CURRENCY) => {
+  if (format === 'json') return JSON.stringify({ currency, products }, null, 2);
+  return toCsv(
+    products.map(product => ({ ...product, price: formatAmount(product.priceCents || 0, currency), currency })),
+    PRODUCT_EXPORT_COLUMNS
+  );
+};
+
+/**
+ * JSON keeps orders nested with their line items; CSV writes one row per line
+ * item, repeating the order's fields. Orders are in the currency they were
+ * placed in, or the store's `currency` for orders from before it was recorded.
+ */
+export const serialiseOrders = (orders, format, currency = DEFAULT_CURRENCY) => {
+  if (format === 'json') {
+    return JSON.stringify({
+      currency,
+      orders: orders.map(order => ({ ...order, lineItems: getOrderLineItems(order) })),
+    }, null, 2);
+  }
+
+  const rows = orders.flatMap(order => {
+    const pricing = getOrderPricing(order);
+    const orderCurrency = pricing.currency || currency;
+    const amount = (cents) => formatAmount(cents || 0, orderCurrency);
+    return getOrderLineItems(order).map(line => ({
+      orderId: order.id,
+      orderedAt: order.orderedAt,
+      status: order.status,
+      invoiceNumber: order.invoiceNumber ? formatInvoiceNumber(order.invoiceNumber) : '',
+      customerId: order.customerId || '',
+      customerName: order.customerName || '',
+      customerEmail: order.customerEmail || '',
+      shipTo: formatAddress(order.shippingAddress).join(', '),
+      currency: orderCurrency,
+      productId: line.productId,
+      productName: line.productName,
+      variantName: line.variantName || '',
+      sku: line.sku || '',
+      quantity: line.quantity,
+      unitPrice: amount(line.unitPriceCents),
+      lineTotal: amount(line.lineTotalCents),
+      orderSubtotal: amount(pricing.subtotalCents),
+      couponCode: pricing.coupon?.code || '',
+      orderDiscount: amount(pricing.discountCents),
+      orderShipping: amount(pricing.shippingCents),
+      orderTax: amount(pricing.taxCents),
+      orderTotal: amount(pricing.totalCents),
+    }));
+  });
+  return toCsv(rows, ORDER_EXPORT_COLUMNS);
+};
+
+const DOWNLOAD_TYPES = {
+  csv: 'text/csv;charset=utf-8',
+  json: 'application/json;charset=utf-8',
+  pdf: 'application/pdf',
+};
+
+// Triggers a browser download of `content` (text, or bytes for a PDF)
+export const downloadFile = (content, fileName, format) => {
+  const url = URL.createObjectURL(new Blob([content], { type: DOWNLOAD_TYPES[format] || DOWNLOAD_TYPES.csv }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,58 @@
+import { getOutstandingQuantity, OPEN_PURCHASE_ORDER_STATUSES } from './purchaseOrders';
+import { hasVariants } from './variants';
+
+// Products without their own reorder point fall back to this stock level
+export const DEFAULT_REORDER_POINT = 5;
+
+export const getReorderPoint = (product) =>
+  (Number.isInteger(product.reorderPoint) ? product.reorderPoint : DEFAULT_REORDER_POINT);
+
+export const isLowStock = (product) => (product.stock || 0) <= getReorderPoint(product);
+
+// Units already on order from suppliers, per product
+export const getIncomingStock = (purchaseOrders) => {
+  const incoming = new Map();
+  purchaseOrders
+    .filter(purchaseOrder => OPEN_PURCHASE_ORDER_STATUSES.includes(purchaseOrder.status))
+    .forEach(purchaseOrder => purchaseOrder.lines.forEach(line => {
+      incoming.set(line.productId, (incoming.get(line.productId) || 0) + getOutstandingQuantity(line));
+    }));
+  return incoming;
+};
+
+/**
+ * Low-stock products that still need ordering once open purchase orders are
+ * counted. Suggests the product's reorder quantity, or enough to get back to
+ * twice the reorder point when none is set.
+ */
+export const suggestReorders = (products, purchaseOrders) => {
+  const incoming = getIncomingStock(purchaseOrders);
+  return products
+    .filter(isLowStock)
+    .map(product => {
+      const onOrder = incoming.get(product.id) || 0;
+      const reorderPoint = getReorderPoint(product);
+      const projected = (product.stock || 0) + onOrder;
+      const suggestedQuantity = product.reorderQuantity > 0
+        ? product.reorderQuantity
+        : Math.max(reorderPoint * 2 - projected, 1);
+      return { product, onOrder, reorderPoint, suggestedQuantity, covered: projected > reorderPoint };
+    })
+    .filter(suggestion => !suggestion.covered);
+};
+
+/**
+ * Splits a reorder of `quantity` units of `product` between its variants,
+ * topping up whichever has the least stock first. Returns
+ * `[{ variant, quantity }]` for the variants that get any; a product without
+ * variants gets the whole quantity with `variant` null.
+ */
+export const splitReorderQuantity = (product, quantity) => {
+  if (!hasVariants(product)) return [{ variant: null, quantity }];
+  const levels = product.variants.map(variant => ({ variant, stock: variant.stock || 0, quantity: 0 }));
+  for (let unit = 0; unit < quantity; unit++) {
+    const lowest = levels.reduce((min, level) => (level.stock + level.quantity < min.stock + min.quantity ? level : min));
+    lowest.quantity++;
+  }
+  return levels.filter(level => level.quantity > 0).map(({ variant, quantity: share }) => ({ variant, quantity: share }));
+};
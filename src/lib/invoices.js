@@ -0,0 +1,29 @@
+import { FULFILLED_STATUSES } from './orderLifecycle';
+
+// Invoice numbers run 1, 2, 3... per store with no gaps. Each is taken from
+// the `counters/invoices` document in the same transaction that ships the
+// order, so two orders shipped at once can never share a number. The order
+// also keeps the store's business details as they were when it was invoiced
+// (`seller`), so an issued invoice never changes.
+
+export const INVOICE_COUNTER = 'invoices';
+
+// The order is fulfilled when it ships; invoicing happens then
+export const INVOICING_STATUS = 'Shipped';
+
+export const formatInvoiceNumber = (number) => `INV-${String(number).padStart(6, '0')}`;
+
+// Orders that shipped before invoice numbers existed can be given one later
+export const canAssignInvoiceNumber = (order) => !order.invoiceNumber && FULFILLED_STATUSES.includes(order.status);
+
+// The counter and order fields claiming the number after `counter` (the
+// stored counter document, if any) for order `orderId`; `seller` is the
+// store's `business` settings. The counter names the order so the security
+// rules can check the two are written together.
+export const nextInvoice = (counter, seller, orderId, at = new Date().toISOString()) => {
+  const invoiceNumber = (counter?.lastNumber || 0) + 1;
+  return {
+    counter: { lastNumber: invoiceNumber, lastOrderId: orderId, updatedAt: at },
+    order: { invoiceNumber, invoicedAt: at, seller },
+  };
+};
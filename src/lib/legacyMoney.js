@@ -0,0 +1,103 @@
+import { toCents } from './money';
+
+// Documents written before money moved to integer cents (see lib/money) hold
+// decimal dollar amounts, always shown as "$" with two decimals. The
+// normalisers below return a document in the cents shape, converting and
+// dropping any legacy fields; documents already in that shape pass through
+// unchanged. Repositories apply them on every read, and the money migration
+// (data/migrations.js) writes the result back so the legacy fields go away.
+
+// The legacy amounts were dollars with cents, whatever the store's currency is now
+const LEGACY_CURRENCY = 'USD';
+
+const legacyCents = (amount) => toCents(amount || 0, LEGACY_CURRENCY);
+
+// Replaces each legacy `from` field with its `to` field in cents, keeping an existing `to`
+const renameToCents = (record, fields) => {
+  const result = { ...record };
+  Object.entries(fields).forEach(([from, to]) => {
+    if (!(from in result)) return;
+    if (!(to in result)) result[to] = legacyCents(result[from]);
+    delete result[from];
+  });
+  return result;
+};
+
+const hasAny = (record, fields) => Boolean(record) && fields.some(field => field in record);
+
+const PRODUCT_FIELDS = { price: 'priceCents' };
+const LINE_ITEM_FIELDS = { unitPrice: 'unitPriceCents', lineTotal: 'lineTotalCents' };
+const ORDER_FIELDS = { totalPrice: 'totalCents' };
+const ORDER_PRICING_FIELDS = {
+  subtotal: 'subtotalCents',
+  discount: 'discountCents',
+  shipping: 'shippingCents',
+  tax: 'taxCents',
+  total: 'totalCents',
+};
+const PURCHASE_ORDER_LINE_FIELDS = { unitCost: 'unitCostCents' };
+
+const shippingHasLegacyMoney = (shipping) => hasAny(shipping, ['flatRate'])
+  || (shipping?.tiers || []).some(tier => 'cost' in tier);
+
+export const normalizeProduct = (product) => renameToCents(product, PRODUCT_FIELDS);
+
+export const normalizeOrder = (order) => {
+  const result = renameToCents(order, ORDER_FIELDS);
+  if (Array.isArray(order.lineItems)) {
+    result.lineItems = order.lineItems.map(line => renameToCents(line, LINE_ITEM_FIELDS));
+  }
+  if (order.pricing) {
+    result.pricing = {
+      ...renameToCents(order.pricing, ORDER_PRICING_FIELDS),
+      taxes: (order.pricing.taxes || []).map(entry => renameToCents(entry, { amount: 'amountCents' })),
+    };
+  }
+  return result;
+};
+
+export const normalizePurchaseOrder = (purchaseOrder) => ({
+  ...purchaseOrder,
+  lines: (purchaseOrder.lines || []).map(line => renameToCents(line, PURCHASE_ORDER_LINE_FIELDS)),
+});
+
+// Fixed-amount coupons kept their amount off in `value`; percentages still do
+export const normalizeCoupon = (coupon) => {
+  const result = renameToCents(coupon, { minSubtotal: 'minSubtotalCents' });
+  if (coupon.type === 'fixed' && !('amountCents' in coupon)) {
+    result.amountCents = legacyCents(coupon.value);
+    result.value = null;
+  }
+  return result;
+};
+
+// Value-based shipping tiers measured the order in dollars too
+export const normalizePricingSettings = (settings) => {
+  if (!shippingHasLegacyMoney(settings?.shipping)) return settings;
+  const isByValue = settings.shipping.method === 'value';
+  return {
+    ...settings,
+    shipping: {
+      ...renameToCents(settings.shipping, { flatRate: 'flatRateCents' }),
+      tiers: (settings.shipping.tiers || []).map(tier => ({
+        ...renameToCents(tier, { cost: 'costCents' }),
+        upTo: isByValue && tier.upTo !== null && tier.upTo !== undefined ? legacyCents(tier.upTo) : tier.upTo ?? null,
+      })),
+    },
+  };
+};
+
+// Whether a stored document still holds legacy decimal amounts
+export const productHasLegacyMoney = (product) => hasAny(product, Object.keys(PRODUCT_FIELDS));
+
+export const orderHasLegacyMoney = (order) => hasAny(order, Object.keys(ORDER_FIELDS))
+  || (order.lineItems || []).some(line => hasAny(line, Object.keys(LINE_ITEM_FIELDS)))
+  || hasAny(order.pricing, Object.keys(ORDER_PRICING_FIELDS))
+  || (order.pricing?.taxes || []).some(entry => 'amount' in entry);
+
+export const purchaseOrderHasLegacyMoney = (purchaseOrder) =>
+  (purchaseOrder.lines || []).some(line => hasAny(line, Object.keys(PURCHASE_ORDER_LINE_FIELDS)));
+
+export const couponHasLegacyMoney = (coupon) => 'minSubtotal' in coupon || (coupon.type === 'fixed' && !('amountCents' in coupon));
+
+export const pricingSettingsHasLegacyMoney = (settings) => shippingHasLegacyMoney(settings.shipping);
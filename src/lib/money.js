@@ -0,0 +1,88 @@
+// Money is stored and computed as whole numbers of the currency's minor unit
+// ("cents": 1999 is $19.99, and for a currency without one, such as the yen,
+// 1999 is ¥1999). Amounts only become decimals when they are formatted for
+// display or export, and user input is parsed from its digits, so no float
+// rounding ever reaches a stored amount.
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Offered in the store settings; any ISO 4217 code Intl knows would work
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'JPY', 'INR', 'BRL', 'MXN', 'ZAR'];
+
+// Digits after the decimal point, e.g. 2 for USD and 0 for JPY
+export const getCurrencyDigits = (currency = DEFAULT_CURRENCY) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+// Exact decimal shift: `${amount}e${digits}` avoids 1.005 * 100 = 100.49999...
+const shiftDecimal = (amount, digits) => {
+  const [mantissa, exponent = '0'] = String(amount).split('e');
+  return Number(`${mantissa}e${Number(exponent) + digits}`);
+};
+
+// Converts a decimal amount in major units (12.5) to cents (1250), rounding half away from zero
+export const toCents = (amount, currency = DEFAULT_CURRENCY) => {
+  const shifted = shiftDecimal(Math.abs(amount || 0), getCurrencyDigits(currency));
+  return Math.sign(amount || 0) * Math.round(shifted) || 0;
+};
+
+/**
+ * Parses user input such as "12", "12.5" or "12.50" into cents. Returns null
+ * when `text` isn't a non-negative amount with at most the currency's number
+ * of decimal places.
+ */
+export const parseMoney = (text, currency = DEFAULT_CURRENCY) => {
+  const digits = getCurrencyDigits(currency);
+  const match = String(text ?? '').trim().match(/^(\d+)(?:\.(\d*))?$/);
+  if (!match || (match[2] && match[2].length > digits)) return null;
+  const fraction = (match[2] || '').padEnd(digits, '0');
+  return Number(match[1]) * 10 ** digits + Number(fraction || 0);
+};
+
+// Plain decimal string without symbol or grouping ("1250.00"), for form fields and exports
+export const formatAmount = (cents, currency = DEFAULT_CURRENCY) => {
+  const digits = getCurrencyDigits(currency);
+  const negative = cents < 0;
+  const whole = String(Math.abs(Math.round(cents || 0))).padStart(digits + 1, '0');
+  const amount = digits ? `${whole.slice(0, -digits)}.${whole.slice(-digits)}` : whole;
+  return negative ? `-${amount}` : amount;
+};
+
+const moneyFormats = new Map();
+
+// Cached per locale and currency: building an Intl.NumberFormat is not cheap
+const getMoneyFormat = (currency, locale) => {
+  const key = `${locale || ''}|${currency}`;
+  if (!moneyFormats.has(key)) {
+    moneyFormats.set(key, new Intl.NumberFormat(locale || undefined, { style: 'currency', currency }));
+  }
+  return moneyFormats.get(key);
+};
+
+// Formats cents for display, e.g. "$1,250.00" or "1.250,00 €". `locale` defaults to the browser's.
+export const formatMoney = (cents, currency = DEFAULT_CURRENCY, locale = undefined) =>
+  getMoneyFormat(currency, locale).format(shiftDecimal(Math.round(cents || 0), -getCurrencyDigits(currency)));
+
+// A percentage of an amount, rounded to the nearest cent
+export const percentOf = (cents, percent) => Math.round((cents * percent) / 100);
+
+/**
+ * Splits `cents` across `weights` in proportion, in whole cents that add up to
+ * exactly `cents` (largest remainders get the leftover cents).
+ */
+export const allocate = (cents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!totalWeight) return weights.map(() => 0);
+  const exact = weights.map(weight => (cents * weight) / totalWeight);
+  const shares = exact.map(Math.floor);
+  let remaining = cents - shares.reduce((sum, share) => sum + share, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        shares[index] += 1;
+        remaining -= 1;
+      }
+    });
+  return shares;
+};
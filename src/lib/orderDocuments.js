@@ -0,0 +1,310 @@
+import { RESTOCKING_STATUSES, getStatusHistory } from './orderLifecycle';
+import { getOrderLineItems, getOrderItemCount, getOrderPricing, getLineItemName } from './orders';
+import { formatAddress } from './customers';
+import { formatInvoiceNumber } from './invoices';
+import { formatAmount } from './money';
+import { PAGE_WIDTH, PAGE_HEIGHT, createPdf, fitText, measureText } from './pdf';
+
+// Invoices and packing slips for one order. buildOrderDocument turns an order
+// into a plain description of the page (headings, parties, a table and
+// totals) that renderDocumentHtml and renderDocumentPdf both lay out, so the
+// printed page and the PDF always say the same thing.
+
+export const DOCUMENT_KINDS = {
+  INVOICE: 'invoice',
+  PACKING_SLIP: 'packingSlip',
+};
+
+export const DOCUMENT_LABELS = {
+  [DOCUMENT_KINDS.INVOICE]: 'Invoice',
+  [DOCUMENT_KINDS.PACKING_SLIP]: 'Packing Slip',
+};
+
+const shippedAt = (order) => order.fulfilledAt || getStatusHistory(order).find(entry => entry.status === 'Shipped')?.at || null;
+
+const sellerLines = (seller) => [
+  ...String(seller.address || '').split('\n').map(line => line.trim()).filter(Boolean),
+  seller.email,
+  seller.phone,
+  seller.taxId && `Tax ID: ${seller.taxId}`,
+].filter(Boolean);
+
+const customerLines = (order) => [order.customerName, ...formatAddress(order.shippingAddress)].filter(Boolean);
+
+/**
+ * Describes the `kind` of document (see DOCUMENT_KINDS) for `order`:
+ *   { kind, title, fileName, seller: { name, lines }, meta: [[label, value]],
+ *     parties: [{ heading, lines }], columns: [{ label, align, width }],
+ *     rows: [[cell]], totals: [{ label, value, strong }], notes: [text] }
+ * `business` is the store's current business details, used until the order is
+ * invoiced and keeps its own copy. Amounts and dates come from `format`
+ * (useFormat / createFormatters). `canPrint(text)` says whether the output can
+ * show a formatted value; when it can't, amounts fall back to "1250.00 EUR"
+ * and dates to "2024-05-01".
+ */
+export const buildOrderDocument = (order, kind, { business, storeName = '', format, canPrint = () => true }) => {
+  const pricing = getOrderPricing(order);
+  const currency = pricing.currency || format.currency;
+  const money = (cents) => {
+    const text = format.money(cents || 0, currency);
+    return canPrint(text) ? text : `${formatAmount(cents || 0, currency)} ${currency}`;
+  };
+  const date = (value) => {
+    const text = format.date(value);
+    return canPrint(text) ? text : String(value || '').slice(0, 10);
+  };
+
+  const seller = order.seller || business;
+  const isInvoice = kind === DOCUMENT_KINDS.INVOICE;
+  const invoiceNumber = order.invoiceNumber ? formatInvoiceNumber(order.invoiceNumber) : null;
+  const shipTo = customerLines(order);
+  const lines = getOrderLineItems(order);
+
+  const doc = {
+    kind,
+    seller: { name: seller.name || storeName, lines: sellerLines(seller) },
+    notes: [],
+  };
+
+  if (isInvoice) {
+    doc.title = invoiceNumber ? 'Invoice' : 'Pro Forma Invoice';
+    doc.fileName = invoiceNumber ? `${invoiceNumber}.pdf` : `pro-forma-${order.id}.pdf`;
+    doc.meta = [
+      invoiceNumber && ['Invoice number', invoiceNumber],
+      order.invoicedAt && ['Invoice date', date(order.invoicedAt)],
+      ['Order', order.id],
+      ['Order date', date(order.orderedAt)],
+      RESTOCKING_STATUSES.includes(order.status) && ['Status', order.status],
+    ].filter(Boolean);
+    doc.parties = [
+      { heading: 'Bill to', lines: [order.customerName, order.customerEmail].filter(Boolean) },
+      { heading: 'Ship to', lines: shipTo },
+    ];
+    doc.columns = [
+      { label: 'Item', align: 'left', width: 0.52 },
+      { label: 'Qty', align: 'right', width: 0.12 },
+      { label: 'Unit price', align: 'right', width: 0.18 },
+      { label: 'Amount', align: 'right', width: 0.18 },
+    ];
+    doc.rows = lines.map(line => [getLineItemName(line), String(line.quantity), money(line.unitPriceCents), money(line.lineTotalCents)]);
+    doc.totals = [
+      { label: 'Subtotal', value: money(pricing.subtotalCents) },
+      pricing.discountCents > 0 && { label: `Discount${pricing.coupon ? ` (${pricing.coupon.code})` : ''}`, value: `-${money(pricing.discountCents)}` },
+      pricing.shippingCents > 0 && { label: 'Shipping', value: money(pricing.shippingCents) },
+      ...(pricing.taxes || []).map(tax => ({ label: `${tax.name} (${tax.rate}%)`, value: money(tax.amountCents) })),
+      // Orders priced before tax lines were itemised only know the total
+      !pricing.taxes?.length && pricing.taxCents > 0 && { label: 'Tax', value: money(pricing.taxCents) },
+      { label: 'Total', value: money(pricing.totalCents), strong: true },
+    ].filter(Boolean);
+    if (!invoiceNumber) doc.notes.push('Not a tax invoice. The invoice number is assigned when the order ships.');
+  } else {
+    const shipped = shippedAt(order);
+    doc.title = 'Packing Slip';
+    doc.fileName = `packing-slip-${order.id}.pdf`;
+    doc.meta = [
+      ['Order', order.id],
+      ['Order date', date(order.orderedAt)],
+      shipped && ['Shipped', date(shipped)],
+    ].filter(Boolean);
+    doc.parties = [{ heading: 'Ship to', lines: shipTo }];
+    doc.columns = [
+      { label: 'Item', align: 'left', width: 0.5 },
+      { label: 'SKU / Product ID', align: 'left', width: 0.35 },
+      { label: 'Qty', align: 'right', width: 0.15 },
+    ];
+    // Pickers find items by SKU; lines without one fall back to the product ID
+    doc.rows = lines.map(line => [getLineItemName(line), line.sku || line.productId, String(line.quantity)]);
+    doc.totals = [{ label: 'Total items', value: String(getOrderItemCount(order)), strong: true }];
+  }
+
+  return doc;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const DOCUMENT_CSS = `
+  @page { size: A4; margin: 16mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 24px; font: 13px/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111827; }
+  header { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 28px; }
+  h1 { margin: 0 0 8px; font-size: 26px; text-align: right; }
+  .seller-name { font-size: 18px; font-weight: 700; margin-bottom: 4px; }
+  .muted { color: #6b7280; }
+  dl { display: grid; grid-template-columns: auto auto; gap: 2px 12px; margin: 0; justify-content: end; }
+  dt { color: #6b7280; text-align: right; }
+  dd { margin: 0; text-align: right; font-variant-numeric: tabular-nums; }
+  .parties { display: flex; gap: 48px; margin-bottom: 24px; }
+  .parties h2 { margin: 0 0 4px; font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; }
+  table { width: 100%; border-collapse: collapse; }
+  thead { display: table-header-group; }
+  th { text-align: left; font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; border-bottom: 1px solid #d1d5db; padding: 6px 8px; }
+  td { border-bottom: 1px solid #e5e7eb; padding: 8px; vertical-align: top; }
+  tr { break-inside: avoid; }
+  .right { text-align: right; font-variant-numeric: tabular-nums; }
+  .totals { margin: 16px 0 0 auto; min-width: 45%; }
+  .totals td { border: none; padding: 3px 8px; }
+  .totals .strong td { font-weight: 700; font-size: 15px; border-top: 1px solid #d1d5db; padding-top: 8px; }
+  .notes { margin-top: 32px; color: #6b7280; }
+  @media print {
+    body { padding: 0; }
+  }
+`;
+
+/**
+ * A standalone HTML page for a buildOrderDocument result, styled for A4
+ * printing; table headers repeat on every printed page.
+ */
+export const renderDocumentHtml = (doc) => {
+  const cell = (tag, column, value) => `<${tag}${column.align === 'right' ? ' class="right"' : ''}>${escapeHtml(value)}</${tag}>`;
+  const linesHtml = (lines) => lines.map(line => `<div>${escapeHtml(line)}</div>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)}${doc.meta[0] ? ` ${escapeHtml(doc.meta[0][1])}` : ''}</title>
+<style>${DOCUMENT_CSS}</style>
+</head>
+<body>
+<header>
+  <div>
+    <div class="seller-name">${escapeHtml(doc.seller.name)}</div>
+    <div class="muted">${linesHtml(doc.seller.lines)}</div>
+  </div>
+  <div>
+    <h1>${escapeHtml(doc.title)}</h1>
+    <dl>${doc.meta.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+  </div>
+</header>
+<section class="parties">
+  ${doc.parties.map(party => `<div><h2>${escapeHtml(party.heading)}</h2>${party.lines.length ? linesHtml(party.lines) : '<div class="muted">-</div>'}</div>`).join('\n  ')}
+</section>
+<table>
+  <thead><tr>${doc.columns.map(column => cell('th', column, column.label)).join('')}</tr></thead>
+  <tbody>
+    ${doc.rows.map(row => `<tr>${row.map((value, index) => cell('td', doc.columns[index], value)).join('')}</tr>`).join('\n    ')}
+  </tbody>
+</table>
+<table class="totals">
+  ${doc.totals.map(total => `<tr${total.strong ? ' class="strong"' : ''}><td>${escapeHtml(total.label)}</td><td class="right">${escapeHtml(total.value)}</td></tr>`).join('\n  ')}
+</table>
+${doc.notes.length ? `<div class="notes">${linesHtml(doc.notes)}</div>` : ''}
+</body>
+</html>
+`;
+};
+
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const BOTTOM = PAGE_HEIGHT - MARGIN - 20; // leaves room for the page number
+const ROW_HEIGHT = 18;
+
+/**
+ * The same document as a PDF file (bytes). Build it with
+ * `canPrint: canEncodeText` so every value can be drawn.
+ */
+export const renderDocumentPdf = (doc) => {
+  const pdf = createPdf({ title: doc.title });
+  const right = PAGE_WIDTH - MARGIN;
+
+  // Header: seller on the left, title and meta on the right
+  let y = MARGIN + 16;
+  pdf.text(MARGIN, y, fitText(doc.seller.name, CONTENT_WIDTH / 2, 16, true), { size: 16, bold: true });
+  pdf.text(right, y, doc.title, { size: 20, bold: true, align: 'right' });
+  let leftY = y + 16;
+  doc.seller.lines.forEach(line => {
+    pdf.text(MARGIN, leftY, fitText(line, CONTENT_WIDTH / 2, 9), { size: 9, gray: 0.4 });
+    leftY += 12;
+  });
+  let rightY = y + 20;
+  const valueX = right - Math.max(...doc.meta.map(([, value]) => measureText(value, 9)), 0) - 12;
+  doc.meta.forEach(([label, value]) => {
+    pdf.text(valueX, rightY, label, { size: 9, gray: 0.4, align: 'right' });
+    pdf.text(right, rightY, value, { size: 9, align: 'right' });
+    rightY += 12;
+  });
+
+  // Parties side by side
+  y = Math.max(leftY, rightY) + 20;
+  const partyWidth = CONTENT_WIDTH / Math.max(doc.parties.length, 2);
+  let partiesBottom = y;
+  doc.parties.forEach((party, index) => {
+    const x = MARGIN + index * partyWidth;
+    pdf.text(x, y, party.heading.toUpperCase(), { size: 8, bold: true, gray: 0.4 });
+    let partyY = y + 14;
+    (party.lines.length ? party.lines : ['-']).forEach(line => {
+      pdf.text(x, partyY, fitText(line, partyWidth - 12, 10), { size: 10 });
+      partyY += 13;
+    });
+    partiesBottom = Math.max(partiesBottom, partyY);
+  });
+
+  // Line items, starting a new page (with the header row again) when full
+  const columns = [];
+  let x = MARGIN;
+  doc.columns.forEach(column => {
+    const width = column.width * CONTENT_WIDTH;
+    columns.push({ ...column, left: x, width });
+    x += width;
+  });
+  const drawCells = (cells, rowY, options) => cells.forEach((value, index) => {
+    const column = columns[index];
+    const text = fitText(value, column.width - 8, options.size, options.bold);
+    if (column.align === 'right') pdf.text(column.left + column.width, rowY, text, { ...options, align: 'right' });
+    else pdf.text(column.left, rowY, text, options);
+  });
+  const drawHeaderRow = (rowY) => {
+    drawCells(columns.map(column => column.label.toUpperCase()), rowY, { size: 8, bold: true, gray: 0.4 });
+    pdf.line(MARGIN, rowY + 6, right, rowY + 6, { gray: 0.6 });
+    return rowY + ROW_HEIGHT + 2;
+  };
+
+  y = drawHeaderRow(partiesBottom + 16);
+  doc.rows.forEach(row => {
+    if (y > BOTTOM) {
+      pdf.addPage();
+      y = drawHeaderRow(MARGIN + 10);
+    }
+    drawCells(row, y, { size: 10 });
+    pdf.line(MARGIN, y + 6, right, y + 6, { gray: 0.88 });
+    y += ROW_HEIGHT;
+  });
+
+  // Totals and notes, kept together on one page
+  const closingHeight = doc.totals.length * 15 + 10 + doc.notes.length * 12 + 20;
+  if (y + closingHeight > BOTTOM + ROW_HEIGHT) {
+    pdf.addPage();
+    y = MARGIN + 10;
+  }
+  y += 8;
+  const labelX = right - CONTENT_WIDTH * 0.2;
+  doc.totals.forEach(total => {
+    if (total.strong) {
+      pdf.line(right - CONTENT_WIDTH * 0.45, y - 11, right, y - 11, { gray: 0.6 });
+      y += 3;
+    }
+    const size = total.strong ? 12 : 10;
+    pdf.text(labelX, y, total.label, { size, bold: total.strong, align: 'right' });
+    pdf.text(right, y, total.value, { size, bold: total.strong, align: 'right' });
+    y += 15;
+  });
+  y += 20;
+  doc.notes.forEach(note => {
+    pdf.text(MARGIN, y, fitText(note, CONTENT_WIDTH, 9), { size: 9, gray: 0.4 });
+    y += 12;
+  });
+
+  const pageCount = pdf.pageCount;
+  if (pageCount > 1) {
+    for (let page = 0; page < pageCount; page++) {
+      pdf.setPage(page);
+      pdf.text(right, PAGE_HEIGHT - MARGIN, `Page ${page + 1} of ${pageCount}`, { size: 8, gray: 0.4, align: 'right' });
+    }
+  }
+
+  return pdf.toBytes();
+};
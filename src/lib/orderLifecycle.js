@@ -0,0 +1,101 @@
+// Order lifecycle: the statuses an order can be in and the moves allowed between them.
+//
+//   Pending -> Paid -> Packed -> Shipped -> Delivered
+//   Pending/Paid/Packed -> Cancelled
+//   Paid/Packed/Shipped/Delivered -> Refunded
+//
+// 'Fulfilled' is the status written before the lifecycle existed; such orders
+// can still be refunded but nothing moves into it any more.
+
+import { InvalidTransitionError } from './errors';
+
+export const ORDER_STATUSES = ['Pending', 'Paid', 'Packed', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'];
+
+// firestore.rules holds a copy for staff updates; keep the two in step
+export const ORDER_TRANSITIONS = {
+  Pending: ['Paid', 'Cancelled'],
+  Paid: ['Packed', 'Cancelled', 'Refunded'],
+  Packed: ['Shipped', 'Cancelled', 'Refunded'],
+  Shipped: ['Delivered', 'Refunded'],
+  Delivered: ['Refunded'],
+  Fulfilled: ['Refunded'],
+  Cancelled: [],
+  Refunded: [],
+};
+
+// Moving into one of these returns every line's quantity to product stock
+export const RESTOCKING_STATUSES = ['Cancelled', 'Refunded'];
+
+// Orders still being worked on; a product they hold can't be deleted outright
+export const OPEN_STATUSES = ['Pending', 'Paid', 'Packed', 'Shipped'];
+
+// Orders in these statuses count towards revenue
+export const REVENUE_STATUSES = ['Paid', 'Packed', 'Shipped', 'Delivered', 'Fulfilled'];
+
+// The order has left the warehouse; `fulfilledAt` is stamped when it reaches Shipped
+export const FULFILLED_STATUSES = ['Shipped', 'Delivered', 'Fulfilled'];
+
+// Timestamp field written alongside each status for quick querying
+export const STATUS_TIMESTAMP_FIELDS = {
+  Paid: 'paidAt',
+  Packed: 'packedAt',
+  Shipped: 'fulfilledAt',
+  Delivered: 'deliveredAt',
+  Cancelled: 'cancelledAt',
+  Refunded: 'refundedAt',
+};
+
+export const STATUS_STYLES = {
+  Pending: 'bg-yellow-100 text-yellow-800',
+  Paid: 'bg-blue-100 text-blue-800',
+  Packed: 'bg-indigo-100 text-indigo-800',
+  Shipped: 'bg-purple-100 text-purple-800',
+  Delivered: 'bg-green-100 text-green-800',
+  Fulfilled: 'bg-green-100 text-green-800',
+  Cancelled: 'bg-gray-200 text-gray-700',
+  Refunded: 'bg-red-100 text-red-800',
+};
+
+export const TRANSITION_LABELS = {
+  Paid: 'Mark Paid',
+  Packed: 'Pack',
+  Shipped: 'Ship',
+  Delivered: 'Mark Delivered',
+  Cancelled: 'Cancel',
+  Refunded: 'Refund',
+};
+
+export const getAllowedTransitions = (status) => ORDER_TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Returns the order's status history, synthesising entries from the legacy
+ * `orderedAt`/`fulfilledAt` fields for orders written before history was kept.
+ */
+export const getStatusHistory = (order) => {
+  if (Array.isArray(order.statusHistory)) return order.statusHistory;
+
+  const history = [];
+  if (order.orderedAt) history.push({ status: 'Pending', at: order.orderedAt });
+  if (order.fulfilledAt) history.push({ status: order.status, at: order.fulfilledAt });
+  return history;
+};
+
+/**
+ * Builds the fields to write on an order moving to `nextStatus`.
+ * Throws an InvalidTransitionError if the move isn't allowed from the order's current status.
+ */
+export const buildTransitionUpdate = (order, nextStatus, at = new Date().toISOString()) => {
+  if (!canTransition(order.status, nextStatus)) {
+    throw new InvalidTransitionError(order.status, nextStatus);
+  }
+
+  const update = {
+    status: nextStatus,
+    statusHistory: [...getStatusHistory(order), { status: nextStatus, at }],
+  };
+  const timestampField = STATUS_TIMESTAMP_FIELDS[nextStatus];
+  if (timestampField) update[timestampField] = at;
+  return update;
+};
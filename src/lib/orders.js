@@ -0,0 +1,122 @@
+// Order shape helpers shared by the order views, the dashboard and checkout.
+//
+// Orders are stored as:
+//   { lineItems: [{ productId, productName, variantId, variantName, sku,
+//                   unitPriceCents, quantity, lineTotalCents, weight, taxClass }],
+//     itemCount, pricing, couponCode, totalCents, status, statusHistory, orderedAt,
+//     customerId, customerName, customerEmail, shippingAddress, createdBy }
+// where `pricing` is the breakdown from lib/pricing (priceOrder),
+// `totalCents` its total and `createdBy` the uid of the member who placed it. Orders placed before customers existed have no
+// customer fields. Amounts are in cents; orders with decimal amounts
+// are converted when read (see lib/legacyMoney).
+// Lines for products without variants (see lib/variants), and all lines from
+// before variants existed, have no `variantId`.
+// Orders written before line items existed hold a single top-level
+// `productId`, `productName` and `quantity`; the helpers below read both shapes.
+
+import { OPEN_STATUSES } from './orderLifecycle';
+import { getItemName, getSellableItem, itemKey } from './variants';
+
+/**
+ * Returns the line items of an order, converting legacy single-product orders
+ * into a one-line array.
+ */
+export const getOrderLineItems = (order) => {
+  if (Array.isArray(order.lineItems)) return order.lineItems;
+  if (!order.productId) return [];
+
+  const quantity = order.quantity || 0;
+  const lineTotalCents = order.totalCents || 0;
+  return [{
+    productId: order.productId,
+    productName: order.productName,
+    unitPriceCents: quantity ? Math.round(lineTotalCents / quantity) : 0,
+    quantity,
+    lineTotalCents,
+  }];
+};
+
+// What a line sold, with its variant, e.g. "Vintage T-Shirt (M)"
+export const getLineItemName = (line) => getItemName(line.productName, line.variantName);
+
+export const getOrderItemCount = (order) =>
+  getOrderLineItems(order).reduce((sum, line) => sum + (line.quantity || 0), 0);
+
+// In cents
+export const getOrderTotal = (order) => {
+  if (typeof order.totalCents === 'number') return order.totalCents;
+  return getOrderLineItems(order).reduce((sum, line) => sum + (line.lineTotalCents || 0), 0);
+};
+
+// The price breakdown; orders from before pricing existed were charged their total with no extras
+export const getOrderPricing = (order) => {
+  if (order.pricing) return order.pricing;
+  const totalCents = getOrderTotal(order);
+  return {
+    subtotalCents: totalCents,
+    discountCents: 0,
+    shippingCents: 0,
+    taxCents: 0,
+    totalCents,
+    coupon: null,
+    taxes: [],
+  };
+};
+
+// Orders not yet delivered, cancelled or refunded that hold `productId`
+export const getOpenOrdersFor = (orders, productId) =>
+  orders.filter(order => OPEN_STATUSES.includes(order.status) && getOrderLineItems(order).some(line => line.productId === productId));
+
+/**
+ * Collapses repeated items into one request per product and variant, so an
+ * order has one line for each and stock moves once per variant.
+ */
+export const mergeOrderItems = (items) => {
+  const byItem = new Map();
+  items.forEach(({ productId, variantId = null, quantity }) => {
+    const key = itemKey(productId, variantId);
+    const merged = byItem.get(key) || { productId, variantId: variantId || null, quantity: 0 };
+    byItem.set(key, { ...merged, quantity: merged.quantity + quantity });
+  });
+  return Array.from(byItem.values());
+};
+
+// Snapshots what the product (in `variantId`, if it has variants) cost,
+// weighed and was taxed as, so later catalog edits don't rewrite history
+export const buildLineItem = (productId, product, quantity, variantId = null) => {
+  const item = getSellableItem(product, variantId);
+  const unitPriceCents = item ? item.priceCents : product.priceCents || 0;
+  return {
+    productId,
+    productName: product.name,
+    variantId: item?.variant?.id || null,
+    variantName: item?.variant?.name || null,
+    sku: item ? item.sku : product.sku || null,
+    unitPriceCents,
+    quantity,
+    lineTotalCents: quantity * unitPriceCents,
+    weight: product.weight ?? null,
+    taxClass: product.taxClass ?? null,
+  };
+};
+
+// Who the order is for and where it ships, as the customer record says at the time
+export const buildCustomerSnapshot = (customerId, customer) => ({
+  customerId,
+  customerName: customer?.name || '',
+  customerEmail: customer?.email || '',
+  shippingAddress: customer?.address || null,
+});
+
+// `pricing` is the priceOrder breakdown; without one the order costs its
+// subtotal. `customer` is a buildCustomerSnapshot result, if any.
+export const buildOrder = (lineItems, orderedAt = new Date().toISOString(), pricing = null, customer = null) => ({
+  ...(customer || {}),
+  lineItems,
+  itemCount: lineItems.reduce((sum, line) => sum + line.quantity, 0),
+  ...(pricing ? { pricing, couponCode: pricing.coupon?.code || null } : {}),
+  totalCents: pricing ? pricing.totalCents : lineItems.reduce((sum, line) => sum + line.lineTotalCents, 0),
+  status: 'Pending',
+  statusHistory: [{ status: 'Pending', at: orderedAt }],
+  orderedAt,
+});
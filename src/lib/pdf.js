@@ -0,0 +1,151 @@
+// A small PDF writer for the order documents: A4 pages of left or right
+// aligned text and rules in the two standard Helvetica faces, which every PDF
+// reader has built in, so nothing has to be embedded. Text is WinAnsi encoded
+// (Latin-1 plus a few symbols such as €); check text with canEncodeText and
+// pass a fallback for anything else.
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Character widths in thousandths of the font size, for codes 32 to 126 (Adobe AFM)
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi codes 128-159 that differ from Latin-1; 160-255 are the same as Unicode
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+  'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F,
+};
+
+// Intl puts thin and narrow spaces and a true minus sign into formatted numbers
+const normalizeText = (text) => String(text ?? '').replace(/[\u2009\u202F]/g, ' ').replace(/\u2212/g, '-');
+
+const toWinAnsi = (char) => {
+  const code = char.codePointAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+  return WIN_ANSI_EXTRAS[char] ?? null;
+};
+
+export const canEncodeText = (text) => Array.from(normalizeText(text)).every(char => toWinAnsi(char) !== null);
+
+// Characters that can't be encoded print as "?"
+const encodeText = (text) => Array.from(normalizeText(text)).map(char => toWinAnsi(char) ?? 63);
+
+// A PDF string literal, keeping the file itself 7-bit ASCII
+const pdfString = (codes) => `(${codes.map(code => {
+  if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+  if (code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+  return String.fromCharCode(code);
+}).join('')})`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Width of `text` in points at `size`.
+ */
+export const measureText = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  return encodeText(text).reduce((sum, code) => sum + (widths[code - 32] ?? DEFAULT_WIDTH), 0) * size / 1000;
+};
+
+// Shortens `text` with "..." until it fits in `width`
+export const fitText = (text, width, size, bold = false) => {
+  const normalized = normalizeText(text);
+  if (measureText(normalized, size, bold) <= width) return normalized;
+  let chars = Array.from(normalized);
+  while (chars.length > 0 && measureText(`${chars.join('')}...`, size, bold) > width) chars = chars.slice(0, -1);
+  return `${chars.join('')}...`;
+};
+
+/**
+ * Starts a document with one blank page. Coordinates are in points from the
+ * top-left corner of the page. Drawing goes to the current page; `addPage()`
+ * starts a new one and `setPage(index)` returns to an earlier one.
+ * `toBytes()` returns the finished file.
+ */
+export const createPdf = ({ title = '' } = {}) => {
+  const pages = [[]];
+  let current = 0;
+
+  const draw = (operation) => pages[current].push(operation);
+
+  return {
+    get pageCount() {
+      return pages.length;
+    },
+
+    addPage() {
+      pages.push([]);
+      current = pages.length - 1;
+    },
+
+    setPage(index) {
+      current = index;
+    },
+
+    // `align: 'right'` ends the text at `x`; `gray` runs from 0 (black) to 1 (white)
+    text(x, y, text, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+      const left = align === 'right' ? x - measureText(text, size, bold) : x;
+      draw(`BT ${round(gray)} g /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${round(left)} ${round(PAGE_HEIGHT - y)} Td ${pdfString(encodeText(text))} Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0.75 } = {}) {
+      draw(`${round(gray)} G ${width} w ${round(x1)} ${round(PAGE_HEIGHT - y1)} m ${round(x2)} ${round(PAGE_HEIGHT - y2)} l S`);
+    },
+
+    toBytes() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const infoId = add(`<< /Title ${pdfString(encodeText(title))} /Producer (E-Comm V2) >>`);
+      const pageIds = pages.map(operations => {
+        const content = operations.join('\n');
+        const contentId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+          + `/Resources << /Font << /${FONTS.regular} ${regularId} 0 R /${FONTS.bold} ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+      });
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      // Everything is ASCII, so string offsets are byte offsets
+      let file = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = file.length;
+        file += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xrefOffset = file.length;
+      file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      file += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Uint8Array.from(file, char => char.charCodeAt(0));
+    },
+  };
+};
@@ -0,0 +1,123 @@
+import { mergeOrderItems, buildLineItem, buildOrder, buildCustomerSnapshot } from './orders';
+import { buildTransitionUpdate } from './orderLifecycle';
+import { stockChanges } from './variants';
+
+// Writes that can wait in the offline outbox (see data/outbox.js). Payloads:
+//   saveProduct:     { productId, isNew, data, expectedVersion, base }
+//   deleteProduct:   { productId, productName }
+//   archiveProduct:  { productId, productName }
+//   restoreProduct:  { productId, productName }
+//   transitionOrder: { orderId, nextStatus }
+//   placeOrder:      { orderId, items: [{ productId, variantId, quantity }], couponCode, customerId, shopper, customerName }
+export const MUTATION_TYPES = {
+  SAVE_PRODUCT: 'saveProduct',
+  DELETE_PRODUCT: 'deleteProduct',
+  ARCHIVE_PRODUCT: 'archiveProduct',
+  RESTORE_PRODUCT: 'restoreProduct',
+  TRANSITION_ORDER: 'transitionOrder',
+  PLACE_ORDER: 'placeOrder',
+};
+
+const bumpVersion = (product) => (product.version || 0) + 1;
+
+/**
+ * Applies queued mutations on top of the stored products and orders so the
+ * tables show what they will look like once the outbox has synced. Every
+ * record touched by a pending mutation gets `pendingSync` set to the type of
+ * its latest one. Versions are bumped the way the real write would, so edits
+ * made on top of a pending edit replay cleanly.
+ */
+export const applyPendingMutations = (products, orders, entries) => {
+  if (entries.length === 0) return { products, orders };
+
+  const productMap = new Map(products.map(product => [product.id, product]));
+  const orderMap = new Map(orders.map(order => [order.id, order]));
+
+  entries.forEach(({ type, payload, createdAt }) => {
+    switch (type) {
+      case MUTATION_TYPES.SAVE_PRODUCT: {
+        const current = productMap.get(payload.productId);
+        if (!current && !payload.isNew) break;
+        productMap.set(payload.productId, current
+          ? { ...current, ...payload.data, version: bumpVersion(current), pendingSync: type }
+          : { id: payload.productId, ...payload.data, version: 1, createdAt, updatedAt: createdAt, pendingSync: type });
+        break;
+      }
+      case MUTATION_TYPES.DELETE_PRODUCT: {
+        const current = productMap.get(payload.productId);
+        if (current) productMap.set(payload.productId, { ...current, pendingSync: type });
+        break;
+      }
+      case MUTATION_TYPES.ARCHIVE_PRODUCT:
+      case MUTATION_TYPES.RESTORE_PRODUCT: {
+        const current = productMap.get(payload.productId);
+        if (!current) break;
+        const archivedAt = type === MUTATION_TYPES.ARCHIVE_PRODUCT ? current.archivedAt || createdAt : null;
+        productMap.set(payload.productId, { ...current, archivedAt, version: bumpVersion(current), pendingSync: type });
+        break;
+      }
+      case MUTATION_TYPES.TRANSITION_ORDER: {
+        const current = orderMap.get(payload.orderId);
+        if (!current) break;
+        try {
+          orderMap.set(payload.orderId, { ...current, ...buildTransitionUpdate(current, payload.nextStatus, createdAt), pendingSync: type });
+        } catch (error) {
+          // The move is no longer allowed; the replay will be rejected and roll back
+        }
+        break;
+      }
+      case MUTATION_TYPES.PLACE_ORDER: {
+        const lines = mergeOrderItems(payload.items)
+          .map(item => ({ item, product: productMap.get(item.productId) }))
+          .filter(({ product }) => product);
+        // The order writes each product once, however many of its variants it takes
+        const sold = new Map();
+        lines.forEach(({ item, product }) => {
+          const current = sold.get(product.id) || { ...product, version: bumpVersion(product), pendingSync: product.pendingSync || type };
+          sold.set(product.id, { ...current, ...stockChanges(current, item.variantId, -item.quantity) });
+        });
+        sold.forEach((product, productId) => productMap.set(productId, product));
+        const lineItems = lines.map(({ item, product }) => buildLineItem(product.id, product, item.quantity, item.variantId));
+        // The address is copied when the order syncs; the name is enough to show meanwhile.
+        // A shopper's customer is only found (or made) then too.
+        const customer = payload.customerId || payload.shopper
+          ? buildCustomerSnapshot(payload.customerId || null, { name: payload.customerName })
+          : null;
+        orderMap.set(payload.orderId, { id: payload.orderId, ...buildOrder(lineItems, createdAt, null, customer), pendingSync: type });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return { products: Array.from(productMap.values()), orders: Array.from(orderMap.values()) };
+};
+
+// Notification texts for a mutation once it has synced or been rejected.
+// Archiving has no success text: App shows an undo toast as soon as it's queued.
+export const describeMutation = ({ type, payload }) => {
+  switch (type) {
+    case MUTATION_TYPES.SAVE_PRODUCT:
+      return {
+        success: `${payload.data.name} ${payload.isNew ? 'added' : 'saved'}.`,
+        failure: `Couldn't save ${payload.data.name}`,
+      };
+    case MUTATION_TYPES.DELETE_PRODUCT:
+      return { success: `${payload.productName} deleted.`, failure: `Couldn't delete ${payload.productName}` };
+    case MUTATION_TYPES.ARCHIVE_PRODUCT:
+      return { success: null, failure: `Couldn't archive ${payload.productName}` };
+    case MUTATION_TYPES.RESTORE_PRODUCT:
+      return { success: `${payload.productName} restored.`, failure: `Couldn't restore ${payload.productName}` };
+    case MUTATION_TYPES.TRANSITION_ORDER: {
+      const label = `order ${payload.orderId.substring(0, 8)}`;
+      return { success: `Moved ${label} to ${payload.nextStatus}.`, failure: `Couldn't move ${label} to ${payload.nextStatus}` };
+    }
+    case MUTATION_TYPES.PLACE_ORDER: {
+      const label = `order ${payload.orderId.substring(0, 8)}${payload.customerName ? ` for ${payload.customerName}` : ''}`;
+      return { success: `Placed ${label}.`, failure: `Couldn't place ${label}` };
+    }
+    default:
+      return { success: 'Changes saved.', failure: "Couldn't save changes" };
+  }
+};
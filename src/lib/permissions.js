@@ -0,0 +1,47 @@
+// Roles a store member can hold, from most to least privileged
+export const ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  CLERK: 'clerk',
+  READ_ONLY: 'readOnly',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.OWNER]: 'Owner',
+  [ROLES.MANAGER]: 'Manager',
+  [ROLES.CLERK]: 'Clerk',
+  [ROLES.READ_ONLY]: 'Read-only',
+};
+
+export const ROLE_DESCRIPTIONS = {
+  [ROLES.OWNER]: 'Everything, including managing the team.',
+  [ROLES.MANAGER]: 'Products, pricing, purchasing, refunds and inviting clerks.',
+  [ROLES.CLERK]: 'Takes and fulfils orders, keeps customer details and receives stock.',
+  [ROLES.READ_ONLY]: 'Can look at everything but change nothing.',
+};
+
+// What each role may do. firestore.rules enforces the same matrix on the
+// server, so a change here needs the matching change there.
+const PERMISSIONS = {
+  'products.edit': [ROLES.OWNER, ROLES.MANAGER],
+  'products.import': [ROLES.OWNER, ROLES.MANAGER],
+  'orders.place': [ROLES.OWNER, ROLES.MANAGER, ROLES.CLERK],
+  'orders.fulfil': [ROLES.OWNER, ROLES.MANAGER, ROLES.CLERK],
+  'orders.restock': [ROLES.OWNER, ROLES.MANAGER],
+  'customers.edit': [ROLES.OWNER, ROLES.MANAGER, ROLES.CLERK],
+  'purchasing.manage': [ROLES.OWNER, ROLES.MANAGER],
+  'purchasing.receive': [ROLES.OWNER, ROLES.MANAGER, ROLES.CLERK],
+  'pricing.manage': [ROLES.OWNER, ROLES.MANAGER],
+  'data.export': [ROLES.OWNER, ROLES.MANAGER],
+  'team.invite': [ROLES.OWNER, ROLES.MANAGER],
+  'team.manage': [ROLES.OWNER],
+};
+
+export const hasPermission = (role, permission) => Boolean(role && PERMISSIONS[permission]?.includes(role));
+
+// Roles `role` may hand out in an invitation: owners any, managers only below themselves
+export const getInvitableRoles = (role) => {
+  if (role === ROLES.OWNER) return Object.values(ROLES);
+  if (role === ROLES.MANAGER) return [ROLES.CLERK, ROLES.READ_ONLY];
+  return [];
+};
@@ -0,0 +1,189 @@
+import { InvalidCouponError } from './errors';
+import { DEFAULT_CURRENCY, allocate, formatMoney, percentOf } from './money';
+import { normalizePricingSettings } from './legacyMoney';
+
+// Order pricing: subtotal, coupon discount, shipping and tax, computed the same
+// way for checkout quotes and for the order written in the transaction. Every
+// amount is in cents (see lib/money).
+//
+//   total = subtotal - discount + shipping + tax
+//
+// Tax is charged on what the customer actually pays for each line (the
+// discount is spread over the lines in proportion to their totals) and, when
+// `taxShipping` is set, on shipping at the first (default) rate.
+
+export const COUPON_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  BUY_X_GET_Y: 'buyXGetY',
+};
+
+export const COUPON_TYPE_LABELS = {
+  percentage: 'Percentage off',
+  fixed: 'Fixed amount off',
+  buyXGetY: 'Buy X get Y free',
+};
+
+// 'weight' and 'value' pick the first tier whose `upTo` (kg, or the discounted
+// subtotal in cents) is at least the order's; a tier with `upTo: null` catches the rest
+export const SHIPPING_METHODS = {
+  FLAT: 'flat',
+  WEIGHT: 'weight',
+  VALUE: 'value',
+};
+
+export const SHIPPING_METHOD_LABELS = {
+  flat: 'Flat rate',
+  weight: 'By order weight',
+  value: 'By order value',
+};
+
+export const DEFAULT_PRICING_SETTINGS = {
+  taxRates: [{ id: 'standard', name: 'Standard', rate: 0 }],
+  taxShipping: false,
+  shipping: { method: SHIPPING_METHODS.FLAT, flatRateCents: 0, tiers: [] },
+};
+
+// Codes are matched case-insensitively and stored upper-cased
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Fills in anything missing from stored settings, converting legacy decimal amounts
+export const withPricingDefaults = (storedSettings = {}) => {
+  const settings = normalizePricingSettings(storedSettings || {});
+  return {
+    ...DEFAULT_PRICING_SETTINGS,
+    ...settings,
+    taxRates: settings.taxRates?.length ? settings.taxRates : DEFAULT_PRICING_SETTINGS.taxRates,
+    shipping: { ...DEFAULT_PRICING_SETTINGS.shipping, ...settings.shipping },
+  };
+};
+
+// The line's tax rate: its product's tax class, else the default (first) rate
+const getTaxRate = (taxRates, taxClass) => taxRates.find(rate => rate.id === taxClass) || taxRates[0];
+
+export const describeCoupon = (coupon, currency = DEFAULT_CURRENCY) => {
+  switch (coupon.type) {
+    case COUPON_TYPES.PERCENTAGE:
+      return `${coupon.value}% off`;
+    case COUPON_TYPES.FIXED:
+      return `${formatMoney(coupon.amountCents, currency)} off`;
+    case COUPON_TYPES.BUY_X_GET_Y:
+      return `Buy ${coupon.buyQuantity} get ${coupon.getQuantity} free`;
+    default:
+      return coupon.type;
+  }
+};
+
+/**
+ * Why `coupon` can't be used right now, or null when it can. Checks the
+ * switch, the expiry date, the usage limit and the minimum subtotal (in cents).
+ */
+export const getCouponProblem = (coupon, { subtotal = 0, now = new Date(), currency = DEFAULT_CURRENCY } = {}) => {
+  if (!coupon) return 'This coupon code is not valid.';
+  if (coupon.active === false) return `Coupon ${coupon.code} is no longer active.`;
+  if (coupon.expiresAt && new Date(coupon.expiresAt) < now) return `Coupon ${coupon.code} has expired.`;
+  if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && (coupon.usageCount || 0) >= coupon.usageLimit) {
+    return `Coupon ${coupon.code} has been fully redeemed.`;
+  }
+  if (coupon.minSubtotalCents && subtotal < coupon.minSubtotalCents) {
+    return `Coupon ${coupon.code} needs an order of at least ${formatMoney(coupon.minSubtotalCents, currency)}.`;
+  }
+  return null;
+};
+
+// Units eligible for buy-X-get-Y, one price per unit, most expensive first
+const qualifyingUnitPrices = (coupon, lineItems) => lineItems
+  .filter(line => !coupon.productIds?.length || coupon.productIds.includes(line.productId))
+  .flatMap(line => Array.from({ length: line.quantity }, () => line.unitPriceCents || 0))
+  .sort((a, b) => b - a);
+
+// In every group of buy + get units the `get` cheapest are free
+const getBuyXGetYDiscount = (coupon, lineItems) => {
+  const groupSize = coupon.buyQuantity + coupon.getQuantity;
+  const prices = qualifyingUnitPrices(coupon, lineItems);
+  let discount = 0;
+  for (let start = 0; start + groupSize <= prices.length; start += groupSize) {
+    discount += prices.slice(start + coupon.buyQuantity, start + groupSize).reduce((sum, price) => sum + price, 0);
+  }
+  return discount;
+};
+
+const getCouponDiscount = (coupon, lineItems, subtotal) => {
+  switch (coupon.type) {
+    case COUPON_TYPES.PERCENTAGE:
+      return percentOf(subtotal, Math.min(coupon.value, 100));
+    case COUPON_TYPES.FIXED:
+      return Math.min(coupon.amountCents || 0, subtotal);
+    case COUPON_TYPES.BUY_X_GET_Y:
+      return getBuyXGetYDiscount(coupon, lineItems);
+    default:
+      return 0;
+  }
+};
+
+export const getShippingCost = (shipping, { subtotal, weight }) => {
+  if (shipping.method === SHIPPING_METHODS.FLAT) return shipping.flatRateCents || 0;
+  const measure = shipping.method === SHIPPING_METHODS.WEIGHT ? weight : subtotal;
+  const tiers = [...(shipping.tiers || [])].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  const tier = tiers.find(candidate => candidate.upTo === null || candidate.upTo === undefined || measure <= candidate.upTo)
+    || tiers[tiers.length - 1];
+  return tier?.costCents || 0;
+};
+
+/**
+ * Prices an order from its line items (see buildLineItem) in the store's
+ * `currency`. `coupon` is the stored coupon the customer entered, if any; an
+ * unusable one throws InvalidCouponError rather than being silently dropped.
+ *
+ * Returns `{ currency, subtotalCents, discountCents, shippingCents, taxCents,
+ * totalCents, weight, coupon, taxes }` where `coupon` is
+ * `{ code, type, description }` or null and `taxes` lists the `amountCents`
+ * charged per rate.
+ */
+export const priceOrder = (lineItems, { settings, coupon = null, now = new Date(), currency = DEFAULT_CURRENCY } = {}) => {
+  const { taxRates, taxShipping, shipping: shippingSettings } = withPricingDefaults(settings);
+  const subtotal = lineItems.reduce((sum, line) => sum + (line.lineTotalCents || 0), 0);
+  const weight = lineItems.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0);
+
+  let discount = 0;
+  if (coupon) {
+    const problem = getCouponProblem(coupon, { subtotal, now, currency });
+    if (problem) throw new InvalidCouponError(coupon.code, problem);
+    discount = getCouponDiscount(coupon, lineItems, subtotal);
+    if (discount <= 0 && coupon.type === COUPON_TYPES.BUY_X_GET_Y) {
+      throw new InvalidCouponError(coupon.code,
+        `Coupon ${coupon.code} needs ${coupon.buyQuantity + coupon.getQuantity} qualifying items in the order.`);
+    }
+  }
+
+  // Nothing to ship, nothing to charge (an empty cart quotes zero)
+  const shipping = lineItems.length ? getShippingCost(shippingSettings, { subtotal: subtotal - discount, weight }) : 0;
+
+  const taxableByRate = new Map();
+  const addTaxable = (rate, amount) => taxableByRate.set(rate, (taxableByRate.get(rate) || 0) + amount);
+  const lineDiscounts = allocate(discount, lineItems.map(line => line.lineTotalCents || 0));
+  lineItems.forEach((line, index) => {
+    addTaxable(getTaxRate(taxRates, line.taxClass), (line.lineTotalCents || 0) - lineDiscounts[index]);
+  });
+  if (taxShipping && shipping > 0) addTaxable(taxRates[0], shipping);
+
+  const taxes = Array.from(taxableByRate, ([rate, taxable]) => ({
+    id: rate.id,
+    name: rate.name,
+    rate: rate.rate,
+    amountCents: percentOf(Math.max(taxable, 0), rate.rate || 0),
+  })).filter(entry => entry.amountCents > 0);
+  const tax = taxes.reduce((sum, entry) => sum + entry.amountCents, 0);
+
+  return {
+    currency,
+    subtotalCents: subtotal,
+    discountCents: discount,
+    shippingCents: shipping,
+    taxCents: tax,
+    totalCents: subtotal - discount + shipping + tax,
+    weight,
+    coupon: coupon ? { code: coupon.code, type: coupon.type, description: describeCoupon(coupon, currency) } : null,
+    taxes,
+  };
+};
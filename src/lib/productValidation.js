@@ -0,0 +1,194 @@
+import { DEFAULT_CURRENCY, formatAmount, getCurrencyDigits, parseMoney } from './money';
+import { getVariants, newVariantId, totalVariantStock } from './variants';
+
+// Field checks for the product form. Form values are the raw input strings;
+// blank reorder fields mean "use the default" (see lib/inventory), a blank
+// weight means "not weighed" and a blank tax class the store's default rate.
+// Prices are typed in the store currency's major unit and saved as `priceCents`.
+// Tags are typed comma-separated and image URLs one per line. Variant rows
+// (see lib/variants) have their own name, SKU, price and stock; a product
+// with variants takes its stock from them. Errors for a variant row's field
+// are keyed `variants.<index>.<field>`.
+
+const WHOLE_NUMBER_PATTERN = /^\d+$/;
+const WEIGHT_PATTERN = /^\d+(\.\d{1,3})?$/;
+
+const normaliseName = (name) => name.trim().toLowerCase();
+
+export const variantFieldKey = (index, field) => `variants.${index}.${field}`;
+
+// A blank variant row, priced like the product until changed
+export const emptyVariantValues = (price = '') => ({ id: newVariantId(), name: '', sku: '', price, stock: '0' });
+
+// Tags as typed, without blanks or repeats (case ignored); the first spelling wins
+export const parseTags = (text) => {
+  const seen = new Set();
+  return String(text).split(',').map(tag => tag.trim()).filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const parseLines = (text) => String(text).split('\n').map(line => line.trim()).filter(Boolean);
+
+const isWebUrl = (text) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(text).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// SKUs other products (or their variants) use, mapped to what uses them
+const skusInUse = (products, productId) => {
+  const inUse = new Map();
+  products.filter(product => product.id !== productId).forEach(product => {
+    if (product.sku) inUse.set(normaliseName(product.sku), product.name);
+    getVariants(product).forEach(variant => {
+      if (variant.sku) inUse.set(normaliseName(variant.sku), `${product.name} (${variant.name})`);
+    });
+  });
+  return inUse;
+};
+
+export const productToFormValues = (product = null, currency = DEFAULT_CURRENCY) => ({
+  name: product?.name ?? '',
+  sku: product?.sku ?? '',
+  description: product?.description ?? '',
+  category: product?.category ?? '',
+  tags: (product?.tags || []).join(', '),
+  imageUrls: (product?.imageUrls || []).join('\n'),
+  price: formatAmount(product?.priceCents ?? 0, currency),
+  stock: String(product?.stock ?? 0),
+  variants: getVariants(product).map(variant => ({
+    id: variant.id,
+    name: variant.name ?? '',
+    sku: variant.sku ?? '',
+    price: formatAmount(variant.priceCents ?? 0, currency),
+    stock: String(variant.stock ?? 0),
+  })),
+  reorderPoint: product?.reorderPoint === null || product?.reorderPoint === undefined ? '' : String(product.reorderPoint),
+  reorderQuantity: product?.reorderQuantity === null || product?.reorderQuantity === undefined ? '' : String(product.reorderQuantity),
+  supplierId: product?.supplierId || '',
+  weight: product?.weight === null || product?.weight === undefined ? '' : String(product.weight),
+  taxClass: product?.taxClass || '',
+});
+
+// Other products already using this name (case and surrounding spaces ignored)
+export const findDuplicateNames = (name, products, productId = null) => {
+  const key = normaliseName(name);
+  if (!key) return [];
+  return products.filter(product => product.id !== productId && normaliseName(product.name || '') === key);
+};
+
+/**
+ * Checks product form values. Returns `{ errors, warnings, data }` where
+ * `errors` and `warnings` map field names to messages and `data` is the
+ * product to save, only meaningful when `errors` is empty. A duplicate name
+ * is only a warning: two products may legitimately share one.
+ */
+export const validateProductForm = (values, { products = [], productId = null, currency = DEFAULT_CURRENCY } = {}) => {
+  const errors = {};
+  const warnings = {};
+
+  const name = values.name.trim();
+  const sku = String(values.sku ?? '').trim();
+  const price = String(values.price).trim();
+  const stock = String(values.stock).trim();
+  const reorderPoint = String(values.reorderPoint).trim();
+  const reorderQuantity = String(values.reorderQuantity).trim();
+  const weight = String(values.weight ?? '').trim();
+
+  const digits = getCurrencyDigits(currency);
+  const priceError = digits
+    ? `Enter a price of 0 or more with at most ${digits} decimal places.`
+    : 'Enter a price of 0 or more in whole units.';
+  const stockError = 'Stock must be a whole number of 0 or more.';
+  const otherSkus = skusInUse(products, productId);
+  const formSkus = new Set();
+  // Returns an error for `value` when another product, or an earlier field on this form, has it
+  const checkSku = (value) => {
+    const key = normaliseName(value);
+    if (!key) return null;
+    if (otherSkus.has(key)) return `SKU ${value} is already used by ${otherSkus.get(key)}.`;
+    if (formSkus.has(key)) return `SKU ${value} is used twice on this product.`;
+    formSkus.add(key);
+    return null;
+  };
+
+  if (!name) errors.name = 'Name is required.';
+  const skuError = checkSku(sku);
+  if (skuError) errors.sku = skuError;
+  const priceCents = parseMoney(price, currency);
+  if (priceCents === null) errors.price = priceError;
+
+  const variantNames = new Set();
+  const variants = (values.variants || []).map((row, index) => {
+    const key = (field) => variantFieldKey(index, field);
+    const variantName = row.name.trim();
+    const variantSku = String(row.sku).trim();
+    const variantPrice = parseMoney(String(row.price).trim(), currency);
+    const variantStock = String(row.stock).trim();
+
+    if (!variantName) {
+      errors[key('name')] = 'Name the variant, e.g. a size or colour.';
+    } else if (variantNames.has(normaliseName(variantName))) {
+      errors[key('name')] = `There is already a variant called ${variantName}.`;
+    }
+    variantNames.add(normaliseName(variantName));
+    const variantSkuError = checkSku(variantSku);
+    if (variantSkuError) errors[key('sku')] = variantSkuError;
+    if (variantPrice === null) errors[key('price')] = priceError;
+    if (!WHOLE_NUMBER_PATTERN.test(variantStock)) errors[key('stock')] = stockError;
+
+    return {
+      id: row.id,
+      name: variantName,
+      sku: variantSku || null,
+      priceCents: variantPrice || 0,
+      stock: parseInt(variantStock, 10) || 0,
+    };
+  });
+  // With variants the stock field isn't used
+  if (variants.length === 0 && !WHOLE_NUMBER_PATTERN.test(stock)) errors.stock = stockError;
+
+  const invalidUrl = parseLines(values.imageUrls ?? '').find(url => !isWebUrl(url));
+  if (invalidUrl) errors.imageUrls = `${invalidUrl} isn't a web address; image URLs start with http:// or https://.`;
+  if (reorderPoint && !WHOLE_NUMBER_PATTERN.test(reorderPoint)) {
+    errors.reorderPoint = 'Reorder point must be a whole number of 0 or more.';
+  }
+  if (reorderQuantity && !(WHOLE_NUMBER_PATTERN.test(reorderQuantity) && parseInt(reorderQuantity, 10) > 0)) {
+    errors.reorderQuantity = 'Reorder quantity must be a whole number greater than 0.';
+  }
+  if (weight && !WEIGHT_PATTERN.test(weight)) {
+    errors.weight = 'Enter a weight in kg of 0 or more with at most 3 decimal places.';
+  }
+
+  const duplicates = findDuplicateNames(name, products, productId);
+  if (duplicates.length > 0) {
+    warnings.name = `Another product is already called "${duplicates[0].name}".`;
+  }
+
+  return {
+    errors,
+    warnings,
+    data: {
+      name,
+      sku: sku || null,
+      description: String(values.description ?? '').trim(),
+      category: String(values.category ?? '').trim() || null,
+      tags: parseTags(values.tags ?? ''),
+      imageUrls: parseLines(values.imageUrls ?? ''),
+      priceCents: priceCents || 0,
+      stock: variants.length > 0 ? totalVariantStock(variants) : parseInt(stock, 10) || 0,
+      variants,
+      reorderPoint: reorderPoint === '' ? null : parseInt(reorderPoint, 10),
+      reorderQuantity: reorderQuantity === '' ? null : parseInt(reorderQuantity, 10),
+      supplierId: values.supplierId || null,
+      weight: weight === '' ? null : parseFloat(weight),
+      taxClass: values.taxClass || null,
+    },
+  };
+};
@@ -0,0 +1,38 @@
+// Purchase order lifecycle:
+//
+//   Draft -> Ordered -> PartiallyReceived -> Received
+//   Draft/Ordered -> Cancelled
+//
+// Receiving is only possible once a purchase order has been sent (Ordered or
+// PartiallyReceived); it moves the order on automatically.
+
+export const PURCHASE_ORDER_STATUSES = ['Draft', 'Ordered', 'PartiallyReceived', 'Received', 'Cancelled'];
+
+// Purchase orders whose outstanding quantities are still expected to arrive
+export const OPEN_PURCHASE_ORDER_STATUSES = ['Draft', 'Ordered', 'PartiallyReceived'];
+
+export const RECEIVABLE_STATUSES = ['Ordered', 'PartiallyReceived'];
+
+export const PURCHASE_ORDER_STATUS_LABELS = {
+  Draft: 'Draft',
+  Ordered: 'Ordered',
+  PartiallyReceived: 'Partially Received',
+  Received: 'Received',
+  Cancelled: 'Cancelled',
+};
+
+export const PURCHASE_ORDER_STATUS_STYLES = {
+  Draft: 'bg-gray-200 text-gray-700',
+  Ordered: 'bg-blue-100 text-blue-800',
+  PartiallyReceived: 'bg-yellow-100 text-yellow-800',
+  Received: 'bg-green-100 text-green-800',
+  Cancelled: 'bg-red-100 text-red-800',
+};
+
+export const getOutstandingQuantity = (line) => Math.max((line.quantityOrdered || 0) - (line.quantityReceived || 0), 0);
+
+// In cents
+export const getPurchaseOrderTotal = (purchaseOrder) =>
+  purchaseOrder.lines.reduce((sum, line) => sum + (line.quantityOrdered || 0) * (line.unitCostCents || 0), 0);
+
+export const isFullyReceived = (purchaseOrder) => purchaseOrder.lines.every(line => getOutstandingQuantity(line) === 0);
@@ -0,0 +1,90 @@
+import { DomainError } from './errors';
+
+// Firestore error codes for failures that may go away on their own. The local
+// backend uses the same codes.
+export const TRANSIENT_ERROR_CODES = ['aborted', 'unavailable', 'deadline-exceeded', 'resource-exhausted', 'internal'];
+
+// Retry budgets per kind of write. Interactive writes give up sooner so the
+// user hears back quickly; batch work keeps going longer.
+export const RETRY_BUDGETS = {
+  interactive: { maxAttempts: 3, maxElapsedMs: 10000 },
+  checkout: { maxAttempts: 4, maxElapsedMs: 15000 },
+  batch: { maxAttempts: 6, maxElapsedMs: 60000 },
+};
+
+/**
+ * Whether retrying could help. Domain errors and anything flagged
+ * `retryable: false` fail the same way every time; otherwise only the
+ * transient backend codes are retried. Unrecognised errors are treated as
+ * permanent so the user hears about them straight away.
+ */
+export const isTransientError = (error) => {
+  if (error instanceof DomainError || error?.retryable === false) return false;
+  if (error?.retryable === true) return true;
+  return TRANSIENT_ERROR_CODES.includes(error?.code);
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const abortError = (signal) =>
+  signal.reason instanceof Error ? signal.reason : Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError(signal));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError(signal));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Runs `fn({ attempt, signal })`, retrying transient failures with exponential
+ * backoff and jitter.
+ *
+ * Options:
+ *   maxAttempts   total attempts including the first (default 5)
+ *   maxElapsedMs  stop retrying when the next wait would end past this many ms
+ *                 after the first attempt started
+ *   baseDelayMs / maxDelayMs  backoff bounds
+ *   signal        AbortSignal; aborting rejects with an AbortError and stops
+ *                 any pending wait (a running attempt is not interrupted)
+ *   shouldRetry(error)  override the transient/permanent classification
+ *   onAttempt({ attempt, maxAttempts })  before every attempt (1-based)
+ *   onRetry({ attempt, maxAttempts, delayMs, error })  before waiting to run `attempt`
+ */
+export const withRetry = async (fn, {
+  maxAttempts = 5,
+  maxElapsedMs = Infinity,
+  baseDelayMs = 1000,
+  maxDelayMs = 10000,
+  signal,
+  shouldRetry = isTransientError,
+  onAttempt,
+  onRetry,
+} = {}) => {
+  const startedAt = Date.now();
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) throw abortError(signal);
+    onAttempt?.({ attempt, maxAttempts });
+    try {
+      return await fn({ attempt, signal });
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error)) throw error;
+
+      const delayMs = Math.min(Math.pow(2, attempt - 1) * baseDelayMs + Math.random() * baseDelayMs, maxDelayMs);
+      if (Date.now() - startedAt + delayMs > maxElapsedMs) throw error;
+
+      onRetry?.({ attempt: attempt + 1, maxAttempts, delayMs, error });
+      await sleep(delayMs, signal);
+    }
+  }
+};
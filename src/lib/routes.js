@@ -0,0 +1,124 @@
+// Routes live in the URL hash ("#/orders/abc?status=Paid"), so every page
+// survives a refresh, works with the back button and can be shared without
+// the host having to serve index.html for every path.
+
+export const ROUTES = {
+  DASHBOARD: 'dashboard',
+  PRODUCTS: 'products',
+  PRODUCT: 'product',
+  ORDERS: 'orders',
+  ORDER: 'order',
+  CUSTOMERS: 'customers',
+  CUSTOMER: 'customer',
+  PURCHASING: 'purchasing',
+  STOREFRONT: 'storefront',
+  PRICING: 'pricing',
+  TEAM: 'team',
+  NOT_FOUND: 'notFound',
+};
+
+const PATTERNS = [
+  [ROUTES.DASHBOARD, '/'],
+  [ROUTES.PRODUCTS, '/products'],
+  [ROUTES.PRODUCT, '/products/:id'],
+  [ROUTES.ORDERS, '/orders'],
+  [ROUTES.ORDER, '/orders/:id'],
+  [ROUTES.CUSTOMERS, '/customers'],
+  [ROUTES.CUSTOMER, '/customers/:id'],
+  [ROUTES.PURCHASING, '/purchasing'],
+  [ROUTES.STOREFRONT, '/storefront'],
+  [ROUTES.PRICING, '/pricing'],
+  [ROUTES.TEAM, '/team'],
+];
+
+// The list a detail route belongs to, for the navigation highlight
+export const SECTION_OF = {
+  [ROUTES.PRODUCT]: ROUTES.PRODUCTS,
+  [ROUTES.ORDER]: ROUTES.ORDERS,
+  [ROUTES.CUSTOMER]: ROUTES.CUSTOMERS,
+};
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+const matchPattern = (pattern, segments) => {
+  const parts = splitPath(pattern);
+  if (parts.length !== segments.length) return null;
+  const params = {};
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i].startsWith(':')) params[parts[i].slice(1)] = segments[i];
+    else if (parts[i] !== segments[i]) return null;
+  }
+  return params;
+};
+
+/**
+ * Reads a location hash into `{ name, params, query, path }`. `query` holds
+ * the query string as plain strings; anything unknown is ROUTES.NOT_FOUND.
+ */
+export const parseRoute = (hash) => {
+  const [rawPath, search = ''] = String(hash || '').replace(/^#/, '').split('?');
+  const segments = splitPath(rawPath).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  });
+  const path = `/${segments.map(encodeURIComponent).join('/')}`;
+  const query = Object.fromEntries(new URLSearchParams(search));
+
+  for (const [name, pattern] of PATTERNS) {
+    const params = matchPattern(pattern, segments);
+    if (params) return { name, params, query, path };
+  }
+  return { name: ROUTES.NOT_FOUND, params: {}, query, path };
+};
+
+/**
+ * The href for a route, e.g. routeHref(ROUTES.ORDER, { id }) is "#/orders/<id>".
+ * Empty query values are left out.
+ */
+export const routeHref = (name, params = {}, query = {}) => {
+  const [, pattern] = PATTERNS.find(([routeName]) => routeName === name);
+  const path = pattern.replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]));
+  return withQuery(`#${path}`, query);
+};
+
+export const withQuery = (href, query) => {
+  const search = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== '' && value != null)).toString();
+  return search ? `${href}?${search}` : href;
+};
+
+// Sort state travels as "field" or "-field" (descending)
+const encodeSort = ({ field, direction }) => (direction === 'desc' ? `-${field}` : field);
+const decodeSort = (text) => (text.startsWith('-')
+  ? { field: text.slice(1), direction: 'desc' }
+  : { field: text, direction: 'asc' });
+
+/**
+ * Reads list state (filters, sort, paging) from `query`, taking each value's
+ * type from `defaults`: strings as they are, numbers, booleans as "1" and
+ * sorts as "field"/"-field". Missing or unreadable values keep the default.
+ */
+export const readQueryState = (query, defaults) => Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+  const text = query[key];
+  if (text === undefined || text === '') return [key, fallback];
+  if (typeof fallback === 'number') {
+    const number = Number(text);
+    return [key, Number.isFinite(number) ? number : fallback];
+  }
+  if (typeof fallback === 'boolean') return [key, text === '1'];
+  if (fallback && typeof fallback === 'object') return [key, decodeSort(text)];
+  return [key, text];
+}));
+
+// The reverse of readQueryState; values equal to their default are left out to keep links short
+export const writeQueryState = (state, defaults) => Object.fromEntries(Object.entries(defaults).flatMap(([key, fallback]) => {
+  const value = state[key];
+  if (fallback && typeof fallback === 'object') {
+    return value.field === fallback.field && value.direction === fallback.direction ? [] : [[key, encodeSort(value)]];
+  }
+  if (value === fallback) return [];
+  if (typeof fallback === 'boolean') return [[key, value ? '1' : '0']];
+  return [[key, String(value)]];
+}));
@@ -0,0 +1,173 @@
+// Order simulation for demos and load tests. Everything random comes from one
+// seeded generator, so the same seed against the same catalog produces the
+// same sequence of arrivals, products, quantities and customers.
+
+import { getVariants, listOrderableItems } from './variants';
+
+export const QUANTITY_DISTRIBUTIONS = {
+  UNIFORM: 'uniform',
+  FIXED: 'fixed',
+  GEOMETRIC: 'geometric',
+};
+
+export const QUANTITY_DISTRIBUTION_LABELS = {
+  [QUANTITY_DISTRIBUTIONS.UNIFORM]: 'Uniform between min and max',
+  [QUANTITY_DISTRIBUTIONS.FIXED]: 'Always the minimum',
+  [QUANTITY_DISTRIBUTIONS.GEOMETRIC]: 'Mostly small (geometric), up to max',
+};
+
+// `weights` maps product IDs to relative popularity; products left out weigh 1
+// and a weight of 0 takes a product out of the simulation
+export const DEFAULT_SIMULATION = {
+  ratePerSecond: 1,
+  durationSeconds: 60,
+  seed: 'demo',
+  maxLines: 3,
+  quantity: { distribution: QUANTITY_DISTRIBUTIONS.UNIFORM, min: 1, max: 5 },
+  weights: {},
+};
+
+export const randomSeed = () => Math.random().toString(36).slice(2, 10);
+
+// FNV-1a, turning any seed text into a 32-bit state
+const hashSeed = (seed) => {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * A seeded generator (mulberry32) returning floats in [0, 1), like Math.random.
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+// Milliseconds until the next order: arrivals form a Poisson process at `ratePerSecond`
+export const nextArrivalDelay = (random, ratePerSecond) => (-Math.log(1 - random()) / ratePerSecond) * 1000;
+
+// Picks one entry with probability proportional to its `weight`; null if none weigh anything
+export const pickWeighted = (random, entries) => {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  if (!(total > 0)) return null;
+  let remaining = random() * total;
+  for (const entry of entries) {
+    remaining -= entry.weight;
+    if (remaining < 0) return entry;
+  }
+  return entries[entries.length - 1];
+};
+
+export const drawQuantity = (random, { distribution, min, max }) => {
+  switch (distribution) {
+    case QUANTITY_DISTRIBUTIONS.FIXED:
+      return min;
+    case QUANTITY_DISTRIBUTIONS.GEOMETRIC: {
+      // Each extra unit is half as likely as the one before
+      let quantity = min;
+      while (quantity < max && random() < 0.5) quantity++;
+      return quantity;
+    }
+    case QUANTITY_DISTRIBUTIONS.UNIFORM:
+    default:
+      return randomInt(random, min, max);
+  }
+};
+
+export const getProductWeight = (weights, productId) => (weights[productId] ?? 1);
+
+/**
+ * Draws the next simulated order: 1 to `maxLines` distinct items chosen by
+ * weight, each with a drawn quantity, for a random customer (if there are
+ * any). An item is a product, or one of its variants sharing the product's
+ * weight equally (see listOrderableItems). Items with nothing
+ * `available(item)` (stock minus what in-flight simulated orders already
+ * claimed) are skipped and quantities are capped at what is left, so the
+ * simulator doesn't knowingly order out-of-stock items. Returns null when
+ * nothing can be ordered.
+ */
+export const planSimulatedOrder = (random, config, { products, customers, available }) => {
+  let candidates = listOrderableItems(products)
+    .map(item => ({
+      item,
+      weight: getProductWeight(config.weights, item.product.id) / Math.max(getVariants(item.product).length, 1),
+      stock: available(item),
+    }))
+    .filter(entry => entry.weight > 0 && entry.stock > 0);
+  if (candidates.length === 0) return null;
+
+  const lineCount = randomInt(random, 1, Math.min(config.maxLines, candidates.length));
+  const items = [];
+  for (let i = 0; i < lineCount; i++) {
+    const picked = pickWeighted(random, candidates);
+    candidates = candidates.filter(entry => entry !== picked);
+    items.push({
+      productId: picked.item.product.id,
+      variantId: picked.item.variant?.id || null,
+      quantity: Math.min(drawQuantity(random, config.quantity), picked.stock),
+    });
+  }
+
+  const customer = customers.length > 0 ? customers[Math.floor(random() * customers.length)] : null;
+  return { items, customerId: customer?.id || null };
+};
+
+/**
+ * Checks simulator settings as typed. Returns `{ error }` or `{ config }`.
+ */
+export const parseSimulationConfig = (values) => {
+  const ratePerSecond = parseFloat(values.ratePerSecond);
+  const durationSeconds = parseInt(values.durationSeconds, 10);
+  const maxLines = parseInt(values.maxLines, 10);
+  const min = parseInt(values.quantityMin, 10);
+  const max = parseInt(values.quantityMax, 10);
+  const seed = String(values.seed).trim();
+
+  if (!(ratePerSecond > 0 && ratePerSecond <= 50)) return { error: 'Order rate must be above 0 and at most 50 per second.' };
+  if (!(durationSeconds > 0 && durationSeconds <= 3600)) return { error: 'Duration must be between 1 second and 1 hour.' };
+  if (!(maxLines >= 1)) return { error: 'Orders need at least 1 line.' };
+  if (!(min >= 1 && max >= min)) return { error: 'Quantities need a minimum of at least 1 and a maximum no lower than it.' };
+  if (!seed) return { error: 'Enter a seed so the run can be repeated.' };
+
+  const weights = {};
+  for (const [productId, text] of Object.entries(values.weights)) {
+    if (String(text).trim() === '') continue;
+    const weight = parseFloat(text);
+    if (!(weight >= 0)) return { error: 'Popularity weights must be 0 or more.' };
+    weights[productId] = weight;
+  }
+
+  return {
+    config: {
+      ratePerSecond,
+      durationSeconds,
+      seed,
+      maxLines,
+      quantity: { distribution: values.distribution, min, max },
+      weights,
+    },
+  };
+};
+
+export const simulationToFormValues = (config) => ({
+  ratePerSecond: String(config.ratePerSecond),
+  durationSeconds: String(config.durationSeconds),
+  seed: config.seed,
+  maxLines: String(config.maxLines),
+  distribution: config.quantity.distribution,
+  quantityMin: String(config.quantity.min),
+  quantityMax: String(config.quantity.max),
+  weights: Object.fromEntries(Object.entries(config.weights).map(([productId, weight]) => [productId, String(weight)])),
+});
@@ -0,0 +1,148 @@
+// Product variants: the sizes, colours and so on a product is sold in. The
+// app works with a product's variants as
+//   variants: [{ id, name, sku, priceCents, stock }]
+// and the product keeps its own `stock` as their total, so inventory,
+// purchasing and analytics that count a product's stock keep working. Carts,
+// order lines, purchase order lines and stock movements name the variant by
+// `variantId`. Products without variants (every product from before they
+// existed) sell as one item at the product's `priceCents` and `stock`.
+//
+// The database stores the variants without their stock, which lives in a map
+// beside them (toStoredVariants writes this shape, fromStoredVariants reads it):
+//   variants: [{ id, name, sku, priceCents }]
+//   variantStock: { [variantId]: stock }
+// The security rules let staff move stock (selling, restocking, receiving)
+// through that map while the variants' names, SKUs and prices stay with managers.
+
+export const hasVariants = (product) => Array.isArray(product?.variants) && product.variants.length > 0;
+
+export const getVariants = (product) => (hasVariants(product) ? product.variants : []);
+
+export const getVariant = (product, variantId) =>
+  (variantId ? getVariants(product).find(variant => variant.id === variantId) || null : null);
+
+export const totalVariantStock = (variants) => variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+
+// Variant IDs only need to be unique within their product
+export const newVariantId = () => Math.random().toString(36).slice(2, 10);
+
+// Identifies a cart line or an order request: one per product and variant
+export const itemKey = (productId, variantId = null) => (variantId ? `${productId}:${variantId}` : productId);
+
+// e.g. "Vintage T-Shirt (M)"
+export const getItemName = (productName, variantName = null) => (variantName ? `${productName} (${variantName})` : productName);
+
+/**
+ * What one item of `product` in `variantId` (null for products without
+ * variants) sells as: `{ variant, name, sku, priceCents, stock }`. Null when
+ * the item can't be sold as asked: a variant the product doesn't have, or no
+ * variant for a product that has them.
+ */
+export const getSellableItem = (product, variantId = null) => {
+  if (!variantId) {
+    if (hasVariants(product)) return null;
+    return { variant: null, name: product.name, sku: product.sku || null, priceCents: product.priceCents || 0, stock: product.stock || 0 };
+  }
+  const variant = getVariant(product, variantId);
+  if (!variant) return null;
+  return {
+    variant,
+    name: getItemName(product.name, variant.name),
+    sku: variant.sku || null,
+    priceCents: variant.priceCents || 0,
+    stock: variant.stock || 0,
+  };
+};
+
+// The price range a product sells at, for listings: `{ minCents, maxCents }`
+export const getPriceRange = (product) => {
+  if (!hasVariants(product)) return { minCents: product.priceCents || 0, maxCents: product.priceCents || 0 };
+  const prices = product.variants.map(variant => variant.priceCents || 0);
+  return { minCents: Math.min(...prices), maxCents: Math.max(...prices) };
+};
+
+/**
+ * The stock fields after changing `variantId`'s stock (or the product's, for
+ * null) by `delta`: `{ stock }`, plus the rewritten `variants` for a variant.
+ * Null when there's nowhere to put the stock: the variant was removed, or the
+ * product has gained variants since the stock left it.
+ */
+export const stockChanges = (product, variantId, delta) => {
+  if (!variantId) {
+    return hasVariants(product) ? null : { stock: (product.stock || 0) + delta };
+  }
+  if (!getVariant(product, variantId)) return null;
+  const variants = product.variants.map(variant => (
+    variant.id === variantId ? { ...variant, stock: (variant.stock || 0) + delta } : variant
+  ));
+  return { stock: totalVariantStock(variants), variants };
+};
+
+// Stock held per variant, keyed by variant ID ('' for a product without variants)
+const stockLevels = (product) => {
+  if (!product) return new Map();
+  if (!hasVariants(product)) return new Map([['', { variant: null, stock: product.stock || 0 }]]);
+  return new Map(product.variants.map(variant => [variant.id, { variant, stock: variant.stock || 0 }]));
+};
+
+/**
+ * The stock changes editing `before` into `after` makes (either may be null,
+ * for a product being created or deleted), one per variant whose stock moved:
+ * `[{ variantId, variantName, delta }]`. Adding variants to a product moves
+ * its own stock out and the variants' stock in.
+ */
+export const diffStockLevels = (before, after) => {
+  const previous = stockLevels(before);
+  const next = stockLevels(after);
+  const changes = [];
+  previous.forEach(({ variant: previousVariant, stock }, key) => {
+    const delta = (next.get(key)?.stock || 0) - stock;
+    // Named as it is after the edit, in case it was renamed
+    const variant = next.get(key)?.variant || previousVariant;
+    if (delta !== 0) changes.push({ variantId: variant?.id || null, variantName: variant?.name || null, delta });
+  });
+  next.forEach(({ variant, stock }, key) => {
+    if (!previous.has(key) && stock !== 0) changes.push({ variantId: variant?.id || null, variantName: variant?.name || null, delta: stock });
+  });
+  return changes;
+};
+
+// The stored fields for `variants`: `{ variants, variantStock }`
+export const toStoredVariants = (variants) => ({
+  variants: variants.map(({ stock, ...variant }) => variant),
+  variantStock: Object.fromEntries(variants.map(variant => [variant.id, variant.stock || 0])),
+});
+
+// A stored product with its variants' stock put back on them
+export const fromStoredVariants = (stored) => {
+  const { variantStock = {}, ...product } = stored;
+  if (!hasVariants(product)) return product;
+  return {
+    ...product,
+    variants: product.variants.map(variant => ({ ...variant, stock: variantStock[variant.id] ?? variant.stock ?? 0 })),
+  };
+};
+
+// A product's data with `stock` set to its variants' total, if it has any
+export const withVariantStock = (data) => (hasVariants(data) ? { ...data, stock: totalVariantStock(data.variants) } : data);
+
+/**
+ * Everything `products` can be ordered as: each variant of a product with
+ * variants, otherwise the product itself. `[{ key, product, variant, name }]`
+ * with `key` from itemKey.
+ */
+export const listOrderableItems = (products) => products.flatMap(product => (hasVariants(product)
+  ? product.variants.map(variant => ({ key: itemKey(product.id, variant.id), product, variant, name: getItemName(product.name, variant.name) }))
+  : [{ key: itemKey(product.id), product, variant: null, name: product.name }]));
+
+/**
+ * Merges two concurrent edits of a product's variants: `mine` (an edit based
+ * on `base`) keeps its names, SKUs and prices, and each variant's stock change
+ * since `base` is applied on top of its stock in `theirs`, never below 0.
+ */
+export const mergeVariantStock = (base = [], mine = [], theirs = []) => mine.map(variant => {
+  const before = base.find(candidate => candidate.id === variant.id);
+  const current = theirs.find(candidate => candidate.id === variant.id);
+  if (!before || !current) return variant;
+  return { ...variant, stock: Math.max(0, (current.stock || 0) + (variant.stock || 0) - (before.stock || 0)) };
+});
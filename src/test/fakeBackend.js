@@ -0,0 +1,58 @@
+import { createRepositories } from '../data/repositories';
+import { createLocalBackend } from '../data/localBackend';
+import { DEMO_DATA } from '../data/demoData';
+
+// Test doubles for the data layer: the local backend kept in memory stands in
+// for Firestore, starting from the demo store unless given other data.
+
+export const TEST_USER = { uid: 'test-user', email: 'test@example.com' };
+
+export const createFakeRepositories = (initialData = DEMO_DATA) =>
+  createRepositories(createLocalBackend({ storage: null, initialData }), { userId: TEST_USER.uid, userEmail: TEST_USER.email });
+
+/**
+ * Repositories whose listeners fail straight away with `error`, the way
+ * Firestore ends a listener on permission-denied.
+ */
+export const createFailingRepositories = (error) => {
+  const backend = createLocalBackend({ storage: null, initialData: DEMO_DATA });
+  return createRepositories({
+    ...backend,
+    subscribe: (collectionName, onChange, onError) => {
+      onError(error);
+      return () => {};
+    },
+  });
+};
+
+/**
+ * An auth service (see createFirebaseAuth) that reports only when told to:
+ * `emit(user)` signs a user in or out and `fail(error)` breaks the listener.
+ * `signOut` rejects with `signOutError` when one is set.
+ */
+export const createFakeAuth = () => {
+  const listeners = new Set();
+  const auth = {
+    signOutError: null,
+    user: null,
+    emit: (user) => {
+      auth.user = user;
+      listeners.forEach(({ onUser }) => onUser(user));
+    },
+    fail: (error) => listeners.forEach(({ onError }) => onError(error)),
+    onChange: (onUser, onError) => {
+      const listener = { onUser, onError };
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    signIn: jest.fn(async (email) => auth.emit({ uid: 'signed-in', email })),
+    signUp: jest.fn(async (email) => auth.emit({ uid: 'signed-up', email })),
+    sendVerificationEmail: jest.fn(async () => {}),
+    refreshUser: jest.fn(async () => auth.user),
+    signOut: jest.fn(async () => {
+      if (auth.signOutError) throw auth.signOutError;
+      auth.emit(null);
+    }),
+  };
+  return auth;
+};
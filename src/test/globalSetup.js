@@ -0,0 +1,5 @@
+// Runs the suite west of UTC, where an evening is already the next day in
+// UTC, so code that mixes up UTC and local calendar days fails its tests
+export default () => {
+  process.env.TZ = 'America/Los_Angeles';
+};